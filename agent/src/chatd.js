@@ -34,6 +34,7 @@ import {
   isValidSessionId,
   listSessions,
   readMessages,
+  resolveStorageRoot,
   updateSession,
 } from './session-store.js';
 
@@ -1714,6 +1715,14 @@ export async function startChatd(opts = {}) {
     });
   }
 
+  async function abortRun(run) {
+    run.status = 'aborted';
+    await persistAbortedRun(run);
+    run.abort?.();
+    runs.delete(run.runId);
+    broadcast(buildEvent({ event: 'run.aborted', runId: run.runId, sessionId: run.sessionId, payload: {} }));
+  }
+
   const server = http.createServer(async (req, res) => {
     try {
       const base = `http://${req.headers.host || '127.0.0.1'}`;
@@ -1824,7 +1833,8 @@ export async function startChatd(opts = {}) {
         }
 
         const stem = sanitizeUploadImageStem(body?.filename);
-        const uploadDir = join(storageRoot, 'uploads', sessionId);
+        // The relay's default uploads directory: agents may upload these files.
+        const uploadDir = join(resolveStorageRoot(storageRoot), 'uploads', sessionId);
         await fs.mkdir(uploadDir, { recursive: true });
         const fileName = `${Date.now()}-${randomBytes(4).toString('hex')}-${stem}${extension}`;
         const localPath = join(uploadDir, fileName);
@@ -2314,15 +2324,19 @@ export async function startChatd(opts = {}) {
           return;
         }
 
-        run.status = 'aborted';
-        await persistAbortedRun(run);
-        run.abort?.();
-        runs.delete(decodedRunId);
-        broadcast(buildEvent({ event: 'run.aborted', runId: decodedRunId, sessionId: run.sessionId, payload: {} }));
+        await abortRun(run);
         json(res, 200, { ok: true, runId: decodedRunId, aborted: true });
         return;
       }
 
+      // Kill switch: the relay aborts every in-flight run when the user stops agent access.
+      if (url.pathname === '/v1/runs/abort' && req.method === 'POST') {
+        const aborted = [...runs.values()];
+        for (const run of aborted) await abortRun(run);
+        json(res, 200, { ok: true, aborted: aborted.map((run) => run.runId) });
+        return;
+      }
+
       json(res, 404, { error: 'Not found' });
     } catch (error) {
       json(res, 500, { error: error?.message || 'Internal server error' });
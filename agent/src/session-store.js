@@ -20,7 +20,7 @@ function isObject(value) {
   return !!value && typeof value === 'object' && !Array.isArray(value);
 }
 
-function resolveStorageRoot(storageRoot) {
+export function resolveStorageRoot(storageRoot) {
   return storageRoot || DEFAULT_STORAGE_ROOT;
 }
 
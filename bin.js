@@ -32,6 +32,11 @@ const { values, positionals } = parseArgs({
     stdin: { type: 'boolean', default: false },
     // doctor: remove stale sidecars (never secrets).
     fix: { type: 'boolean', default: false },
+    // token create: capability scope.
+    'read-only': { type: 'boolean', default: false },
+    origin: { type: 'string', multiple: true },
+    'max-tabs': { type: 'string' },
+    expires: { type: 'string' },
   },
   allowPositionals: true,
   strict: false,
@@ -263,18 +268,15 @@ async function cmdPlugin() {
     process.exit(1);
   }
 
-  const { getRelayHttpUrl } = await import('./mcp/src/exec-engine.js');
+  const { getRelayHttpUrl, readAuthToken } = await import('./mcp/src/exec-engine.js');
   let baseUrl;
   try { baseUrl = getRelayHttpUrl(); } catch { baseUrl = 'http://127.0.0.1:19222'; }
 
-  // Auth token for write endpoints — read from token file
-  const { readFileSync } = await import('node:fs');
   const { join } = await import('node:path');
   const { homedir } = await import('node:os');
   const pluginsDir = process.env.BF_PLUGINS_DIR || join(homedir(), '.browserforce', 'plugins');
-  const tokenFile = join(homedir(), '.browserforce', 'auth-token');
-  let authToken = '';
-  try { authToken = readFileSync(tokenFile, 'utf8').trim(); } catch { /* no token file */ }
+  // Auth token for write endpoints — read from token file
+  const authToken = readAuthToken();
 
   if (sub === 'list') {
     const data = await httpGet(`${baseUrl}/v1/plugins`);
@@ -319,6 +321,184 @@ async function cmdPlugin() {
   process.exit(1);
 }
 
+// "90s", "15m", "2h", "7d" or plain seconds -> seconds.
+function parseDurationSeconds(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)([smhd]?)$/);
+  if (!match) throw new Error(`Invalid --expires "${text}" (use e.g. 90s, 15m, 2h, 7d)`);
+  const unit = { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+  return Number(match[1]) * unit;
+}
+
+async function cmdToken() {
+  const sub = positionals[1];
+  if (!sub) {
+    console.error('Usage: browserforce token <list|create|revoke> [name]');
+    process.exit(1);
+  }
+
+  const { getRelayHttpUrl, readAuthToken } = await import('./mcp/src/exec-engine.js');
+  let baseUrl;
+  try { baseUrl = getRelayHttpUrl(); } catch { baseUrl = 'http://127.0.0.1:19222'; }
+
+  // /tokens is master-token only — read it from the token file.
+  const authToken = readAuthToken();
+
+  if (sub === 'list') {
+    const { status, body } = await httpFetch('GET', `${baseUrl}/tokens`, null, authToken);
+    if (status >= 400) {
+      console.error(`Error: ${body.error || JSON.stringify(body)}`);
+      process.exit(1);
+    }
+    if (values.json) {
+      output(body, true);
+      return;
+    }
+    const tokens = body.tokens || [];
+    if (tokens.length === 0) {
+      console.log('No capability tokens');
+      return;
+    }
+    for (const token of tokens) {
+      const caps = token.capabilities || {};
+      const scope = [
+        caps.readOnly ? 'read-only' : 'read-write',
+        caps.allowedOrigins?.length ? `origins: ${caps.allowedOrigins.join(', ')}` : null,
+        Number.isInteger(caps.maxTabs) ? `max tabs: ${caps.maxTabs}` : null,
+        token.expiresAt ? `${token.expired ? 'expired' : 'expires'} ${token.expiresAt}` : null,
+      ].filter(Boolean).join(' \u2022 ');
+      console.log(` \u2022 ${token.name} (${token.id}) \u2014 ${scope}`);
+    }
+    return;
+  }
+
+  if (sub === 'create') {
+    const name = positionals[2];
+    if (!name) {
+      console.error('Usage: browserforce token create <name> [--read-only] [--origin <url>]... [--max-tabs <n>] [--expires <90s|15m|2h|7d>]');
+      process.exit(1);
+    }
+    const request = {
+      name,
+      readOnly: values['read-only'],
+      allowedOrigins: values.origin || [],
+    };
+    if (values['max-tabs'] !== undefined) request.maxTabs = Number(values['max-tabs']);
+    if (values.expires !== undefined) request.expiresIn = parseDurationSeconds(values.expires);
+    const { status, body } = await httpFetch('POST', `${baseUrl}/tokens`, request, authToken);
+    if (status >= 400) {
+      console.error(`Error: ${body.error || JSON.stringify(body)}`);
+      process.exit(1);
+    }
+    const cdpUrl = `${baseUrl.replace(/^http/, 'ws')}/cdp?token=${body.token}`;
+    if (values.json) {
+      output({ ...body, cdpUrl }, true);
+      return;
+    }
+    console.log(`Created token "${body.name}" (${body.id}). It is shown only once:`);
+    console.log(`  ${body.token}`);
+    console.log(`  CDP URL: ${cdpUrl}`);
+    return;
+  }
+
+  if (sub === 'revoke') {
+    const name = positionals[2];
+    if (!name) { console.error('Usage: browserforce token revoke <name|id>'); process.exit(1); }
+    const { status, body } = await httpFetch('DELETE', `${baseUrl}/tokens/${encodeURIComponent(name)}`, null, authToken);
+    if (status >= 400) {
+      console.error(`Error: ${body.error || JSON.stringify(body)}`);
+      process.exit(1);
+    }
+    output(values.json ? body : `Revoked "${body.revoked.name}" (${body.closedConnections} connection(s) closed)`, values.json);
+    return;
+  }
+
+  console.error(`Unknown token subcommand: ${sub}`);
+  process.exit(1);
+}
+
+async function cmdRecord() {
+  const sub = positionals[1];
+  if (!sub) {
+    console.error('Usage: browserforce record <start|stop|list> [label]');
+    process.exit(1);
+  }
+
+  const { getRelayHttpUrl, readAuthToken } = await import('./mcp/src/exec-engine.js');
+  let baseUrl;
+  try { baseUrl = getRelayHttpUrl(); } catch { baseUrl = 'http://127.0.0.1:19222'; }
+
+  // Recordings hold screenshots of the user's tabs — the master token guards them.
+  const authToken = readAuthToken();
+
+  const request = async (method, pathname, body = null) => {
+    const response = await httpFetch(method, `${baseUrl}${pathname}`, body, authToken);
+    if (response.status >= 400) {
+      console.error(`Error: ${response.body.error || JSON.stringify(response.body)}`);
+      process.exit(1);
+    }
+    return response.body;
+  };
+
+  if (sub === 'start') {
+    const body = await request('POST', '/recordings/start', { label: positionals[2] || null });
+    output(values.json ? body : `Recording ${body.id} started (${body.tabIds.length} tab(s)). Stop it with: browserforce record stop`, values.json);
+    return;
+  }
+
+  if (sub === 'stop') {
+    const body = await request('POST', '/recordings/stop');
+    output(values.json ? body : `Recording ${body.id} stopped: ${body.frameCount} frame(s), ${body.actionCount} action(s).\n  Player: ${body.player}`, values.json);
+    return;
+  }
+
+  if (sub === 'list') {
+    const body = await request('GET', '/recordings');
+    if (values.json) {
+      output(body, true);
+      return;
+    }
+    if (body.recordings.length === 0) {
+      console.log('No recordings');
+      return;
+    }
+    for (const entry of body.recordings) {
+      const state = entry.stoppedAt ? `${entry.frameCount} frame(s), ${entry.actionCount} action(s)` : 'recording';
+      console.log(` \u2022 ${entry.label ? `${entry.label} (${entry.id})` : entry.id} \u2014 ${state}`);
+      if (entry.player) console.log(`   ${entry.player}`);
+    }
+    return;
+  }
+
+  console.error(`Unknown record subcommand: ${sub}`);
+  process.exit(1);
+}
+
+async function cmdDownloads() {
+  const { requestDownloads } = await import('./mcp/src/exec-engine.js');
+  let body;
+  try {
+    body = await requestDownloads();
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (values.json) {
+    output(body, true);
+    return;
+  }
+  console.log(`Session folder: ${body.sessionDir}`);
+  if (body.downloads.length === 0) {
+    console.log('No downloads');
+    return;
+  }
+  for (const entry of body.downloads) {
+    const size = entry.size != null ? `, ${entry.size} bytes` : '';
+    console.log(` \u2022 ${entry.filename} \u2014 ${entry.state}${size}${entry.mimeType ? `, ${entry.mimeType}` : ''} (tab ${entry.tabId})`);
+    if (entry.path) console.log(`   ${entry.path}`);
+    else if (entry.error) console.log(`   ${entry.error}`);
+  }
+}
+
 async function cmdUpdate() {
   const { spawnSync } = await import('node:child_process');
   console.log('Checking for updates...');
@@ -362,15 +542,10 @@ async function cmdUpdate() {
 }
 
 async function attemptExtensionReload() {
-  const { readFileSync } = await import('node:fs');
-  const { join } = await import('node:path');
-  const { homedir } = await import('node:os');
-  const tokenFile = join(homedir(), '.browserforce', 'auth-token');
-  let authToken = '';
-  try { authToken = readFileSync(tokenFile, 'utf8').trim(); } catch { return false; }
+  const { getRelayHttpUrl, readAuthToken } = await import('./mcp/src/exec-engine.js');
+  const authToken = readAuthToken();
   if (!authToken) return false;
 
-  const { getRelayHttpUrl } = await import('./mcp/src/exec-engine.js');
   let baseUrl;
   try { baseUrl = getRelayHttpUrl(); } catch { baseUrl = 'http://127.0.0.1:19222'; }
 
@@ -949,7 +1124,7 @@ async function cmdSession() {
 
 const REGISTRY_COMMAND_VERBS = new Set([
   'open', 'tabs', 'use', 'snapshot', 'click', 'hover', 'fill', 'type',
-  'press', 'wait', 'get', 'eval', 'rename', 'forget', 'run',
+  'press', 'upload', 'wait', 'get', 'eval', 'rename', 'forget', 'run',
 ]);
 
 // Global flags owned by bin.js — extracted from the raw argv and never
@@ -1123,6 +1298,7 @@ function cmdHelp() {
     browserforce fill <@ref> <text> Fill a ref with text (clears first)
     browserforce type <@ref> <text> Type text into a ref (key by key)
     browserforce press <key>        Press a keyboard key (e.g. Enter)
+    browserforce upload <@ref> <path...>  Set a file input's files (from the uploads directory)
     browserforce wait <text|url|load|fn> <value>  Wait (flag form --text <s> also works)
     browserforce get <url|title>    Read url/title, or: get <text|html> <@ref>
     browserforce eval --stdin       Run piped Playwright JS in the session (or: eval "<code>")
@@ -1137,6 +1313,13 @@ function cmdHelp() {
     browserforce plugin list        List installed plugins
     browserforce plugin install <n> Install a plugin from the registry
     browserforce plugin remove <n>  Remove an installed plugin
+    browserforce token list         List scoped capability tokens
+    browserforce token create <n>   Mint a token [--read-only] [--origin <url>]... [--max-tabs n] [--expires 2h]
+    browserforce token revoke <n>   Revoke a token and drop its connections
+    browserforce record start [label]  Record attached tabs (screencast + agent actions)
+    browserforce record stop        Stop recording and write the HTML player
+    browserforce record list        List recordings in ~/.browserforce/recordings
+    browserforce downloads          List files attached tabs downloaded this session
     browserforce agent <subcmd>     Start/status/stop local BrowserForce Agent daemon
     browserforce session <subcmd>   Start/status/stop the CLI session daemon
     browserforce doctor [--fix]     Diagnose relay/extension/sidecars/backend
@@ -1175,7 +1358,7 @@ function cmdHelp() {
 const commands = {
   serve: cmdServe, mcp: cmdMcp, status: cmdStatus,
   screenshot: cmdScreenshot, navigate: cmdNavigate,
-  execute: cmdExecute, plugin: cmdPlugin, update: cmdUpdate,
+  execute: cmdExecute, plugin: cmdPlugin, token: cmdToken, record: cmdRecord, downloads: cmdDownloads, update: cmdUpdate,
   'install-extension': cmdInstallExtension, setup: cmdSetup, agent: cmdAgent,
   session: cmdSession, doctor: cmdDoctor,
   help: cmdHelp,
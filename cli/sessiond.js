@@ -21,6 +21,7 @@ import { readFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { pickChatdPort } from '../agent/src/port-resolver.js';
 import { createBrowserSessionRuntime } from '../mcp/src/browser-session-runtime.js';
+import { normalizeDialogPolicy } from '../extension/dialog-policy.js';
 import { resolveRequestedBackend, selectBrowserBackend } from '../mcp/src/backend-selection.js';
 import {
   ensureRelay,
@@ -194,6 +195,7 @@ export async function startSessiond({ lockPath, urlPath } = {}) {
   const pluginRuntime = await loadPluginRuntime({ logPrefix: '[bf-sessiond]' });
   const runtime = createBrowserSessionRuntime({
     getRelayHttpUrl,
+    normalizeDialogPolicy,
     buildExecContext,
     runCode,
     pluginHelpers: pluginRuntime.helpers,
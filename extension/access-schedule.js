@@ -0,0 +1,142 @@
+// Time-boxed agent access: pure evaluation shared by the popup (schedule
+// editor) and background.js (which detaches every tab and refuses commands
+// once access runs out).
+//
+// Three inputs, all in chrome.storage.local:
+//   accessSchedule  { enabled, hours: { mon: { start: '09:00', end: '18:00' }, ... }, maxSessionMinutes }
+//                   A weekday without hours has no access while the schedule is on.
+//                   `enabled` only switches the hours; maxSessionMinutes applies
+//                   either way.
+//   accessGrant     { grantedAt, until } — "grant access for the next N minutes"
+//                   from the popup. While set it replaces the schedule; once it
+//                   ends, access stays expired until the user grants again or
+//                   removes the grant.
+//   accessSession   { startedAt } — when the agent's current session began. It
+//                   starts with the first agent command and ends when the last
+//                   tab detaches, or when the user starts a new one after
+//                   hitting maxSessionMinutes.
+//
+// Times are the browser's local time. A window whose end is not after its
+// start is ignored.
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+export const WEEKDAY_LABELS = {
+  sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat',
+};
+export const ACCESS_EXPIRED_CODE = 'ACCESS_EXPIRED';
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MINUTE_MS = 60_000;
+
+function minutesOf(time) {
+  const match = TIME_RE.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function normalizeWindow(window) {
+  const start = minutesOf(window?.start);
+  const end = minutesOf(window?.end);
+  if (start === null || end === null || end <= start) return null;
+  return { start: window.start, end: window.end };
+}
+
+/** Fill defaults and drop malformed entries from a stored schedule. */
+export function normalizeAccessSchedule(raw) {
+  const hours = {};
+  for (const day of WEEKDAYS) {
+    const window = normalizeWindow(raw?.hours?.[day]);
+    if (window) hours[day] = window;
+  }
+  const maxSessionMinutes = Number(raw?.maxSessionMinutes);
+  return {
+    enabled: raw?.enabled === true,
+    hours,
+    maxSessionMinutes: Number.isFinite(maxSessionMinutes) && maxSessionMinutes > 0 ? Math.round(maxSessionMinutes) : 0,
+  };
+}
+
+// Local-time bounds (ms) of `day`'s window in the week containing `date`.
+function windowBounds(date, window) {
+  const midnight = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  return {
+    start: midnight + minutesOf(window.start) * MINUTE_MS,
+    end: midnight + minutesOf(window.end) * MINUTE_MS,
+  };
+}
+
+/** Start of the next allowed window after `now`, or null when no weekday has hours. */
+function nextWindowStart(hours, now) {
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const date = new Date(now);
+    date.setDate(date.getDate() + offset);
+    const window = hours[WEEKDAYS[date.getDay()]];
+    if (!window) continue;
+    const { start } = windowBounds(date, window);
+    if (start > now) return start;
+  }
+  return null;
+}
+
+function clockTime(ms) {
+  const date = new Date(ms);
+  return `${WEEKDAY_LABELS[WEEKDAYS[date.getDay()]]} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+/** The BLOCKED error the agent sees once access has run out. */
+export function buildAccessExpiredError(reason, resumesAt = null) {
+  const why = {
+    outside_hours: 'the user only allows agent access during scheduled hours',
+    grant_ended: 'the time the user granted from the BrowserForce popup ran out',
+    session_limit: 'this session reached the maximum length the user set',
+  }[reason] || 'the user\'s access schedule ended it';
+  const when = resumesAt
+    ? ` Access resumes ${clockTime(resumesAt)}.`
+    : ' Only the user can grant more time, from the extension popup.';
+  return `BLOCKED: ${ACCESS_EXPIRED_CODE} — agent access has expired: ${why}. Every tab was detached.${when} Stop the task and tell the user; do not retry until then.`;
+}
+
+function expired(reason, expiredAt, resumesAt = null) {
+  return {
+    allowed: false,
+    reason,
+    expiredAt,
+    resumesAt,
+    message: buildAccessExpiredError(reason, resumesAt),
+  };
+}
+
+/**
+ * Whether the agent may act right now. Returns `{ allowed: true, endsAt, limit }`
+ * (`endsAt` null when nothing limits access, `limit` names what ends it first),
+ * or `{ allowed: false, reason, expiredAt, resumesAt, message }` where reason is
+ * outside_hours | grant_ended | session_limit and `resumesAt` is null when only
+ * the user can restore access.
+ */
+export function evaluateAccess({ schedule, grant = null, session = null, now = Date.now() }) {
+  if (grant?.until) {
+    return now < grant.until
+      ? { allowed: true, endsAt: grant.until, limit: 'grant' }
+      : expired('grant_ended', grant.until);
+  }
+
+  const normalized = normalizeAccessSchedule(schedule);
+  let hoursEndAt = null;
+  if (normalized.enabled) {
+    const today = normalized.hours[WEEKDAYS[new Date(now).getDay()]];
+    const bounds = today ? windowBounds(new Date(now), today) : null;
+    if (!bounds || now < bounds.start || now >= bounds.end) {
+      const expiredAt = bounds && now >= bounds.end ? bounds.end : now;
+      return expired('outside_hours', expiredAt, nextWindowStart(normalized.hours, now));
+    }
+    hoursEndAt = bounds.end;
+  }
+
+  if (normalized.maxSessionMinutes && session?.startedAt) {
+    const sessionEndsAt = session.startedAt + normalized.maxSessionMinutes * MINUTE_MS;
+    if (now >= sessionEndsAt) return expired('session_limit', sessionEndsAt);
+    if (hoursEndAt === null || sessionEndsAt < hoursEndAt) return { allowed: true, endsAt: sessionEndsAt, limit: 'session' };
+  }
+  return hoursEndAt === null
+    ? { allowed: true, endsAt: null, limit: null }
+    : { allowed: true, endsAt: hoursEndAt, limit: 'hours' };
+}
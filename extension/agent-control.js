@@ -0,0 +1,119 @@
+// Pause / step-through control: pure classification and wording shared by the
+// popup (mode picker, held-command list) and background.js (which holds
+// mutating CDP commands in cdpCommand while the agent is paused).
+//
+// The mode is stored in chrome.storage.session `controlMode` (survives
+// service-worker restarts, resets with the browser):
+//   run    commands flow as usual
+//   pause  mutating commands wait until the user resumes
+//   step   same hold, and the popup releases them one at a time
+//
+// Only commands that change the page are held. Reads (DOM, Accessibility,
+// Runtime evaluation, screenshots) keep flowing so snapshots don't time out,
+// which also means a script that mutates the page through page.evaluate() is
+// not held.
+
+export const CONTROL_MODES = {
+  run: {
+    label: 'Run',
+  },
+  pause: {
+    label: 'Pause',
+  },
+  step: {
+    label: 'Step',
+  },
+};
+
+// Input that starts an action. The follow-up events Playwright sends only after
+// the start was released (mouseMoved, mouseReleased, char, keyUp) flow through,
+// so one click or key press is one step rather than three.
+const HELD_INPUT_TYPES = {
+  'Input.dispatchMouseEvent': new Set(['mousePressed', 'mouseWheel']),
+  'Input.dispatchKeyEvent': new Set(['keyDown', 'rawKeyDown']),
+  'Input.dispatchTouchEvent': new Set(['touchStart']),
+  'Input.dispatchDragEvent': new Set(['drop']),
+};
+
+const HELD_METHODS = new Set([
+  'Input.insertText', 'Input.imeSetComposition',
+  'Page.navigate', 'Page.reload', 'Page.navigateToHistoryEntry', 'Page.close',
+  'Page.handleJavaScriptDialog',
+  'DOM.setAttributeValue', 'DOM.setNodeValue', 'DOM.removeNode', 'DOM.setOuterHTML',
+  'DOM.setFileInputFiles', 'DOM.moveTo',
+  // relay commands (not CDP) that open or close tabs
+  'createTab', 'closeTab',
+]);
+
+export function normalizeControlMode(mode) {
+  return Object.hasOwn(CONTROL_MODES, mode) ? mode : 'run';
+}
+
+/** Whether a command changes the page and so waits while the agent is paused. */
+export function isMutatingCommand(method, params) {
+  if (HELD_METHODS.has(method)) return true;
+  return !!HELD_INPUT_TYPES[method]?.has(params?.type);
+}
+
+function quote(text, max = 60) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? `"${clean.slice(0, max - 3)}..."` : `"${clean}"`;
+}
+
+function describeTarget(target) {
+  if (!target) return '';
+  if (target.crossOriginFrame) return ` in an embedded frame${target.frameOrigin ? ` from ${target.frameOrigin}` : ''}`;
+  const text = target.text || target.label || target.placeholder || target.name || target.id;
+  const tag = String(target.tag || '').toLowerCase();
+  return text ? ` on ${tag || 'element'} ${quote(text)}` : tag ? ` on a <${tag}>` : '';
+}
+
+/**
+ * One line for the popup saying what a held command is about to do. `target`
+ * is the element under the pointer (mouse) or the focused field (keys, text),
+ * as inspected by background.js, or null.
+ */
+export function describeHeldCommand(method, params = {}, target = null) {
+  switch (method) {
+    case 'Input.dispatchMouseEvent':
+      if (params.type === 'mouseWheel') return `Scroll by (${Math.round(params.deltaX || 0)}, ${Math.round(params.deltaY || 0)})`;
+      return `Click at (${Math.round(params.x)}, ${Math.round(params.y)})${describeTarget(target)}`;
+    case 'Input.dispatchKeyEvent': {
+      // A password field's characters stay out of the popup.
+      const key = target?.type === 'password' && params.text ? 'a character' : quote(params.key || params.text || params.code || 'key');
+      return `Press ${key}${describeTarget(target)}`;
+    }
+    case 'Input.insertText':
+    case 'Input.imeSetComposition': {
+      const text = String(params.text || '');
+      const what = target?.type === 'password' ? `${text.length} characters` : quote(text);
+      return `Type ${what}${describeTarget(target)}`;
+    }
+    case 'Input.dispatchTouchEvent':
+      return 'Touch the page';
+    case 'Input.dispatchDragEvent':
+      return `Drop at (${Math.round(params.x)}, ${Math.round(params.y)})`;
+    case 'Page.navigate':
+      return `Navigate to ${params.url || 'a new URL'}`;
+    case 'Page.reload':
+      return 'Reload the page';
+    case 'Page.navigateToHistoryEntry':
+      return 'Go back or forward in history';
+    case 'Page.close':
+    case 'closeTab':
+      return 'Close this tab';
+    case 'Page.handleJavaScriptDialog':
+      return params.accept ? 'Accept the page dialog' : 'Dismiss the page dialog';
+    case 'DOM.setFileInputFiles':
+      return `Set ${(params.files || []).length} file(s) on a file input`;
+    case 'createTab':
+      return `Open a new tab${params.url && params.url !== 'about:blank' ? ` at ${params.url}` : ''}`;
+    default:
+      return `${method} (changes the page)`;
+  }
+}
+
+/** The BLOCKED error for a held command the user never released. */
+export function buildHoldExpiredError(description, minutes) {
+  return `BLOCKED: ${description} — the agent is paused and the user did not release this action within ${minutes} minutes. Do not retry in a loop; wait for the user to resume, or ask them.`;
+}
@@ -0,0 +1,345 @@
+import { describeHeldCommand } from './agent-control.js';
+
+// In-page "agent is in control" banner for attached tabs: who is driving the
+// tab, what it is doing, and Pause / Stop / Detach buttons for the user.
+//
+// The banner runs in its own isolated world (OVERLAY_WORLD_NAME), so page
+// scripts cannot reach its API or the Runtime binding its buttons call. Its
+// elements live in a closed shadow root under an aria-hidden host: they stay
+// out of accessibility snapshots, cleanHTML and page text. Button clicks
+// arrive in background.js as Runtime.bindingCalled events, which are never
+// forwarded to the relay. Synthetic (untrusted) clicks are ignored.
+//
+// CDP input is trusted, so the agent could click the banner too, and its
+// screenshots would show it. The controller hides the banner (visibility:
+// hidden, which also takes it out of hit testing) while agent pointer input
+// or a screenshot runs. The buttons are out of the tab order and ignore
+// keyboard-activated clicks, so agent key presses can't reach them either.
+//
+// If the extension stops answering (the debugger was detached from Chrome's
+// infobar), the next click removes the banner instead of doing nothing.
+
+const API_KEY = '__browserforceAgentOverlay';
+export const OVERLAY_WORLD_NAME = '__browserforce_overlay__';
+export const OVERLAY_BINDING_NAME = '__browserforceOverlayAction';
+const OVERLAY_ACTIONS = new Set(['pause', 'resume', 'stop', 'detach']);
+// Agent commands that hit-test the page or capture it.
+const OVERLAY_HIDDEN_METHODS = new Set([
+  'Input.dispatchMouseEvent',
+  'Input.dispatchTouchEvent',
+  'Input.dispatchDragEvent',
+  'Input.emulateTouchFromMouseEvent',
+  'Input.synthesizeTapGesture',
+  'Input.synthesizeScrollGesture',
+  'Input.synthesizePinchGesture',
+  'Page.captureScreenshot',
+]);
+// Back-to-back clicks (mousePressed, then mouseReleased) keep the banner hidden in between.
+const REVEAL_DELAY_MS = 400;
+
+export const AGENT_OVERLAY_SOURCE = String.raw`(() => {
+  const API_KEY = '__browserforceAgentOverlay';
+  const HOST_ID = '__browserforce_agent_overlay__';
+  const BINDING_NAME = '__browserforceOverlayAction';
+  const ACK_TIMEOUT_MS = 3000;
+  if (globalThis[API_KEY] || window !== window.top) return;
+
+  const view = { label: null, action: null, paused: false, hidden: false };
+  let host = null;
+  let ui = null;
+  let ackTimer = null;
+
+  const STYLE = ':host { all: initial; }'
+    + '.bar { display: flex; align-items: center; gap: 8px; max-width: 420px; padding: 6px 8px 6px 10px;'
+    + ' background: rgba(17, 24, 39, 0.92); color: #f9fafb; border-radius: 8px;'
+    + ' font: 12px/1.3 system-ui, -apple-system, sans-serif; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3); }'
+    + '.dot { flex: none; width: 8px; height: 8px; border-radius: 50%; background: #f97316; }'
+    + '.bar.paused .dot { background: #facc15; }'
+    + '.text { display: flex; flex-direction: column; min-width: 0; }'
+    + '.who { font-weight: 600; }'
+    + '.what { color: #d1d5db; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }'
+    + 'button { flex: none; padding: 3px 8px; border: 1px solid #4b5563; border-radius: 5px;'
+    + ' background: #374151; color: #f9fafb; font: inherit; cursor: pointer; }'
+    + 'button:hover { background: #4b5563; }'
+    + 'button[data-action="stop"] { background: #9a3412; border-color: #9a3412; }';
+
+  function mount() {
+    if (host?.isConnected) return true;
+    const root = document.documentElement;
+    if (!root) {
+      document.addEventListener('DOMContentLoaded', () => { if (mount()) render(); }, { once: true });
+      return false;
+    }
+    host = document.createElement('div');
+    host.id = HOST_ID;
+    host.setAttribute('aria-hidden', 'true');
+    host.style.cssText = 'all: initial; position: fixed; right: 12px; bottom: 12px; z-index: 2147483647;';
+    const shadow = host.attachShadow({ mode: 'closed' });
+    shadow.innerHTML = '<style>' + STYLE + '</style>'
+      + '<div class="bar"><span class="dot"></span>'
+      + '<span class="text"><span class="who"></span><span class="what"></span></span>'
+      + '<button type="button" tabindex="-1" data-action="pause"></button>'
+      + '<button type="button" tabindex="-1" data-action="stop" title="Stop all agent access">Stop</button>'
+      + '<button type="button" tabindex="-1" data-action="detach" title="Detach this tab">Detach</button></div>';
+    ui = {
+      bar: shadow.querySelector('.bar'),
+      who: shadow.querySelector('.who'),
+      what: shadow.querySelector('.what'),
+      pause: shadow.querySelector('[data-action="pause"]'),
+    };
+    shadow.addEventListener('click', onClick);
+    root.appendChild(host);
+    return true;
+  }
+
+  function render() {
+    if (!ui) return;
+    host.style.visibility = view.hidden ? 'hidden' : 'visible';
+    ui.bar.classList.toggle('paused', view.paused);
+    ui.who.textContent = (view.label || 'An AI agent') + ' is controlling this tab';
+    ui.what.textContent = view.paused ? 'Paused: actions wait for you' : (view.action || 'Waiting for the next action');
+    ui.pause.textContent = view.paused ? 'Resume' : 'Pause';
+  }
+
+  function onClick(event) {
+    const button = event.target.closest?.('button[data-action]');
+    // detail 0: activated from the keyboard, which only the agent would do.
+    if (!button || !event.isTrusted || event.detail === 0) return;
+    const action = button.dataset.action === 'pause' && view.paused ? 'resume' : button.dataset.action;
+    const send = globalThis[BINDING_NAME];
+    if (typeof send !== 'function') {
+      remove();
+      return;
+    }
+    send(JSON.stringify({ action }));
+    clearTimeout(ackTimer);
+    ackTimer = setTimeout(remove, ACK_TIMEOUT_MS);
+  }
+
+  function update(next) {
+    clearTimeout(ackTimer);
+    Object.assign(view, next);
+    if (mount()) render();
+  }
+
+  function remove() {
+    clearTimeout(ackTimer);
+    host?.remove();
+    host = null;
+    ui = null;
+  }
+
+  globalThis[API_KEY] = { update, remove };
+  if (mount()) render();
+})()`;
+
+/** Expression (run in the overlay world) that shows `view`; throws when the world has no overlay yet. */
+export function buildOverlayUpdateExpression(view) {
+  return `globalThis.${API_KEY}.update(${JSON.stringify(view)})`;
+}
+
+const REMOVE_EXPRESSION = `globalThis.${API_KEY}?.remove?.()`;
+
+/** The banner's "current action" line. Typed text never appears on the page. */
+export function describeOverlayAction(method, params = {}) {
+  if (method === 'Input.insertText' || method === 'Input.imeSetComposition') return 'Typing';
+  if (method === 'Input.dispatchKeyEvent' && params.text) return 'Typing';
+  return describeHeldCommand(method, params);
+}
+
+/** Whether the banner must be hidden while this agent command runs. */
+export function hidesAgentOverlay(method) {
+  return OVERLAY_HIDDEN_METHODS.has(method);
+}
+
+/** The action a Runtime.bindingCalled payload asks for, or null. */
+export function parseOverlayAction(payload) {
+  try {
+    const action = JSON.parse(payload)?.action;
+    return OVERLAY_ACTIONS.has(action) ? action : null;
+  } catch {
+    return null;
+  }
+}
+
+function safeLog(log, error) {
+  try {
+    log?.(error);
+  } catch {
+    // Banner diagnostics must never affect browser commands.
+  }
+}
+
+export function createAgentOverlayController({
+  isEnabled,
+  sendCommand,
+  log = () => {},
+}) {
+  const stateByTab = new Map();
+
+  async function ensureBinding(tabId, state) {
+    if (state.bindingReady) return;
+    await sendCommand(tabId, 'Runtime.addBinding', {
+      name: OVERLAY_BINDING_NAME,
+      executionContextName: OVERLAY_WORLD_NAME,
+    });
+    state.bindingReady = true;
+  }
+
+  async function ensureWorld(tabId, state) {
+    if (!state.scriptId) {
+      const result = await sendCommand(tabId, 'Page.addScriptToEvaluateOnNewDocument', {
+        source: AGENT_OVERLAY_SOURCE,
+        worldName: OVERLAY_WORLD_NAME,
+      });
+      state.scriptId = result?.identifier || null;
+    }
+    // Returns the frame's existing overlay world when there is one.
+    const { frameTree } = await sendCommand(tabId, 'Page.getFrameTree', {});
+    const { executionContextId } = await sendCommand(tabId, 'Page.createIsolatedWorld', {
+      frameId: frameTree.frame.id,
+      worldName: OVERLAY_WORLD_NAME,
+    });
+    state.contextId = executionContextId;
+  }
+
+  async function render(tabId, state) {
+    const expression = buildOverlayUpdateExpression(state.view);
+    await ensureBinding(tabId, state);
+    if (state.contextId) {
+      try {
+        const result = await sendCommand(tabId, 'Runtime.evaluate', { expression, contextId: state.contextId });
+        if (!result?.exceptionDetails) return;
+      } catch {
+        // The world went away with a navigation; find the new one below.
+      }
+    }
+    await ensureWorld(tabId, state);
+    if (stateByTab.get(tabId) !== state) return;
+    await sendCommand(tabId, 'Runtime.evaluate', {
+      expression: `${AGENT_OVERLAY_SOURCE};${expression}`,
+      contextId: state.contextId,
+    });
+  }
+
+  // One render in flight per tab; updates that arrive meanwhile collapse into the next one.
+  function schedule(tabId, state) {
+    if (state.flushing) {
+      state.dirty = true;
+      return state.flushing;
+    }
+    state.flushing = (async () => {
+      do {
+        state.dirty = false;
+        await render(tabId, state);
+      } while (state.dirty && stateByTab.get(tabId) === state);
+      return true;
+    })()
+      .catch((error) => {
+        safeLog(log, error);
+        return false;
+      })
+      .finally(() => {
+        state.flushing = null;
+      });
+    return state.flushing;
+  }
+
+  /** Show (or refresh) the banner on a tab. */
+  function show(tabId, view = {}) {
+    if (!isEnabled()) return Promise.resolve(false);
+    let state = stateByTab.get(tabId);
+    if (!state) {
+      state = {
+        view: { label: null, action: null, paused: false, hidden: false },
+        bindingReady: false,
+        scriptId: null,
+        contextId: null,
+        flushing: null,
+        dirty: false,
+        hiding: null,
+        hiddenFor: 0,
+        revealTimer: null,
+      };
+      stateByTab.set(tabId, state);
+    }
+    Object.assign(state.view, view);
+    return schedule(tabId, state);
+  }
+
+  /** Refresh a tab that already shows the banner; a no-op elsewhere. */
+  function update(tabId, view) {
+    if (!stateByTab.has(tabId)) return Promise.resolve(false);
+    return show(tabId, view);
+  }
+
+  /**
+   * Runs `command` (see hidesAgentOverlay) with the banner hidden, so the
+   * agent neither clicks it nor captures it. It shows again shortly after the
+   * last such command.
+   */
+  async function whileHidden(tabId, command) {
+    const state = stateByTab.get(tabId);
+    if (!state) return command();
+    state.hiddenFor += 1;
+    clearTimeout(state.revealTimer);
+    if (!state.view.hidden) {
+      state.view.hidden = true;
+      state.hiding = schedule(tabId, state);
+    }
+    await state.hiding;
+    try {
+      return await command();
+    } finally {
+      state.hiddenFor -= 1;
+      if (state.hiddenFor === 0 && stateByTab.get(tabId) === state) {
+        state.revealTimer = setTimeout(() => {
+          state.view.hidden = false;
+          void schedule(tabId, state);
+        }, REVEAL_DELAY_MS);
+      }
+    }
+  }
+
+  /** Runtime.disable drops bindings; call after the tab's Runtime domain was reset. */
+  function restoreBinding(tabId) {
+    const state = stateByTab.get(tabId);
+    if (!state) return Promise.resolve(false);
+    state.bindingReady = false;
+    return schedule(tabId, state);
+  }
+
+  /** Remove the banner while the debugger is still attached. */
+  async function hide(tabId) {
+    const state = stateByTab.get(tabId);
+    if (!state) return false;
+    stateByTab.delete(tabId);
+    clearTimeout(state.revealTimer);
+    await state.flushing;
+    const results = await Promise.allSettled([
+      state.contextId ? sendCommand(tabId, 'Runtime.evaluate', { expression: REMOVE_EXPRESSION, contextId: state.contextId }) : null,
+      state.scriptId ? sendCommand(tabId, 'Page.removeScriptToEvaluateOnNewDocument', { identifier: state.scriptId }) : null,
+      sendCommand(tabId, 'Runtime.removeBinding', { name: OVERLAY_BINDING_NAME }),
+    ]);
+    for (const result of results) {
+      if (result.status === 'rejected') safeLog(log, result.reason);
+    }
+    return true;
+  }
+
+  /** Forget a tab whose debugger is already gone. */
+  function cleanup(tabId) {
+    clearTimeout(stateByTab.get(tabId)?.revealTimer);
+    return stateByTab.delete(tabId);
+  }
+
+  return {
+    show,
+    update,
+    restoreBinding,
+    whileHidden,
+    hide,
+    cleanup,
+    tabIds: () => [...stateByTab.keys()],
+  };
+}
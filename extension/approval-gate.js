@@ -0,0 +1,110 @@
+// "Ask first" approval gate: pure classification shared by the popup (settings
+// labels) and background.js (which pauses matching CDP commands until the user
+// approves or denies them in the popup).
+//
+// The enabled classes are stored in chrome.storage.local `approvalClasses` as a
+// list of keys from APPROVAL_CLASSES. background.js inspects the element a
+// command would act on (the element under a mouse press, or the focused field
+// for keystrokes) and passes that description here.
+
+export const APPROVAL_CLASSES = {
+  'form-submit': {
+    label: 'Form submission',
+  },
+  'sensitive-click': {
+    label: 'Clicks on purchase, delete or send buttons',
+  },
+  'sensitive-typing': {
+    label: 'Typing into payment or password fields',
+  },
+  'close-tab': {
+    label: 'Closing tabs',
+  },
+};
+
+// closeTab reasons the relay sends for its own housekeeping (URL policy,
+// disposed browser contexts). Those closes skip the close-tab approval; any
+// other reason is treated as an agent close.
+const RELAY_CLOSE_REASONS = new Set(['url_policy', 'context_disposed']);
+
+const SENSITIVE_BUTTON_RE = /\b(buy|purchase|order|checkout|check out|pay|payment|subscribe|donate|delete|remove|erase|destroy|discard|unsubscribe|cancel (?:subscription|account|order)|send|transfer|confirm)\b/i;
+const PAYMENT_FIELD_RE = /\b(card|cc|credit|debit|cvc|cvv|csc|security code|expir\w*|iban|routing|account number|sort code)\b/i;
+const TEXT_ENTRY_TYPES = new Set(['', 'text', 'email', 'search', 'tel', 'url', 'number', 'password']);
+
+export function isRelayHousekeepingClose(reason) {
+  return RELAY_CLOSE_REASONS.has(reason);
+}
+
+/** Keep only known class keys, in APPROVAL_CLASSES order. */
+export function normalizeApprovalClasses(classes) {
+  if (!Array.isArray(classes)) return [];
+  return Object.keys(APPROVAL_CLASSES).filter((key) => classes.includes(key));
+}
+
+function quote(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean ? `"${clean.length > 60 ? `${clean.slice(0, 57)}...` : clean}"` : 'an unlabeled control';
+}
+
+/**
+ * Classify a mouse press. `target` describes the clickable element under the
+ * pointer: `{ tag, type, text, inForm, isSubmitControl }`. Returns
+ * `{ actionClass, description }` for the first enabled class that applies, or null.
+ */
+export function classifyClick(target, enabled) {
+  if (!target) return null;
+  if (enabled.includes('form-submit') && target.inForm && target.isSubmitControl) {
+    return { actionClass: 'form-submit', description: `Submit a form by clicking ${quote(target.text)}` };
+  }
+  if (enabled.includes('sensitive-click') && SENSITIVE_BUTTON_RE.test(target.text || '')) {
+    return { actionClass: 'sensitive-click', description: `Click ${quote(target.text)}` };
+  }
+  return null;
+}
+
+/** Whether a focused field takes passwords or payment details. */
+export function isSensitiveField(field) {
+  if (!field) return false;
+  if (field.crossOriginFrame) return true; // can't look inside; card widgets live in such frames
+  if (field.tag !== 'INPUT' && field.tag !== 'TEXTAREA' && !field.editable) return false;
+  if (field.type === 'password') return true;
+  if (/^cc-/.test(field.autocomplete || '')) return true;
+  return PAYMENT_FIELD_RE.test([field.name, field.id, field.placeholder, field.label].filter(Boolean).join(' '));
+}
+
+/**
+ * Classify keyboard input. `input` is `{ key, typesText }` (typesText: the
+ * command produces text), `field` describes the focused element:
+ * `{ tag, type, name, id, placeholder, label, autocomplete, inForm, editable, crossOriginFrame }`.
+ */
+export function classifyKeyInput(input, field, enabled) {
+  if (!field) return null;
+  if (
+    enabled.includes('form-submit')
+    && input.key === 'Enter'
+    && field.inForm
+    && field.tag === 'INPUT'
+    && TEXT_ENTRY_TYPES.has(field.type || '')
+  ) {
+    return { actionClass: 'form-submit', description: 'Submit a form by pressing Enter' };
+  }
+  if (enabled.includes('sensitive-typing') && input.typesText && isSensitiveField(field)) {
+    const what = field.type === 'password' ? 'a password field' : 'a payment field';
+    return {
+      actionClass: 'sensitive-typing',
+      description: field.crossOriginFrame
+        ? `Type into an embedded frame from ${field.frameOrigin || 'another site'}`
+        : `Type into ${what}${field.label ? ` (${quote(field.label)})` : ''}`,
+    };
+  }
+  return null;
+}
+
+/** The BLOCKED error returned to the agent when the user denies (or ignores) a request. */
+export function buildApprovalDeniedError(description, { reason = '', timedOut = false } = {}) {
+  if (timedOut) {
+    return `BLOCKED: ${description} — the user did not answer the approval prompt in time. Do not retry automatically; ask the user whether to proceed.`;
+  }
+  const because = reason ? ` Their reason: "${reason}".` : '';
+  return `BLOCKED: ${description} — denied by the user.${because} Do not retry this action; ask the user how to proceed.`;
+}
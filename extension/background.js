@@ -1,6 +1,57 @@
 import { buildBrowserforceTabGroupPlan } from './tab-group-sync-plan.js';
 import { resolveCreateWindowPlan } from './window-affinity.js';
-import { createGhostCursorController, handleGhostCursorInput } from './ghost-cursor.js';
+import { buildTimelineAction, createGhostCursorController, handleGhostCursorInput } from './ghost-cursor.js';
+import { ORIGIN_RULE_ACCESS, describeOriginRule, findOriginRule, normalizeOriginRules } from './origin-rules.js';
+import {
+  buildApprovalDeniedError,
+  classifyClick,
+  classifyKeyInput,
+  isRelayHousekeepingClose,
+  normalizeApprovalClasses,
+} from './approval-gate.js';
+import {
+  buildHoldExpiredError,
+  describeHeldCommand,
+  isMutatingCommand,
+  normalizeControlMode,
+} from './agent-control.js';
+import { evaluateAccess } from './access-schedule.js';
+import {
+  buildCredentialBlockedError,
+  carriesCredentialHeaders,
+  findCredentialRead,
+  isCredentialReadAllowed,
+  normalizeCredentialAllowlist,
+  stripCredentialHeaders,
+} from './credential-guard.js';
+import {
+  OVERLAY_BINDING_NAME,
+  createAgentOverlayController,
+  describeOverlayAction,
+  hidesAgentOverlay,
+  parseOverlayAction,
+} from './agent-overlay.js';
+import { createDownloadMatcher, downloadFilename } from './download-tracker.js';
+import {
+  BROWSERFORCE_TAB_GROUP_TITLE,
+  BROWSER_DATA_CAPABILITIES,
+  buildBrowserDataDisabledError,
+  buildHistoryQuery,
+  checkTabGroupChange,
+  flattenBookmarks,
+  normalizeTabGroupChange,
+  readBrowserDataSettings,
+  shapeHistoryItem,
+  shapeTabGroup,
+} from './browser-data.js';
+import {
+  DEFAULT_DIALOG_POLICY,
+  buildDialogOpenError,
+  buildDialogReport,
+  commandWaitsOnDialog,
+  normalizeDialogPolicy,
+  planDialogResponse,
+} from './dialog-policy.js';
 
 // BrowserForce — MV3 Service Worker
 // Bridges relay server commands to chrome.debugger API on real browser tabs.
@@ -15,7 +66,25 @@ const BADGE_COLORS = {
   connected: '#C15F3C',
   connecting: '#B1ADA1',
   disconnected: '#B1ADA1',
+  approval: '#B3261E',
+  stopped: '#3C4043',
+  paused: '#B06000',
 };
+// How long a paused command waits for the user before it is denied.
+const APPROVAL_TIMEOUT_MS = 120_000;
+// After the user approves typing into a sensitive field, further keystrokes into
+// the same field go through without asking again for this long.
+const APPROVAL_TYPING_GRANT_MS = 60_000;
+const KILL_SWITCH_COMMAND = 'kill-switch';
+const STOPPED_BY_USER_ERROR = 'BLOCKED: Stopped by user — the user hit the BrowserForce kill switch, which detached every tab and turned off agent access. Stop the task now and do not retry; only the user can turn access back on from the extension popup.';
+// Relay commands that only read settings; they still answer while the kill
+// switch is engaged or agent access has expired.
+const SETTINGS_READ_COMMANDS = new Set(['getRestrictions', 'getAgentPreferences']);
+// Relay commands that start an access session when none is running.
+const ACCESS_SESSION_COMMANDS = new Set(['attachTab', 'createTab', 'cdpCommand', 'cdpBatch']);
+// How long a command held by pause/step waits for the user; stays under the
+// relay's 10-minute cap on pending commands.
+const HOLD_TIMEOUT_MS = 9 * 60_000;
 
 // ─── State ───────────────────────────────────────────────────────────────────
 
@@ -38,6 +107,12 @@ const ALLOWED_TAB_ORIGINS = new Set(['manual', 'agent-created', 'relay-attached'
 /** @type {Map<string, number>} Chrome child sessionId -> parent tabId */
 const childSessions = new Map();
 
+/** @type {Map<string, { targetId: string, url: string }>} Chrome child sessionId -> the OOPIF or worker it drives */
+const childSessionTargets = new Map();
+
+/** @type {Map<string, number>} Shared worker targetId -> the tab it was attached through */
+const sharedWorkerOwners = new Map();
+
 /** Serializes tab group operations to avoid races (same pattern as playwriter) */
 let tabGroupQueue = Promise.resolve();
 let isSyncingTabGroup = false;
@@ -46,9 +121,15 @@ let isSyncingTabGroup = false;
 const tabLastActivity = new Map();
 /** Tracks tabs created by the agent via createTab() */
 const agentCreatedTabs = new Set();
+/** Tab groups the agent created with changeTabGroups; syncTabGroup leaves their tabs in them */
+const agentTabGroups = new Set();
+/** Tabs opened by an attached tab (window.open, target=_blank) awaiting their first URL (tabId → openerTabId) */
+const pendingOpenedTabs = new Map();
 /** Auto-detach check interval handle */
 let autoManageInterval = null;
 let isGhostCursorEnabled = false;
+/** Tabs the relay is recording (Page.startScreencast); their agent input is reported as timeline actions. */
+const screencastTabs = new Set();
 
 const ghostCursorController = createGhostCursorController({
   isEnabled: () => isGhostCursorEnabled,
@@ -57,6 +138,25 @@ const ghostCursorController = createGhostCursorController({
   log: (error) => console.warn('[bf] Ghost cursor error:', error?.message || error),
 });
 
+/** Mirrors credentialGuard / credentialAllowlist in storage; on until init has read them. */
+const credentialGuard = { enabled: true, allowlist: [] };
+
+let isAgentOverlayEnabled = true;
+const agentOverlayController = createAgentOverlayController({
+  isEnabled: () => isAgentOverlayEnabled,
+  sendCommand: (tabId, method, params) => chrome.debugger.sendCommand({ tabId }, method, params || {}),
+  log: (error) => console.warn('[bf] Agent overlay error:', error?.message || error),
+});
+
+const downloadMatcher = createDownloadMatcher();
+/** chrome.downloads id → id of the attached tab that started it. */
+const agentDownloads = new Map();
+
+/** Mirrors dialogPolicy in storage (see dialog-policy.js). */
+let dialogPolicy = DEFAULT_DIALOG_POLICY;
+/** tabId → { type, message, url } of a dialog the agent still has to answer. */
+const openDialogs = new Map();
+
 /** storage.session key for auto-manage state (survives SW restarts, dies with the browser) */
 const AUTO_MANAGE_STATE_KEY = 'bfAutoManageState';
 
@@ -65,6 +165,7 @@ async function persistAutoManageState() {
     await chrome.storage.session.set({
       [AUTO_MANAGE_STATE_KEY]: {
         agentCreatedTabs: [...agentCreatedTabs],
+        agentTabGroups: [...agentTabGroups],
         tabLastActivity: [...tabLastActivity],
       },
     });
@@ -86,11 +187,36 @@ async function hydrateAutoManageState() {
     for (const [tabId, lastActivity] of saved.tabLastActivity || []) {
       if (openTabIds.has(tabId)) tabLastActivity.set(tabId, lastActivity);
     }
+    const groupIds = new Set((await chrome.tabGroups.query({})).map((g) => g.id));
+    for (const groupId of saved.agentTabGroups || []) {
+      if (groupIds.has(groupId)) agentTabGroups.add(groupId);
+    }
   } catch (e) {
     console.warn('[bf] Failed to hydrate auto-manage state:', e?.message || e);
   }
 }
 
+/** @type {Map<string, { id: string, tabId: number, actionClass: string, description: string, url: string, title: string, screenshot: string | null, requestedAt: number, expiresAt: number, resolve: Function, timer: number }>} */
+const pendingApprovals = new Map();
+let approvalSeq = 0;
+/** `${tabId}:${field signature}` -> expiry of an approved sensitive-typing request */
+const approvalGrants = new Map();
+
+/** When the kill switch was engaged (ms), or null. Mirrors chrome.storage.local `killSwitch`. */
+let killSwitchEngagedAt = null;
+
+/** run | pause | step. Mirrors chrome.storage.session `controlMode`. */
+let controlMode = 'run';
+/** @type {Map<string, { id: string, tabId: number | null, method: string, description: string, url: string, title: string, heldAt: number, expiresAt: number, resolve: Function, timer: number }>} oldest first */
+const heldCommands = new Map();
+let holdSeq = 0;
+
+/** accessSchedule / accessGrant / accessSession from chrome.storage.local (see access-schedule.js) */
+const accessInputs = { schedule: null, grant: null, session: null };
+/** Last evaluateAccess() verdict acted on. */
+let accessVerdict = { allowed: true, endsAt: null, limit: null };
+let accessTimer = null;
+
 /** Whether restrictions have been explained to the agent (reset per CDP client session) */
 let restrictionExplained = false;
 
@@ -101,20 +227,40 @@ let restrictionExplained = false;
   // anything can attach tabs or serve listTabs.
   await hydrateAutoManageState();
 
-  const stored = await chrome.storage.local.get(['relayUrl', 'ghostCursorEnabled']);
+  const stored = await chrome.storage.local.get([
+    'relayUrl', 'ghostCursorEnabled', 'agentOverlayEnabled', 'credentialGuard', 'credentialAllowlist', 'dialogPolicy', 'killSwitch', 'accessSchedule', 'accessGrant', 'accessSession',
+  ]);
   currentRelayUrl = stored.relayUrl || RELAY_URL_DEFAULT;
   isGhostCursorEnabled = !!stored.ghostCursorEnabled;
+  isAgentOverlayEnabled = stored.agentOverlayEnabled !== false;
+  credentialGuard.enabled = stored.credentialGuard !== false;
+  credentialGuard.allowlist = normalizeCredentialAllowlist(stored.credentialAllowlist);
+  dialogPolicy = normalizeDialogPolicy(stored.dialogPolicy);
+  killSwitchEngagedAt = stored.killSwitch?.engagedAt || null;
+  accessInputs.schedule = stored.accessSchedule || null;
+  accessInputs.grant = stored.accessGrant || null;
+  accessInputs.session = stored.accessSession || null;
+  const session = await chrome.storage.session.get('controlMode');
+  controlMode = normalizeControlMode(session.controlMode);
+  updateBadge();
 
   // Register debugger listeners once (persists across reconnections)
   chrome.debugger.onEvent.addListener(onDebuggerEvent);
   chrome.debugger.onDetach.addListener(onDebuggerDetach);
 
   // Tab lifecycle
+  chrome.tabs.onCreated.addListener(onTabCreated);
   chrome.tabs.onRemoved.addListener(onTabRemoved);
   chrome.tabs.onUpdated.addListener(onTabUpdated);
   chrome.tabs.onAttached.addListener(onTabAttachedToWindow);
   chrome.tabs.onDetached.addListener(onTabDetachedFromWindow);
 
+  // Downloads started by attached tabs, once the user grants the optional permission
+  chrome.permissions.onAdded.addListener(({ permissions }) => {
+    if (permissions?.includes('downloads')) startDownloadTracking();
+  });
+  if (await chrome.permissions.contains({ permissions: ['downloads'] })) startDownloadTracking();
+
   // Alarm-based fallback: wakes the service worker if it was killed
   chrome.alarms.create('bf-reconnect', { periodInMinutes: 0.5 });
   chrome.alarms.onAlarm.addListener((alarm) => {
@@ -122,9 +268,11 @@ let restrictionExplained = false;
       if (!ws) startMaintainLoop();
       // Alarm-driven idle sweep: setInterval dies with the SW; alarms don't.
       checkInactiveTabs();
+      checkAccess();
     }
   });
 
+  await checkAccess();
   startMaintainLoop();
 })();
 
@@ -142,8 +290,8 @@ async function maintainConnection() {
       // If the previous worker was replaced or another extension owns the
       // slot, do not immediately reclaim based only on local target state.
       // Poll the relay's /extension/status and only reconnect once the
-      // relay confirms no extension is connected. This avoids a race where
-      // two workers fight for the single extension slot.
+      // relay confirms no extension is connected for this profile. This
+      // avoids a race where two workers fight for the profile's slot.
       if (shouldWaitForExtensionSlot) {
         const status = await getRelayExtensionStatus();
         if (status && status.connected === false) {
@@ -193,6 +341,8 @@ function connect(relayUrl) {
       restrictionExplained = false; // Reset for new agent session
       updateBadge();
       notifyRelayAttachedTabs();
+      if (killSwitchEngagedAt) notifyRelayKillSwitch();
+      notifyRelayAccess();
       console.log('[bf] Connected to relay');
       resolve();
     });
@@ -292,6 +442,12 @@ function handleRelayMessage(msg) {
 }
 
 async function executeCommand(msg) {
+  if (!SETTINGS_READ_COMMANDS.has(msg.method)) {
+    if (killSwitchEngagedAt) throw new Error(STOPPED_BY_USER_ERROR);
+    const access = await checkAccess();
+    if (!access.allowed) throw new Error(access.message);
+    if (ACCESS_SESSION_COMMANDS.has(msg.method)) startAccessSession();
+  }
   switch (msg.method) {
     case 'listTabs':
       return listTabs();
@@ -299,28 +455,42 @@ async function executeCommand(msg) {
       return attachTab(msg.params.tabId, msg.params.sessionId, { origin: msg.params.origin });
     case 'detachTab':
       return detachTab(msg.params.tabId);
-    case 'createTab':
+    case 'createTab': {
+      const held = await holdIfPaused('createTab', msg.params, null, undefined, msg.id);
+      if (held) throw new Error(held);
       return createTab(msg.params);
-    case 'closeTab':
+    }
+    case 'closeTab': {
+      // Relay housekeeping closes (URL policy, disposed browser contexts) carry
+      // a known reason; every other close is the agent's and asks first.
+      if (!isRelayHousekeepingClose(msg.params.reason)) {
+        const held = await holdIfPaused('closeTab', {}, msg.params.tabId, undefined, msg.id);
+        if (held) throw new Error(held);
+        const denied = await checkApproval('Page.close', {}, msg.params.tabId, undefined, msg.id);
+        if (denied) throw new Error(denied);
+      }
       return closeTab(msg.params);
+    }
     case 'cdpCommand':
       // Passive = relay-tagged init-storm command; must not reset the idle clock.
       if (!msg.params.passive) tabLastActivity.set(msg.params.tabId, Date.now());
-      return cdpCommand(msg.params);
+      return cdpCommand(msg.params, msg.id);
+    case 'cdpBatch':
+      return cdpBatch(msg.params, msg.id);
     case 'getRestrictions':
-      return new Promise((resolve) => {
-        chrome.storage.local.get(['mode', 'lockUrl', 'noNewTabs', 'readOnly', 'userInstructions'], (s) => {
-          resolve({
-            mode: s.mode || 'auto',
-            lockUrl: !!s.lockUrl,
-            noNewTabs: !!s.noNewTabs,
-            readOnly: !!s.readOnly,
-            instructions: s.userInstructions || '',
-          });
-        });
-      });
+      return readRestrictions();
     case 'getAgentPreferences':
       return getAgentExecutionSettings();
+    case 'cancelDownload':
+      return cancelDownload(msg.params);
+    case 'searchHistory':
+      return searchHistory(msg.params);
+    case 'listBookmarks':
+      return listBookmarks(msg.params);
+    case 'listTabGroups':
+      return listTabGroups();
+    case 'changeTabGroups':
+      return changeTabGroups(msg.params);
     default:
       throw new Error(`Unknown command: ${msg.method}`);
   }
@@ -357,6 +527,8 @@ async function getCurrentWindowId() {
 // `params.windowId` when that window still exists; otherwise, when dedicated
 // mode is on, plans a fresh background window, else falls back to the current
 // focused window (which becomes the new pinned window upstream).
+// `params.newWindow` (pages of a relay browser context) always behaves like
+// dedicated mode so each context keeps its own window.
 async function resolveCreateTabWindowPlan(params, dedicatedWindowEnabled) {
   const requestedWindowId = params?.windowId;
   let isRequestedWindowValid = false;
@@ -374,7 +546,7 @@ async function resolveCreateTabWindowPlan(params, dedicatedWindowEnabled) {
     requestedWindowId,
     isRequestedWindowValid,
     currentWindowId,
-    dedicatedWindowEnabled,
+    dedicatedWindowEnabled: dedicatedWindowEnabled || params?.newWindow === true,
   });
 }
 
@@ -481,6 +653,9 @@ async function attachTab(tabId, sessionId, options = {}) {
   tabLastActivity.set(tabId, Date.now());
   setTimeout(() => queueSyncTabGroup(), TAB_GROUP_SYNC_AFTER_ATTACH_MS);
   void ghostCursorController.enable(tabId);
+  void agentOverlayController.show(tabId, { paused: controlMode !== 'run' });
+  // After attachedTabs.set: onDebuggerEvent drops events for unknown tabs.
+  void enableChildTargetAutoAttach(tabId);
 
   return entry;
 }
@@ -489,6 +664,7 @@ async function detachTab(tabId) {
   if (!attachedTabs.has(tabId)) return {};
 
   await ghostCursorController.disable(tabId);
+  await agentOverlayController.hide(tabId);
   try {
     await chrome.debugger.detach({ tabId });
   } catch {
@@ -563,7 +739,10 @@ async function createTab(params) {
 async function closeTab(params) {
   const { tabId } = params;
 
-  if (attachedTabs.has(tabId)) await ghostCursorController.disable(tabId);
+  if (attachedTabs.has(tabId)) {
+    await ghostCursorController.disable(tabId);
+    await agentOverlayController.hide(tabId);
+  }
   try {
     await chrome.debugger.detach({ tabId });
   } catch {
@@ -590,13 +769,177 @@ const INPUT_METHODS = new Set([
   'DOM.setAttributeValue', 'DOM.setNodeValue', 'DOM.removeNode',
 ]);
 
-async function checkRestriction(method, params, tabId) {
+// Text-producing input the no-password-input rule checks against the focused field.
+const TYPING_METHODS = new Set(['Input.insertText', 'Input.imeSetComposition']);
+
+// Describes the focused field, following focus through open shadow roots and
+// same-origin iframes. A focused cross-origin iframe is reported as such; run in
+// that frame's child session to see inside it.
+const FOCUSED_FIELD_EXPRESSION = `(() => {
+  let el = document.activeElement;
+  let offsetX = 0;
+  let offsetY = 0;
+  while (el) {
+    if (el.shadowRoot?.activeElement) {
+      el = el.shadowRoot.activeElement;
+    } else if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      let doc = null;
+      try { doc = el.contentDocument; } catch {}
+      const r = el.getBoundingClientRect();
+      if (!doc) {
+        let frameOrigin = '';
+        try { frameOrigin = new URL(el.src).origin; } catch {}
+        return { tag: el.tagName, crossOriginFrame: true, frameOrigin, rect: { x: r.left + offsetX, y: r.top + offsetY, width: r.width, height: r.height } };
+      }
+      if (!doc.activeElement || doc.activeElement === doc.body) break;
+      offsetX += r.left + el.clientLeft;
+      offsetY += r.top + el.clientTop;
+      el = doc.activeElement;
+    } else {
+      break;
+    }
+  }
+  if (!el || el === document.body) return null;
+  const r = el.getBoundingClientRect();
+  return {
+    tag: el.tagName,
+    type: (el.getAttribute('type') || '').toLowerCase(),
+    name: el.getAttribute('name') || '',
+    id: el.id || '',
+    placeholder: el.getAttribute('placeholder') || '',
+    label: (el.getAttribute('aria-label') || el.labels?.[0]?.innerText || '').slice(0, 120),
+    autocomplete: (el.getAttribute('autocomplete') || '').toLowerCase(),
+    inForm: !!(el.form || el.closest('form')),
+    editable: !!el.isContentEditable,
+    rect: { x: r.left + offsetX, y: r.top + offsetY, width: r.width, height: r.height },
+  };
+})()`;
+
+// Describes the clickable element under a viewport point, through open shadow
+// roots and same-origin iframes. Cross-origin frames report only their origin.
+function targetAtPointExpression(x, y) {
+  return `((x, y) => {
+  let doc = document;
+  let offsetX = 0;
+  let offsetY = 0;
+  let el = doc.elementFromPoint(x, y);
+  while (el) {
+    const inner = el.shadowRoot?.elementFromPoint(x - offsetX, y - offsetY);
+    if (inner && inner !== el) { el = inner; continue; }
+    if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      let frameDoc = null;
+      try { frameDoc = el.contentDocument; } catch {}
+      if (!frameDoc) return { tag: el.tagName, crossOriginFrame: true };
+      const r = el.getBoundingClientRect();
+      offsetX += r.left + el.clientLeft;
+      offsetY += r.top + el.clientTop;
+      doc = frameDoc;
+      el = doc.elementFromPoint(x - offsetX, y - offsetY);
+      continue;
+    }
+    break;
+  }
+  if (!el) return null;
+  const control = el.closest('button, a[href], input, select, textarea, summary, label, [role="button"], [role="link"], [role="menuitem"], [onclick]') || el;
+  const type = (control.getAttribute('type') || '').toLowerCase();
+  const r = control.getBoundingClientRect();
+  return {
+    tag: control.tagName,
+    type,
+    text: (control.getAttribute('aria-label') || control.innerText || control.value || control.title || '').slice(0, 200),
+    inForm: !!(control.form || control.closest('form')),
+    isSubmitControl: (control.tagName === 'BUTTON' && (type === '' || type === 'submit'))
+      || (control.tagName === 'INPUT' && (type === 'submit' || type === 'image')),
+    rect: { x: r.left + offsetX, y: r.top + offsetY, width: r.width, height: r.height },
+  };
+})(${Number(x) || 0}, ${Number(y) || 0})`;
+}
+
+function isTypingCommand(method, params) {
+  if (TYPING_METHODS.has(method)) return true;
+  return method === 'Input.dispatchKeyEvent' && typeof params?.text === 'string' && params.text.length > 0;
+}
+
+/** Evaluate an inspection expression in the command's session; throws when the page can't answer. */
+async function inspectPage(tabId, childSessionId, expression) {
+  const debuggee = childSessionId ? { tabId, sessionId: childSessionId } : { tabId };
+  const { result, exceptionDetails } = await chrome.debugger.sendCommand(debuggee, 'Runtime.evaluate', {
+    expression,
+    returnByValue: true,
+  });
+  if (exceptionDetails) throw new Error(exceptionDetails.text || 'inspection failed');
+  return result?.value ?? null;
+}
+
+async function isPasswordFieldFocused(tabId, childSessionId) {
+  try {
+    const field = await inspectPage(tabId, childSessionId, FOCUSED_FIELD_EXPRESSION);
+    return field?.tag === 'INPUT' && field.type === 'password';
+  } catch {
+    // Can't tell (page busy, navigating): fail closed for keystrokes.
+    return true;
+  }
+}
+
+async function currentTabUrl(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return tab.url || tab.pendingUrl || attachedTabs.get(tabId)?.targetInfo?.url || '';
+  } catch {
+    return attachedTabs.get(tabId)?.targetInfo?.url || '';
+  }
+}
+
+function readRestrictions() {
+  return new Promise((resolve) => {
+    chrome.storage.local.get([
+      'mode', 'lockUrl', 'noNewTabs', 'readOnly', 'userInstructions', 'originRules', 'approvalClasses',
+      'credentialGuard', 'credentialAllowlist', 'dialogPolicy',
+      ...Object.values(BROWSER_DATA_CAPABILITIES).map(({ setting }) => setting),
+    ], (s) => {
+      resolve({
+        mode: s.mode || 'auto',
+        lockUrl: !!s.lockUrl,
+        noNewTabs: !!s.noNewTabs,
+        readOnly: !!s.readOnly,
+        originRules: normalizeOriginRules(s.originRules),
+        approvalClasses: normalizeApprovalClasses(s.approvalClasses),
+        credentialGuard: s.credentialGuard !== false,
+        credentialAllowlist: normalizeCredentialAllowlist(s.credentialAllowlist),
+        dialogPolicy: normalizeDialogPolicy(s.dialogPolicy),
+        browserData: readBrowserDataSettings(s),
+        instructions: s.userInstructions || '',
+      });
+    });
+  });
+}
+
+/** The URL of the target a command runs in: the OOPIF or worker for a child session, else the tab. */
+async function commandTargetUrl(tabId, childSessionId) {
+  const child = childSessionId ? childSessionTargets.get(childSessionId) : null;
+  return child?.url || currentTabUrl(tabId);
+}
+
+async function checkRestriction(method, params, tabId, childSessionId) {
   const settings = await new Promise((resolve) => {
-    chrome.storage.local.get(['mode', 'lockUrl', 'noNewTabs', 'readOnly', 'userInstructions'], resolve);
+    chrome.storage.local.get(['mode', 'lockUrl', 'noNewTabs', 'readOnly', 'userInstructions', 'originRules'], resolve);
   });
+  settings.originRules = normalizeOriginRules(settings.originRules);
 
   // No restrictions active -> allow
-  if (!settings.lockUrl && !settings.noNewTabs && !settings.readOnly) return null;
+  if (!settings.lockUrl && !settings.noNewTabs && !settings.readOnly && settings.originRules.length === 0) return null;
+
+  // Per-origin rules: the first rule matching the URL of the command's target
+  // (the tab, or the cross-origin frame or worker of a child session) applies.
+  // "full" exempts the origin from the global toggles below.
+  const rule = settings.originRules.length > 0
+    ? findOriginRule(settings.originRules, await commandTargetUrl(tabId, childSessionId))
+    : null;
+  if (rule?.access === 'full') return null;
+  if (rule) {
+    const blocked = await checkOriginRule(rule, method, params, tabId, childSessionId, settings);
+    if (blocked) return blocked;
+  }
 
   // Lock URL: block Page.navigate (but allow Page.reload)
   if (settings.lockUrl && NAVIGATE_METHODS.has(method)) {
@@ -622,7 +965,49 @@ async function checkRestriction(method, params, tabId) {
   return null; // allowed
 }
 
-function buildRestrictionError(action, reason, settings, { lockedUrl } = {}) {
+async function checkOriginRule(rule, method, params, tabId, childSessionId, settings) {
+  const reason = `site rule ${describeOriginRule(rule)}`;
+  if (rule.access === 'read-only' && INPUT_METHODS.has(method)) {
+    return buildRestrictionError(`${method} is blocked on this site`, reason, settings, { rule });
+  }
+  if (rule.access === 'lock-url' && NAVIGATE_METHODS.has(method)) {
+    return buildRestrictionError(
+      `Navigation to "${params?.url || 'unknown'}" is not allowed on this site`,
+      reason,
+      settings,
+      { rule },
+    );
+  }
+  if (
+    rule.access === 'no-password-input'
+    && isTypingCommand(method, params)
+    && await isPasswordFieldFocused(tabId, childSessionId)
+  ) {
+    return buildRestrictionError('Typing into a password field is not allowed on this site', reason, settings, { rule });
+  }
+  return null;
+}
+
+/** Cookie and storage reads while credential protection is on (see credential-guard.js). */
+async function checkCredentialAccess(method, params, tabId, childSessionId) {
+  if (!credentialGuard.enabled) return null;
+  const read = findCredentialRead(method, params);
+  if (!read) return null;
+  // An embedded frame's origin isn't the tab's; only "*" covers it.
+  const pageUrl = childSessionId ? null : await currentTabUrl(tabId);
+  if (isCredentialReadAllowed(read, credentialGuard.allowlist, pageUrl, params)) return null;
+  return buildCredentialBlockedError(read);
+}
+
+/** Network and Fetch event params as the relay may see them: credential headers removed unless the tab's site is allowlisted. */
+function guardEventParams(source, method, params) {
+  if (!credentialGuard.enabled || !carriesCredentialHeaders(method)) return params;
+  const pageUrl = source.sessionId ? null : attachedTabs.get(source.tabId)?.targetInfo?.url;
+  if (isCredentialReadAllowed({ method, allSites: false }, credentialGuard.allowlist, pageUrl)) return params;
+  return stripCredentialHeaders(method, params);
+}
+
+function buildRestrictionError(action, reason, settings, { lockedUrl, rule } = {}) {
   if (restrictionExplained) {
     return `BLOCKED: ${action} (${reason}).`;
   }
@@ -641,6 +1026,13 @@ function buildRestrictionError(action, reason, settings, { lockedUrl } = {}) {
   if (settings.readOnly) {
     lines.push('- Read-only mode — do not click, type, or submit. Use snapshot(), screenshot(), page.evaluate() to observe.');
   }
+  if (rule) {
+    lines.push(`- This page matches the site rule "${rule.pattern}": ${ORIGIN_RULE_ACCESS[rule.access].line}`);
+  }
+  const otherRules = (settings.originRules || []).filter((other) => other.pattern !== rule?.pattern);
+  if (otherRules.length > 0) {
+    lines.push(`- Other site rules (first match wins): ${otherRules.map(describeOriginRule).join('; ')}`);
+  }
   if (settings.userInstructions) {
     lines.push('');
     lines.push('User instructions: ' + settings.userInstructions);
@@ -650,13 +1042,437 @@ function buildRestrictionError(action, reason, settings, { lockedUrl } = {}) {
   return lines.join('\n');
 }
 
+// ─── Approval Gate ("ask first") ─────────────────────────────────────────────
+
+// Key events that can submit a form or put text into a field. keyUp and char
+// follow a keyDown that was already checked.
+const GATED_KEY_EVENT_TYPES = new Set(['keyDown', 'rawKeyDown']);
+
+/**
+ * Works out whether a command falls into an enabled approval class. Returns
+ * `{ actionClass, description, rect?, grantKey? }` or null. Inspection failures
+ * fail closed: the command is held for approval rather than let through.
+ */
+async function classifyForApproval(method, params, tabId, childSessionId, enabled) {
+  if (method === 'Page.close') {
+    return enabled.includes('close-tab') ? { actionClass: 'close-tab', description: 'Close this tab' } : null;
+  }
+
+  if (method === 'Input.dispatchMouseEvent' && params?.type === 'mousePressed') {
+    if (!enabled.includes('form-submit') && !enabled.includes('sensitive-click')) return null;
+    let target;
+    try {
+      target = await inspectPage(tabId, childSessionId, targetAtPointExpression(params.x, params.y));
+    } catch {
+      return {
+        actionClass: enabled.includes('sensitive-click') ? 'sensitive-click' : 'form-submit',
+        description: `Click at (${Math.round(params.x)}, ${Math.round(params.y)}) on an element that could not be inspected`,
+      };
+    }
+    const match = classifyClick(target, enabled);
+    return match && { ...match, rect: target.rect };
+  }
+
+  const isKeyEvent = method === 'Input.dispatchKeyEvent' && GATED_KEY_EVENT_TYPES.has(params?.type);
+  if (!isKeyEvent && !TYPING_METHODS.has(method)) return null;
+  if (!enabled.includes('form-submit') && !enabled.includes('sensitive-typing')) return null;
+  const input = { key: isKeyEvent ? params.key : '', typesText: isTypingCommand(method, params) };
+  let field;
+  try {
+    field = await inspectPage(tabId, childSessionId, FOCUSED_FIELD_EXPRESSION);
+  } catch {
+    if (input.key === 'Enter' && enabled.includes('form-submit')) {
+      return { actionClass: 'form-submit', description: 'Press Enter in a field that could not be inspected' };
+    }
+    if (input.typesText && enabled.includes('sensitive-typing')) {
+      return { actionClass: 'sensitive-typing', description: 'Type into a field that could not be inspected' };
+    }
+    return null;
+  }
+  const match = classifyKeyInput(input, field, enabled);
+  if (!match) return null;
+  const grantKey = match.actionClass === 'sensitive-typing'
+    ? `${tabId}:${[field.tag, field.name, field.id, field.frameOrigin].join('|')}`
+    : undefined;
+  return { ...match, rect: field.rect, grantKey };
+}
+
+/**
+ * Hold a command until the user approves it. Returns null to proceed or a
+ * BLOCKED error message when the user denies it or doesn't answer in time.
+ */
+async function checkApproval(method, params, tabId, childSessionId, relayMessageId) {
+  const { approvalClasses } = await chrome.storage.local.get('approvalClasses');
+  const enabled = normalizeApprovalClasses(approvalClasses);
+  if (enabled.length === 0) return null;
+
+  const request = await classifyForApproval(method, params, tabId, childSessionId, enabled);
+  if (!request) return null;
+  if (request.grantKey && (approvalGrants.get(request.grantKey) || 0) > Date.now()) {
+    approvalGrants.set(request.grantKey, Date.now() + APPROVAL_TYPING_GRANT_MS);
+    return null;
+  }
+
+  const decision = await requestApproval({ ...request, tabId, childSessionId, relayMessageId });
+  if (decision.error) return decision.error;
+  if (!decision.approved) return buildApprovalDeniedError(request.description, decision);
+  if (request.grantKey) approvalGrants.set(request.grantKey, Date.now() + APPROVAL_TYPING_GRANT_MS);
+  return null;
+}
+
+async function captureApprovalScreenshot(tabId, rect) {
+  const params = { format: 'jpeg', quality: 70 };
+  if (rect && rect.width > 0 && rect.height > 0) {
+    // The element with some surrounding context, capped so the popup stays light.
+    const pad = 24;
+    const x = Math.max(0, rect.x - pad);
+    const y = Math.max(0, rect.y - pad);
+    params.clip = {
+      x,
+      y,
+      width: Math.min(rect.width + pad * 2, 800),
+      height: Math.min(rect.height + pad * 2, 600),
+      scale: 1,
+    };
+  }
+  try {
+    const { data } = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', params);
+    return `data:image/jpeg;base64,${data}`;
+  } catch {
+    return null;
+  }
+}
+
+async function requestApproval({ tabId, childSessionId, actionClass, description, rect, relayMessageId }) {
+  const id = `approval-${++approvalSeq}`;
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  // Rects from an OOPIF session are frame-relative; show the whole viewport instead.
+  const screenshot = await captureApprovalScreenshot(tabId, childSessionId ? null : rect);
+  if (relayMessageId !== undefined) {
+    // Keep the relay from timing the command out while the user decides.
+    send({ method: 'commandPending', params: { id: relayMessageId, reason: 'approval', timeoutMs: APPROVAL_TIMEOUT_MS + 5000 } });
+  }
+  return new Promise((resolve) => {
+    const requestedAt = Date.now();
+    pendingApprovals.set(id, {
+      id,
+      tabId,
+      actionClass,
+      description,
+      url: tab?.url || '',
+      title: tab?.title || '',
+      screenshot,
+      requestedAt,
+      expiresAt: requestedAt + APPROVAL_TIMEOUT_MS,
+      resolve,
+      timer: setTimeout(() => settleApproval(id, { approved: false, timedOut: true }), APPROVAL_TIMEOUT_MS),
+    });
+    notifyApprovalsChanged();
+  });
+}
+
+function settleApproval(id, decision) {
+  const pending = pendingApprovals.get(id);
+  if (!pending) return false;
+  pendingApprovals.delete(id);
+  clearTimeout(pending.timer);
+  pending.resolve(decision);
+  notifyApprovalsChanged();
+  return true;
+}
+
+function settleTabApprovals(tabId, reason) {
+  for (const [id, pending] of pendingApprovals) {
+    if (pending.tabId === tabId) settleApproval(id, { approved: false, reason });
+  }
+  for (const key of approvalGrants.keys()) {
+    if (key.startsWith(`${tabId}:`)) approvalGrants.delete(key);
+  }
+}
+
+function listPendingApprovals() {
+  return [...pendingApprovals.values()].map(({ resolve: _resolve, timer: _timer, ...approval }) => approval);
+}
+
+function notifyApprovalsChanged() {
+  updateBadge();
+  chrome.runtime.sendMessage({ type: 'approvalsChanged' }).catch(() => {
+    // no popup open
+  });
+}
+
+// ─── Kill Switch ─────────────────────────────────────────────────────────────
+
+/**
+ * Stop all agent access at once: detach every tab, fail commands waiting on
+ * approval, and refuse relay commands until the user releases the switch. The
+ * state lives in chrome.storage.local so it survives service-worker and
+ * browser restarts.
+ */
+async function engageKillSwitch() {
+  if (!killSwitchEngagedAt) {
+    killSwitchEngagedAt = Date.now();
+    await chrome.storage.local.set({ killSwitch: { engagedAt: killSwitchEngagedAt } });
+  }
+  failWaitingCommands(STOPPED_BY_USER_ERROR);
+  notifyRelayKillSwitch(); // relay first, so it aborts agent runs while tabs detach
+  await detachAllTabs('stopped_by_user');
+  notifyKillSwitchChanged();
+}
+
+/** Fail every command waiting on an approval or a pause with `error`. */
+function failWaitingCommands(error) {
+  for (const id of [...pendingApprovals.keys()]) settleApproval(id, { approved: false, error });
+  for (const id of [...heldCommands.keys()]) settleHeldCommand(id, { error });
+}
+
+async function detachAllTabs(reason) {
+  await Promise.all([...attachedTabs.keys()].map(async (tabId) => {
+    await ghostCursorController.disable(tabId).catch(() => {});
+    await agentOverlayController.hide(tabId).catch(() => {});
+    try {
+      await chrome.debugger.detach({ tabId });
+    } catch {
+      // Tab might already be gone
+    }
+    send({ method: 'tabDetached', params: { tabId, reason } });
+    cleanupTab(tabId);
+  }));
+  queueSyncTabGroup();
+}
+
+async function releaseKillSwitch() {
+  if (!killSwitchEngagedAt) return;
+  killSwitchEngagedAt = null;
+  await chrome.storage.local.remove('killSwitch');
+  notifyRelayKillSwitch();
+  notifyKillSwitchChanged();
+}
+
+function notifyRelayKillSwitch() {
+  send({ method: 'killSwitch', params: { engaged: !!killSwitchEngagedAt, engagedAt: killSwitchEngagedAt } });
+}
+
+function notifyKillSwitchChanged() {
+  updateBadge();
+  chrome.runtime.sendMessage({ type: 'killSwitchChanged' }).catch(() => {
+    // no popup open
+  });
+}
+
+// Registered at top level so the shortcut wakes a sleeping service worker.
+chrome.commands.onCommand.addListener((command) => {
+  if (command === KILL_SWITCH_COMMAND) {
+    engageKillSwitch().catch((err) => console.warn('[bf] Kill switch failed:', err?.message || err));
+  }
+});
+
+// ─── Access Schedule ─────────────────────────────────────────────────────────
+
+/**
+ * Re-evaluate time-boxed access (see access-schedule.js) and act when it
+ * changes: once access runs out, fail waiting commands and detach every tab.
+ * Either way the relay and the popup hear about it. Also arms a timer for the
+ * next boundary; the reconnect alarm re-checks in case the worker slept
+ * through it.
+ */
+async function checkAccess() {
+  const verdict = evaluateAccess({ ...accessInputs, now: Date.now() });
+  clearTimeout(accessTimer);
+  const nextCheckAt = verdict.allowed ? verdict.endsAt : verdict.resumesAt;
+  if (nextCheckAt) {
+    accessTimer = setTimeout(checkAccess, Math.min(Math.max(nextCheckAt - Date.now(), 0) + 250, 2 ** 31 - 1));
+  }
+
+  const changed = verdict.allowed !== accessVerdict.allowed
+    || verdict.reason !== accessVerdict.reason
+    || verdict.endsAt !== accessVerdict.endsAt
+    || verdict.resumesAt !== accessVerdict.resumesAt;
+  accessVerdict = verdict;
+  if (!changed) return verdict;
+
+  if (!verdict.allowed) {
+    console.log(`[bf] Agent access expired (${verdict.reason})`);
+    failWaitingCommands(verdict.message);
+    notifyRelayAccess();
+    await detachAllTabs('access_expired');
+    // A new day's window starts a fresh session; the other limits wait for the user.
+    if (verdict.reason === 'outside_hours' && accessInputs.session) await chrome.storage.local.remove('accessSession');
+  } else {
+    notifyRelayAccess();
+  }
+  notifyAccessChanged();
+  return verdict;
+}
+
+function startAccessSession() {
+  if (accessInputs.session) return;
+  accessInputs.session = { startedAt: Date.now() };
+  chrome.storage.local.set({ accessSession: accessInputs.session });
+  checkAccess();
+}
+
+function notifyRelayAccess() {
+  const { allowed, reason = null, message = null, expiredAt = null, resumesAt = null, endsAt = null } = accessVerdict;
+  send({ method: 'accessState', params: { allowed, reason, message, expiredAt, resumesAt, endsAt } });
+}
+
+function notifyAccessChanged() {
+  updateBadge();
+  chrome.runtime.sendMessage({ type: 'accessChanged' }).catch(() => {
+    // no popup open
+  });
+}
+
+// ─── Pause / Step ────────────────────────────────────────────────────────────
+
+/**
+ * While the agent is paused or stepping, hold a command that changes the page
+ * until the user releases it (see agent-control.js). Held commands run in the
+ * order they arrived. Returns null to proceed or a BLOCKED error message.
+ */
+async function holdIfPaused(method, params, tabId, childSessionId, relayMessageId) {
+  if (controlMode === 'run' || !isMutatingCommand(method, params)) return null;
+  // Take the command's place in the queue before anything awaits, so a later
+  // command that inspects faster can't be released ahead of it.
+  const id = `held-${++holdSeq}`;
+  const heldAt = Date.now();
+  const held = {
+    id,
+    tabId,
+    method,
+    description: describeHeldCommand(method, params, null),
+    url: method === 'createTab' ? params?.url || '' : '',
+    title: '',
+    heldAt,
+    expiresAt: heldAt + HOLD_TIMEOUT_MS,
+  };
+  const outcome = new Promise((resolve) => {
+    held.resolve = resolve;
+    held.timer = setTimeout(() => settleHeldCommand(id, { expired: true }), HOLD_TIMEOUT_MS);
+  });
+  heldCommands.set(id, held);
+  if (relayMessageId !== undefined) {
+    send({ method: 'commandPending', params: { id: relayMessageId, reason: 'paused', timeoutMs: HOLD_TIMEOUT_MS + 5000 } });
+  }
+  notifyAgentControlChanged();
+
+  const target = await inspectHoldTarget(method, params, tabId, childSessionId);
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  // Still held (not resumed or stepped past while inspecting): fill in the details.
+  if (heldCommands.has(id)) {
+    held.description = describeHeldCommand(method, params, target);
+    held.url = tab?.url || held.url;
+    held.title = tab?.title || '';
+    notifyAgentControlChanged();
+  }
+  const settled = await outcome;
+  if (settled.error) return settled.error;
+  if (settled.expired) return buildHoldExpiredError(held.description, HOLD_TIMEOUT_MS / 60_000);
+  return null;
+}
+
+/** The element a held command acts on, for its description; null when unknown. */
+async function inspectHoldTarget(method, params, tabId, childSessionId) {
+  let expression = null;
+  if (method === 'Input.dispatchMouseEvent' && params?.type === 'mousePressed') {
+    expression = targetAtPointExpression(params.x, params.y);
+  } else if (method === 'Input.dispatchKeyEvent' || TYPING_METHODS.has(method)) {
+    expression = FOCUSED_FIELD_EXPRESSION;
+  }
+  if (!expression || !tabId) return null;
+  try {
+    return await inspectPage(tabId, childSessionId, expression);
+  } catch {
+    return null;
+  }
+}
+
+function settleHeldCommand(id, outcome) {
+  const held = heldCommands.get(id);
+  if (!held) return false;
+  heldCommands.delete(id);
+  clearTimeout(held.timer);
+  held.resolve(outcome);
+  notifyAgentControlChanged();
+  return true;
+}
+
+/** Step: let the oldest held command run. */
+function releaseNextHeldCommand() {
+  const [next] = heldCommands.keys();
+  return next ? settleHeldCommand(next, { released: true }) : false;
+}
+
+// A closed or detached tab's commands go ahead and fail with the real reason.
+function releaseTabHeldCommands(tabId) {
+  for (const [id, held] of heldCommands) {
+    if (held.tabId === tabId) settleHeldCommand(id, { released: true });
+  }
+}
+
+async function setControlMode(mode) {
+  controlMode = normalizeControlMode(mode);
+  await chrome.storage.session.set({ controlMode });
+  if (controlMode === 'run') {
+    for (const id of [...heldCommands.keys()]) settleHeldCommand(id, { released: true });
+  }
+  for (const tabId of agentOverlayController.tabIds()) {
+    void agentOverlayController.update(tabId, { paused: controlMode !== 'run' });
+  }
+  notifyAgentControlChanged();
+}
+
+function getAgentControl() {
+  return {
+    mode: controlMode,
+    held: [...heldCommands.values()].map(({ resolve: _resolve, timer: _timer, ...held }) => held),
+  };
+}
+
+function notifyAgentControlChanged() {
+  updateBadge();
+  chrome.runtime.sendMessage({ type: 'agentControlChanged' }).catch(() => {
+    // no popup open
+  });
+}
+
+/** A button on the in-page banner (see agent-overlay.js) was clicked. */
+async function handleOverlayAction(tabId, action) {
+  switch (action) {
+    case 'pause':
+      return setControlMode('pause');
+    case 'resume':
+      return setControlMode('run');
+    case 'stop':
+      return engageKillSwitch();
+    case 'detach':
+      await detachTab(tabId);
+      send({ method: 'tabDetached', params: { tabId, reason: 'detached_by_user' } });
+      return undefined;
+    default:
+      return undefined;
+  }
+}
+
 // ─── CDP Command Forwarding ──────────────────────────────────────────────────
 
-async function cdpCommand({ tabId, method, params, childSessionId }) {
+async function cdpCommand({ tabId, method, params, childSessionId, clientLabel }, relayMessageId) {
   // Check restrictions before forwarding
-  const blocked = await checkRestriction(method, params, tabId);
+  const blocked = await checkRestriction(method, params, tabId, childSessionId)
+    || await checkCredentialAccess(method, params, tabId, childSessionId);
   if (blocked) throw new Error(blocked);
 
+  const held = await holdIfPaused(method, params, tabId, childSessionId, relayMessageId);
+  if (held) throw new Error(held);
+
+  // Chrome wouldn't answer until the dialog closes; fail now so the agent can answer it.
+  const dialog = openDialogs.get(tabId);
+  if (dialog && commandWaitsOnDialog(method)) throw new Error(buildDialogOpenError(method, dialog));
+
+  const denied = await checkApproval(method, params, tabId, childSessionId, relayMessageId);
+  if (denied) throw new Error(denied);
+
   // Special handling: Runtime.enable needs the disable-then-enable trick
   // to force Chrome to re-emit executionContextCreated events
   if (method === 'Runtime.enable' && !childSessionId) {
@@ -668,11 +1484,29 @@ async function cdpCommand({ tabId, method, params, childSessionId }) {
     }
   }
 
+  if (isMutatingCommand(method, params)) {
+    void agentOverlayController.update(tabId, {
+      label: clientLabel || null,
+      action: describeOverlayAction(method, params),
+    });
+  }
+
   const debuggee = childSessionId
     ? { tabId, sessionId: childSessionId }
     : { tabId };
 
-  const result = await chrome.debugger.sendCommand(debuggee, method, params || {});
+  let result;
+  try {
+    const send = () => chrome.debugger.sendCommand(debuggee, method, params || {});
+    // Keep the banner out of the agent's clicks and screenshots.
+    result = hidesAgentOverlay(method) ? await agentOverlayController.whileHidden(tabId, send) : await send();
+  } catch (err) {
+    // In flight when the kill switch detached the tab: say why, not "Detached".
+    if (killSwitchEngagedAt) throw new Error(STOPPED_BY_USER_ERROR);
+    throw err;
+  }
+  // The disable-then-enable trick above also dropped the banner's binding.
+  if (method === 'Runtime.enable' && !childSessionId) void agentOverlayController.restoreBinding(tabId);
   try {
     handleGhostCursorInput({
       method,
@@ -685,12 +1519,104 @@ async function cdpCommand({ tabId, method, params, childSessionId }) {
   } catch (error) {
     console.warn('[bf] Ghost cursor input adapter error:', error?.message || error);
   }
+  if (!childSessionId) {
+    if (method === 'Page.startScreencast') screencastTabs.add(tabId);
+    else if (method === 'Page.stopScreencast') screencastTabs.delete(tabId);
+    else if (screencastTabs.has(tabId)) void reportTimelineAction(tabId, method, params);
+  }
   return result || {};
 }
 
+/** Tell the relay's recorder what the agent just did; typing into a password field keeps only its length. */
+async function reportTimelineAction(tabId, method, params) {
+  const at = Date.now();
+  let action = buildTimelineAction({ method, params });
+  if (!action) return;
+  if (action.kind === 'type' && await isPasswordFieldFocused(tabId, null)) {
+    action = buildTimelineAction({ method, params, masked: true });
+  }
+  send({ method: 'inputAction', params: { tabId, at, action } });
+}
+
+// Relay-coalesced burst for one tab (see relay/src/cdp-batch.js). Commands
+// start in order without waiting for each other, exactly as separate
+// cdpCommand messages would, and their outcomes come back in one reply. The
+// relay leaves out anything this worker may hold (pause, approval), so no
+// member ever sends commandPending for the batch's shared message id.
+async function cdpBatch({ tabId, commands }, relayMessageId) {
+  const settled = await Promise.allSettled((commands || []).map((command) => {
+    if (!command.passive) tabLastActivity.set(tabId, Date.now());
+    return cdpCommand({ ...command, tabId }, relayMessageId);
+  }));
+  return {
+    results: settled.map((outcome) => (outcome.status === 'fulfilled'
+      ? { result: outcome.value }
+      : { error: outcome.reason?.message || String(outcome.reason) })),
+  };
+}
+
+// ─── Worker / Child Targets ──────────────────────────────────────────────────
+
+// Auto-attach the tab's OOPIFs, dedicated workers and service workers as flat
+// child sessions; the relay sees them as Target.attachedToTarget cdpEvents.
+// waitForDebuggerOnStart stays off here: no CDP client may be listening yet,
+// and a paused worker would stall the page. (A Playwright client turns it on
+// for the tab when it sends its own setAutoAttach, and resumes what it pauses.)
+// Shared workers belong to no page, so they are discovered separately and
+// attached through the first attached tab of the same origin.
+async function enableChildTargetAutoAttach(tabId) {
+  try {
+    await chrome.debugger.sendCommand({ tabId }, 'Target.setAutoAttach', {
+      autoAttach: true,
+      waitForDebuggerOnStart: false,
+      flatten: true,
+    });
+    await chrome.debugger.sendCommand({ tabId }, 'Target.setDiscoverTargets', {
+      discover: true,
+      filter: [{ type: 'shared_worker' }],
+    });
+  } catch (e) {
+    console.warn(`[bf] Child target auto-attach failed for tab ${tabId}:`, e?.message || e);
+  }
+}
+
+async function attachSharedWorker(tabId, targetInfo) {
+  if (!targetInfo?.targetId || sharedWorkerOwners.has(targetInfo.targetId)) return;
+  let tabOrigin = null;
+  let workerOrigin = null;
+  try {
+    tabOrigin = new URL((await chrome.tabs.get(tabId)).url).origin;
+    workerOrigin = new URL(targetInfo.url).origin;
+  } catch {
+    return;
+  }
+  if (tabOrigin !== workerOrigin || sharedWorkerOwners.has(targetInfo.targetId)) return;
+  sharedWorkerOwners.set(targetInfo.targetId, tabId);
+  try {
+    await chrome.debugger.sendCommand({ tabId }, 'Target.attachToTarget', {
+      targetId: targetInfo.targetId,
+      flatten: true,
+    });
+  } catch (e) {
+    sharedWorkerOwners.delete(targetInfo.targetId);
+    console.warn(`[bf] Shared worker attach failed (${targetInfo.url}):`, e?.message || e);
+  }
+}
+
 // ─── Debugger Event Listeners ────────────────────────────────────────────────
 
 function onDebuggerEvent(source, method, params) {
+  // Banner buttons talk to the extension, never to the agent; they work offline too.
+  if (method === 'Runtime.bindingCalled' && params?.name === OVERLAY_BINDING_NAME) {
+    if (!source.sessionId && attachedTabs.has(source.tabId)) {
+      void handleOverlayAction(source.tabId, parseOverlayAction(params.payload));
+    }
+    return;
+  }
+  // Dialogs are answered even while the relay is away; they'd block the tab otherwise.
+  if (method === 'Page.javascriptDialogOpening' || method === 'Page.javascriptDialogClosed') {
+    if (attachedTabs.has(source.tabId) && handleDialogEvent(source, method, params)) return;
+  }
   if (!ws || ws.readyState !== WebSocket.OPEN) return;
 
   const entry = attachedTabs.get(source.tabId);
@@ -699,9 +1625,35 @@ function onDebuggerEvent(source, method, params) {
   // Track child sessions (for iframes / OOPIFs)
   if (method === 'Target.attachedToTarget' && params?.sessionId) {
     childSessions.set(params.sessionId, source.tabId);
+    childSessionTargets.set(params.sessionId, { targetId: params.targetInfo?.targetId, url: params.targetInfo?.url || '' });
+  }
+  if (method === 'Target.targetInfoChanged' && params?.targetInfo) {
+    for (const child of childSessionTargets.values()) {
+      if (child.targetId === params.targetInfo.targetId) child.url = params.targetInfo.url || child.url;
+    }
+  }
+  // A child frame navigating keeps its session; follow its URL for the site rules.
+  if (method === 'Page.frameNavigated' && source.sessionId && !params?.frame?.parentId) {
+    const child = childSessionTargets.get(source.sessionId);
+    if (child && params?.frame?.url) child.url = params.frame.url;
   }
   if (method === 'Target.detachedFromTarget' && params?.sessionId) {
     childSessions.delete(params.sessionId);
+    childSessionTargets.delete(params.sessionId);
+    if (params.targetId) sharedWorkerOwners.delete(params.targetId);
+  }
+  // Discovery events only exist for enableChildTargetAutoAttach's shared worker
+  // filter; the resulting attach is what the relay needs to see.
+  if (method === 'Target.targetCreated' && params?.targetInfo?.type === 'shared_worker') {
+    if (!source.sessionId) void attachSharedWorker(source.tabId, params.targetInfo);
+    return;
+  }
+  if (method === 'Page.downloadWillBegin') {
+    const pageUrl = source.sessionId
+      ? childSessionTargets.get(source.sessionId)?.url
+      : attachedTabs.get(source.tabId)?.targetInfo?.url;
+    const item = downloadMatcher.tabWillDownload(source.tabId, params?.url, pageUrl);
+    if (item) trackAgentDownload(item, source.tabId);
   }
 
   send({
@@ -709,7 +1661,7 @@ function onDebuggerEvent(source, method, params) {
     params: {
       tabId: source.tabId,
       method,
-      params,
+      params: guardEventParams(source, method, params),
       childSessionId: source.sessionId || undefined,
     },
   });
@@ -724,11 +1676,15 @@ function onDebuggerDetach(source, reason) {
         params: { tabId, reason },
       });
       void ghostCursorController.cleanup(tabId);
+      agentOverlayController.cleanup(tabId);
       tabLastActivity.delete(tabId);
       agentCreatedTabs.delete(tabId);
     }
     attachedTabs.clear();
     childSessions.clear();
+    childSessionTargets.clear();
+    sharedWorkerOwners.clear();
+    openDialogs.clear();
     persistAutoManageState();
     queueSyncTabGroup();
   } else {
@@ -745,9 +1701,185 @@ function onDebuggerDetach(source, reason) {
   updateBadge();
 }
 
+// ─── JavaScript Dialogs ──────────────────────────────────────────────────────
+// alert/confirm/prompt/beforeunload on an attached tab, per dialogPolicy. Each
+// outcome is reported to the relay as a dialogHandled message.
+
+/** Applies dialogPolicy to a dialog event; true when the event stays in the extension. */
+function handleDialogEvent(source, method, params) {
+  if (method === 'Page.javascriptDialogClosed') {
+    const dialog = openDialogs.get(source.tabId);
+    if (dialog) {
+      openDialogs.delete(source.tabId);
+      sendDialogReport(source.tabId, params?.result ? 'accepted' : 'dismissed', dialog);
+    }
+    return false;
+  }
+
+  // With no relay there is no agent to answer it.
+  const relayConnected = ws?.readyState === WebSocket.OPEN;
+  const response = planDialogResponse(relayConnected ? dialogPolicy : 'dismiss', params);
+  if (!response) {
+    openDialogs.set(source.tabId, { type: params?.type, message: params?.message, url: params?.url });
+    return false;
+  }
+  // Reported before it is answered, so the report reaches the agent ahead of
+  // the result of the command that opened the dialog.
+  sendDialogReport(source.tabId, response.accept ? 'accepted' : 'dismissed', params);
+  chrome.debugger.sendCommand(source, 'Page.handleJavaScriptDialog', response).catch((e) => {
+    console.warn('[bf] Could not answer dialog:', e?.message || e);
+  });
+  return true;
+}
+
+function sendDialogReport(tabId, outcome, dialog) {
+  send({ method: 'dialogHandled', params: buildDialogReport(tabId, outcome, dialog) });
+}
+
+// ─── Browser Data (history, bookmarks, tab groups) ───────────────────────────
+// Each capability is off until the user turns it on in the popup; see browser-data.js.
+
+async function requireBrowserData(capability) {
+  const { setting, permission } = BROWSER_DATA_CAPABILITIES[capability];
+  const stored = await chrome.storage.local.get(setting);
+  const granted = !permission || await chrome.permissions.contains({ permissions: [permission] });
+  if (stored[setting] !== true || !granted) throw new Error(buildBrowserDataDisabledError(capability));
+}
+
+async function searchHistory(params) {
+  await requireBrowserData('history');
+  const items = await chrome.history.search(buildHistoryQuery(params));
+  return { items: items.map(shapeHistoryItem) };
+}
+
+async function listBookmarks(params) {
+  await requireBrowserData('bookmarks');
+  return { bookmarks: flattenBookmarks(await chrome.bookmarks.getTree(), { query: params?.query }) };
+}
+
+async function listTabGroups() {
+  await requireBrowserData('tabGroups');
+  const [groups, tabs] = await Promise.all([chrome.tabGroups.query({}), chrome.tabs.query({})]);
+  return {
+    groups: groups.map((group) => shapeTabGroup(group, tabs)),
+    ungroupedTabs: tabs
+      .filter((tab) => tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE)
+      .map((tab) => ({ tabId: tab.id, url: tab.url || '', title: tab.title || '' })),
+  };
+}
+
+async function changeTabGroups(params) {
+  await requireBrowserData('tabGroups');
+  const settings = await readRestrictions();
+  if (settings.readOnly) throw new Error(buildRestrictionError('Changing tab groups', 'read-only mode', settings));
+
+  const change = normalizeTabGroupChange(params);
+  const refusal = checkTabGroupChange(change, {
+    tabs: await chrome.tabs.query({}),
+    attachedTabIds: [...attachedTabs.keys()],
+    agentGroupIds: [...agentTabGroups],
+  });
+  if (refusal) throw new Error(refusal);
+  if (change.action === 'ungroup') {
+    await chrome.tabs.ungroup(change.tabIds);
+    return { ungrouped: change.tabIds };
+  }
+  let { groupId } = change;
+  if (change.action === 'group') {
+    groupId = await chrome.tabs.group(groupId === null ? { tabIds: change.tabIds } : { tabIds: change.tabIds, groupId });
+    agentTabGroups.add(groupId);
+    persistAutoManageState();
+  }
+  const group = Object.keys(change.properties).length > 0
+    ? await chrome.tabGroups.update(groupId, change.properties)
+    : await chrome.tabGroups.get(groupId);
+  return { group: shapeTabGroup(group, await chrome.tabs.query({ groupId })) };
+}
+
+// ─── Downloads ───────────────────────────────────────────────────────────────
+// Only downloads an attached tab started are reported; the relay moves the
+// finished file into its session directory (relay/src/download-manager.js).
+// `downloads` is an optional permission the popup requests; chrome.downloads
+// only exists while it is granted.
+
+function startDownloadTracking() {
+  if (!chrome.downloads || chrome.downloads.onCreated.hasListener(onDownloadCreated)) return;
+  chrome.downloads.onCreated.addListener(onDownloadCreated);
+  chrome.downloads.onChanged.addListener(onDownloadChanged);
+}
+
+function onDownloadCreated(item) {
+  const tabId = downloadMatcher.downloadCreated(item);
+  if (tabId != null) trackAgentDownload(item, tabId);
+}
+
+function trackAgentDownload(item, tabId) {
+  if (agentDownloads.has(item.id)) return;
+  agentDownloads.set(item.id, tabId);
+  send({
+    method: 'downloadStarted',
+    params: {
+      downloadId: item.id,
+      tabId,
+      url: item.finalUrl || item.url,
+      filename: downloadFilename(item.filename),
+      mimeType: item.mime || null,
+      totalBytes: item.totalBytes,
+    },
+  });
+}
+
+async function onDownloadChanged(delta) {
+  const tabId = agentDownloads.get(delta.id);
+  const state = delta.state?.current;
+  if (tabId === undefined || (state !== 'complete' && state !== 'interrupted')) return;
+  agentDownloads.delete(delta.id);
+
+  if (state === 'interrupted') {
+    send({ method: 'downloadFailed', params: { downloadId: delta.id, tabId, error: delta.error?.current || null } });
+    return;
+  }
+  const [item] = await chrome.downloads.search({ id: delta.id });
+  if (!item) return;
+  send({
+    method: 'downloadFinished',
+    params: {
+      downloadId: item.id,
+      tabId,
+      path: item.filename,
+      filename: downloadFilename(item.filename),
+      mimeType: item.mime || null,
+      size: item.fileSize,
+    },
+  });
+}
+
+async function cancelDownload({ downloadId }) {
+  // Only downloads this extension reported; the user's own are not the relay's to touch.
+  if (!agentDownloads.has(downloadId) || !chrome.downloads) return { cancelled: false };
+  await chrome.downloads.cancel(downloadId);
+  return { cancelled: true };
+}
+
 // ─── Tab Lifecycle Events ────────────────────────────────────────────────────
 
+function onTabCreated(tab) {
+  if (!attachedTabs.has(tab.openerTabId)) return;
+  pendingOpenedTabs.set(tab.id, tab.openerTabId);
+  reportOpenedTab(tab.id, tab.pendingUrl || tab.url);
+}
+
+// The relay checks a spawned tab's first real URL against the URL policy and
+// closes the tab if it is not allowed; later navigations are the page's own.
+function reportOpenedTab(tabId, url) {
+  if (!url || url === 'about:blank' || !pendingOpenedTabs.has(tabId)) return;
+  const openerTabId = pendingOpenedTabs.get(tabId);
+  pendingOpenedTabs.delete(tabId);
+  send({ method: 'tabOpened', params: { tabId, openerTabId, url } });
+}
+
 function onTabRemoved(tabId) {
+  pendingOpenedTabs.delete(tabId);
   if (!attachedTabs.has(tabId)) return;
 
   send({
@@ -760,6 +1892,7 @@ function onTabRemoved(tabId) {
 }
 
 function onTabUpdated(tabId, changeInfo) {
+  if (changeInfo.url) reportOpenedTab(tabId, changeInfo.url);
   if (!attachedTabs.has(tabId)) return;
   if (!changeInfo.url && !changeInfo.title && changeInfo.groupId === undefined) return;
 
@@ -798,9 +1931,24 @@ function onTabDetachedFromWindow(tabId) {
 
 function cleanupTab(tabId) {
   void ghostCursorController.cleanup(tabId);
+  agentOverlayController.cleanup(tabId);
+  screencastTabs.delete(tabId);
+  openDialogs.delete(tabId);
+  settleTabApprovals(tabId, 'the tab was closed or detached before the user answered');
+  releaseTabHeldCommands(tabId);
+  // The session ends with its last tab, unless access ran out (the user has to renew it).
+  if (attachedTabs.size === 1 && attachedTabs.has(tabId) && accessVerdict.allowed && accessInputs.session) {
+    accessInputs.session = null;
+    chrome.storage.local.remove('accessSession');
+  }
   attachedTabs.delete(tabId);
   for (const [childId, parentTabId] of childSessions) {
-    if (parentTabId === tabId) childSessions.delete(childId);
+    if (parentTabId !== tabId) continue;
+    childSessions.delete(childId);
+    childSessionTargets.delete(childId);
+  }
+  for (const [workerTargetId, ownerTabId] of sharedWorkerOwners) {
+    if (ownerTabId === tabId) sharedWorkerOwners.delete(workerTargetId);
   }
   tabLastActivity.delete(tabId);
   agentCreatedTabs.delete(tabId);
@@ -873,6 +2021,13 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
     }
   }
 
+  if (changes.accessSchedule || changes.accessGrant || changes.accessSession) {
+    if (changes.accessSchedule) accessInputs.schedule = changes.accessSchedule.newValue || null;
+    if (changes.accessGrant) accessInputs.grant = changes.accessGrant.newValue || null;
+    if (changes.accessSession) accessInputs.session = changes.accessSession.newValue || null;
+    checkAccess();
+  }
+
   if (changes.ghostCursorEnabled) {
     isGhostCursorEnabled = !!changes.ghostCursorEnabled.newValue;
     const operations = [...attachedTabs.keys()].map((tabId) => (
@@ -882,6 +2037,22 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
     ));
     await Promise.allSettled(operations);
   }
+
+  if (changes.credentialGuard) credentialGuard.enabled = changes.credentialGuard.newValue !== false;
+  if (changes.credentialAllowlist) {
+    credentialGuard.allowlist = normalizeCredentialAllowlist(changes.credentialAllowlist.newValue);
+  }
+  if (changes.dialogPolicy) dialogPolicy = normalizeDialogPolicy(changes.dialogPolicy.newValue);
+
+  if (changes.agentOverlayEnabled) {
+    isAgentOverlayEnabled = changes.agentOverlayEnabled.newValue !== false;
+    const operations = [...attachedTabs.keys()].map((tabId) => (
+      isAgentOverlayEnabled
+        ? agentOverlayController.show(tabId, { paused: controlMode !== 'run' })
+        : agentOverlayController.hide(tabId)
+    ));
+    await Promise.allSettled(operations);
+  }
 });
 
 // Start timer on load if settings are configured
@@ -894,13 +2065,16 @@ chrome.storage.local.get(['autoDetachMinutes', 'autoCloseMinutes'], (settings) =
 /**
  * Syncs the 'browserforce' Chrome tab group to reflect currently attached tabs.
  * Modeled after playwriter's syncTabGroup — always queries by title, never caches group ID.
+ * Attached tabs the agent moved into one of its own groups stay there.
  */
 async function syncTabGroup() {
   isSyncingTabGroup = true;
   try {
-    const connectedTabIds = Array.from(attachedTabs.keys());
-    const existingGroups = await chrome.tabGroups.query({ title: 'browserforce' });
+    const existingGroups = await chrome.tabGroups.query({ title: BROWSERFORCE_TAB_GROUP_TITLE });
     const allTabs = await chrome.tabs.query({});
+    const connectedTabIds = allTabs
+      .filter((tab) => attachedTabs.has(tab.id) && !agentTabGroups.has(tab.groupId))
+      .map((tab) => tab.id);
     const plan = buildBrowserforceTabGroupPlan({
       attachedTabIds: connectedTabIds,
       allTabs,
@@ -946,7 +2120,7 @@ async function syncTabGroup() {
       }
 
       if (groupId != null) {
-        await chrome.tabGroups.update(groupId, { title: 'browserforce', color: TAB_GROUP_COLOR });
+        await chrome.tabGroups.update(groupId, { title: BROWSERFORCE_TAB_GROUP_TITLE, color: TAB_GROUP_COLOR });
       }
     }
   } catch (e) {
@@ -989,7 +2163,19 @@ function notifyRelayAttachedTabs() {
 function updateBadge() {
   const count = attachedTabs.size;
 
-  if (connectionState === 'connected') {
+  if (killSwitchEngagedAt) {
+    chrome.action.setBadgeText({ text: 'OFF' });
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.stopped });
+  } else if (!accessVerdict.allowed) {
+    chrome.action.setBadgeText({ text: 'EXP' });
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.stopped });
+  } else if (pendingApprovals.size > 0) {
+    chrome.action.setBadgeText({ text: '?' });
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.approval });
+  } else if (controlMode !== 'run') {
+    chrome.action.setBadgeText({ text: controlMode === 'step' ? 'STEP' : 'II' });
+    chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.paused });
+  } else if (connectionState === 'connected') {
     chrome.action.setBadgeText({ text: count > 0 ? String(count) : 'ON' });
     chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS.connected });
   } else if (connectionState === 'connecting') {
@@ -1028,12 +2214,23 @@ async function getMcpClientCount() {
   }
 }
 
+/** Chrome profile this extension connects as (relay URL `?profile=`). */
+function relayProfileId(wsUrl) {
+  try {
+    return new URL(wsUrl || RELAY_URL_DEFAULT).searchParams.get('profile') || 'default';
+  } catch {
+    return 'default';
+  }
+}
+
 /** Poll the relay's /extension/status so the maintain loop can wait until the
- *  relay confirms no extension is connected before reclaiming the slot. */
+ *  relay confirms no extension is connected for this profile before
+ *  reclaiming the slot. */
 async function getRelayExtensionStatus() {
   const base = relayWsToHttpBase(currentRelayUrl);
+  const profile = encodeURIComponent(relayProfileId(currentRelayUrl));
   try {
-    const response = await fetch(`${base}/extension/status`, { method: 'GET', cache: 'no-store' });
+    const response = await fetch(`${base}/extension/status?profile=${profile}`, { method: 'GET', cache: 'no-store' });
     if (!response.ok) return null;
     return await response.json();
   } catch {
@@ -1080,6 +2277,8 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
         nextAutoActionSecs,
         mode: settings.mode || 'auto',
         mcpClientCount,
+        killSwitch: { engaged: !!killSwitchEngagedAt, engagedAt: killSwitchEngagedAt },
+        access: { ...accessVerdict, grantUntil: accessInputs.grant?.until || null },
       });
     });
     return true; // async sendResponse
@@ -1125,6 +2324,14 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   }
 
   if (msg.type === 'attachCurrentTab') {
+    if (killSwitchEngagedAt) {
+      sendResponse({ error: 'Agent access is stopped. Resume access first.' });
+      return false;
+    }
+    if (!accessVerdict.allowed) {
+      sendResponse({ error: 'Agent access has expired. Grant more time first.' });
+      return false;
+    }
     chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
       const tab = tabs[0];
       if (!tab || !tab.id) {
@@ -1182,17 +2389,51 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   }
 
   if (msg.type === 'getRestrictions') {
-    chrome.storage.local.get(['mode', 'lockUrl', 'noNewTabs', 'readOnly', 'userInstructions'], (s) => {
-      sendResponse({
-        mode: s.mode || 'auto',
-        lockUrl: !!s.lockUrl,
-        noNewTabs: !!s.noNewTabs,
-        readOnly: !!s.readOnly,
-        instructions: s.userInstructions || '',
-      });
-    });
+    readRestrictions().then(sendResponse);
+    return true; // async sendResponse
+  }
+
+  if (msg.type === 'getPendingApprovals') {
+    sendResponse({ approvals: listPendingApprovals() });
+    return false;
+  }
+
+  if (msg.type === 'engageKillSwitch') {
+    engageKillSwitch()
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true; // async sendResponse
+  }
+
+  if (msg.type === 'releaseKillSwitch') {
+    releaseKillSwitch()
+      .then(() => sendResponse({ ok: true }))
+      .catch((err) => sendResponse({ error: err.message }));
     return true; // async sendResponse
   }
 
+  if (msg.type === 'getAgentControl') {
+    sendResponse(getAgentControl());
+    return false;
+  }
+
+  if (msg.type === 'setControlMode') {
+    setControlMode(msg.mode)
+      .then(() => sendResponse({ ok: true, mode: controlMode }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true; // async sendResponse
+  }
+
+  if (msg.type === 'releaseHeldCommand') {
+    sendResponse({ ok: releaseNextHeldCommand() });
+    return false;
+  }
+
+  if (msg.type === 'resolveApproval') {
+    const reason = typeof msg.reason === 'string' ? msg.reason.trim().slice(0, 500) : '';
+    sendResponse({ ok: settleApproval(msg.id, { approved: !!msg.approved, reason }) });
+    return false;
+  }
+
   return false;
 });
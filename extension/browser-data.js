@@ -0,0 +1,196 @@
+// Browser data capabilities: browsing history, bookmarks and tab groups. All
+// three are off by default; the user turns each one on in the popup
+// (Settings → Browser Data). Pure helpers shared by background.js (the relay
+// commands) and the popup.
+//
+// History and bookmarks are optional manifest permissions, requested when the
+// user turns them on and dropped again when they turn them off. Tab groups use
+// the tabGroups permission BrowserForce already holds for its own group, so
+// only the setting gates them. Changes are limited to the agent's own tabs and
+// groups (checkTabGroupChange); the user's groups and the browserforce group
+// stay as they are.
+
+export const BROWSER_DATA_CAPABILITIES = {
+  history: { setting: 'historyAccess', permission: 'history', label: 'History', action: 'reading browser history' },
+  bookmarks: { setting: 'bookmarksAccess', permission: 'bookmarks', label: 'Bookmarks', action: 'reading bookmarks' },
+  tabGroups: { setting: 'tabGroupsAccess', permission: null, label: 'Tab groups', action: 'managing tab groups' },
+};
+
+export const TAB_GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+/** Title of the group background.js keeps attached tabs in (syncTabGroup). */
+export const BROWSERFORCE_TAB_GROUP_TITLE = 'browserforce';
+
+const DEFAULT_HISTORY_RESULTS = 100;
+const MAX_HISTORY_RESULTS = 1000;
+const DEFAULT_BOOKMARK_RESULTS = 500;
+const DURATION_UNITS_MS = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+
+/** `{ history, bookmarks, tabGroups }` booleans from chrome.storage.local values. */
+export function readBrowserDataSettings(stored) {
+  const settings = {};
+  for (const [name, { setting }] of Object.entries(BROWSER_DATA_CAPABILITIES)) {
+    settings[name] = stored?.[setting] === true;
+  }
+  return settings;
+}
+
+export function buildBrowserDataDisabledError(capability) {
+  const { label, action } = BROWSER_DATA_CAPABILITIES[capability];
+  return `BLOCKED: ${action} is turned off. The user can allow it with "${label}" under Browser Data in the BrowserForce popup. `
+    + 'If the task needs it, ask them; do not look for it another way (such as opening chrome:// pages).';
+}
+
+/**
+ * A point in time as epoch ms: a number, a date string, or a duration back
+ * from `now` such as "90m", "24h", "2d" or "1w".
+ */
+export function parseTimeBound(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text);
+  const duration = text.match(/^(\d+)\s*([mhdw])$/);
+  if (duration) return now - Number(duration[1]) * DURATION_UNITS_MS[duration[2]];
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid time "${text}": use a date, epoch milliseconds, or a duration like "24h" or "7d".`);
+  }
+  return parsed;
+}
+
+/** chrome.history.search() query for `{ text, since, until, maxResults }`; no `since` searches all history. */
+export function buildHistoryQuery({ text, since, until, maxResults } = {}, now = Date.now()) {
+  const limit = Number(maxResults);
+  return {
+    text: typeof text === 'string' ? text : '',
+    startTime: parseTimeBound(since, now) ?? 0,
+    endTime: parseTimeBound(until, now) ?? now,
+    maxResults: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_HISTORY_RESULTS) : DEFAULT_HISTORY_RESULTS,
+  };
+}
+
+export function shapeHistoryItem(item) {
+  return {
+    url: item.url || '',
+    title: item.title || '',
+    lastVisitTime: item.lastVisitTime ? new Date(item.lastVisitTime).toISOString() : null,
+    visitCount: item.visitCount || 0,
+  };
+}
+
+/**
+ * Bookmarks from chrome.bookmarks.getTree() as a flat list with their folder
+ * path ("Bookmarks bar/Work"). `query` keeps those whose title, URL or folder
+ * contains it (case-insensitive).
+ */
+export function flattenBookmarks(tree, { query, limit = DEFAULT_BOOKMARK_RESULTS } = {}) {
+  const needle = typeof query === 'string' ? query.trim().toLowerCase() : '';
+  const bookmarks = [];
+  const visit = (node, folders) => {
+    if (bookmarks.length >= limit) return;
+    if (node.url) {
+      const folder = folders.join('/');
+      const haystack = `${node.title || ''}\n${node.url}\n${folder}`.toLowerCase();
+      if (!needle || haystack.includes(needle)) {
+        bookmarks.push({
+          id: node.id,
+          title: node.title || '',
+          url: node.url,
+          folder,
+          dateAdded: node.dateAdded ? new Date(node.dateAdded).toISOString() : null,
+        });
+      }
+      return;
+    }
+    // The root node has no title; its children are the top-level folders.
+    const path = node.title ? [...folders, node.title] : folders;
+    for (const child of node.children || []) visit(child, path);
+  };
+  for (const root of Array.isArray(tree) ? tree : []) visit(root, []);
+  return bookmarks;
+}
+
+/** A chrome.tabGroups group with the tabs in it. */
+export function shapeTabGroup(group, tabs = []) {
+  return {
+    groupId: group.id,
+    windowId: group.windowId,
+    title: group.title || '',
+    color: group.color,
+    collapsed: !!group.collapsed,
+    tabs: tabs
+      .filter((tab) => tab.groupId === group.id)
+      .map((tab) => ({ tabId: tab.id, url: tab.url || '', title: tab.title || '' })),
+  };
+}
+
+function normalizeTabIds(tabIds) {
+  const ids = (Array.isArray(tabIds) ? tabIds : [tabIds]).map(Number);
+  if (ids.length === 0 || !ids.every((id) => Number.isInteger(id) && id >= 0)) {
+    throw new Error('tabIds must be a non-empty list of tab ids (see listTabGroups() or getBrowserforceStatus()).');
+  }
+  return ids;
+}
+
+function normalizeGroupProperties({ title, color, collapsed } = {}) {
+  const properties = {};
+  if (title !== undefined) properties.title = String(title);
+  if (color !== undefined) {
+    if (!TAB_GROUP_COLORS.includes(color)) {
+      throw new Error(`Unknown tab group color "${color}". Use one of: ${TAB_GROUP_COLORS.join(', ')}.`);
+    }
+    properties.color = color;
+  }
+  if (collapsed !== undefined) properties.collapsed = !!collapsed;
+  return properties;
+}
+
+/**
+ * Validates a tab group change from the relay:
+ *   { action: 'group', tabIds, groupId?, title?, color?, collapsed? }
+ *   { action: 'ungroup', tabIds }
+ *   { action: 'update', groupId, title?, color?, collapsed? }
+ */
+export function normalizeTabGroupChange(params = {}) {
+  const { action } = params;
+  if (action === 'ungroup') return { action, tabIds: normalizeTabIds(params.tabIds) };
+
+  const groupId = params.groupId === undefined || params.groupId === null ? null : Number(params.groupId);
+  if (groupId !== null && !Number.isInteger(groupId)) throw new Error(`Invalid groupId "${params.groupId}".`);
+  const properties = normalizeGroupProperties(params);
+  if (action === 'group') return { action, tabIds: normalizeTabIds(params.tabIds), groupId, properties };
+  if (action === 'update') {
+    if (groupId === null) throw new Error('update needs the groupId of the group to change.');
+    return { action, groupId, properties };
+  }
+  throw new Error(`Unknown tab group action "${action}". Use group, ungroup or update.`);
+}
+
+/**
+ * Why a normalized tab group change may not go ahead, or null. The agent may
+ * group tabs attached to BrowserForce, and move, ungroup or rename groups it
+ * created itself (`agentGroupIds`). Other tabs and groups belong to the user,
+ * and the browserforce group to background.js.
+ */
+export function checkTabGroupChange(change, { tabs = [], attachedTabIds = [], agentGroupIds = [] } = {}) {
+  const attached = new Set(attachedTabIds);
+  const agentGroups = new Set(agentGroupIds);
+  const groupOf = new Map(tabs.map((tab) => [tab.id, tab.groupId]));
+  const ownGroupsOnly = 'The agent can only change groups it made with groupTabs() and the tabs in them; '
+    + 'ask the user to change other groups themselves.';
+
+  if (change.properties?.title?.trim().toLowerCase() === BROWSERFORCE_TAB_GROUP_TITLE) {
+    return `BLOCKED: "${BROWSERFORCE_TAB_GROUP_TITLE}" is the title of the group BrowserForce keeps attached tabs in. Pick another title.`;
+  }
+  if (change.groupId !== null && change.groupId !== undefined && !agentGroups.has(change.groupId)) {
+    return `BLOCKED: tab group ${change.groupId} was not created by the agent. ${ownGroupsOnly}`;
+  }
+  for (const tabId of change.tabIds || []) {
+    if (agentGroups.has(groupOf.get(tabId))) continue;
+    if (change.action === 'group' && attached.has(tabId)) continue;
+    return change.action === 'group'
+      ? `BLOCKED: tab ${tabId} is not attached to BrowserForce. Only tabs the agent controls can be grouped; attach it or ask the user.`
+      : `BLOCKED: tab ${tabId} is not in a group the agent created. ${ownGroupsOnly}`;
+  }
+  return null;
+}
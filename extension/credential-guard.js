@@ -0,0 +1,153 @@
+import { normalizeOriginPattern, originPatternMatches } from './origin-rules.js';
+
+// Credential protection: keeps the user's cookies, site storage and auth
+// headers away from agents. Pure helpers shared by background.js
+// (enforcement) and the popup (allowlist editor).
+//
+// While `credentialGuard` in chrome.storage.local is on (the default):
+// - CDP methods that read cookies or site storage are refused;
+// - scripts sent to Runtime.evaluate and friends that mention document.cookie,
+//   cookieStore, localStorage, sessionStorage or indexedDB are refused. This
+//   is a name check: it stops ordinary reads, not a script that assembles the
+//   name at runtime;
+// - Cookie, Set-Cookie and Authorization headers (and the cookie lists of the
+//   ExtraInfo events) are removed from Network and Fetch events before they
+//   leave the extension.
+//
+// `credentialAllowlist` lists site patterns (site-rule syntax, see
+// origin-rules.js) whose pages may be read anyway. Reads that return cookies
+// for every site, and reads in embedded frames, need the "*" pattern.
+
+export const CREDENTIAL_READ_METHODS = new Set([
+  'Network.getCookies',
+  'Network.getAllCookies',
+  'Storage.getCookies',
+  'DOMStorage.enable',
+  'DOMStorage.getDOMStorageItems',
+  'IndexedDB.requestData',
+]);
+
+// Cookies for every site, whatever page the tab shows.
+const ALL_SITES_METHODS = new Set(['Network.getAllCookies', 'Storage.getCookies']);
+
+const SCRIPT_PARAMS = {
+  'Runtime.evaluate': 'expression',
+  'Runtime.callFunctionOn': 'functionDeclaration',
+  'Runtime.compileScript': 'expression',
+  'Debugger.evaluateOnCallFrame': 'expression',
+};
+
+const SCRIPT_PATTERNS = [
+  [/\bdocument\s*\.\s*cookie\b/, () => 'document.cookie'],
+  [/\bdocument\s*\[\s*(['"`])cookie\1\s*\]/, () => 'document.cookie'],
+  [/\bcookieStore\b/, () => 'cookieStore'],
+  [/\b(localStorage|sessionStorage|indexedDB)\b/, (match) => match[1]],
+];
+
+const CREDENTIAL_HEADERS = new Set(['cookie', 'set-cookie', 'authorization', 'proxy-authorization']);
+const COOKIE_LIST_PARAMS = ['associatedCookies', 'blockedCookies', 'exemptedCookies'];
+
+/** Normalize a stored allowlist, dropping patterns that no longer validate. */
+export function normalizeCredentialAllowlist(patterns) {
+  if (!Array.isArray(patterns)) return [];
+  const normalized = [];
+  for (const value of patterns) {
+    try {
+      const pattern = normalizeOriginPattern(value);
+      if (!normalized.includes(pattern)) normalized.push(pattern);
+    } catch {
+      // skip invalid stored pattern
+    }
+  }
+  return normalized;
+}
+
+/**
+ * What a command would read: `{ method, what, allSites }`, or null when it
+ * reads no credentials. `what` names the store for the error message.
+ */
+export function findCredentialRead(method, params) {
+  if (CREDENTIAL_READ_METHODS.has(method)) {
+    return { method, what: method, allSites: ALL_SITES_METHODS.has(method) };
+  }
+  const source = SCRIPT_PARAMS[method] ? params?.[SCRIPT_PARAMS[method]] : null;
+  if (typeof source !== 'string') return null;
+  for (const [pattern, name] of SCRIPT_PATTERNS) {
+    const match = pattern.exec(source);
+    if (match) return { method, what: name(match), allSites: false };
+  }
+  return null;
+}
+
+/**
+ * Whether the allowlist lets `read` through. `pageUrl` is the tab's URL, or
+ * null when the command runs in an embedded frame.
+ */
+export function isCredentialReadAllowed(read, allowlist, pageUrl, params) {
+  const patterns = normalizeCredentialAllowlist(allowlist);
+  if (patterns.includes('*')) return true;
+  if (read.allSites || !pageUrl) return false;
+  const urls = read.method === 'Network.getCookies' && Array.isArray(params?.urls) && params.urls.length > 0
+    ? params.urls
+    : [pageUrl];
+  return urls.every((url) => patterns.some((pattern) => originPatternMatches(pattern, url)));
+}
+
+export function buildCredentialBlockedError(read) {
+  const action = read.what === read.method
+    ? `${read.method} reads the user's cookies or site storage`
+    : `this script reads ${read.what}`;
+  return `BLOCKED: ${action}, and credential protection is on. `
+    + "The user's logins stay in Chrome: work through the page as the logged-in user instead of copying "
+    + 'cookies or tokens out of it. If the task really needs them, ask the user to allow this site under '
+    + 'Settings → Credential Protection.';
+}
+
+function withoutCredentialHeaders(headers) {
+  if (!headers || typeof headers !== 'object') return headers;
+  return Object.fromEntries(Object.entries(headers).filter(([name]) => !CREDENTIAL_HEADERS.has(name.toLowerCase())));
+}
+
+/** Fetch events list headers as [{ name, value }]. */
+function withoutCredentialEntries(entries) {
+  if (!Array.isArray(entries)) return entries;
+  return entries.filter((entry) => !CREDENTIAL_HEADERS.has(String(entry?.name).toLowerCase()));
+}
+
+function withoutCredentialLines(text) {
+  if (typeof text !== 'string') return text;
+  return text
+    .split('\r\n')
+    .filter((line) => !CREDENTIAL_HEADERS.has(line.slice(0, line.indexOf(':')).trim().toLowerCase()))
+    .join('\r\n');
+}
+
+function stripHeaderFields(object) {
+  const next = { ...object };
+  for (const key of ['headers', 'requestHeaders']) {
+    if (key in next) next[key] = withoutCredentialHeaders(next[key]);
+  }
+  for (const key of ['headersText', 'requestHeadersText']) {
+    if (key in next) next[key] = withoutCredentialLines(next[key]);
+  }
+  if ('responseHeaders' in next) next.responseHeaders = withoutCredentialEntries(next.responseHeaders);
+  return next;
+}
+
+/** Whether `method` is an event whose params can carry credential headers. */
+export function carriesCredentialHeaders(method) {
+  return typeof method === 'string' && (method.startsWith('Network.') || method.startsWith('Fetch.'));
+}
+
+/** A Network or Fetch event's params without credential headers or cookie lists; other events come back as is. */
+export function stripCredentialHeaders(method, params) {
+  if (!carriesCredentialHeaders(method) || !params || typeof params !== 'object') return params;
+  const next = stripHeaderFields(params);
+  for (const key of ['request', 'response', 'redirectResponse']) {
+    if (next[key] && typeof next[key] === 'object') next[key] = stripHeaderFields(next[key]);
+  }
+  for (const key of COOKIE_LIST_PARAMS) {
+    if (key in next) next[key] = [];
+  }
+  return next;
+}
@@ -0,0 +1,72 @@
+// JavaScript dialog policy: what happens when a page on an attached tab opens
+// alert(), confirm(), prompt() or a beforeunload prompt. Pure helpers shared by
+// background.js (handling), the popup (the setting) and the MCP runtime.
+//
+// `dialogPolicy` in chrome.storage.local is one of:
+// - 'agent' (default): the dialog is passed to the agent like any CDP event.
+//   A page.on('dialog') handler answers it; without one, Playwright dismisses
+//   it. Until it is answered, commands that would wait on the dialog fail fast
+//   instead of hanging;
+// - 'dismiss': the extension dismisses the dialog itself;
+// - 'accept': the extension accepts it (prompts get their default value).
+//
+// Every outcome ("dismissed confirm("Delete item?")") goes to the relay as a
+// dialogHandled message, which reaches the agent as a BrowserForce.dialogHandled
+// event on its CDP sessions for that page. Pages can't send that event, unlike
+// a console entry, so getLogs() and the browserforce tool can trust it.
+
+export const DIALOG_POLICIES = ['agent', 'dismiss', 'accept'];
+export const DEFAULT_DIALOG_POLICY = 'agent';
+
+// Commands Chrome doesn't answer while a dialog is open on the tab. Input is
+// not among them: an action such as a key press (keyDown, then keyUp) can open
+// a dialog halfway, and its remaining events must still go through.
+const DIALOG_WAITING_METHODS = new Set([
+  'Runtime.evaluate',
+  'Runtime.callFunctionOn',
+  'Page.navigate',
+  'Page.reload',
+  'Page.captureScreenshot',
+]);
+
+export function normalizeDialogPolicy(value) {
+  return DIALOG_POLICIES.includes(value) ? value : DEFAULT_DIALOG_POLICY;
+}
+
+/** `confirm("Delete item?")`; an empty beforeunload message reads as "beforeunload". */
+export function describeDialog({ type, message } = {}) {
+  const kind = typeof type === 'string' && type ? type : 'dialog';
+  if (!message && kind === 'beforeunload') return kind;
+  return `${kind}(${JSON.stringify(String(message ?? ''))})`;
+}
+
+/** The Page.handleJavaScriptDialog params for `policy`, or null when the agent answers. */
+export function planDialogResponse(policy, params) {
+  const normalized = normalizeDialogPolicy(policy);
+  if (normalized === 'agent') return null;
+  const accept = normalized === 'accept';
+  const response = { accept };
+  if (accept && params?.type === 'prompt') response.promptText = params.defaultPrompt || '';
+  return response;
+}
+
+/** The dialogHandled params recording what happened to a dialog, e.g. note `dismissed confirm("Delete item?")`. */
+export function buildDialogReport(tabId, outcome, dialog) {
+  return {
+    tabId,
+    outcome,
+    note: `${outcome} ${describeDialog(dialog)}`,
+    url: dialog?.url || null,
+  };
+}
+
+export function commandWaitsOnDialog(method) {
+  return DIALOG_WAITING_METHODS.has(method);
+}
+
+export function buildDialogOpenError(method, dialog) {
+  return `${describeDialog(dialog)} is open on this tab and waiting for the agent, so ${method} would hang until it closes. `
+    + 'Answer it first: register page.on(\'dialog\', (d) => d.accept()) (or d.dismiss()) before the action that opens it, '
+    + 'or run `const s = await getCDPSession({ page }); await s.send(\'Page.handleJavaScriptDialog\', { accept: false });` now. '
+    + 'The user can also switch the popup\'s dialog setting to accept or dismiss dialogs automatically.';
+}
@@ -0,0 +1,87 @@
+// Ties chrome.downloads items to the attached tab that started them.
+//
+// chrome.downloads items carry no tab id. An attached tab announces its
+// downloads with the CDP event Page.downloadWillBegin, which carries the URL,
+// so a download belongs to a tab when both name the same URL within
+// MATCH_WINDOW_MS. Either side can arrive first, so each waits for the other.
+// The URL alone would let an attached tab claim the user's own download of
+// the same file, so an item whose referrer names another site than the page
+// that announced it is not claimed. Downloads nobody claims (the user's own,
+// from tabs BrowserForce doesn't control) are never reported. The relay
+// double-checks the path Chrome reports (relay/src/download-manager.js).
+
+const MATCH_WINDOW_MS = 10000;
+
+/** The file name at the end of a download's absolute path (either separator). */
+export function downloadFilename(filePath) {
+  return String(filePath || '').split(/[\\/]/).pop() || '';
+}
+
+function originOf(url) {
+  try {
+    const { origin } = new URL(url);
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
+/** Whether `item` could come from `pageUrl`: its referrer, when it has one, is on the same origin. */
+function fromPage(item, pageUrl) {
+  const referrer = originOf(item.referrer);
+  const page = originOf(pageUrl);
+  return !referrer || !page || referrer === page;
+}
+
+export function createDownloadMatcher({ now = Date.now, windowMs = MATCH_WINDOW_MS } = {}) {
+  const tabByUrl = new Map();
+  const itemByUrl = new Map();
+
+  function prune() {
+    const cutoff = now() - windowMs;
+    for (const map of [tabByUrl, itemByUrl]) {
+      for (const [url, entry] of map) {
+        if (entry.at < cutoff) map.delete(url);
+      }
+    }
+  }
+
+  function takeItem(url, pageUrl) {
+    const entry = itemByUrl.get(url);
+    if (!entry || !fromPage(entry.item, pageUrl)) return null;
+    itemByUrl.delete(entry.item.url);
+    if (entry.item.finalUrl) itemByUrl.delete(entry.item.finalUrl);
+    return entry.item;
+  }
+
+  return {
+    /**
+     * An attached tab reported Page.downloadWillBegin from a page at `pageUrl`.
+     * Returns the waiting item it claims, or null.
+     */
+    tabWillDownload(tabId, url, pageUrl = null) {
+      prune();
+      if (!url) return null;
+      const item = takeItem(url, pageUrl);
+      if (item) return item;
+      tabByUrl.set(url, { tabId, pageUrl, at: now() });
+      return null;
+    },
+
+    /** chrome.downloads created `item`. Returns the tab id that claims it, or null. */
+    downloadCreated(item) {
+      prune();
+      for (const url of [item.url, item.finalUrl]) {
+        const entry = url && tabByUrl.get(url);
+        if (entry && fromPage(item, entry.pageUrl)) {
+          tabByUrl.delete(url);
+          return entry.tabId;
+        }
+      }
+      const entry = { item, at: now() };
+      if (item.url) itemByUrl.set(item.url, entry);
+      if (item.finalUrl) itemByUrl.set(item.finalUrl, entry);
+      return null;
+    },
+  };
+}
@@ -227,6 +227,42 @@ export function buildGhostCursorAction({ type, params } = {}) {
   return { type: actionType, x, y, button };
 }
 
+/**
+ * The recording-timeline entry for an agent command (see
+ * relay/src/screencast-recorder.js): clicks, scrolls, named keys, typed text
+ * and navigations. `masked` replaces typed text with its length, for password
+ * fields. Returns null for everything else, including the mouse moves and key
+ * releases that make up the rest of a gesture.
+ */
+export function buildTimelineAction({ method, params, masked = false } = {}) {
+  const typed = (text) => (masked ? { kind: 'type', length: String(text).length, masked: true } : { kind: 'type', text: String(text) });
+  switch (method) {
+    case 'Input.dispatchMouseEvent': {
+      const x = params?.x;
+      const y = params?.y;
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+      if (params.type === 'mousePressed') {
+        const button = VALID_BUTTONS.has(params.button) ? params.button : 'left';
+        return { kind: 'click', x, y, button, clickCount: params.clickCount || 1 };
+      }
+      if (params.type === 'mouseWheel') {
+        return { kind: 'scroll', x, y, deltaX: params.deltaX || 0, deltaY: params.deltaY || 0 };
+      }
+      return null;
+    }
+    case 'Input.dispatchKeyEvent':
+      if (params?.type !== 'keyDown' && params?.type !== 'rawKeyDown') return null;
+      if (params.text) return typed(params.text);
+      return typeof params.key === 'string' && params.key ? { kind: 'key', key: params.key } : null;
+    case 'Input.insertText':
+      return params?.text ? typed(params.text) : null;
+    case 'Page.navigate':
+      return params?.url ? { kind: 'navigate', url: params.url } : null;
+    default:
+      return null;
+  }
+}
+
 export function buildGhostCursorActionExpression(action) {
   return `globalThis.${CURSOR_API_KEY}?.applyMouseAction?.(${JSON.stringify(action)})`;
 }
@@ -15,6 +15,23 @@ const detailsEl = document.getElementById('bf-entry-details');
 const refreshBtn = document.getElementById('bf-refresh');
 const pauseBtn = document.getElementById('bf-pause');
 const clearBtn = document.getElementById('bf-clear');
+const viewSelect = document.getElementById('bf-log-view');
+const headRowEl = document.getElementById('bf-log-head');
+const entriesTitleEl = document.getElementById('bf-entries-title');
+const cdpFiltersEl = document.getElementById('bf-cdp-filters');
+const filterInputs = {
+  method: document.getElementById('bf-filter-method'),
+  direction: document.getElementById('bf-filter-direction'),
+  label: document.getElementById('bf-filter-label'),
+  tabId: document.getElementById('bf-filter-tab'),
+};
+
+const VIEW_COLUMNS = {
+  cdp: ['Seq', 'Time', 'Direction', 'Client', 'Method', 'Session'],
+  audit: ['Time', 'Outcome', 'Client', 'Method', 'Tab', 'URL'],
+  events: ['Seq', 'Time', 'Type', 'Client', 'Tab', 'Detail'],
+};
+const LOG_VIEWS = new Set(['cdp', 'audit', 'events']);
 
 const state = {
   relayWsUrl: RELAY_URL_DEFAULT,
@@ -22,9 +39,12 @@ const state = {
   timer: null,
   inFlight: false,
   paused: false,
+  view: 'cdp',
   lastSeq: 0,
   entries: [],
   selectedSeq: null,
+  filterQuery: '',
+  stopEvents: null,
 };
 
 chrome.storage.local.get(['relayUrl'], (stored) => {
@@ -33,6 +53,7 @@ chrome.storage.local.get(['relayUrl'], (stored) => {
   state.relayHttpBase = wsToHttpBase(relayUrl);
   relayUrlEl.textContent = state.relayHttpBase;
   pollOnce();
+  if (state.view === 'events') startEventStream();
 });
 
 chrome.storage.onChanged.addListener((changes) => {
@@ -46,6 +67,7 @@ chrome.storage.onChanged.addListener((changes) => {
   state.selectedSeq = null;
   renderEntries();
   pollOnce();
+  if (state.view === 'events') startEventStream();
 });
 
 refreshBtn.addEventListener('click', () => {
@@ -57,12 +79,46 @@ pauseBtn.addEventListener('click', () => {
   pauseBtn.textContent = state.paused ? 'Resume' : 'Pause';
   if (state.paused) {
     stopPolling();
+    stopEventStream();
+  } else if (state.view === 'events') {
+    startEventStream();
   } else if (!document.hidden) {
     startPolling();
     pollOnce();
   }
 });
 
+viewSelect.addEventListener('change', () => {
+  state.view = LOG_VIEWS.has(viewSelect.value) ? viewSelect.value : 'cdp';
+  state.lastSeq = 0;
+  state.entries = [];
+  state.selectedSeq = null;
+  detailsEl.textContent = 'Select a row to inspect full JSON payload.';
+  renderHead();
+  renderEntries();
+  pollOnce();
+  if (state.view === 'events') {
+    stopPolling();
+    startEventStream();
+  } else {
+    stopEventStream();
+    startPolling();
+  }
+});
+
+// Filters run on the relay (/logs/cdp query params), so changing one restarts
+// polling from scratch instead of scanning the rows already loaded.
+for (const input of Object.values(filterInputs)) {
+  input.addEventListener('change', () => {
+    state.filterQuery = buildFilterQuery();
+    state.lastSeq = 0;
+    state.entries = [];
+    state.selectedSeq = null;
+    renderEntries();
+    pollOnce();
+  });
+}
+
 clearBtn.addEventListener('click', () => {
   state.entries = [];
   state.selectedSeq = null;
@@ -83,9 +139,11 @@ document.addEventListener('visibilitychange', () => {
 
 window.addEventListener('beforeunload', () => {
   stopPolling();
+  stopEventStream();
 });
 
 relayUrlEl.textContent = state.relayHttpBase;
+renderHead();
 startPolling();
 pollOnce();
 
@@ -100,7 +158,8 @@ function wsToHttpBase(wsUrl) {
 }
 
 function startPolling() {
-  if (state.timer || state.paused) return;
+  // The events view is pushed by the relay (GET /events), not polled.
+  if (state.timer || state.paused || state.view === 'events') return;
   state.timer = setInterval(() => {
     if (state.inFlight) return;
     pollOnce();
@@ -113,14 +172,61 @@ function stopPolling() {
   state.timer = null;
 }
 
+// Live lifecycle events. Extension and client events also refresh the status
+// panel, which is the only thing this view fetches.
+async function startEventStream() {
+  stopEventStream();
+  const { subscribeRelayEvents } = await import('./relay-events.js');
+  if (state.view !== 'events' || state.paused) return;
+  state.stopEvents = subscribeRelayEvents({
+    baseUrl: state.relayHttpBase,
+    onStatus: (live) => setError(live ? '' : 'Relay event stream disconnected — reconnecting…'),
+    onEvent: (event) => {
+      if (event.type === 'snapshot' || event.type.startsWith('extension.') || event.type.startsWith('client.')) {
+        pollOnce();
+      }
+      if (event.type === 'snapshot') return;
+      state.entries.push(event);
+      if (state.entries.length > MAX_RENDERED_ENTRIES) {
+        state.entries.splice(0, state.entries.length - MAX_RENDERED_ENTRIES);
+      }
+      renderEntries();
+    },
+  });
+}
+
+function stopEventStream() {
+  state.stopEvents?.();
+  state.stopEvents = null;
+}
+
 async function pollOnce() {
   if (state.inFlight) return;
   state.inFlight = true;
 
   try {
+    if (state.view === 'events') {
+      renderStatus(await fetchJson('/logs/status'));
+      setError('');
+      return;
+    }
+
+    if (state.view === 'audit') {
+      const [status, audit] = await Promise.all([
+        fetchJson('/logs/status'),
+        fetchJson('/logs/audit?limit=500'),
+      ]);
+      // The audit trail is durable and small; replace the view each poll.
+      state.entries = (audit.entries || []).map((entry, index) => ({ ...entry, seq: index + 1 }));
+      renderStatus(status);
+      renderEntries();
+      setError('');
+      return;
+    }
+
     const [status, logs] = await Promise.all([
       fetchJson('/logs/status'),
-      fetchJson(`/logs/cdp?after=${state.lastSeq}&limit=500`),
+      fetchJson(`/logs/cdp?after=${state.lastSeq}&limit=500${state.filterQuery}`),
     ]);
 
     if (logs.resetRequired) {
@@ -136,7 +242,7 @@ async function pollOnce() {
       }
     }
 
-    state.lastSeq = logs.latestSeq || state.lastSeq;
+    state.lastSeq = logs.cursor?.next || logs.latestSeq || state.lastSeq;
     renderStatus(status);
     renderEntries();
     setError('');
@@ -188,10 +294,69 @@ function renderStatus(status) {
   }
 
   const counts = status.logs.directionCounts;
-  logSummaryEl.textContent = `from-playwright ${counts.fromPlaywright} • to-playwright ${counts.toPlaywright} • from-extension ${counts.fromExtension} • to-extension ${counts.toExtension}`;
+  const batching = status.cdpBatching;
+  const batchSummary = batching?.batches
+    ? ` • ${batching.batches} batches (${batching.batchedCommands} commands, ${batching.messagesSaved} messages saved)`
+    : '';
+  logSummaryEl.textContent = `from-playwright ${counts.fromPlaywright} • to-playwright ${counts.toPlaywright} • from-extension ${counts.fromExtension} • to-extension ${counts.toExtension}${batchSummary}`;
   lastUpdatedEl.textContent = `Updated: ${new Date().toLocaleTimeString()}`;
 }
 
+function renderHead() {
+  const columns = VIEW_COLUMNS[state.view];
+  headRowEl.innerHTML = columns.map((column) => `<th>${column}</th>`).join('');
+  entriesTitleEl.textContent = { cdp: 'CDP Entries', audit: 'Audit Trail', events: 'Relay Events' }[state.view];
+  cdpFiltersEl.hidden = state.view !== 'cdp';
+}
+
+function buildFilterQuery() {
+  const params = new URLSearchParams();
+  for (const [key, input] of Object.entries(filterInputs)) {
+    const value = input.value.trim();
+    if (value) params.set(key, value);
+  }
+  const query = params.toString();
+  return query ? `&${query}` : '';
+}
+
+function renderCells(entry) {
+  if (state.view === 'events') {
+    return [
+      `<td class="mono">${entry.seq}</td>`,
+      `<td class="mono">${formatTime(entry.at)}</td>`,
+      `<td class="mono">${escapeHtml(entry.type)}</td>`,
+      `<td class="mono">${escapeHtml(entry.label || entry.clientId || '-')}</td>`,
+      `<td class="mono">${escapeHtml(entry.tabId ?? '-')}</td>`,
+      `<td class="mono">${escapeHtml(entry.message || entry.url || entry.reason || entry.profileId || '')}</td>`,
+    ].join('');
+  }
+
+  if (state.view === 'audit') {
+    return [
+      `<td class="mono">${formatTime(entry.timestamp)}</td>`,
+      `<td>${escapeHtml(entry.outcome)}</td>`,
+      `<td class="mono">${escapeHtml(entry.clientLabel || entry.clientId || '-')}</td>`,
+      `<td class="mono">${escapeHtml(entry.method)}</td>`,
+      `<td class="mono">${escapeHtml(entry.tabId ?? '-')}</td>`,
+      `<td class="mono">${escapeHtml(entry.url || '')}</td>`,
+    ].join('');
+  }
+
+  const batch = entry.message?.batch;
+  const method = batch
+    ? `${entry.message.method} ×${batch.size} (${batch.durationMs}ms)`
+    : entry.message?.method || 'response';
+  const sessionId = entry.message?.sessionId || '';
+  return [
+    `<td class="mono">${entry.seq}</td>`,
+    `<td class="mono">${formatTime(entry.timestamp)}</td>`,
+    `<td>${entry.direction}</td>`,
+    `<td class="mono">${escapeHtml(entry.clientLabel || entry.clientId || '-')}</td>`,
+    `<td class="mono">${escapeHtml(method)}</td>`,
+    `<td class="mono">${escapeHtml(sessionId)}</td>`,
+  ].join('');
+}
+
 function renderEntries() {
   entryCountEl.textContent = `${state.entries.length} entries`;
 
@@ -205,19 +370,7 @@ function renderEntries() {
     const row = document.createElement('tr');
     row.className = 'clickable';
     if (state.selectedSeq === entry.seq) row.classList.add('active');
-
-    const method = entry.message?.method || 'response';
-    const sessionId = entry.message?.sessionId || '';
-    const time = formatTime(entry.timestamp);
-
-    row.innerHTML = [
-      `<td class="mono">${entry.seq}</td>`,
-      `<td class="mono">${time}</td>`,
-      `<td>${entry.direction}</td>`,
-      `<td class="mono">${escapeHtml(entry.clientLabel || entry.clientId || '-')}</td>`,
-      `<td class="mono">${escapeHtml(method)}</td>`,
-      `<td class="mono">${escapeHtml(sessionId)}</td>`,
-    ].join('');
+    row.innerHTML = renderCells(entry);
 
     row.addEventListener('click', () => {
       state.selectedSeq = entry.seq;
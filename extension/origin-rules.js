@@ -0,0 +1,113 @@
+// Per-origin restriction rules: pure matching and validation, shared by the
+// popup (editor) and background.js (enforcement in checkRestriction).
+//
+// A rule is `{ pattern, access }`, stored in chrome.storage.local `originRules`.
+// Rules are evaluated top to bottom against the current URL of the command's
+// target (the tab, or a cross-origin frame or worker it embeds) and the first
+// match wins, so a "full" rule for staging placed above a catch-all "*"
+// rule exempts staging from it.
+//
+// Patterns:
+//   *                          every http(s) page
+//   bank.com                   that host only
+//   *.bank.com                 bank.com and all of its subdomains
+//   https://hr.example.com     scheme must match too (an optional :port as well)
+//   https://*.example.com:8443
+
+export const ORIGIN_RULE_ACCESS = {
+  full: {
+    label: 'Full control',
+    line: 'full control (global lock URL and read-only do not apply)',
+  },
+  'read-only': {
+    label: 'Read-only',
+    line: 'read-only — do not click, type, or submit. Use snapshot(), screenshot(), page.evaluate() to observe.',
+  },
+  'no-password-input': {
+    label: 'No typing into password fields',
+    line: 'no typing into password fields — ask the user to enter credentials themselves.',
+  },
+  'lock-url': {
+    label: 'Lock URL',
+    line: 'URL is locked — do not navigate away. page.reload() is allowed.',
+  },
+};
+
+const PATTERN_RE = /^(?:(https?):\/\/)?(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}))?\/?$/i;
+
+function parsePattern(pattern) {
+  if (pattern === '*') return { any: true };
+  const match = PATTERN_RE.exec(pattern);
+  if (!match) return null;
+  const [, scheme, wildcard, host, port] = match;
+  return {
+    scheme: scheme?.toLowerCase() || null,
+    subdomains: !!wildcard,
+    host: host.toLowerCase(),
+    port: port || null,
+  };
+}
+
+/** Validate and normalize a site pattern; throws with a user-facing message. */
+export function normalizeOriginPattern(value) {
+  const pattern = typeof value === 'string' ? value.trim().toLowerCase().replace(/\/+$/, '') : '';
+  if (!pattern || !parsePattern(pattern)) {
+    throw new Error(`Invalid site pattern "${value ?? ''}" — use *, bank.com, *.bank.com or https://host[:port]`);
+  }
+  return pattern;
+}
+
+/** Validate and normalize one rule; throws with a user-facing message. */
+export function normalizeOriginRule(rule) {
+  const pattern = normalizeOriginPattern(rule?.pattern);
+  if (!Object.hasOwn(ORIGIN_RULE_ACCESS, rule.access)) {
+    throw new Error(`Unknown access "${rule.access}" — use ${Object.keys(ORIGIN_RULE_ACCESS).join(', ')}`);
+  }
+  return { pattern, access: rule.access };
+}
+
+/** Normalize a stored list, dropping entries that no longer validate. */
+export function normalizeOriginRules(rules) {
+  if (!Array.isArray(rules)) return [];
+  const normalized = [];
+  for (const rule of rules) {
+    try {
+      normalized.push(normalizeOriginRule(rule));
+    } catch {
+      // skip invalid stored rule
+    }
+  }
+  return normalized;
+}
+
+export function originRuleMatches(rule, url) {
+  return originPatternMatches(rule.pattern, url);
+}
+
+/** Whether a site pattern (see the header) matches `url`. */
+export function originPatternMatches(value, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return false;
+  const pattern = parsePattern(value);
+  if (!pattern) return false;
+  if (pattern.any) return true;
+  if (pattern.scheme && `${pattern.scheme}:` !== parsed.protocol) return false;
+  if (pattern.port && pattern.port !== (parsed.port || (parsed.protocol === 'https:' ? '443' : '80'))) return false;
+  const hostname = parsed.hostname.toLowerCase();
+  if (hostname === pattern.host) return true;
+  return pattern.subdomains && hostname.endsWith(`.${pattern.host}`);
+}
+
+/** First rule matching `url`, or null. */
+export function findOriginRule(rules, url) {
+  return normalizeOriginRules(rules).find((rule) => originRuleMatches(rule, url)) || null;
+}
+
+export function describeOriginRule(rule) {
+  return `${rule.pattern} → ${ORIGIN_RULE_ACCESS[rule.access]?.label || rule.access}`;
+}
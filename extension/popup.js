@@ -28,14 +28,52 @@ const openLogsBtn = document.getElementById('bf-open-logs');
 const modeSelect = document.getElementById('bf-mode');
 const executionModeSelect = document.getElementById('bf-execution-mode');
 const parallelVisibilitySelect = document.getElementById('bf-parallel-visibility');
+const dialogPolicySelect = document.getElementById('bf-dialog-policy');
+const downloadsCb = document.getElementById('bf-downloads');
+const browserDataCbs = [...document.querySelectorAll('.bf-browser-data')];
+const browserDataNoticeEl = document.getElementById('bf-browser-data-notice');
+const browserDataTextEl = document.getElementById('bf-browser-data-text');
 const lockUrlCb = document.getElementById('bf-lock-url');
 const noNewTabsCb = document.getElementById('bf-no-new-tabs');
 const readOnlyCb = document.getElementById('bf-read-only');
 const dedicatedWindowCb = document.getElementById('bf-dedicated-window');
 const ghostCursorCb = document.getElementById('bf-ghost-cursor');
+const agentOverlayCb = document.getElementById('bf-agent-overlay');
 const autoDetachSelect = document.getElementById('bf-auto-detach');
 const autoCloseSelect = document.getElementById('bf-auto-close');
 const instructionsEl = document.getElementById('bf-instructions');
+const originRulesListEl = document.getElementById('bf-origin-rules');
+const originRulePatternInput = document.getElementById('bf-origin-rule-pattern');
+const originRuleAccessSelect = document.getElementById('bf-origin-rule-access');
+const originRuleAddBtn = document.getElementById('bf-origin-rule-add');
+const originRuleErrorEl = document.getElementById('bf-origin-rule-error');
+const credentialGuardCb = document.getElementById('bf-credential-guard');
+const credentialAllowlistEl = document.getElementById('bf-credential-allowlist');
+const credentialAllowPatternInput = document.getElementById('bf-credential-allow-pattern');
+const credentialAllowAddBtn = document.getElementById('bf-credential-allow-add');
+const credentialAllowErrorEl = document.getElementById('bf-credential-allow-error');
+const approvalClassCbs = [...document.querySelectorAll('.bf-approval-class')];
+const approvalsEl = document.getElementById('bf-approvals');
+const approvalCountEl = document.getElementById('bf-approval-count');
+const approvalListEl = document.getElementById('bf-approval-list');
+const killSwitchBtn = document.getElementById('bf-kill-switch');
+const killSwitchHintEl = document.getElementById('bf-kill-switch-hint');
+const controlModeSelect = document.getElementById('bf-control-mode');
+const heldCountEl = document.getElementById('bf-held-count');
+const heldListEl = document.getElementById('bf-held-list');
+const heldActionsEl = document.getElementById('bf-held-actions');
+const runNextBtn = document.getElementById('bf-run-next');
+const resumeBtn = document.getElementById('bf-resume');
+const grantMinutesSelect = document.getElementById('bf-grant-minutes');
+const grantAccessBtn = document.getElementById('bf-grant-access');
+const endGrantBtn = document.getElementById('bf-end-grant');
+const newSessionBtn = document.getElementById('bf-new-session');
+const accessHintEl = document.getElementById('bf-access-hint');
+const scheduleEnabledCb = document.getElementById('bf-schedule-enabled');
+const scheduleDaysEl = document.getElementById('bf-schedule-days');
+const maxSessionSelect = document.getElementById('bf-max-session');
+const recordBtn = document.getElementById('bf-record');
+const recordHintEl = document.getElementById('bf-record-hint');
 
 // --- Tab Navigation ---
 
@@ -53,7 +91,9 @@ document.querySelectorAll('.tab-btn').forEach((btn) => {
 const SETTINGS_KEYS = [
   'relayUrl', 'autoDetachMinutes', 'autoCloseMinutes',
   'mode', 'lockUrl', 'noNewTabs', 'readOnly', 'userInstructions',
-  'executionMode', 'parallelVisibilityMode', 'dedicatedWindow', 'ghostCursorEnabled',
+  'executionMode', 'parallelVisibilityMode', 'dedicatedWindow', 'ghostCursorEnabled', 'agentOverlayEnabled',
+  'originRules', 'approvalClasses', 'accessSchedule', 'credentialGuard', 'credentialAllowlist',
+  'dialogPolicy', 'historyAccess', 'bookmarksAccess', 'tabGroupsAccess',
 ];
 
 chrome.storage.local.get(SETTINGS_KEYS, (s) => {
@@ -63,13 +103,22 @@ chrome.storage.local.get(SETTINGS_KEYS, (s) => {
   modeSelect.value = s.mode || 'auto';
   executionModeSelect.value = s.executionMode || 'parallel';
   parallelVisibilitySelect.value = s.parallelVisibilityMode || 'foreground-tab';
+  dialogPolicySelect.value = s.dialogPolicy || 'agent';
+  loadBrowserData(s);
   lockUrlCb.checked = !!s.lockUrl;
   noNewTabsCb.checked = !!s.noNewTabs;
   readOnlyCb.checked = !!s.readOnly;
   dedicatedWindowCb.checked = !!s.dedicatedWindow;
   ghostCursorCb.checked = !!s.ghostCursorEnabled;
+  agentOverlayCb.checked = s.agentOverlayEnabled !== false;
   instructionsEl.value = s.userInstructions || '';
   setAutoModeState(s.mode || 'auto');
+  loadOriginRules(s.originRules);
+  credentialGuardCb.checked = s.credentialGuard !== false;
+  loadCredentialAllowlist(s.credentialAllowlist);
+  loadAccessSchedule(s.accessSchedule);
+  const approvalClasses = Array.isArray(s.approvalClasses) ? s.approvalClasses : [];
+  approvalClassCbs.forEach((cb) => { cb.checked = approvalClasses.includes(cb.dataset.approvalClass); });
 });
 
 // --- Save Handlers ---
@@ -125,6 +174,10 @@ parallelVisibilitySelect.addEventListener('change', () => {
   chrome.storage.local.set({ parallelVisibilityMode: parallelVisibilitySelect.value });
 });
 
+dialogPolicySelect.addEventListener('change', () => {
+  chrome.storage.local.set({ dialogPolicy: dialogPolicySelect.value });
+});
+
 dedicatedWindowCb.addEventListener('change', () => {
   chrome.storage.local.set({ dedicatedWindow: dedicatedWindowCb.checked });
 });
@@ -133,6 +186,10 @@ ghostCursorCb.addEventListener('change', () => {
   chrome.storage.local.set({ ghostCursorEnabled: ghostCursorCb.checked });
 });
 
+agentOverlayCb.addEventListener('change', () => {
+  chrome.storage.local.set({ agentOverlayEnabled: agentOverlayCb.checked });
+});
+
 autoDetachSelect.addEventListener('change', () => {
   chrome.storage.local.set({ autoDetachMinutes: Number(autoDetachSelect.value) });
 });
@@ -151,6 +208,9 @@ function updateInstructions() {
   if (lockUrlCb.checked) autoLines.push(RESTRICTION_LINES.lockUrl);
   if (noNewTabsCb.checked) autoLines.push(RESTRICTION_LINES.noNewTabs);
   if (readOnlyCb.checked) autoLines.push(RESTRICTION_LINES.readOnly);
+  for (const rule of originRules) {
+    autoLines.push(`- On ${rule.pattern}: ${originRuleHelpers.ORIGIN_RULE_ACCESS[rule.access].line}`);
+  }
 
   // Extract user lines (everything after the marker, or everything if no marker)
   const current = instructionsEl.value;
@@ -185,6 +245,465 @@ lockUrlCb.addEventListener('change', onRestrictionToggle);
 noNewTabsCb.addEventListener('change', onRestrictionToggle);
 readOnlyCb.addEventListener('change', onRestrictionToggle);
 
+// --- Site Rules ---
+
+// origin-rules.js is an ES module shared with background.js; popup.js is a
+// classic script, so it is loaded on demand.
+let originRuleHelpers = null;
+let originRules = [];
+
+async function loadOriginRules(stored) {
+  originRuleHelpers = await import('./origin-rules.js');
+  originRuleAccessSelect.replaceChildren(...Object.entries(originRuleHelpers.ORIGIN_RULE_ACCESS).map(([value, { label }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }));
+  originRuleAccessSelect.value = 'read-only';
+  originRules = originRuleHelpers.normalizeOriginRules(stored);
+  renderOriginRules();
+}
+
+function renderOriginRules() {
+  originRulesListEl.replaceChildren();
+  if (originRules.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = 'No site rules — the restrictions above apply everywhere.';
+    originRulesListEl.appendChild(li);
+    return;
+  }
+  originRules.forEach((rule, index) => {
+    const li = document.createElement('li');
+    const text = document.createElement('span');
+    text.className = 'origin-rule-text';
+    text.textContent = originRuleHelpers.describeOriginRule(rule);
+    li.appendChild(text);
+    if (index > 0) {
+      const upBtn = document.createElement('button');
+      upBtn.className = 'detach-btn';
+      upBtn.textContent = '\u2191';
+      upBtn.title = 'Move up (checked earlier)';
+      upBtn.addEventListener('click', () => {
+        const next = [...originRules];
+        [next[index - 1], next[index]] = [next[index], next[index - 1]];
+        saveOriginRules(next);
+      });
+      li.appendChild(upBtn);
+    }
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'detach-btn';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.title = 'Remove rule';
+    removeBtn.addEventListener('click', () => saveOriginRules(originRules.filter((_, i) => i !== index)));
+    li.appendChild(removeBtn);
+    originRulesListEl.appendChild(li);
+  });
+}
+
+function saveOriginRules(next) {
+  originRules = next;
+  chrome.storage.local.set({ originRules });
+  renderOriginRules();
+  updateInstructions();
+}
+
+originRuleAddBtn.addEventListener('click', () => {
+  if (!originRuleHelpers) return;
+  try {
+    const rule = originRuleHelpers.normalizeOriginRule({
+      pattern: originRulePatternInput.value,
+      access: originRuleAccessSelect.value,
+    });
+    originRuleErrorEl.hidden = true;
+    originRulePatternInput.value = '';
+    saveOriginRules([...originRules.filter((existing) => existing.pattern !== rule.pattern), rule]);
+  } catch (err) {
+    originRuleErrorEl.textContent = err.message;
+    originRuleErrorEl.hidden = false;
+  }
+});
+
+originRulePatternInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') originRuleAddBtn.click();
+});
+
+// --- Credential Protection ---
+
+// credential-guard.js is shared with background.js, like origin-rules.js.
+let credentialGuardHelpers = null;
+let credentialAllowlist = [];
+
+async function loadCredentialAllowlist(stored) {
+  credentialGuardHelpers = await import('./credential-guard.js');
+  credentialAllowlist = credentialGuardHelpers.normalizeCredentialAllowlist(stored);
+  renderCredentialAllowlist();
+}
+
+function renderCredentialAllowlist() {
+  credentialAllowlistEl.replaceChildren();
+  if (credentialAllowlist.length === 0) {
+    const li = document.createElement('li');
+    li.className = 'empty';
+    li.textContent = 'No sites allowed — protection applies everywhere.';
+    credentialAllowlistEl.appendChild(li);
+    return;
+  }
+  credentialAllowlist.forEach((pattern) => {
+    const li = document.createElement('li');
+    const text = document.createElement('span');
+    text.className = 'origin-rule-text';
+    text.textContent = pattern;
+    li.appendChild(text);
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'detach-btn';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.title = 'Remove site';
+    removeBtn.addEventListener('click', () => saveCredentialAllowlist(credentialAllowlist.filter((other) => other !== pattern)));
+    li.appendChild(removeBtn);
+    credentialAllowlistEl.appendChild(li);
+  });
+}
+
+function saveCredentialAllowlist(next) {
+  credentialAllowlist = next;
+  chrome.storage.local.set({ credentialAllowlist });
+  renderCredentialAllowlist();
+}
+
+credentialGuardCb.addEventListener('change', () => {
+  chrome.storage.local.set({ credentialGuard: credentialGuardCb.checked });
+});
+
+credentialAllowAddBtn.addEventListener('click', () => {
+  if (!credentialGuardHelpers || !originRuleHelpers) return;
+  try {
+    const pattern = originRuleHelpers.normalizeOriginPattern(credentialAllowPatternInput.value);
+    credentialAllowErrorEl.hidden = true;
+    credentialAllowPatternInput.value = '';
+    saveCredentialAllowlist([...credentialAllowlist.filter((other) => other !== pattern), pattern]);
+  } catch (err) {
+    credentialAllowErrorEl.textContent = err.message;
+    credentialAllowErrorEl.hidden = false;
+  }
+});
+
+credentialAllowPatternInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') credentialAllowAddBtn.click();
+});
+
+// --- Browser Data ---
+
+// browser-data.js is shared with background.js, like origin-rules.js. The
+// boxes stay disabled until it loads, so a click can't go unsaved.
+let browserDataHelpers = null;
+
+async function loadBrowserData(stored) {
+  browserDataHelpers = await import('./browser-data.js');
+  const settings = browserDataHelpers.readBrowserDataSettings(stored);
+  browserDataCbs.forEach((cb) => {
+    cb.checked = settings[cb.dataset.capability];
+    cb.disabled = false;
+  });
+  renderBrowserDataNotice();
+}
+
+function renderBrowserDataNotice() {
+  const enabled = browserDataCbs
+    .filter((cb) => cb.checked)
+    .map((cb) => browserDataHelpers.BROWSER_DATA_CAPABILITIES[cb.dataset.capability].label.toLowerCase());
+  browserDataNoticeEl.hidden = enabled.length === 0;
+  browserDataTextEl.textContent = `Agents can use your ${enabled.join(', ')}. Turn this off in Settings → Browser Data.`;
+}
+
+browserDataCbs.forEach((cb) => {
+  cb.addEventListener('change', async () => {
+    const { setting, permission } = browserDataHelpers.BROWSER_DATA_CAPABILITIES[cb.dataset.capability];
+    // permissions.request() needs the click's user gesture, so nothing is awaited before it.
+    if (permission && cb.checked && !(await chrome.permissions.request({ permissions: [permission] }))) {
+      cb.checked = false;
+      return;
+    }
+    if (permission && !cb.checked) await chrome.permissions.remove({ permissions: [permission] });
+    await chrome.storage.local.set({ [setting]: cb.checked });
+    renderBrowserDataNotice();
+  });
+});
+
+// --- Downloads ---
+
+// The optional `downloads` permission is the setting: background.js starts
+// tracking when it is granted.
+chrome.permissions.contains({ permissions: ['downloads'] }).then((granted) => {
+  downloadsCb.checked = granted;
+  downloadsCb.disabled = false;
+});
+
+downloadsCb.addEventListener('change', async () => {
+  // permissions.request() needs the click's user gesture, so nothing is awaited before it.
+  if (downloadsCb.checked) {
+    downloadsCb.checked = await chrome.permissions.request({ permissions: ['downloads'] });
+    return;
+  }
+  await chrome.permissions.remove({ permissions: ['downloads'] });
+});
+
+// --- Ask First (approval gate) ---
+
+approvalClassCbs.forEach((cb) => {
+  cb.addEventListener('change', () => {
+    const approvalClasses = approvalClassCbs.filter((box) => box.checked).map((box) => box.dataset.approvalClass);
+    chrome.storage.local.set({ approvalClasses });
+  });
+});
+
+function refreshApprovals() {
+  chrome.runtime.sendMessage({ type: 'getPendingApprovals' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderApprovals(response.approvals || []);
+  });
+}
+
+function renderApprovals(approvals) {
+  approvalsEl.hidden = approvals.length === 0;
+  approvalCountEl.textContent = approvals.length;
+  approvalListEl.replaceChildren(...approvals.map((approval) => {
+    const item = document.createElement('div');
+    item.className = 'approval-item';
+
+    const title = document.createElement('div');
+    title.className = 'approval-title';
+    title.textContent = approval.description;
+    item.appendChild(title);
+
+    const url = document.createElement('div');
+    url.className = 'tab-url';
+    url.textContent = approval.url || approval.title || `Tab ${approval.tabId}`;
+    item.appendChild(url);
+
+    if (approval.screenshot) {
+      const img = document.createElement('img');
+      img.className = 'approval-shot';
+      img.src = approval.screenshot;
+      img.alt = 'The element the agent is about to act on';
+      item.appendChild(img);
+    }
+
+    const reasonInput = document.createElement('input');
+    reasonInput.type = 'text';
+    reasonInput.placeholder = 'Reason (sent to the agent if denied)';
+    item.appendChild(reasonInput);
+
+    const actions = document.createElement('div');
+    actions.className = 'input-row approval-actions';
+    const resolve = (approved) => {
+      chrome.runtime.sendMessage({
+        type: 'resolveApproval',
+        id: approval.id,
+        approved,
+        reason: reasonInput.value,
+      }, () => refreshApprovals());
+    };
+    const approveBtn = document.createElement('button');
+    approveBtn.textContent = 'Approve';
+    approveBtn.addEventListener('click', () => resolve(true));
+    const denyBtn = document.createElement('button');
+    denyBtn.className = 'deny-btn';
+    denyBtn.textContent = 'Deny';
+    denyBtn.addEventListener('click', () => resolve(false));
+    actions.append(approveBtn, denyBtn);
+    item.appendChild(actions);
+    return item;
+  }));
+}
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'approvalsChanged') refreshApprovals();
+});
+refreshApprovals();
+
+// --- Kill Switch ---
+
+let killSwitchEngaged = false;
+let killSwitchShortcut = '';
+
+chrome.commands?.getAll((commands) => {
+  killSwitchShortcut = commands?.find((command) => command.name === 'kill-switch')?.shortcut || '';
+  setKillSwitch(killSwitchEngaged);
+});
+
+function setKillSwitch(engaged) {
+  killSwitchEngaged = engaged;
+  killSwitchBtn.classList.toggle('engaged', engaged);
+  killSwitchBtn.textContent = engaged ? 'Resume Agent Access' : 'Stop All Agent Access';
+  const shortcut = killSwitchShortcut ? ` Shortcut: ${killSwitchShortcut}.` : '';
+  killSwitchHintEl.textContent = engaged
+    ? 'Agent access is stopped. Every command is refused until you resume.'
+    : `Detaches every tab and blocks the agent until you resume.${shortcut}`;
+  attachBtn.disabled = engaged;
+}
+
+killSwitchBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: killSwitchEngaged ? 'releaseKillSwitch' : 'engageKillSwitch' }, () => {
+    refreshStatus();
+  });
+});
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'killSwitchChanged') refreshStatus();
+});
+
+// --- Pause / Step ---
+
+function refreshAgentControl() {
+  chrome.runtime.sendMessage({ type: 'getAgentControl' }, (response) => {
+    if (chrome.runtime.lastError || !response) return;
+    renderAgentControl(response);
+  });
+}
+
+function renderAgentControl({ mode, held = [] }) {
+  controlModeSelect.value = mode;
+  heldCountEl.hidden = held.length === 0;
+  heldCountEl.textContent = held.length;
+  heldListEl.hidden = held.length === 0;
+  heldActionsEl.hidden = mode === 'run';
+  runNextBtn.hidden = mode !== 'step';
+  runNextBtn.disabled = held.length === 0;
+  heldListEl.replaceChildren(...held.map((command, i) => {
+    const item = document.createElement('div');
+    item.className = 'approval-item';
+
+    const title = document.createElement('div');
+    title.className = 'approval-title';
+    title.textContent = `${i === 0 ? 'Next: ' : ''}${command.description}`;
+    item.appendChild(title);
+
+    const detail = document.createElement('div');
+    detail.className = 'tab-url';
+    detail.textContent = `${command.method} · ${command.url || command.title || (command.tabId ? `Tab ${command.tabId}` : 'new tab')}`;
+    item.appendChild(detail);
+    return item;
+  }));
+}
+
+controlModeSelect.addEventListener('change', () => {
+  chrome.runtime.sendMessage({ type: 'setControlMode', mode: controlModeSelect.value }, () => refreshAgentControl());
+});
+
+runNextBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'releaseHeldCommand' }, () => refreshAgentControl());
+});
+
+resumeBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'setControlMode', mode: 'run' }, () => refreshAgentControl());
+});
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'agentControlChanged') refreshAgentControl();
+});
+refreshAgentControl();
+
+// --- Access Schedule ---
+
+// access-schedule.js is shared with background.js and loaded on demand, like origin-rules.js.
+let accessScheduleHelpers = null;
+let accessSchedule = null;
+
+async function loadAccessSchedule(stored) {
+  accessScheduleHelpers = await import('./access-schedule.js');
+  accessSchedule = accessScheduleHelpers.normalizeAccessSchedule(stored);
+  renderAccessSchedule();
+}
+
+function renderAccessSchedule() {
+  const { WEEKDAYS, WEEKDAY_LABELS } = accessScheduleHelpers;
+  scheduleEnabledCb.checked = accessSchedule.enabled;
+  maxSessionSelect.value = String(accessSchedule.maxSessionMinutes);
+  scheduleDaysEl.replaceChildren(...WEEKDAYS.map((day) => {
+    const window = accessSchedule.hours[day];
+    const row = document.createElement('div');
+    row.className = 'schedule-day';
+
+    const label = document.createElement('label');
+    const on = document.createElement('input');
+    on.type = 'checkbox';
+    on.checked = !!window;
+    label.append(on, ` ${WEEKDAY_LABELS[day]}`);
+
+    const start = document.createElement('input');
+    start.type = 'time';
+    start.value = window?.start || '09:00';
+    start.disabled = !window;
+    const end = document.createElement('input');
+    end.type = 'time';
+    end.value = window?.end || '18:00';
+    end.disabled = !window;
+
+    const save = () => {
+      const hours = { ...accessSchedule.hours };
+      if (on.checked) hours[day] = { start: start.value, end: end.value };
+      else delete hours[day];
+      saveAccessSchedule({ hours });
+    };
+    on.addEventListener('change', save);
+    start.addEventListener('change', save);
+    end.addEventListener('change', save);
+    row.append(label, start, '–', end);
+    return row;
+  }));
+}
+
+function saveAccessSchedule(patch) {
+  accessSchedule = accessScheduleHelpers.normalizeAccessSchedule({ ...accessSchedule, ...patch });
+  chrome.storage.local.set({ accessSchedule });
+  renderAccessSchedule();
+}
+
+scheduleEnabledCb.addEventListener('change', () => saveAccessSchedule({ enabled: scheduleEnabledCb.checked }));
+maxSessionSelect.addEventListener('change', () => saveAccessSchedule({ maxSessionMinutes: Number(maxSessionSelect.value) }));
+
+grantAccessBtn.addEventListener('click', () => {
+  const now = Date.now();
+  chrome.storage.local.set({ accessGrant: { grantedAt: now, until: now + Number(grantMinutesSelect.value) * 60_000 } });
+});
+
+endGrantBtn.addEventListener('click', () => {
+  chrome.storage.local.remove('accessGrant');
+});
+
+newSessionBtn.addEventListener('click', () => {
+  chrome.storage.local.remove('accessSession');
+});
+
+const ACCESS_EXPIRED_HINTS = {
+  outside_hours: 'Outside the scheduled hours.',
+  grant_ended: 'The granted time ran out.',
+  session_limit: 'The session reached its maximum length.',
+};
+
+function setAccess(access) {
+  endGrantBtn.hidden = !access?.grantUntil;
+  newSessionBtn.hidden = access?.reason !== 'session_limit';
+  if (!access || access.allowed) {
+    accessHintEl.textContent = access?.endsAt
+      ? `Agent access ends at ${new Date(access.endsAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+      : 'When the time is up, every tab is detached and the agent is refused.';
+    accessHintEl.classList.remove('access-expired');
+    return;
+  }
+  const resumes = access.resumesAt
+    ? ` Resumes ${new Date(access.resumesAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' })}.`
+    : '';
+  accessHintEl.textContent = `Agent access expired. ${ACCESS_EXPIRED_HINTS[access.reason] || ''}${resumes}`;
+  accessHintEl.classList.add('access-expired');
+}
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'accessChanged') refreshStatus();
+});
+
 // Save user edits to instructions (debounced)
 let instrTimeout;
 instructionsEl.addEventListener('input', () => {
@@ -244,9 +763,11 @@ function refreshStatus() {
 
     setStatus(response.connectionState, response.connectionState);
     setTabs(response.tabs || []);
-    setAutoTimer(response.nextAutoActionSecs);
+    setAutoTimer(response.nextAutoActionSecs, response.access);
+    setAccess(response.access);
     setMcpClientCount(response.mcpClientCount);
     setAutoModeState(response.mode || modeSelect.value || 'auto');
+    setKillSwitch(!!response.killSwitch?.engaged);
   });
 }
 
@@ -287,14 +808,26 @@ function setTabs(tabs) {
   });
 }
 
-function setAutoTimer(secs) {
-  if (secs == null) {
-    autoTimerEl.textContent = '';
-    return;
-  }
-  const m = Math.floor(secs / 60);
+function formatCountdown(secs) {
+  const h = Math.floor(secs / 3600);
+  const m = Math.floor((secs % 3600) / 60);
   const s = secs % 60;
-  autoTimerEl.textContent = `${m}:${String(s).padStart(2, '0')}`;
+  return h > 0
+    ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`
+    : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+// Idle auto-action countdown, plus the time left on time-boxed access.
+function setAutoTimer(secs, access) {
+  const parts = [];
+  if (access && !access.allowed) {
+    parts.push('access expired');
+  } else if (access?.endsAt) {
+    parts.push(`access ${formatCountdown(Math.max(0, Math.ceil((access.endsAt - Date.now()) / 1000)))}`);
+  }
+  if (secs != null) parts.push(formatCountdown(secs));
+  autoTimerVisible = parts.length > 0;
+  autoTimerEl.textContent = parts.join(' · ');
 }
 
 function setMcpClientCount(count) {
@@ -341,8 +874,104 @@ function escapeHtml(str) {
   return div.innerHTML;
 }
 
+// --- Relay Events ---
+// The relay pushes tab/client/extension lifecycle events (GET /events), so the
+// popup refreshes on each one and only polls while the stream is down or the
+// auto-detach countdown needs its per-second tick.
+
+let relayEventsLive = false;
+let autoTimerVisible = false;
+let stopRelayEvents = null;
+let relayBaseUrl = null;
+
+async function subscribeToRelay(relayUrl) {
+  const { relayHttpBase, subscribeRelayEvents } = await import('./relay-events.js');
+  stopRelayEvents?.();
+  relayEventsLive = false;
+  relayBaseUrl = relayHttpBase(relayUrl || RELAY_URL_DEFAULT);
+  refreshRecording();
+  stopRelayEvents = subscribeRelayEvents({
+    baseUrl: relayBaseUrl,
+    types: 'extension.*,tab.*,target.*,client.*,recording.*',
+    onEvent: (event) => {
+      if (event.type?.startsWith('recording.')) refreshRecording();
+      else refreshStatus();
+    },
+    onStatus: (live) => { relayEventsLive = live; },
+  });
+}
+
+// --- Recording ---
+// Recordings live on the relay (~/.browserforce/recordings); the popup talks
+// to it directly, identified by the extension origin like the options page.
+
+let recording = null;
+
+async function relayRequest(method, pathname) {
+  const extensionId = chrome.runtime.id;
+  const response = await fetch(`${relayBaseUrl}${pathname}`, {
+    method,
+    cache: 'no-store',
+    headers: extensionId ? { 'x-browserforce-extension-id': extensionId } : {},
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error || `Relay request failed (${response.status})`);
+  return body;
+}
+
+function setRecording(status, lastPlayer = null) {
+  recording = status?.recording ? status : null;
+  recordBtn.textContent = recording ? 'Stop Recording' : 'Start Recording';
+  recordBtn.classList.toggle('recording-active', !!recording);
+  if (recording) {
+    recordHintEl.textContent = `Recording ${recording.tabIds.length} tab(s) since ${new Date(recording.startedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`;
+  } else if (lastPlayer) {
+    recordHintEl.textContent = `Saved. Open ${lastPlayer} to watch it.`;
+  } else {
+    recordHintEl.textContent = 'Records attached tabs and the agent\'s clicks and typing for later review.';
+  }
+}
+
+async function refreshRecording() {
+  if (!relayBaseUrl) return;
+  try {
+    const { status, recordings } = await relayRequest('GET', '/recordings');
+    setRecording(status, recordings.find((entry) => entry.player)?.player);
+    recordBtn.disabled = false;
+  } catch {
+    recordBtn.disabled = true;
+    recordHintEl.textContent = 'Recording needs the relay to be running.';
+  }
+}
+
+recordBtn.addEventListener('click', async () => {
+  recordBtn.disabled = true;
+  try {
+    if (recording) {
+      const stopped = await relayRequest('POST', '/recordings/stop');
+      setRecording(null, stopped.player);
+    } else {
+      setRecording(await relayRequest('POST', '/recordings/start'));
+    }
+  } catch (err) {
+    recordHintEl.textContent = err.message;
+  } finally {
+    recordBtn.disabled = false;
+  }
+});
+
+chrome.storage.local.get(['relayUrl'], (stored) => {
+  subscribeToRelay(stored.relayUrl).catch(() => {});
+});
+
+chrome.storage.onChanged.addListener((changes) => {
+  if (changes.relayUrl) subscribeToRelay(changes.relayUrl.newValue).catch(() => {});
+});
+
 refreshStatus();
-setInterval(refreshStatus, 1000);
+setInterval(() => {
+  if (!relayEventsLive || autoTimerVisible) refreshStatus();
+}, 1000);
 window.addEventListener('resize', () => {
   window.requestAnimationFrame(fitAutoModeNoteText);
 });
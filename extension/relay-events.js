@@ -0,0 +1,100 @@
+// Subscriber for the relay's GET /events lifecycle stream, shared by the popup
+// and the logs viewer.
+//
+// Uses fetch rather than EventSource so the request can carry the
+// x-browserforce-extension-id header the relay's log-reader gate accepts (the
+// same way the logs viewer reads /logs/*). Reconnects with capped backoff
+// until the returned stop function is called; each reconnect starts with a
+// fresh `snapshot` event, so subscribers never need to poll to catch up.
+
+const RELAY_HTTP_DEFAULT = 'http://127.0.0.1:19222';
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 5000;
+
+export function relayHttpBase(wsUrl) {
+  try {
+    const parsed = new URL(wsUrl);
+    const protocol = parsed.protocol === 'wss:' ? 'https:' : 'http:';
+    return `${protocol}//${parsed.host}`;
+  } catch {
+    return RELAY_HTTP_DEFAULT;
+  }
+}
+
+/**
+ * Split buffered SSE text into complete events. Returns `{ events, rest }`,
+ * where `rest` is the trailing partial block to prepend to the next chunk.
+ * Comment lines (heartbeats) and malformed payloads are skipped.
+ */
+export function parseEventStreamChunk(buffer) {
+  const events = [];
+  let rest = buffer;
+  let end;
+  while ((end = rest.indexOf('\n\n')) !== -1) {
+    const block = rest.slice(0, end);
+    rest = rest.slice(end + 2);
+    const data = block
+      .split('\n')
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).trimStart())
+      .join('\n');
+    if (!data) continue;
+    try {
+      events.push(JSON.parse(data));
+    } catch {
+      // not JSON; ignore
+    }
+  }
+  return { events, rest };
+}
+
+/**
+ * Subscribe to relay events. `onEvent(event)` runs per event; `onStatus(live)`
+ * reports whether the stream is currently connected. Returns a stop function.
+ */
+export function subscribeRelayEvents({ baseUrl, types = '', onEvent, onStatus = () => {} }) {
+  let stopped = false;
+  let controller = null;
+
+  (async () => {
+    let backoffMs = RECONNECT_MIN_MS;
+    while (!stopped) {
+      controller = new AbortController();
+      try {
+        const extensionId = globalThis.chrome?.runtime?.id;
+        const query = types ? `?types=${encodeURIComponent(types)}` : '';
+        const response = await fetch(`${baseUrl}/events${query}`, {
+          method: 'GET',
+          cache: 'no-store',
+          headers: extensionId ? { 'x-browserforce-extension-id': extensionId } : {},
+          signal: controller.signal,
+        });
+        if (!response.ok || !response.body) {
+          throw new Error(`Event stream failed (${response.status})`);
+        }
+        backoffMs = RECONNECT_MIN_MS;
+        onStatus(true);
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        while (!stopped) {
+          const { value, done } = await reader.read();
+          if (done) break;
+          const parsed = parseEventStreamChunk(buffer + value);
+          buffer = parsed.rest;
+          for (const event of parsed.events) onEvent(event);
+        }
+      } catch {
+        // relay down, stream dropped, or stopped: retry below unless stopped
+      }
+      if (stopped) break;
+      onStatus(false);
+      await new Promise((resolve) => setTimeout(resolve, backoffMs));
+      backoffMs = Math.min(backoffMs * 2, RECONNECT_MAX_MS);
+    }
+  })();
+
+  return () => {
+    stopped = true;
+    controller?.abort();
+  };
+}
@@ -9,6 +9,7 @@ import crypto from 'node:crypto';
 import {
   INTERACTIVE_ROLES, CONTEXT_ROLES, TEST_ID_ATTRS, escapeLocatorName,
 } from './snapshot.js';
+import { REDACTED, createRedactor } from './redaction.js';
 
 // Unnamed wrapper roles are collapsed. Includes 'group', which snapshot.js
 // SKIP_ROLES (consumed by a11y-labels.js) intentionally omits — keep a local set
@@ -51,6 +52,18 @@ function buildBaseLocator({ role, name, stable, isPromotedContentEditable }) {
   return `role=${role}`;
 }
 
+// The locator is built from the raw name so it still finds the element; when
+// redaction changed the name, `displayBaseLocator` is what gets shown instead.
+function buildNodeLocators({ node, role, name, domByBackendId, promotedContentEditableIds }) {
+  const domInfo = node.backendNodeId ? domByBackendId.get(node.backendNodeId) : undefined;
+  const stable = domInfo ? getStableRefFromAttributes(domInfo.attributes) : null;
+  const isPromoted = node.backendNodeId != null && (promotedContentEditableIds?.has(node.backendNodeId) ?? false);
+  const baseLocator = buildBaseLocator({ role, name: node.rawName ?? name, stable, isPromotedContentEditable: isPromoted });
+  if (node.rawName === undefined) return { baseLocator };
+  const displayBaseLocator = buildBaseLocator({ role, name, stable, isPromotedContentEditable: isPromoted });
+  return displayBaseLocator === baseLocator ? { baseLocator } : { baseLocator, displayBaseLocator };
+}
+
 function getAxValueString(value) {
   if (!value) return '';
   const raw = value.value;
@@ -85,11 +98,12 @@ function isTruthy(value) {
   return Boolean(value);
 }
 
-function buildSnapshotLine({ role, name, baseLocator, indent, hasChildren }) {
+function buildSnapshotLine({ role, name, baseLocator, displayBaseLocator, indent, hasChildren, redacted }) {
   const prefix = '  '.repeat(indent);
   let text = `${prefix}- ${role}`;
   if (name) text += ` "${escapeLocatorName(name)}"`;
-  return { text, baseLocator, hasChildren, role, name, indent };
+  if (redacted) text += ` ${REDACTED}`;
+  return { text, baseLocator, displayBaseLocator, hasChildren, role, name, indent, redacted };
 }
 
 function buildTextLine(text, indent) {
@@ -103,8 +117,8 @@ export function buildSnapshotLines(nodes, indent = 0) {
     const line = node.role === 'text'
       ? buildTextLine(node.name, nodeIndent)
       : buildSnapshotLine({
-          role: node.role, name: node.name, baseLocator: node.baseLocator,
-          indent: nodeIndent, hasChildren: node.children.length > 0,
+          role: node.role, name: node.name, baseLocator: node.baseLocator, displayBaseLocator: node.displayBaseLocator,
+          indent: nodeIndent, hasChildren: node.children.length > 0, redacted: node.redacted,
         });
     return [line, ...buildSnapshotLines(node.children, nodeIndent + 1)];
   });
@@ -114,24 +128,37 @@ function shiftIndent(nodes, offset) {
   return nodes.map((node) => ({ ...node, indentOffset: (node.indentOffset ?? 0) + offset }));
 }
 
-export function buildRawSnapshotTree({ nodeId, axById, isNodeInScope, frameBoundaryBackendIds }) {
+// `redaction` ({ redactor, domByBackendId }, optional): sensitive fields (see redaction.js)
+// lose their subtree — where Chrome exposes the typed value as text — and are flagged
+// `redacted` when they hold a value; every name passes through the value patterns.
+// A name the patterns changed keeps its original as `rawName`, for locators only.
+export function buildRawSnapshotTree({ nodeId, axById, isNodeInScope, frameBoundaryBackendIds, redaction }) {
   const node = axById.get(nodeId);
   if (!node) return null;
   const role = getAxRole(node);
-  const name = getAxValueString(node.name).trim();
+  const rawName = getAxValueString(node.name).trim();
+  const name = redaction ? redaction.redactor.text(rawName) : rawName;
   // An <iframe>/<frame> element node is a frame boundary: keep it but stop recursing
   // (its content is (re)assembled by the frame walk and stitched back under it).
   const isFrameBoundary = !!frameBoundaryBackendIds
     && node.backendDOMNodeId != null
     && frameBoundaryBackendIds.has(node.backendDOMNodeId);
-  const children = isFrameBoundary
+  const domInfo = redaction && node.backendDOMNodeId != null ? redaction.domByBackendId.get(node.backendDOMNodeId) : undefined;
+  const isSensitiveField = !!domInfo && redaction.redactor.isSensitiveField(domInfo.nodeName, domInfo.attributes);
+  const children = isFrameBoundary || isSensitiveField
     ? []
     : (node.childIds ?? [])
-        .map((childId) => buildRawSnapshotTree({ nodeId: childId, axById, isNodeInScope, frameBoundaryBackendIds }))
+        .map((childId) => buildRawSnapshotTree({ nodeId: childId, axById, isNodeInScope, frameBoundaryBackendIds, redaction }))
         .filter(isTruthy);
   const inScope = isNodeInScope(node) || children.length > 0 || isFrameBoundary;
   if (!inScope) return null;
-  return { role, name, backendNodeId: node.backendDOMNodeId, ignored: node.ignored, isFrameBoundary, children };
+  const redacted = isSensitiveField && getAxValueString(node.value).length > 0;
+  if (redacted) redaction.redactor.markField();
+  return {
+    role, name, backendNodeId: node.backendDOMNodeId, ignored: node.ignored, isFrameBoundary, children,
+    ...(name !== rawName && { rawName }),
+    ...(redacted && { redacted: true }),
+  };
 }
 
 export function filterInteractiveSnapshotTree(options) {
@@ -183,17 +210,17 @@ export function filterInteractiveSnapshotTree(options) {
     return hasChildren ? { nodes: childNodes, names: childNames } : { nodes: [], names: childNames };
   }
 
-  let baseLocator;
+  let locators = {};
   let ref = null;
   if (includeInteractive) {
-    const domInfo = node.backendNodeId ? domByBackendId.get(node.backendNodeId) : undefined;
-    const stable = domInfo ? getStableRefFromAttributes(domInfo.attributes) : null;
-    const isPromoted = node.backendNodeId != null && (promotedContentEditableIds?.has(node.backendNodeId) ?? false);
-    baseLocator = buildBaseLocator({ role, name, stable, isPromotedContentEditable: isPromoted });
+    locators = buildNodeLocators({ node, role, name, domByBackendId, promotedContentEditableIds });
     ref = createRefForNode({ backendNodeId: node.backendNodeId, role, name });
   }
 
-  const nodeEntry = { role, name: nameToUse, baseLocator, ref: ref ?? undefined, backendNodeId: node.backendNodeId, children: childNodes };
+  const nodeEntry = {
+    role, name: nameToUse, ...locators, ref: ref ?? undefined, backendNodeId: node.backendNodeId, children: childNodes,
+    ...(node.redacted && { redacted: true }),
+  };
   const names = new Set(childNames);
   if (hasNameToUse) names.add(nameToUse);
   return { nodes: [nodeEntry], names };
@@ -241,17 +268,17 @@ export function filterFullSnapshotTree(options) {
     return hasChildren ? { nodes: childNodes, names: childNames } : { nodes: [], names: childNames };
   }
 
-  let baseLocator;
+  let locators = {};
   let ref = null;
   if (includeInteractive) {
-    const domInfo = node.backendNodeId ? domByBackendId.get(node.backendNodeId) : undefined;
-    const stable = domInfo ? getStableRefFromAttributes(domInfo.attributes) : null;
-    const isPromoted = node.backendNodeId != null && (promotedContentEditableIds?.has(node.backendNodeId) ?? false);
-    baseLocator = buildBaseLocator({ role, name, stable, isPromotedContentEditable: isPromoted });
+    locators = buildNodeLocators({ node, role, name, domByBackendId, promotedContentEditableIds });
     ref = createRefForNode({ backendNodeId: node.backendNodeId, role, name });
   }
 
-  const nodeEntry = { role, name: nameToUse, baseLocator, ref: ref ?? undefined, backendNodeId: node.backendNodeId, children: childNodes };
+  const nodeEntry = {
+    role, name: nameToUse, ...locators, ref: ref ?? undefined, backendNodeId: node.backendNodeId, children: childNodes,
+    ...(node.redacted && { redacted: true }),
+  };
   const names = new Set(childNames);
   if (hasNameToUse) names.add(nameToUse);
   return { nodes: [nodeEntry], names };
@@ -268,7 +295,7 @@ function buildLocatorLineText({ line, locator }) {
   if (role && !hasRoleInLocator) parts.push(role);
   if (name && !hasNameInLocator) parts.push(`"${escapedName}"`);
   const base = parts.length > 0 ? `${prefix}- ${parts.join(' ')}` : `${prefix}-`;
-  return `${base} ${locator}`;
+  return line.redacted ? `${base} ${locator} ${REDACTED}` : `${base} ${locator}`;
 }
 
 export function finalizeSnapshotOutput(lines, nodes, shortRefMap) {
@@ -283,7 +310,8 @@ export function finalizeSnapshotOutput(lines, nodes, shortRefMap) {
     const count = locatorCounts.get(line.baseLocator) ?? 0;
     const index = locatorIndices.get(line.baseLocator) ?? 0;
     locatorIndices.set(line.baseLocator, index + 1);
-    acc.push(count > 1 ? `${line.baseLocator} >> nth=${index}` : line.baseLocator);
+    const suffix = count > 1 ? ` >> nth=${index}` : '';
+    acc.push({ locator: `${line.baseLocator}${suffix}`, shown: `${line.displayBaseLocator ?? line.baseLocator}${suffix}` });
     return acc;
   }, []);
 
@@ -291,7 +319,7 @@ export function finalizeSnapshotOutput(lines, nodes, shortRefMap) {
   const snapshot = lines.map((line) => {
     let text = line.text;
     if (line.baseLocator) {
-      text = buildLocatorLineText({ line, locator: locatorSequence[lineLocatorIndex] });
+      text = buildLocatorLineText({ line, locator: locatorSequence[lineLocatorIndex].shown });
       lineLocatorIndex += 1;
     }
     if (line.hasChildren) text += ':';
@@ -299,13 +327,16 @@ export function finalizeSnapshotOutput(lines, nodes, shortRefMap) {
   }).join('\n');
 
   let nodeLocatorIndex = 0;
+  // `locator` is safe to show; `rawLocator` (only when redaction changed it) is the one that resolves.
   const applyLocators = (items) => items.map((item) => {
-    const locator = item.baseLocator ? locatorSequence[nodeLocatorIndex++] : undefined;
+    const entry = item.baseLocator ? locatorSequence[nodeLocatorIndex++] : undefined;
     const children = applyLocators(item.children);
     return {
-      role: item.role, name: item.name, locator, ref: item.ref,
+      role: item.role, name: item.name, locator: entry?.shown, ref: item.ref,
+      ...(entry && entry.shown !== entry.locator && { rawLocator: entry.locator }),
       shortRef: item.ref ? (shortRefMap.get(item.ref) ?? item.ref) : undefined,
       backendNodeId: item.backendNodeId, children,
+      ...(item.redacted && { redacted: true }),
     };
   });
 
@@ -323,6 +354,7 @@ export function renderRefLines(tree) {
     let line = `${prefix}- ${node.role}`;
     if (node.name) line += ` "${escapeLocatorName(node.name)}"`;
     if (node.ref) line += ` [ref=${node.shortRef ?? node.ref}]`;
+    if (node.redacted) line += ` ${REDACTED}`;
     const childLines = walk(node.children ?? [], indent + 1);
     if (childLines.length > 0) line += ':';
     return [line, ...childLines];
@@ -561,19 +593,28 @@ export function createRefContext() {
 // tree (and attach shortRef). Refs not present in the finalized tree keep their own locator.
 // Shared by the standalone and multi-frame paths so both agree with the rendered text.
 export function reconcileRefLocators(refs, finalizedTree, shortRefMap) {
-  const finalLocatorByRef = new Map();
-  const collect = (items) => items.forEach((it) => { if (it.ref) finalLocatorByRef.set(it.ref, it.locator); collect(it.children ?? []); });
+  const finalByRef = new Map();
+  const collect = (items) => items.forEach((it) => { if (it.ref) finalByRef.set(it.ref, it); collect(it.children ?? []); });
   collect(finalizedTree);
-  return refs.map((r) => ({ ...r, locator: finalLocatorByRef.get(r.ref) ?? r.locator, shortRef: shortRefMap.get(r.ref) ?? r.ref }));
+  return refs.map((r) => {
+    const final = finalByRef.get(r.ref);
+    return {
+      ...r,
+      locator: final?.locator ?? r.locator,
+      ...(final?.rawLocator && { rawLocator: final.rawLocator }),
+      shortRef: shortRefMap.get(r.ref) ?? r.ref,
+    };
+  });
 }
 
 // PRE-finalize builder: filtered/scoped node tree whose nodes still carry `baseLocator` +
 // `ref`, with refs pushed into the shared refCtx. Used by the main tree AND every per-frame
 // call. `frameBoundaryBackendIds` makes <iframe>/<frame> nodes leaves (content stitched later).
 // NOT finalized — callers finalize once (assembleSnapshot for one tree; the walk for many).
-export function buildScopedNodes({ axNodes, domNodes, scopeBackendId = null, interactiveOnly = false, refFilter, frameChain = [], refCtx, frameBoundaryBackendIds }) {
+export function buildScopedNodes({ axNodes, domNodes, scopeBackendId = null, interactiveOnly = false, refFilter, frameChain = [], refCtx, frameBoundaryBackendIds, redactor }) {
   const ctx = refCtx ?? createRefContext();
   const { domById, domByBackendId, childrenByParent } = buildDomIndex(domNodes);
+  const redaction = redactor?.enabled ? { redactor, domByBackendId } : undefined;
   const { axById, axByBackendId } = indexAxNodes(axNodes);
   const promotedContentEditableIds = promoteContentEditable(domByBackendId, axByBackendId);
 
@@ -605,8 +646,8 @@ export function buildScopedNodes({ axNodes, domNodes, scopeBackendId = null, int
     const rootNode = axById.get(rootAxNodeId);
     const rootRole = rootNode ? getAxRole(rootNode) : '';
     const rawRoots = (rootNode && (rootRole === 'rootwebarea' || rootRole === 'webarea') && rootNode.childIds)
-      ? rootNode.childIds.map((id) => buildRawSnapshotTree({ nodeId: id, axById, isNodeInScope, frameBoundaryBackendIds })).filter(isTruthy)
-      : [buildRawSnapshotTree({ nodeId: rootAxNodeId, axById, isNodeInScope, frameBoundaryBackendIds })].filter(isTruthy);
+      ? rootNode.childIds.map((id) => buildRawSnapshotTree({ nodeId: id, axById, isNodeInScope, frameBoundaryBackendIds, redaction })).filter(isTruthy)
+      : [buildRawSnapshotTree({ nodeId: rootAxNodeId, axById, isNodeInScope, frameBoundaryBackendIds, redaction })].filter(isTruthy);
     snapshotNodes = rawRoots.flatMap((rawNode) => (interactiveOnly
       ? filterInteractiveSnapshotTree({ node: rawNode, ancestorNames: [], labelContext: false, refFilter, domByBackendId, promotedContentEditableIds, createRefForNode }).nodes
       : filterFullSnapshotTree({ node: rawNode, ancestorNames: [], refFilter, domByBackendId, promotedContentEditableIds, createRefForNode }).nodes));
@@ -678,12 +719,16 @@ export function isSameOriginFrameSessionError(err) {
  * page) but recorded in `frameErrors` so callers can see what was dropped and why (and retry, wait,
  * or scope the frame explicitly for a hard error). Explicit `frame` scope still throws on failure.
  *
- * Returns { snapshot, tree, refs, mainDomNodes, frameErrors }. mainDomNodes is the page session's
- * flattened DOM. refs: { ref, role, name, locator, backendNodeId, frameChain, shortRef }.
+ * `redaction` is a loadRedactionConfig() result (redaction.js); omitted means no redaction.
+ * Sensitive field values render as `[redacted]` and `redactedCount` says how many were hidden.
+ *
+ * Returns { snapshot, tree, refs, mainDomNodes, frameErrors, redactedCount }. mainDomNodes is the
+ * page session's flattened DOM. refs: { ref, role, name, locator, backendNodeId, frameChain, shortRef }.
  * frameErrors: [{ selector, frameChain, reason }] (empty unless the full-page walk skipped a subframe).
  */
-export async function getAriaSnapshot({ page, frame, locator, refFilter, interactiveOnly = false, cdp }) {
+export async function getAriaSnapshot({ page, frame, locator, refFilter, interactiveOnly = false, cdp, redaction = null }) {
   if (!cdp) throw new Error('getAriaSnapshot requires a page CDP session (cdp). Pass getCDPSession({ page }).');
+  const redactor = redaction ? createRedactor(redaction) : null;
   const resolvedFrame = await resolveFrame({ frame, page });
   const isSubframe = !!resolvedFrame && resolvedFrame !== page.mainFrame();
   const explicitScope = !!locator || isSubframe; // explicit region → Phase-1 single assembly
@@ -790,15 +835,15 @@ export async function getAriaSnapshot({ page, frame, locator, refFilter, interac
           scopeBackendId = domById.get(scopeNodeId)?.backendNodeId ?? null;
         }
       }
-      const assembled = assembleSnapshot({ axNodes, domNodes, scopeBackendId, interactiveOnly, refFilter, frameChain: [] });
-      return { ...assembled, mainDomNodes: domNodes, frameErrors: [] };
+      const assembled = assembleSnapshot({ axNodes, domNodes, scopeBackendId, interactiveOnly, refFilter, frameChain: [], redactor });
+      return { ...assembled, mainDomNodes: domNodes, frameErrors: [], redactedCount: redactor?.count ?? 0 };
     }
 
     // ── Full page (Phase 2): main tree with iframes as leaves, then stitch each subframe. ──
     const mainBoundaryIds = collectFrameBoundaryBackendIds(domNodes);
     const { nodes: mainNodes, refCtx } = buildScopedNodes({
       axNodes, domNodes, interactiveOnly, refFilter, frameChain: [],
-      frameBoundaryBackendIds: mainBoundaryIds,
+      frameBoundaryBackendIds: mainBoundaryIds, redactor,
     });
 
     const ownerByToken = mapTokenToBackendId(domNodes, OWNER_ATTR); // token -> { backendNodeId, attrs }
@@ -835,7 +880,7 @@ export async function getAriaSnapshot({ page, frame, locator, refFilter, interac
         ({ nodes: childNodes } = buildScopedNodes({
           axNodes: cAx, domNodes: cDom, interactiveOnly, refFilter,
           frameChain: meta.frameChain, refCtx,
-          frameBoundaryBackendIds: collectFrameBoundaryBackendIds(cDom),
+          frameBoundaryBackendIds: collectFrameBoundaryBackendIds(cDom), redactor,
         }));
       } catch (err) {
         // ONLY the genuine same-origin "no separate CDP session" error means we should
@@ -853,7 +898,7 @@ export async function getAriaSnapshot({ page, frame, locator, refFilter, interac
         if (rootBackendId == null) continue;
         ({ nodes: childNodes } = buildScopedNodes({
           axNodes, domNodes, scopeBackendId: rootBackendId, interactiveOnly, refFilter,
-          frameChain: meta.frameChain, refCtx, frameBoundaryBackendIds: mainBoundaryIds,
+          frameChain: meta.frameChain, refCtx, frameBoundaryBackendIds: mainBoundaryIds, redactor,
         }));
       }
       stitched = stitchFrameTree(stitched, owner.backendNodeId, childNodes);
@@ -864,7 +909,7 @@ export async function getAriaSnapshot({ page, frame, locator, refFilter, interac
     const shortRefMap = buildShortRefMap({ refs: refCtx.refs });
     const { snapshot, tree } = finalizeSnapshotOutput(lines, stitched, shortRefMap);
     const refs = reconcileRefLocators(refCtx.refs, tree, shortRefMap);
-    return { snapshot, tree, refs, mainDomNodes: domNodes, frameErrors };
+    return { snapshot, tree, refs, mainDomNodes: domNodes, frameErrors, redactedCount: redactor?.count ?? 0 };
   } finally {
     if (scopeApplied && scopeTarget) {
       await scopeTarget.evaluate((el, attr) => el.removeAttribute(attr), scopeAttr).catch(() => {});
@@ -8,6 +8,10 @@
 // relay+CDP connect; the CLI sessiond injects real-or-managed backend connects.
 
 const MAX_LOGS_PER_PAGE = 5000;
+// What the extension did with a page dialog, e.g. `dismissed confirm("Delete
+// item?")`, arrives as this event on a CDP session opened for the page.
+const DIALOG_HANDLED_EVENT = 'BrowserForce.dialogHandled';
+const MAX_DIALOG_NOTES = 50;
 const DEFAULT_INITIAL_PAGE_DISCOVERY_TIMEOUT_MS = 5000;
 const DEFAULT_INITIAL_PAGE_DISCOVERY_POLL_MS = 100;
 
@@ -20,7 +24,14 @@ const DEFAULT_BROWSERFORCE_RESTRICTIONS = Object.freeze({
   lockUrl: false,
   noNewTabs: false,
   readOnly: false,
+  originRules: [],
+  approvalClasses: [],
+  credentialGuard: true,
+  credentialAllowlist: [],
+  dialogPolicy: null,
+  browserData: { history: false, bookmarks: false, tabGroups: false },
   instructions: '',
+  uploadsDir: null,
 });
 
 function normalizeAgentPreferences(raw) {
@@ -30,13 +41,31 @@ function normalizeAgentPreferences(raw) {
   return { executionMode, parallelVisibilityMode };
 }
 
-function normalizeRestrictions(raw) {
+function normalizeOriginRules(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((rule) => typeof rule?.pattern === 'string' && typeof rule?.access === 'string')
+    .map(({ pattern, access }) => ({ pattern, access }));
+}
+
+function normalizeRestrictions(raw, normalizeDialogPolicy) {
   return {
     mode: raw?.mode === 'manual' ? 'manual' : 'auto',
     lockUrl: !!raw?.lockUrl,
     noNewTabs: !!raw?.noNewTabs,
     readOnly: !!raw?.readOnly,
+    originRules: normalizeOriginRules(raw?.originRules),
+    approvalClasses: Array.isArray(raw?.approvalClasses) ? raw.approvalClasses.filter((c) => typeof c === 'string') : [],
+    credentialGuard: raw?.credentialGuard !== false,
+    credentialAllowlist: Array.isArray(raw?.credentialAllowlist) ? raw.credentialAllowlist.filter((p) => typeof p === 'string') : [],
+    dialogPolicy: normalizeDialogPolicy(raw?.dialogPolicy),
+    browserData: {
+      history: raw?.browserData?.history === true,
+      bookmarks: raw?.browserData?.bookmarks === true,
+      tabGroups: raw?.browserData?.tabGroups === true,
+    },
     instructions: typeof raw?.instructions === 'string' ? raw.instructions : '',
+    uploadsDir: typeof raw?.uploadsDir === 'string' ? raw.uploadsDir : null,
   };
 }
 
@@ -64,6 +93,10 @@ export function createBrowserSessionRuntime(deps = {}) {
     clearTimeout: clearTimeoutImpl = globalThis.clearTimeout,
     initialPageDiscoveryTimeoutMs = DEFAULT_INITIAL_PAGE_DISCOVERY_TIMEOUT_MS,
     initialPageDiscoveryPollMs = DEFAULT_INITIAL_PAGE_DISCOVERY_POLL_MS,
+    // extension/dialog-policy.js normalizeDialogPolicy, injected like the exec
+    // deps below so this module stays import-free. Without it the relay's
+    // value is passed through as-is.
+    normalizeDialogPolicy = (value) => (typeof value === 'string' ? value : null),
     // Execution boundary deps (injected so the runtime stays decoupled from
     // exec-engine and unit-testable). runCommand is the single place CLI atomic
     // verbs run user snippets — always through runCode()'s guarded boundary.
@@ -99,6 +132,10 @@ export function createBrowserSessionRuntime(deps = {}) {
   // ─── Console Log Capture ───────────────────────────────────────────────────
   const consoleLogs = new Map();
   const pagesWithListeners = new WeakSet();
+  // Dialog outcomes since the last takeDialogNotes(), across pages.
+  let dialogNotes = [];
+  // page → the CDP session watchDialogs() opened on it; detached on page close and teardown.
+  const dialogSessions = new Map();
   let contextListenerAttached = false;
 
   // ─── Cached Preferences / Restrictions ─────────────────────────────────────
@@ -141,21 +178,30 @@ export function createBrowserSessionRuntime(deps = {}) {
 
     consoleLogs.set(page, []);
 
+    const addLog = (entry) => {
+      let logs = consoleLogs.get(page);
+      if (!logs) {
+        logs = [];
+        consoleLogs.set(page, logs);
+      }
+      logs.push(entry);
+      if (logs.length > MAX_LOGS_PER_PAGE) {
+        logs.shift();
+      }
+    };
+
     page.on('console', (msg) => {
       try {
-        const entry = `[${msg.type()}] ${msg.text()}`;
-        let logs = consoleLogs.get(page);
-        if (!logs) {
-          logs = [];
-          consoleLogs.set(page, logs);
-        }
-        logs.push(entry);
-        if (logs.length > MAX_LOGS_PER_PAGE) {
-          logs.shift();
-        }
+        addLog(`[${msg.type()}] ${msg.text()}`);
       } catch { /* msg.text() can throw if page navigated */ }
     });
 
+    void watchDialogs(page, (note) => {
+      addLog(`[dialog] ${note}`);
+      dialogNotes.push(note);
+      if (dialogNotes.length > MAX_DIALOG_NOTES) dialogNotes.shift();
+    });
+
     page.on('framenavigated', (frame) => {
       if (frame === page.mainFrame()) {
         consoleLogs.set(page, []);
@@ -164,9 +210,52 @@ export function createBrowserSessionRuntime(deps = {}) {
 
     page.on('close', () => {
       consoleLogs.delete(page);
+      detachDialogSession(page);
     });
   }
 
+  /** Listens for the relay's dialog reports on a CDP session of the page's own. */
+  async function watchDialogs(page, onNote) {
+    let session;
+    try {
+      session = await page.context().newCDPSession(page);
+      session.on(DIALOG_HANDLED_EVENT, (params) => {
+        if (typeof params?.note === 'string') onNote(params.note);
+      });
+    } catch { /* page closed, or a backend without CDP sessions */ }
+    if (!session) return;
+    // The page may have closed while the session opened.
+    if (!isUsablePage(page)) {
+      detachSession(session);
+      return;
+    }
+    dialogSessions.set(page, session);
+  }
+
+  function detachSession(session) {
+    try {
+      Promise.resolve(session.detach?.()).catch(() => {});
+    } catch { /* already detached */ }
+  }
+
+  function detachDialogSession(page) {
+    const session = dialogSessions.get(page);
+    if (!session) return;
+    dialogSessions.delete(page);
+    detachSession(session);
+  }
+
+  function detachDialogSessions() {
+    for (const page of [...dialogSessions.keys()]) detachDialogSession(page);
+  }
+
+  /** Returns and forgets the dialog outcomes recorded since the last call. */
+  function takeDialogNotes() {
+    const notes = dialogNotes;
+    dialogNotes = [];
+    return notes;
+  }
+
   function ensureAllPagesCapture() {
     try {
       for (const page of getPages()) {
@@ -283,6 +372,7 @@ export function createBrowserSessionRuntime(deps = {}) {
         browser = null;
         contextListenerAttached = false;
         consoleLogs.clear();
+        detachDialogSessions();
       });
       onConnected();
 
@@ -340,10 +430,10 @@ export function createBrowserSessionRuntime(deps = {}) {
         throw new Error(`HTTP ${response.status}`);
       }
       const raw = await response.json();
-      cachedBrowserforceRestrictions = normalizeRestrictions(raw);
+      cachedBrowserforceRestrictions = normalizeRestrictions(raw, normalizeDialogPolicy);
       return cachedBrowserforceRestrictions;
     } catch {
-      cachedBrowserforceRestrictions = { ...DEFAULT_BROWSERFORCE_RESTRICTIONS };
+      cachedBrowserforceRestrictions = { ...DEFAULT_BROWSERFORCE_RESTRICTIONS, dialogPolicy: normalizeDialogPolicy(undefined) };
       return cachedBrowserforceRestrictions;
     }
   }
@@ -720,6 +810,7 @@ export function createBrowserSessionRuntime(deps = {}) {
 
   async function reset() {
     clearIdleBrowserDisconnectTimer();
+    detachDialogSessions();
     if (browser) {
       try { await browser.close(); } catch { /* connection may already be dead */ }
     }
@@ -730,6 +821,7 @@ export function createBrowserSessionRuntime(deps = {}) {
     cachedBrowserforceRestrictions = null;
     contextListenerAttached = false;
     consoleLogs.clear();
+    dialogNotes = [];
     namedPages.clear();
     stableHandles = new WeakMap();
     nextStableHandleNumber = 1;
@@ -755,6 +847,7 @@ export function createBrowserSessionRuntime(deps = {}) {
     getBackendInfo() { return { ...backendInfo }; },
     setupConsoleCapture,
     ensureAllPagesCapture,
+    takeDialogNotes,
     beginOperation,
     endOperation,
     ensureBrowser,
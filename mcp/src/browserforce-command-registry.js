@@ -45,6 +45,7 @@ export const COMMAND_SPECS = Object.freeze({
   fill: { flags: { tab: 'value' } },
   type: { flags: { tab: 'value' } },
   press: { flags: { tab: 'value' } },
+  upload: { flags: { tab: 'value' } },
   // `wait text <value>` is the primary form; the kind flags (--text <value>,
   // --url, --load, --fn, --selector) are an accepted alias kept for CLI
   // compatibility, valid on every surface.
@@ -558,6 +559,21 @@ const VERB_EXECUTORS = {
     return runCommandGuarded(runtime, { code, timeout, page });
   },
 
+  // Files go through uploadFiles() in the exec scope: relative paths resolve in
+  // the uploads directory, and the relay refuses files outside it.
+  async upload({ body, runtime, timeout }) {
+    const ref = normalizeRef(body?.ref);
+    const paths = Array.isArray(body?.paths) ? body.paths.map(String).filter(Boolean) : [];
+    if (!ref || paths.length === 0) throw usageError('upload requires a ref and at least one file path (e.g. upload @e5 report.pdf)');
+    const page = await resolveVerbPage({ body, runtime });
+    const code = refLocatorSnippet(
+      ref,
+      `const { uploaded } = await uploadFiles(locator, ${JSON.stringify(paths)});`,
+      `{ uploaded, ref: ${JSON.stringify(ref)} }`,
+    );
+    return runCommandGuarded(runtime, { code, timeout, page });
+  },
+
   async press({ body, runtime, timeout }) {
     const key = String(body?.key ?? '');
     if (!key) throw usageError('press requires a key');
@@ -646,6 +662,9 @@ export const COMMAND_HELP_TEXT = `BrowserForce commands:
   fill <ref> <text> [--tab name]       Clear + fill text into a ref
   type <ref> <text> [--tab name]       Type text key-by-key into a ref
   press <key> [--tab name]             Press a keyboard key (e.g. Enter)
+  upload <ref> <path...> [--tab name]  Set the files of a file input. Files must
+                                       be in the uploads directory; relative
+                                       paths resolve there
   wait <text|selector|url|load|fn> <value> [--tab name]
                                        Wait for text/selector/url/load-state
                                        (flag form also works: wait --text <s>)
@@ -701,6 +720,8 @@ export function commandToBody({ verb, args, flags }) {
       return { ref: args[0], text: args.length > 1 ? args.slice(1).join(' ') : undefined, tab: flags.tab };
     case 'press':
       return { key: args[0], tab: flags.tab };
+    case 'upload':
+      return { ref: args[0], paths: args.slice(1), tab: flags.tab };
     case 'wait': {
       const kindFlags = WAIT_KIND_FLAGS.filter((k) => flags[k] !== undefined);
       if (kindFlags.length > 1) {
@@ -790,7 +811,8 @@ export function renderBrowserforceCommandText(verb, data) {
  * Execute a CLI-compatible command string against a browser session runtime.
  * This is the single entry point for the MCP `browserforce` tool and the CLI
  * direct/`run` paths. Returns `{ data, warning, text }` — `data` for JSON
- * surfaces, `text` rendered from that same data for human/MCP surfaces.
+ * surfaces, `text` rendered from that same data for human/MCP surfaces, plus a
+ * `Dialog:` line for each page dialog the extension handled during the command.
  * Throws BrowserforceCommandError for parse/validation/lookup failures.
  */
 export async function executeBrowserforceCommand({ command, runtime, timeout } = {}) {
@@ -802,6 +824,8 @@ export async function executeBrowserforceCommand({ command, runtime, timeout } =
   }
 
   const body = commandToBody(parsed);
+  // Only dialogs this command ran into are reported with it.
+  runtime?.takeDialogNotes?.();
   const data = await executeBrowserforceVerb({
     verb,
     body,
@@ -809,7 +833,9 @@ export async function executeBrowserforceCommand({ command, runtime, timeout } =
     timeout: resolveTimeout(timeout),
   });
   const warning = verb === 'eval' ? fireAndForgetIifeHint(body.code, data) : null;
-  return { data, warning, text: renderBrowserforceCommandText(verb, data) };
+  const dialogs = runtime?.takeDialogNotes?.() ?? [];
+  const text = [renderBrowserforceCommandText(verb, data), ...dialogs.map((note) => `Dialog: ${note}`)].join('\n');
+  return { data, warning, text };
 }
 
 /**
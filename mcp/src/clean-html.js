@@ -2,6 +2,7 @@
 // Strips scripts, styles, decorative elements; keeps semantic attributes.
 
 import { createSmartDiff } from './snapshot.js';
+import { REDACTED, REDACTION_MARK_ATTR, createRedactor, redactionNote, withRedactionMarks } from './redaction.js';
 
 const lastHtmlSnapshots = new WeakMap();
 
@@ -11,15 +12,22 @@ const lastHtmlSnapshots = new WeakMap();
  *
  * @param {import('playwright-core').Page} page
  * @param {string} [selector] - CSS selector to scope extraction (default: document)
- * @param {{ maxAttrLen?: number, maxContentLen?: number, showDiffSinceLastCall?: boolean }} [opts]
+ * `redaction` is a loadRedactionConfig() result (see redaction.js): sensitive
+ * field values and value-pattern matches come back as [redacted], with a leading
+ * comment saying how many were hidden.
+ *
+ * @param {{ maxAttrLen?: number, maxContentLen?: number, showDiffSinceLastCall?: boolean, redaction?: object }} [opts]
  * @returns {Promise<string>}
  */
 export async function getCleanHTML(page, selector, opts = {}) {
   const maxAttrLen = opts.maxAttrLen ?? 200;
   const maxContentLen = opts.maxContentLen ?? 500;
   const showDiffSinceLastCall = opts.showDiffSinceLastCall ?? true;
+  const redactor = createRedactor(opts.redaction);
+
+  const extracted = await withRedactionMarks(page, opts.redaction, () => page.evaluate(({ selector, maxAttrLen, maxContentLen, redactAttr, redactedLabel }) => {
+    let redactedFields = 0;
 
-  const html = await page.evaluate(({ selector, maxAttrLen, maxContentLen }) => {
     const TAGS_TO_REMOVE = new Set([
       'script', 'style', 'link', 'meta', 'noscript',
       'svg', 'head', 'iframe', 'object', 'embed',
@@ -97,6 +105,20 @@ export async function getCleanHTML(page, selector, opts = {}) {
         return;
       }
 
+      // Sensitive field marked by withRedactionMarks(): hide its value
+      if (el.hasAttribute(redactAttr)) {
+        let hadValue = false;
+        if (el.getAttribute('value')) {
+          el.setAttribute('value', redactedLabel);
+          hadValue = true;
+        }
+        if (tag === 'textarea' && el.textContent) {
+          el.textContent = redactedLabel;
+          hadValue = true;
+        }
+        if (hadValue) redactedFields += 1;
+      }
+
       // Strip non-semantic attributes
       const attrsToRemove = [];
       for (const attr of el.attributes) {
@@ -140,7 +162,7 @@ export async function getCleanHTML(page, selector, opts = {}) {
     let root;
     if (selector) {
       const target = document.querySelector(selector);
-      if (!target) return '<empty />';
+      if (!target) return { html: '<empty />', redactedFields };
       root = target.cloneNode(true);
     } else {
       root = document.documentElement.cloneNode(true);
@@ -164,8 +186,12 @@ export async function getCleanHTML(page, selector, opts = {}) {
       }
     }
 
-    return root.outerHTML || root.innerHTML || '';
-  }, { selector: selector || null, maxAttrLen, maxContentLen });
+    return { html: root.outerHTML || root.innerHTML || '', redactedFields };
+  }, { selector: selector || null, maxAttrLen, maxContentLen, redactAttr: REDACTION_MARK_ATTR, redactedLabel: REDACTED }));
+
+  let html = redactor.text(extracted.html);
+  const note = redactionNote(extracted.redactedFields + redactor.count);
+  if (note) html = `<!-- Note: ${note} -->\n${html}`;
 
   let pageSnapshots = lastHtmlSnapshots.get(page);
   if (!pageSnapshots) {
@@ -2,7 +2,7 @@
 // Used by both MCP server and CLI.
 
 import { readFileSync } from 'node:fs';
-import { join } from 'node:path';
+import { isAbsolute, join, resolve } from 'node:path';
 import { homedir } from 'node:os';
 import { fileURLToPath } from 'node:url';
 import { spawn } from 'node:child_process';
@@ -14,6 +14,11 @@ import { getAriaSnapshot, renderRefLines, renderFrameErrors } from './aria-snaps
 import { Semaphore, injectA11yClient, showLabels, hideLabels } from './a11y-labels.js';
 import { getCleanHTML } from './clean-html.js';
 import { getPageMarkdown } from './page-markdown.js';
+import {
+  REDACTED, REDACTION_MARK_ATTR, loadRedactionConfig, redactionNote,
+  markSensitiveFields, paintRedactionMasks, clearRedactionMarks,
+} from './redaction.js';
+import { normalizeDialogPolicy } from '../../extension/dialog-policy.js';
 
 // ─── Configuration ───────────────────────────────────────────────────────────
 
@@ -39,6 +44,7 @@ function isUsablePage(page) {
 }
 export const BF_DIR = join(homedir(), '.browserforce');
 export const CDP_URL_FILE = join(BF_DIR, 'cdp-url');
+export const AUTH_TOKEN_FILE = join(BF_DIR, 'auth-token');
 const RELAY_SCRIPT = fileURLToPath(new URL('../../relay/src/index.js', import.meta.url));
 
 function getExplicitCdpUrlOverride() {
@@ -72,7 +78,10 @@ export async function getCdpUrl({ baseUrl = getRelayHttpUrl(), timeoutMs = 2000
 
   const resolvedBaseUrl = String(baseUrl).replace(/\/+$/, '');
   try {
+    // The relay only puts a token in the URL for a caller that presents one.
+    const token = readAuthToken();
     const response = await fetch(`${resolvedBaseUrl}/json/version`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
       signal: AbortSignal.timeout(timeoutMs),
     });
     if (response.ok) {
@@ -150,6 +159,15 @@ export class BrowserForceMcpError extends Error {
   }
 }
 
+/** The relay's master token from ~/.browserforce/auth-token, or '' when there is none. */
+export function readAuthToken() {
+  try {
+    return readFileSync(AUTH_TOKEN_FILE, 'utf8').trim();
+  } catch {
+    return '';
+  }
+}
+
 /** Read relay-owned attached-tab introspection without opening a CDP connection. */
 export async function getExtensionStatus({ baseUrl = getRelayHttpUrl(), timeoutMs = 2000 } = {}) {
   const resolvedBaseUrl = String(baseUrl).replace(/\/+$/, '');
@@ -162,6 +180,78 @@ export async function getExtensionStatus({ baseUrl = getRelayHttpUrl(), timeoutM
   return await response.json();
 }
 
+/**
+ * Start or stop the relay's screencast recording of the attached tabs
+ * (`action` is 'start' | 'stop'). Recordings are guarded by the master token,
+ * read from ~/.browserforce/auth-token like the CLI does.
+ */
+export async function requestRecording(action, { label = null, baseUrl = getRelayHttpUrl(), timeoutMs = 30000 } = {}) {
+  const resolvedBaseUrl = String(baseUrl).replace(/\/+$/, '');
+  const authToken = readAuthToken();
+  const response = await fetch(`${resolvedBaseUrl}/recordings/${action}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    },
+    body: JSON.stringify(action === 'start' ? { label } : {}),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Cannot ${action} recording: ${body.error || `HTTP ${response.status}`}`);
+  }
+  return body;
+}
+
+/**
+ * Downloads the attached tabs started during this relay run: `{ sessionDir,
+ * policy, downloads }`. Finished files sit in `sessionDir`; guarded by the
+ * master token like recordings.
+ */
+export async function requestDownloads({ baseUrl = getRelayHttpUrl(), timeoutMs = 5000 } = {}) {
+  const resolvedBaseUrl = String(baseUrl).replace(/\/+$/, '');
+  const authToken = readAuthToken();
+  const response = await fetch(`${resolvedBaseUrl}/downloads`, {
+    headers: authToken ? { Authorization: `Bearer ${authToken}` } : {},
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Cannot list downloads: ${body.error || `HTTP ${response.status}`}`);
+  }
+  return body;
+}
+
+/**
+ * Call one of the relay's browser data routes (/history, /bookmarks,
+ * /tab-groups). The extension answers only for the capabilities the user
+ * turned on, and its BLOCKED refusal is rethrown as-is. Guarded by the master
+ * token like downloads.
+ */
+export async function requestBrowserData(path, { method = 'GET', query = {}, body, baseUrl = getRelayHttpUrl(), timeoutMs = 10000 } = {}) {
+  const resolvedBaseUrl = String(baseUrl).replace(/\/+$/, '');
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null && value !== '') search.set(key, String(value));
+  }
+  const authToken = readAuthToken();
+  const response = await fetch(`${resolvedBaseUrl}${path}${search.toString() ? `?${search}` : ''}`, {
+    method,
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(authToken ? { Authorization: `Bearer ${authToken}` } : {}),
+    },
+    ...(body !== undefined ? { body: JSON.stringify(body) } : {}),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `BrowserForce ${path} request failed (HTTP ${response.status})`);
+  }
+  return result;
+}
+
 /**
  * Assert that a manually attached page is available when policy requires one.
  * Auto-mode inspect flows may connect so relay discovery can expose existing
@@ -192,6 +282,27 @@ export function assertAttachedPageAvailable({ extensionStatus, restrictions, int
   );
 }
 
+/**
+ * Throw ACCESS_EXPIRED when the user's access schedule (allowed hours, session
+ * length or a popup grant) has ended agent access; the relay would refuse
+ * every command anyway.
+ */
+export function assertAccessNotExpired(extensionStatus) {
+  const access = extensionStatus?.access;
+  if (!extensionStatus?.accessExpired || !access) return;
+  throw new BrowserForceMcpError(
+    access.message || 'BLOCKED: ACCESS_EXPIRED — agent access has expired. Stop the task and tell the user.',
+    {
+      code: 'ACCESS_EXPIRED',
+      details: {
+        reason: access.reason || null,
+        expiredAt: access.expiredAt || null,
+        resumesAt: access.resumesAt || null,
+      },
+    },
+  );
+}
+
 /** Throw BF_NEW_TABS_DISABLED when an explicit "open" intent is not permitted. */
 export function assertOpenIntentAllowed(restrictions) {
   if (restrictions?.mode === 'manual' || restrictions?.noNewTabs) {
@@ -467,7 +578,8 @@ export function buildExecContext(
   const storeRefs = (page, refs) => {
     const map = new Map();
     for (const r of refs) {
-      const entry = { locator: r.locator ?? null, frameChain: r.frameChain || [] };
+      // `rawLocator` is set when redaction changed the shown locator; only it still matches.
+      const entry = { locator: r.rawLocator ?? r.locator ?? null, frameChain: r.frameChain || [] };
       map.set(r.ref, entry);
       if (r.shortRef) map.set(r.shortRef, entry);
     }
@@ -556,7 +668,7 @@ export function buildExecContext(
     try {
       result = await getAriaSnapshot({
         page, frame, locator: scopeLocator, interactiveOnly,
-        refFilter: searchToRefFilter(search), cdp,
+        refFilter: searchToRefFilter(search), cdp, redaction: loadRedactionConfig(),
       });
     } finally {
       await cdp.detach().catch(() => {});
@@ -568,7 +680,7 @@ export function buildExecContext(
     const refTable = result.refs.length > 0
       ? '\n\n--- Ref → Locator ---\n' + result.refs.map((r) => `${r.shortRef} (${r.role}${r.name ? ` "${r.name}"` : ''}): ${r.locator ?? '(frame-scoped; use locatorForRef)'}`).join('\n')
       : '';
-    const frameWarning = renderFrameErrors(result.frameErrors);
+    const frameWarning = renderFrameErrors(result.frameErrors) + renderRedactionNote(result.redactedCount);
     const fullSnapshot = `Page: ${title} (${pageUrl})\nRefs: ${result.refs.length} interactive elements${frameWarning}\n\n${renderRefLines(result.tree)}${refTable}`;
 
     let pageSnapshots = lastSnapshots.get(page);
@@ -605,6 +717,11 @@ export function buildExecContext(
     new Promise((resolve) => { setTimeout(() => resolve(''), ms); }),
   ]);
 
+  const renderRedactionNote = (count) => {
+    const note = redactionNote(count);
+    return note ? `\nNote: ${note}` : '';
+  };
+
   const buildSnapshotData = async ({ frame, locator, selector, search, interactiveOnly = true } = {}) => {
     const page = activePage();
     const scopeRoot = frame || page;
@@ -614,7 +731,7 @@ export function buildExecContext(
     try {
       result = await getAriaSnapshot({
         page, frame, locator: scopeLocator, interactiveOnly,
-        refFilter: searchToRefFilter(search), cdp,
+        refFilter: searchToRefFilter(search), cdp, redaction: loadRedactionConfig(),
       });
     } finally {
       await cdp.detach().catch(() => {});
@@ -625,11 +742,12 @@ export function buildExecContext(
     const refTable = result.refs.length > 0
       ? '\n\n--- Ref → Locator ---\n' + result.refs.map((r) => `${r.shortRef} (${r.role}): ${r.locator ?? '(frame-scoped)'}`).join('\n')
       : '';
-    const frameWarning = renderFrameErrors(result.frameErrors);
+    const frameWarning = renderFrameErrors(result.frameErrors) + renderRedactionNote(result.redactedCount);
     return {
       text: `Page: ${title} (${pageUrl})\nRefs: ${result.refs.length} labeled elements${frameWarning}\n\n${renderRefLines(result.tree)}${refTable}`,
       refs: result.refs,
       page,
+      redactedCount: result.redactedCount,
     };
   };
 
@@ -646,7 +764,7 @@ export function buildExecContext(
     try {
       result = await getAriaSnapshot({
         page, frame, locator: scopeLocator, interactiveOnly,
-        refFilter: searchToRefFilter(search), cdp,
+        refFilter: searchToRefFilter(search), cdp, redaction: loadRedactionConfig(),
       });
     } finally {
       await cdp.detach().catch(() => {});
@@ -665,6 +783,7 @@ export function buildExecContext(
         frameChain: r.frameChain || [],
       })),
       frameErrors: result.frameErrors,
+      redactedCount: result.redactedCount,
     };
   };
 
@@ -707,6 +826,27 @@ export function buildExecContext(
   };
 
   const getBrowserforceStatus = (opts = {}) => getExtensionStatus(opts);
+  const startRecording = (label) => requestRecording('start', { label });
+  const stopRecording = () => requestRecording('stop');
+  const getDownloads = async () => (await requestDownloads()).downloads;
+
+  // History, bookmarks and tab groups; each fails with BLOCKED until the user turns it on.
+  const timeBound = (value) => (value instanceof Date ? value.getTime() : value);
+  const searchHistory = async (options = {}) => {
+    const { text, since, until, maxResults } = typeof options === 'string' ? { text: options } : options;
+    const query = { text, since: timeBound(since), until: timeBound(until), maxResults };
+    return (await requestBrowserData('/history', { query })).items;
+  };
+  const listBookmarks = async ({ query } = {}) => (await requestBrowserData('/bookmarks', { query: { query } })).bookmarks;
+  const listTabGroups = () => requestBrowserData('/tab-groups');
+  const changeTabGroups = (change) => requestBrowserData('/tab-groups', { method: 'POST', body: change });
+  const groupTabs = async (tabIds, { groupId, title, color, collapsed } = {}) => (
+    (await changeTabGroups({ action: 'group', tabIds, groupId, title, color, collapsed })).group
+  );
+  const ungroupTabs = async (tabIds) => (await changeTabGroups({ action: 'ungroup', tabIds })).ungrouped;
+  const updateTabGroup = async (groupId, { title, color, collapsed } = {}) => (
+    (await changeTabGroups({ action: 'update', groupId, title, color, collapsed })).group
+  );
 
   const getBrowserforcePageForTab = async ({
     tab,
@@ -748,7 +888,7 @@ export function buildExecContext(
   };
 
   const screenshotWithAccessibilityLabels = async ({ selector, interactiveOnly = true } = {}) => {
-    const { text: snapText, refs, page } = await buildSnapshotData({
+    const { text: snapText, refs, page, redactedCount: snapshotRedactedCount } = await buildSnapshotData({
       selector,
       search: null,
       interactiveOnly,
@@ -756,7 +896,7 @@ export function buildExecContext(
 
     const sema = new Semaphore(LABEL_BOX_CONCURRENCY);
     const labelCandidates = refs
-      .map((ref) => ({ ref: ref.shortRef ?? ref.ref, role: ref.role, locator: ref.locator, frameChain: ref.frameChain || [] }))
+      .map((ref) => ({ ref: ref.shortRef ?? ref.ref, role: ref.role, locator: ref.rawLocator ?? ref.locator, frameChain: ref.frameChain || [] }))
       .filter((c) => c.locator)
       .slice(0, MAX_LABEL_OVERLAY_REFS);
     const labels = (await Promise.all(labelCandidates.map(async (candidate) => {
@@ -785,24 +925,36 @@ export function buildExecContext(
       width: Math.min(window.innerWidth, maxDim),
       height: Math.min(window.innerHeight, maxDim),
     }), LABEL_SCREENSHOT_MAX_DIMENSION);
+    // Sensitive field values are painted over before capture, same fields the
+    // snapshot text redacts (see redaction.js).
+    const redaction = loadRedactionConfig();
+    let masksPainted = false;
     try {
+      if (redaction.enabled) {
+        masksPainted = true;
+        await page.evaluate(markSensitiveFields, { config: redaction, attr: REDACTION_MARK_ATTR });
+        await page.evaluate(paintRedactionMasks, { attr: REDACTION_MARK_ATTR, label: REDACTED });
+      }
       const screenshot = await page.screenshot({
         type: 'jpeg',
         quality: 80,
         scale: 'css',
         clip: { x: 0, y: 0, ...viewport },
       });
-      return { _bf_type: 'labeled_screenshot', screenshot, snapshot: snapText, labelCount };
+      return { _bf_type: 'labeled_screenshot', screenshot, snapshot: snapText, labelCount, redactedCount: snapshotRedactedCount };
     } finally {
+      if (masksPainted) {
+        try { await page.evaluate(clearRedactionMarks, { attr: REDACTION_MARK_ATTR }); } catch { /* page may have navigated */ }
+      }
       if (labelsInjected) {
         try { await hideLabels(page); } catch { /* page may have navigated */ }
       }
     }
   };
 
-  const cleanHTML = (selector, opts) => getCleanHTML(activePage(), selector, opts);
+  const cleanHTML = (selector, opts) => getCleanHTML(activePage(), selector, { ...opts, redaction: loadRedactionConfig() });
 
-  const pageMarkdown = (opts) => getPageMarkdown(activePage(), opts);
+  const pageMarkdown = (opts) => getPageMarkdown(activePage(), { ...opts, redaction: loadRedactionConfig() });
 
   const browserforceSettings = {
     executionMode: agentPreferences?.executionMode === 'sequential' ? 'sequential' : 'parallel',
@@ -813,7 +965,39 @@ export function buildExecContext(
     lockUrl: !!runtimeRestrictions?.lockUrl,
     noNewTabs: !!runtimeRestrictions?.noNewTabs,
     readOnly: !!runtimeRestrictions?.readOnly,
+    originRules: Array.isArray(runtimeRestrictions?.originRules) ? runtimeRestrictions.originRules : [],
+    approvalClasses: Array.isArray(runtimeRestrictions?.approvalClasses) ? runtimeRestrictions.approvalClasses : [],
+    credentialGuard: runtimeRestrictions?.credentialGuard !== false,
+    credentialAllowlist: Array.isArray(runtimeRestrictions?.credentialAllowlist) ? runtimeRestrictions.credentialAllowlist : [],
+    dialogPolicy: normalizeDialogPolicy(runtimeRestrictions?.dialogPolicy),
+    browserData: {
+      history: runtimeRestrictions?.browserData?.history === true,
+      bookmarks: runtimeRestrictions?.browserData?.bookmarks === true,
+      tabGroups: runtimeRestrictions?.browserData?.tabGroups === true,
+    },
     instructions: typeof runtimeRestrictions?.instructions === 'string' ? runtimeRestrictions.instructions : '',
+    uploadsDir: typeof runtimeRestrictions?.uploadsDir === 'string' ? runtimeRestrictions.uploadsDir : null,
+  };
+
+  // Set the files of an <input type=file> (a Locator or a snapshot ref). The
+  // relay only lets Chrome read files inside uploadsDir, so relative paths
+  // resolve there.
+  const uploadFiles = async (target, files) => {
+    const list = (Array.isArray(files) ? files : [files]).filter((file) => file != null).map(String);
+    if (list.length === 0) throw new Error('uploadFiles(target, files) requires at least one file path');
+    const { uploadsDir } = browserforceRestrictions;
+    const paths = list.map((file) => {
+      if (isAbsolute(file)) return file;
+      if (!uploadsDir) {
+        throw new Error(`Cannot resolve "${file}": the uploads directory is unknown (relay restrictions unavailable). Pass an absolute path.`);
+      }
+      return resolve(uploadsDir, file);
+    });
+    const ref = typeof target === 'string' ? target.replace(/^@/, '') : null;
+    const locator = ref ? locatorForRef({ ref }) : target;
+    if (!locator) throw new Error(`Unknown ref: ${ref}. Run snapshot again to refresh refs.`);
+    await locator.setInputFiles(paths);
+    return { uploaded: paths };
   };
 
   const pluginCatalog = () => {
@@ -880,6 +1064,16 @@ export function buildExecContext(
     'getCDPSession',
     'getBrowserforceStatus',
     'getBrowserforcePageForTab',
+    'startRecording',
+    'stopRecording',
+    'getDownloads',
+    'uploadFiles',
+    'searchHistory',
+    'listBookmarks',
+    'listTabGroups',
+    'groupTabs',
+    'ungroupTabs',
+    'updateTabGroup',
     'screenshotWithAccessibilityLabels',
     'cleanHTML',
     'pageMarkdown',
@@ -923,7 +1117,8 @@ export function buildExecContext(
     page: isUsablePage(pinnedPage) ? pinnedPage : defaultPage,
     context: ctx, state: userState,
     snapshot, snapshotData, refToLocator, locatorForRef, waitForPageLoad, getLogs, clearLogs, getCDPSession,
-    getBrowserforceStatus, getBrowserforcePageForTab,
+    getBrowserforceStatus, getBrowserforcePageForTab, startRecording, stopRecording, getDownloads, uploadFiles,
+    searchHistory, listBookmarks, listTabGroups, groupTabs, ungroupTabs, updateTabGroup,
     screenshotWithAccessibilityLabels, cleanHTML, pageMarkdown,
     pluginCatalog, pluginHelp,
     console: execConsole,
@@ -51,6 +51,16 @@ browserforce "click @e2 --tab app"
 - Use state.page for ongoing work; the default page variable is only a fallback.
 - If state.page closed, choose another non-closed page from context.pages() before creating a new tab.
 - Respect readOnly, noNewTabs, mode:'manual', lockUrl, and instructions.
+- originRules ({ pattern, access }, first match wins) tighten or lift those limits per site; check the rule for the page's URL before typing or navigating.
+- approvalClasses lists actions that pause for the user's approval (form-submit, sensitive-click, sensitive-typing, close-tab); allow time for them and treat a BLOCKED denial as final.
+- With credentialGuard on, reading cookies, localStorage, sessionStorage or indexedDB is BLOCKED except on credentialAllowlist sites; act through the logged-in page instead of extracting tokens.
+- The user can pause the agent: clicks, typing and navigation then wait for them while snapshots and evaluate keep working. If an action times out, snapshot() to see whether it ran before retrying.
+- "BLOCKED: Stopped by user" means the user hit the kill switch: stop the task and tell the user; do not reconnect or retry.
+- When the user asks for a recording of the work, wrap it in await startRecording('label') and await stopRecording(); stopRecording() returns the player path to hand back.
+- Once the user turns on Downloads in the BrowserForce popup, files the attached tabs download land in a per-session folder; await getDownloads() lists them ({ filename, size, mimeType, path, state }). state 'blocked' means the user's download policy refused the file; don't retry it.
+- Page dialogs follow browserforceRestrictions.dialogPolicy: with 'agent' (the default), register page.on('dialog') before the action that opens one (without a handler it is dismissed); 'dismiss' or 'accept' are answered for you. Either way getLogs() shows "[dialog] dismissed confirm(...)".
+- browserforceRestrictions.browserData says what the user turned on: searchHistory({ text, since: '2d' }) (history), listBookmarks({ query }) (bookmarks), listTabGroups()/groupTabs(tabIds, { title, color })/ungroupTabs(tabIds)/updateTabGroup(groupId, props) (tabGroups; only attached tabs and groups you created). Anything off fails with BLOCKED; ask the user instead of working around it.
+- To attach files to a form, use await uploadFiles(ref or locator, paths) (or the upload command), never a raw setInputFiles with other paths. Only files inside browserforceRestrictions.uploadsDir can be uploaded; relative paths resolve there. If the file isn't there, ask the user to put it there.
 - For explicit open/navigation work, create a tab only when restrictions allow it, then waitForPageLoad() and verify with snapshot().`,
   },
   navigation: {
@@ -76,6 +86,7 @@ browserforce "click @e2 --tab app"
 - Use snapshot({ showDiffSinceLastCall: true }) for repeated observations of the same page, and false when full output is needed.
 - Use cleanHTML(selector?, opts?) for structured DOM extraction.
 - Use pageMarkdown() for article-like content.
+- Password, card and one-time-code values come back as [redacted] (painted over in labeled screenshots) with a note that they exist; ask the user for them instead of reading the field with state.page.evaluate().
 - Use screenshots only when the user requested visuals or layout evidence.
 - Before screenshots of SPAs, wait for load plus a short visual settle or a page-specific ready signal so captures are high signal and low noise.`,
   },
@@ -120,6 +131,7 @@ browserforce "click @e2 --tab app"
 - Element missing: refresh snapshot output and use stable refs, roles, test IDs, or tighter search.
 - Navigation failed: inspect current URL, logs, and snapshot before retrying.
 - BF_NO_ATTACHED_PAGE or BF_NEW_TABS_DISABLED: manual/no-new-tabs mode needs an attached tab or relaxed restrictions.
+- ACCESS_EXPIRED (or "BLOCKED: ACCESS_EXPIRED"): the user's access schedule or time grant ended; stop and tell the user, and do not retry before resumesAt.
 - Connection/internal failures (relay disconnect, browser/context closed) are the ONLY reset cases: call reset, then reinitialize state.page from context.pages().
 - Execute timeout is a cancellation boundary, not just a late error: it aborts BrowserForce-controlled continuations (run timers, guarded helpers, state) so a timed-out snippet cannot mutate state or issue new guarded calls — re-observe the page (snapshot/url) before retrying. Two limits by design: a continuation resuming after awaiting a raw top-level page/context op can still issue one more Chrome command, and a CPU loop after an await may not be interruptible. Do not call reset for ordinary timeouts.`,
   },
@@ -14,6 +14,7 @@ import {
   BrowserForceMcpError, shouldCreateImplicitStartupPage,
 } from './exec-engine.js';
 import { createBrowserSessionRuntime } from './browser-session-runtime.js';
+import { normalizeDialogPolicy } from '../../extension/dialog-policy.js';
 import {
   parseBrowserforceCommand,
   executeBrowserforceCommand,
@@ -92,6 +93,7 @@ const runtime = createBrowserSessionRuntime({
   getRelayHttpUrl,
   idleDisconnectMs: IDLE_BROWSER_DISCONNECT_MS,
   onConnected: () => process.stderr.write('[bf-mcp] Connected to relay\n'),
+  normalizeDialogPolicy,
   // Execution deps for runtime.runCommand() (the browserforce command tool).
   // Plugin deps are LAZY accessors: this runtime is constructed at module
   // scope, before main() awaits loadPluginRuntime(), so the accessors read the
@@ -204,7 +206,8 @@ function registerExecTool(skillAppendix = '') {
     async ({ code, intent = 'inspect', timeout = 30000 }) => {
       try {
         beginBrowserOperation();
-        // Preflight BEFORE the CDP connect. This throws BF_NO_ATTACHED_PAGE /
+        // Preflight BEFORE the CDP connect. This throws ACCESS_EXPIRED once the
+        // user's access schedule ends, and BF_NO_ATTACHED_PAGE /
         // BF_NEW_TABS_DISABLED for attached-only flows with no manual tab, so
         // CDP startup is never reached for those cases.
         const browserforceRestrictions = await preflightAttachedPageBeforeCdp({
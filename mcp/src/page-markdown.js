@@ -5,6 +5,7 @@ import { readFileSync } from 'node:fs';
 import { join, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { createSmartDiff } from './snapshot.js';
+import { createRedactor, redactionNote } from './redaction.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -41,8 +42,11 @@ function getReadabilityCode() {
  * Extracts page content as structured markdown using Mozilla Readability.
  * Strips nav, ads, sidebars — returns article body with metadata.
  *
+ * Text matching the `redaction` config's value patterns (see redaction.js)
+ * comes back as [redacted], with a note saying how many values were hidden.
+ *
  * @param {import('playwright-core').Page} page
- * @param {{ search?: string | RegExp, showDiffSinceLastCall?: boolean }} [opts]
+ * @param {{ search?: string | RegExp, showDiffSinceLastCall?: boolean, redaction?: object }} [opts]
  * @returns {Promise<string>}
  */
 export async function getPageMarkdown(page, opts = {}) {
@@ -122,11 +126,15 @@ export async function getPageMarkdown(page, opts = {}) {
     lines.push(`> ${result.excerpt}`, '');
   }
 
-  lines.push(result.content);
+  const redactor = createRedactor(opts.redaction);
+  lines.push(redactor.text(result.content));
 
   if (!result.readable) {
     lines.push('', '---', '_Note: Page was not recognized as an article. Returned raw body text._');
   }
+  if (redactor.count > 0) {
+    lines.push('', `_Note: ${redactionNote(redactor.count)}_`);
+  }
 
   let markdown = lines.join('\n').trim();
 
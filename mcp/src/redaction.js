@@ -0,0 +1,274 @@
+// Secret redaction for everything the agent reads back from a page: AX
+// snapshots, cleanHTML, pageMarkdown and labeled screenshots.
+//
+// A field is sensitive when its input type, autocomplete hint or name/id/label
+// says so (password, card, one-time code, ...). Its value is replaced by
+// REDACTED in text output and painted over in screenshots. Free text matching a
+// value pattern (card-number-like digit runs by default) is replaced wherever
+// it appears. The default card pattern also has to pass the Luhn check, so
+// order numbers and phone numbers of the same length stay readable. Outputs carry a note saying how many values were hidden, so the
+// agent knows a value exists without seeing it.
+//
+// Configured by ~/.browserforce/redaction.json (or BROWSERFORCE_REDACTION_FILE):
+//
+//   { "enabled": true, "inputTypes": [...], "autocomplete": [...],
+//     "fieldNamePatterns": [...], "valuePatterns": [...] }
+//
+// Each key present replaces its default; patterns are case-insensitive regex
+// sources. A missing file means the defaults; an unreadable one falls back to
+// the defaults too (redaction stays on) and reports `error`.
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { homedir } from 'node:os';
+
+export const REDACTED = '[redacted]';
+export const REDACTION_MARK_ATTR = 'data-bf-redacted';
+
+// Matches of this pattern (the default, or the same source in a custom list)
+// are only redacted when their digits pass the Luhn check.
+export const CARD_NUMBER_PATTERN = '\\b(?:\\d[ -]?){12,18}\\d\\b';
+
+export const DEFAULT_REDACTION_CONFIG = Object.freeze({
+  enabled: true,
+  inputTypes: ['password'],
+  autocomplete: [
+    'current-password', 'new-password', 'one-time-code',
+    'cc-number', 'cc-csc', 'cc-exp', 'cc-exp-month', 'cc-exp-year',
+  ],
+  fieldNamePatterns: [
+    'card.?(?:number|num|no)\\b', 'cc-?num', '\\b(?:cvv|cvc|csc|cvn)\\b', 'security.?code',
+    '\\b(?:otp|totp|2fa|mfa)\\b', 'one.?time.?(?:code|password|pin)', 'verification.?code', '\\bssn\\b',
+  ],
+  valuePatterns: [CARD_NUMBER_PATTERN],
+});
+
+// Input types that never hold a typed secret, whatever their name says.
+const NON_TEXT_INPUT_TYPES = ['button', 'submit', 'reset', 'image', 'checkbox', 'radio', 'file', 'hidden', 'range', 'color'];
+
+export function defaultRedactionFile() {
+  return process.env.BROWSERFORCE_REDACTION_FILE || join(homedir(), '.browserforce', 'redaction.json');
+}
+
+/** Whether a digit run (spaces and dashes ignored) has a valid Luhn check digit. */
+export function passesLuhn(text) {
+  const digits = String(text).replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+function stringList(value, fallback) {
+  return Array.isArray(value) ? value.filter((entry) => typeof entry === 'string' && entry.trim()) : fallback;
+}
+
+function validPatterns(sources, errors) {
+  return sources.filter((source) => {
+    try {
+      new RegExp(source, 'i');
+      return true;
+    } catch (err) {
+      errors.push(`invalid pattern ${JSON.stringify(source)}: ${err.message}`);
+      return false;
+    }
+  });
+}
+
+/**
+ * Read the redaction config. Plain strings only, so the result can be passed
+ * straight into page.evaluate().
+ */
+export function loadRedactionConfig({ file = defaultRedactionFile() } = {}) {
+  let raw = {};
+  const errors = [];
+  try {
+    raw = JSON.parse(readFileSync(file, 'utf8'));
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push('expected a JSON object');
+      raw = {};
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') errors.push(err.message);
+  }
+  const d = DEFAULT_REDACTION_CONFIG;
+  return {
+    enabled: raw.enabled !== false,
+    inputTypes: stringList(raw.inputTypes, d.inputTypes).map((type) => type.toLowerCase()),
+    autocomplete: stringList(raw.autocomplete, d.autocomplete).map((hint) => hint.toLowerCase()),
+    fieldNamePatterns: validPatterns(stringList(raw.fieldNamePatterns, d.fieldNamePatterns), errors),
+    valuePatterns: validPatterns(stringList(raw.valuePatterns, d.valuePatterns), errors),
+    file,
+    error: errors.length > 0 ? errors.join('; ') : null,
+  };
+}
+
+/**
+ * Node-side redactor for text outputs. `count` tallies every value hidden so
+ * far (fields marked with `markField()` plus value-pattern matches).
+ */
+export function createRedactor(config) {
+  const enabled = !!config?.enabled;
+  const inputTypes = new Set(config?.inputTypes ?? []);
+  const autocomplete = new Set(config?.autocomplete ?? []);
+  const fieldNameRes = (config?.fieldNamePatterns ?? []).map((source) => new RegExp(source, 'i'));
+  const valueRes = (config?.valuePatterns ?? []).map((source) => ({
+    re: new RegExp(source, 'gi'),
+    luhn: source === CARD_NUMBER_PATTERN,
+  }));
+  let count = 0;
+
+  return {
+    enabled,
+    get count() {
+      return count;
+    },
+
+    text(value) {
+      if (!enabled || !value) return value;
+      let result = value;
+      for (const { re, luhn } of valueRes) {
+        result = result.replace(re, (match) => {
+          if (luhn && !passesLuhn(match)) return match;
+          count += 1;
+          return REDACTED;
+        });
+      }
+      return result;
+    },
+
+    /** `attributes` is a Map (flattened CDP DOM) or a plain object. */
+    isSensitiveField(nodeName, attributes) {
+      if (!enabled) return false;
+      const tag = String(nodeName || '').toUpperCase();
+      if (tag !== 'INPUT' && tag !== 'TEXTAREA') return false;
+      const attr = (name) => (attributes instanceof Map ? attributes.get(name) : attributes?.[name]) || '';
+      const type = attr('type').toLowerCase();
+      if (tag === 'INPUT' && NON_TEXT_INPUT_TYPES.includes(type)) return false;
+      if (inputTypes.has(type)) return true;
+      if (attr('autocomplete').toLowerCase().split(/\s+/).some((hint) => autocomplete.has(hint))) return true;
+      const described = [attr('name'), attr('id'), attr('aria-label'), attr('placeholder')].join(' ');
+      return fieldNameRes.some((re) => re.test(described));
+    },
+
+    markField() {
+      count += 1;
+    },
+  };
+}
+
+/** One-line note for outputs that hid something; '' when nothing was hidden. */
+export function redactionNote(count) {
+  if (!count) return '';
+  return `${count} sensitive value${count === 1 ? '' : 's'} exist${count === 1 ? 's' : ''} on this page but ${count === 1 ? 'is' : 'are'} shown as ${REDACTED}. Ask the user if you need ${count === 1 ? 'it' : 'them'}.`;
+}
+
+// ─── In-page helpers (serialized by page.evaluate; keep self-contained) ──────
+
+/**
+ * Mark sensitive fields in the document, open shadow roots and same-origin
+ * iframes with REDACTION_MARK_ATTR. Returns how many marked fields hold a
+ * value. Mirrors createRedactor().isSensitiveField — keep the two in sync.
+ */
+export function markSensitiveFields({ config, attr }) {
+  const nonText = ['button', 'submit', 'reset', 'image', 'checkbox', 'radio', 'file', 'hidden', 'range', 'color'];
+  const nameRes = config.fieldNamePatterns.map((source) => new RegExp(source, 'i'));
+  const isSensitive = (el) => {
+    const type = (el.getAttribute('type') || '').toLowerCase();
+    if (el.tagName === 'INPUT' && nonText.includes(type)) return false;
+    if (config.inputTypes.includes(type)) return true;
+    const hints = (el.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+    if (hints.some((hint) => config.autocomplete.includes(hint))) return true;
+    const described = [el.getAttribute('name'), el.id, el.getAttribute('aria-label'), el.getAttribute('placeholder')]
+      .filter(Boolean)
+      .join(' ');
+    return nameRes.some((re) => re.test(described));
+  };
+  let withValue = 0;
+  const visit = (root) => {
+    for (const el of root.querySelectorAll('*')) {
+      if ((el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') && isSensitive(el)) {
+        el.setAttribute(attr, '');
+        if (el.value) withValue += 1;
+      }
+      if (el.shadowRoot) visit(el.shadowRoot);
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        let doc = null;
+        try { doc = el.contentDocument; } catch { /* cross-origin */ }
+        if (doc) visit(doc);
+      }
+    }
+  };
+  if (config.enabled) visit(document);
+  return withValue;
+}
+
+/** Paint an opaque box labelled REDACTED over every marked field that holds a value. */
+export function paintRedactionMasks({ attr, label }) {
+  const layer = document.createElement('div');
+  layer.id = '__bf_redaction_masks__';
+  layer.style.cssText = 'position:fixed;inset:0;pointer-events:none;z-index:2147483647;';
+  let painted = 0;
+  const visit = (root, offsetX, offsetY) => {
+    for (const el of root.querySelectorAll('*')) {
+      if (el.hasAttribute(attr) && el.value) {
+        const r = el.getBoundingClientRect();
+        if (r.width > 0 && r.height > 0) {
+          const box = document.createElement('div');
+          box.textContent = label;
+          box.style.cssText = `position:fixed;left:${r.left + offsetX}px;top:${r.top + offsetY}px;width:${r.width}px;height:${r.height}px;`
+            + 'background:#3b3b3b;color:#fff;font:11px/1 monospace;display:flex;align-items:center;justify-content:center;overflow:hidden;';
+          layer.appendChild(box);
+          painted += 1;
+        }
+      }
+      if (el.shadowRoot) visit(el.shadowRoot, offsetX, offsetY);
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        let doc = null;
+        try { doc = el.contentDocument; } catch { /* cross-origin */ }
+        const r = el.getBoundingClientRect();
+        if (doc) visit(doc, offsetX + r.left + el.clientLeft, offsetY + r.top + el.clientTop);
+      }
+    }
+  };
+  visit(document, 0, 0);
+  document.documentElement.appendChild(layer);
+  return painted;
+}
+
+/** Remove marks and masks left by markSensitiveFields / paintRedactionMasks. */
+export function clearRedactionMarks({ attr }) {
+  document.getElementById('__bf_redaction_masks__')?.remove();
+  const visit = (root) => {
+    for (const el of root.querySelectorAll('*')) {
+      el.removeAttribute(attr);
+      if (el.shadowRoot) visit(el.shadowRoot);
+      if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+        let doc = null;
+        try { doc = el.contentDocument; } catch { /* cross-origin */ }
+        if (doc) visit(doc);
+      }
+    }
+  };
+  visit(document);
+}
+
+/**
+ * Run `fn(withValueCount)` while the page's sensitive fields carry
+ * REDACTION_MARK_ATTR, then remove the marks.
+ */
+export async function withRedactionMarks(page, config, fn) {
+  if (!config?.enabled) return fn(0);
+  const withValue = await page.evaluate(markSensitiveFields, { config, attr: REDACTION_MARK_ATTR }).catch(() => 0);
+  try {
+    return await fn(withValue);
+  } finally {
+    await page.evaluate(clearRedactionMarks, { attr: REDACTION_MARK_ATTR }).catch(() => {});
+  }
+}
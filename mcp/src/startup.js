@@ -12,6 +12,7 @@ import {
   isAttachedPageIntent,
   assertAttachedPageAvailable,
   assertOpenIntentAllowed,
+  assertAccessNotExpired,
   BrowserForceMcpError,
 } from './exec-engine.js';
 
@@ -44,6 +45,7 @@ export function formatBrowserForceMcpError(err) {
  * Returns the restrictions so callers can reuse them for the rest of the turn.
  */
 function runPreflightAssertions({ intent, restrictions, extensionStatus }) {
+  assertAccessNotExpired(extensionStatus);
   if (isAttachedPageIntent(intent)) {
     assertAttachedPageAvailable({ extensionStatus, restrictions, intent });
   } else {
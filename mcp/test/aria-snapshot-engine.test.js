@@ -8,6 +8,7 @@ import {
   finalizeSnapshotOutput, reconcileRefLocators, isSameOriginFrameSessionError,
   renderFrameErrors,
 } from '../src/aria-snapshot-engine.js';
+import { DEFAULT_REDACTION_CONFIG, createRedactor } from '../src/redaction.js';
 
 // ── fixture builders ─────────────────────────────────────────────────────────
 const ax = (nodeId, role, name, backendDOMNodeId, childIds = []) => ({
@@ -81,6 +82,59 @@ test('renderRefLines emits [ref=eN] markers from the tree', () => {
   assert.match(text, /- button "Save" \[ref=e1\]/);
 });
 
+test('redactor hides a sensitive field value and drops its value subtree', () => {
+  const axNodes = [
+    ax('1', 'RootWebArea', '', 1, ['2', '4']),
+    { ...ax('2', 'textbox', 'Password', 2, ['3']), value: { value: 'hunter2' } },
+    ax('3', 'StaticText', 'hunter2', 3),
+    { ...ax('4', 'textbox', 'Email', 4), value: { value: 'me@example.com' } },
+  ];
+  const domNodes = [
+    dom(1, 1, 'BODY'),
+    dom(2, 2, 'INPUT', ['type', 'password', 'name', 'pw'], 1), dom(3, 3, '#text', [], 2),
+    dom(4, 4, 'INPUT', ['type', 'email', 'name', 'email'], 1),
+  ];
+  const redactor = createRedactor(DEFAULT_REDACTION_CONFIG);
+  const { snapshot, tree } = assembleSnapshot({ axNodes, domNodes, interactiveOnly: false, redactor });
+  const text = renderRefLines(tree);
+  assert.doesNotMatch(snapshot, /hunter2/);
+  assert.doesNotMatch(text, /hunter2/);
+  assert.match(text, /- textbox "Password" \[ref=e1\] \[redacted\]/);
+  assert.doesNotMatch(text, /"Email" \[ref=e2\] \[redacted\]/);
+  assert.match(snapshot, /\[redacted\]/);
+  assert.equal(redactor.count, 1);
+});
+
+test('redactor masks card-number-like text and leaves empty sensitive fields unflagged', () => {
+  const axNodes = [
+    ax('1', 'RootWebArea', '', 1, ['2', '3']),
+    ax('2', 'StaticText', 'Card on file: 4111 1111 1111 1111', 2),
+    ax('3', 'textbox', 'CVC', 3),
+  ];
+  const domNodes = [dom(1, 1, 'BODY'), dom(2, 2, '#text', [], 1), dom(3, 3, 'INPUT', ['autocomplete', 'cc-csc'], 1)];
+  const redactor = createRedactor(DEFAULT_REDACTION_CONFIG);
+  const { tree } = assembleSnapshot({ axNodes, domNodes, interactiveOnly: false, redactor });
+  const text = renderRefLines(tree);
+  assert.match(text, /Card on file: \[redacted\]/);
+  assert.match(text, /- textbox "CVC" \[ref=e1\]$/m);
+  assert.equal(redactor.count, 1);
+});
+
+test('a redacted name is hidden in the output but its locator still uses the real name', () => {
+  const axNodes = [
+    ax('1', 'RootWebArea', '', 1, ['2']),
+    ax('2', 'button', 'Pay with 4111 1111 1111 1111', 2),
+  ];
+  const domNodes = [dom(1, 1, 'BODY'), dom(2, 2, 'BUTTON', [], 1)];
+  const redactor = createRedactor(DEFAULT_REDACTION_CONFIG);
+  const { snapshot, tree, refs } = assembleSnapshot({ axNodes, domNodes, interactiveOnly: false, redactor });
+  assert.doesNotMatch(snapshot, /4111/);
+  assert.doesNotMatch(renderRefLines(tree), /4111/);
+  assert.equal(refs[0].locator, 'role=button[name="Pay with [redacted]"]');
+  assert.equal(refs[0].rawLocator, 'role=button[name="Pay with 4111 1111 1111 1111"]');
+  assert.equal(redactor.count, 1);
+});
+
 test('getAriaSnapshot throws without a CDP session', async () => {
   await assert.rejects(() => getAriaSnapshot({ page: {} }), /requires a page CDP session/);
 });
@@ -128,6 +128,67 @@ test('console capture attaches per page and clears on disconnect', async () => {
   assert.equal(runtime.consoleLogs.size, 0, 'disconnect clears all console capture state');
 });
 
+test('dialog notes come from the relay\'s dialogHandled event, not from page console output', async () => {
+  const page = makeFakePage();
+  page.isClosed = () => false;
+  const sessionHandlers = {};
+  page.context = () => ({
+    newCDPSession: async (target) => {
+      assert.equal(target, page);
+      return { on(event, cb) { sessionHandlers[event] = cb; } };
+    },
+  });
+  const runtime = createBrowserSessionRuntime({ connectBrowser: async () => makeFakeBrowser({ pages: [page] }) });
+
+  await runtime.ensureBrowser();
+  await new Promise((resolve) => setImmediate(resolve));
+  page.handlers.console?.({ type: () => 'info', text: () => 'BrowserForce: accepted confirm("Pay now?")' });
+  sessionHandlers['BrowserForce.dialogHandled']?.({ note: 'dismissed confirm("Delete item?")', url: 'https://app.test/' });
+  assert.deepEqual(runtime.consoleLogs.get(page), [
+    '[info] BrowserForce: accepted confirm("Pay now?")',
+    '[dialog] dismissed confirm("Delete item?")',
+  ]);
+  assert.deepEqual(runtime.takeDialogNotes(), ['dismissed confirm("Delete item?")']);
+  assert.deepEqual(runtime.takeDialogNotes(), [], 'notes are handed out once');
+});
+
+test('dialog sessions are detached when their page closes and on reset', async () => {
+  const detached = [];
+  const fakePage = (name) => {
+    const page = makeFakePage();
+    let closed = false;
+    page.isClosed = () => closed;
+    page.close = () => { closed = true; page.handlers.close?.(); };
+    page.context = () => ({
+      newCDPSession: async () => ({ on() {}, detach: async () => { detached.push(name); } }),
+    });
+    return page;
+  };
+  const first = fakePage('first');
+  const second = fakePage('second');
+  const runtime = createBrowserSessionRuntime({ connectBrowser: async () => makeFakeBrowser({ pages: [first, second] }) });
+
+  await runtime.ensureBrowser();
+  await new Promise((resolve) => setImmediate(resolve));
+  first.close();
+  assert.deepEqual(detached, ['first']);
+
+  await runtime.reset();
+  assert.deepEqual(detached, ['first', 'second']);
+});
+
+test('dialog policy normalization is injected, not imported', async () => {
+  const fetch = async () => ({ ok: true, json: async () => ({ dialogPolicy: 'bogus' }) });
+  const injected = createBrowserSessionRuntime({
+    getRelayHttpUrl: () => 'http://relay.test',
+    fetch,
+    normalizeDialogPolicy: (value) => (value === 'accept' ? value : 'agent'),
+  });
+  assert.equal((await injected.getBrowserforceRestrictionsForSession()).dialogPolicy, 'agent');
+  const bare = createBrowserSessionRuntime({ getRelayHttpUrl: () => 'http://relay.test', fetch });
+  assert.equal((await bare.getBrowserforceRestrictionsForSession()).dialogPolicy, 'bogus', 'passed through without the helper');
+});
+
 test('agent preferences and restrictions are fetched once and cached, forceRefresh bypasses', async () => {
   let prefCalls = 0;
   let restrictCalls = 0;
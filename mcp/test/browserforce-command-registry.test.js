@@ -891,6 +891,24 @@ describe('executeBrowserforceCommand → runtime.runCommand snippets', () => {
     assert.match(runtime.calls[0].code, /await page\.keyboard\.press\("Enter"\);/);
   });
 
+  it('upload @e5 passes every path to uploadFiles on the ref locator', async () => {
+    const runtime = fakeRuntime();
+    await executeBrowserforceCommand({ command: 'upload @e5 resume.pdf "cover letter.pdf" --tab docs', runtime: { ...runtime, resolveTabTarget: async () => ({ page: 'docs-page' }) } });
+    const { code, page } = runtime.calls[0];
+    assert.match(code, /locatorForRef\(\{ ref: "e5" \}\)/);
+    assert.match(code, /await uploadFiles\(locator, \["resume\.pdf","cover letter\.pdf"\]\);/);
+    assert.equal(page, 'docs-page');
+  });
+
+  it('upload without a file path fails with a usage error', async () => {
+    const runtime = fakeRuntime();
+    await assert.rejects(
+      () => executeBrowserforceCommand({ command: 'upload @e5', runtime }),
+      (err) => err instanceof BrowserforceCommandError && /upload requires a ref and at least one file path/.test(err.message),
+    );
+    assert.equal(runtime.calls.length, 0);
+  });
+
   it('wait text "Saved" polls case-insensitively and gets runCode headroom', async () => {
     const runtime = fakeRuntime();
     await executeBrowserforceCommand({ command: 'wait text "Saved"', runtime, timeout: 10000 });
@@ -1037,6 +1055,19 @@ describe('executeBrowserforceCommand → runtime.runCommand snippets', () => {
     }
     assert.equal(runtime.calls.length, 0, 'validation failures never reach the runtime');
   });
+
+  it('reports the page dialogs the command ran into, not earlier ones', async () => {
+    const runtime = fakeRuntime('clicked');
+    let notes = ['accepted alert("Saved")'];
+    runtime.takeDialogNotes = () => { const taken = notes; notes = []; return taken; };
+    const runCommand = runtime.runCommand;
+    runtime.runCommand = async (opts) => {
+      notes.push('dismissed confirm("Delete item?")');
+      return runCommand(opts);
+    };
+    const { text } = await executeBrowserforceCommand({ command: 'click @e2', runtime });
+    assert.equal(text, 'clicked\nDialog: dismissed confirm("Delete item?")');
+  });
 });
 
 describe('executeBrowserforceVerb (sessiond JSON body path)', () => {
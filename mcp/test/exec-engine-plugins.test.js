@@ -1,5 +1,9 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { createRequire } from 'node:module';
+import WebSocket from 'ws';
 import {
   buildExecContext,
   runCode,
@@ -86,6 +90,7 @@ function createLabeledScreenshotPage() {
   const screenshotCalls = [];
   const screenshotBuffer = Buffer.from('jpeg-image-data');
   const locatorCalls = [];
+  const captureSteps = [];
   let a11yInjected = false;
   return {
     isClosed: () => false,
@@ -94,6 +99,7 @@ function createLabeledScreenshotPage() {
     context: () => fakeSnapshotContext(),
     screenshot: async (opts) => {
       screenshotCalls.push(opts);
+      captureSteps.push('screenshot');
       return screenshotBuffer;
     },
     locator: (selector) => {
@@ -110,6 +116,11 @@ function createLabeledScreenshotPage() {
         return undefined;
       }
       const source = String(_fn);
+      const redactionStep = /^function (markSensitiveFields|paintRedactionMasks|clearRedactionMarks)\b/.exec(source);
+      if (redactionStep) {
+        captureSteps.push(redactionStep[1]);
+        return redactionStep[1] === 'clearRedactionMarks' ? undefined : 0;
+      }
       if (source.includes('typeof globalThis.__bf_a11y')) {
         return a11yInjected;
       }
@@ -138,6 +149,7 @@ function createLabeledScreenshotPage() {
       };
     },
     getScreenshotCalls: () => screenshotCalls,
+    getCaptureSteps: () => captureSteps,
     getScreenshotBuffer: () => screenshotBuffer,
     getLocatorCalls: () => locatorCalls,
   };
@@ -148,7 +160,7 @@ function createCleanHtmlPage() {
     isClosed: () => false,
     evaluate: async (_fn, arg) => {
       if (arg && typeof arg === 'object' && Object.hasOwn(arg, 'maxAttrLen')) {
-        return '<html><body><main>clean body</main></body></html>';
+        return { html: '<html><body><main>clean body</main></body></html>', redactedFields: 0 };
       }
       throw new Error('Unexpected evaluate call in cleanHTML test');
     },
@@ -1479,6 +1491,14 @@ test('buildExecContext exposes screenshot and content helpers in execute scope',
   assert.equal(typeof ctx.pageMarkdown, 'function');
   assert.equal(typeof ctx.getBrowserforceStatus, 'function');
   assert.equal(typeof ctx.getBrowserforcePageForTab, 'function');
+  assert.equal(typeof ctx.startRecording, 'function');
+  assert.equal(typeof ctx.stopRecording, 'function');
+  assert.equal(typeof ctx.getDownloads, 'function');
+  assert.equal(typeof ctx.uploadFiles, 'function');
+  assert.equal(typeof ctx.searchHistory, 'function');
+  assert.equal(typeof ctx.listBookmarks, 'function');
+  assert.equal(typeof ctx.listTabGroups, 'function');
+  assert.equal(typeof ctx.groupTabs, 'function');
 });
 
 test('getBrowserforceStatus exposes manual attached tabs without using context.pages', async () => {
@@ -1515,6 +1535,87 @@ test('getBrowserforceStatus exposes manual attached tabs without using context.p
   }
 });
 
+test('startRecording/stopRecording drive the relay recorder and surface its errors', async () => {
+  const restore = mockFetch({
+    'http://127.0.0.1:19222/recordings/stop': {
+      id: '2026-10-18T09-00-00-000Z',
+      frameCount: 12,
+      actionCount: 3,
+      player: '/home/me/.browserforce/recordings/2026-10-18T09-00-00-000Z/player.html',
+    },
+  });
+  try {
+    const ctx = buildExecContext(mockPage, mockCtx, {}, {}, {});
+    const stopped = await runCode('return await stopRecording();', ctx, 1000);
+    assert.match(stopped.player, /player\.html$/);
+    await assert.rejects(
+      () => runCode('return await startRecording("overnight");', ctx, 1000),
+      /Cannot start recording: not mocked/,
+    );
+  } finally {
+    restore();
+  }
+});
+
+test('getDownloads lists the relay session downloads', async () => {
+  const restore = mockFetch({
+    'http://127.0.0.1:19222/downloads': {
+      sessionDir: '/home/me/.browserforce/downloads/2026-10-18T09-00-00-000Z',
+      policy: null,
+      downloads: [
+        { id: 1, tabId: 4, filename: 'report.csv', mimeType: 'text/csv', size: 120, state: 'complete', path: '/home/me/.browserforce/downloads/2026-10-18T09-00-00-000Z/report.csv' },
+      ],
+    },
+  });
+  try {
+    const ctx = buildExecContext(mockPage, mockCtx, {}, {}, {});
+    const downloads = await runCode('return await getDownloads();', ctx, 1000);
+    assert.deepEqual(downloads.map((entry) => [entry.filename, entry.state]), [['report.csv', 'complete']]);
+  } finally {
+    restore();
+  }
+});
+
+test('searchHistory and listBookmarks read the relay browser data routes', async () => {
+  const restore = mockFetch({
+    'http://127.0.0.1:19222/history?text=pull+request&since=2d': {
+      items: [{ url: 'https://github.com/acme/app/pull/42', title: 'Fix login #42', lastVisitTime: '2026-10-17T16:00:00.000Z', visitCount: 3 }],
+    },
+    'http://127.0.0.1:19222/bookmarks?query=docs': {
+      bookmarks: [{ id: '7', title: 'API docs', url: 'https://docs.example/api', folder: 'Bookmarks bar/Work', dateAdded: null }],
+    },
+  });
+  try {
+    const ctx = buildExecContext(mockPage, mockCtx, {}, {}, {});
+    const result = await runCode(`
+      const [pr] = await searchHistory({ text: 'pull request', since: '2d' });
+      const [docs] = await listBookmarks({ query: 'docs' });
+      return pr.url + ' | ' + docs.folder;
+    `, ctx, 1000);
+    assert.equal(result, 'https://github.com/acme/app/pull/42 | Bookmarks bar/Work');
+  } finally {
+    restore();
+  }
+});
+
+test('uploadFiles resolves relative paths in the uploads directory', async () => {
+  const uploadsDir = '/home/me/.browserforce/agent/sessions/uploads';
+  const ctx = buildExecContext(mockPage, mockCtx, {}, {}, {}, {}, { uploadsDir });
+  assert.equal(ctx.browserforceRestrictions.uploadsDir, uploadsDir);
+
+  const calls = [];
+  const locator = { setInputFiles: async (paths) => { calls.push(paths); } };
+  const result = await ctx.uploadFiles(locator, ['s1/photo.png', '/tmp/elsewhere.txt']);
+  assert.deepEqual(calls, [[`${uploadsDir}/s1/photo.png`, '/tmp/elsewhere.txt']]);
+  assert.deepEqual(result.uploaded, calls[0]);
+
+  await assert.rejects(() => ctx.uploadFiles('@e99', 'photo.png'), /Unknown ref: e99/);
+  await assert.rejects(() => ctx.uploadFiles(locator, []), /requires at least one file path/);
+
+  const unknownDir = buildExecContext(mockPage, mockCtx, {}, {}, {});
+  await assert.rejects(() => unknownDir.uploadFiles(locator, 'photo.png'), /the uploads directory is unknown/);
+});
+
 test('getBrowserforcePageForTab waits for the manual tab to appear in context.pages', async () => {
   const manualUrl = 'https://app.heymantle.com/reports/mrr?appId=abc';
   const sheetsPage = { isClosed: () => false, url: () => 'https://docs.google.com/spreadsheets/d/abc' };
@@ -1639,6 +1740,21 @@ test('screenshotWithAccessibilityLabels runs snapshot and direct screenshot sequ
   assert.ok(result.snapshot.includes('- main:'));
 });
 
+test('screenshotWithAccessibilityLabels paints redaction masks before capture and clears them after', async () => {
+  const page = createLabeledScreenshotPage();
+  const ctx = buildExecContext(page, { pages: () => [page] }, {}, {}, {});
+  const originalFile = process.env.BROWSERFORCE_REDACTION_FILE;
+  process.env.BROWSERFORCE_REDACTION_FILE = join(tmpdir(), `bf-redaction-missing-${process.pid}.json`);
+  try {
+    const result = await ctx.screenshotWithAccessibilityLabels({ interactiveOnly: false });
+    assert.deepEqual(page.getCaptureSteps(), ['markSensitiveFields', 'paintRedactionMasks', 'screenshot', 'clearRedactionMarks']);
+    assert.equal(result.redactedCount, 0);
+  } finally {
+    if (originalFile === undefined) delete process.env.BROWSERFORCE_REDACTION_FILE;
+    else process.env.BROWSERFORCE_REDACTION_FILE = originalFile;
+  }
+});
+
 test('buildExecContext exposes callable ref and CDP helpers', async () => {
   const fakeSession = { send: async () => ({}) };
   const page = {
@@ -1808,6 +1924,37 @@ test('getCdpUrl resolves from /json/version when BF_CDP_URL is not set', async (
   }
 });
 
+test('getCdpUrl returns a URL a token-gated relay accepts', async () => {
+  const { RelayServer } = createRequire(import.meta.url)('../../relay/src/index.js');
+  const originalCdp = process.env.BF_CDP_URL;
+  const originalPort = process.env.RELAY_PORT;
+  const port = 19300 + Math.floor(Math.random() * 700);
+  const relay = new RelayServer(port);
+  relay.start({ writeCdpUrl: false });
+  let ws;
+  try {
+    delete process.env.BF_CDP_URL;
+    process.env.RELAY_PORT = String(port);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const cdpUrl = await getCdpUrl();
+    assert.match(cdpUrl, new RegExp(`^ws://127\\.0\\.0\\.1:${port}/cdp\\?token=`));
+    ws = new WebSocket(cdpUrl);
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('unexpected-response', (_req, res) => reject(new Error(`relay answered ${res.statusCode}`)));
+      ws.once('error', reject);
+    });
+  } finally {
+    ws?.close();
+    relay.stop();
+    if (originalCdp === undefined) delete process.env.BF_CDP_URL;
+    else process.env.BF_CDP_URL = originalCdp;
+    if (originalPort === undefined) delete process.env.RELAY_PORT;
+    else process.env.RELAY_PORT = originalPort;
+  }
+});
+
 test('assertExtensionConnected throws a clear error when extension is disconnected', async () => {
   const originalFetch = globalThis.fetch;
   try {
@@ -2020,6 +2167,28 @@ test('no-new-tabs inspect preflight fails before connecting over CDP when no man
   assert.deepEqual(calls, []);
 });
 
+test('expired agent access returns ACCESS_EXPIRED before ensureBrowser', async () => {
+  const calls = [];
+  const result = await runExecuteStartupForTest({
+    intent: 'inspect',
+    restrictions: { mode: 'auto', noNewTabs: false },
+    extensionStatus: {
+      connected: true,
+      activeTargets: 0,
+      accessExpired: true,
+      access: { allowed: false, reason: 'grant_ended', message: 'BLOCKED: ACCESS_EXPIRED — time ran out.', expiredAt: '2026-01-02T18:00:00.000Z', resumesAt: null },
+    },
+    ensureBrowser: async () => {
+      calls.push('ensureBrowser');
+      throw new Error('ensureBrowser should not be called');
+    },
+  });
+  assert.equal(result.error.code, 'ACCESS_EXPIRED');
+  assert.equal(result.error.message, 'BLOCKED: ACCESS_EXPIRED — time ran out.');
+  assert.deepEqual(result.error.details, { reason: 'grant_ended', expiredAt: '2026-01-02T18:00:00.000Z', resumesAt: null });
+  assert.deepEqual(calls, []);
+});
+
 test('open intent with no-new-tabs returns BF_NEW_TABS_DISABLED before ensureBrowser', async () => {
   const calls = [];
   const result = await runExecuteStartupForTest({
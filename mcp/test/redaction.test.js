@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  DEFAULT_REDACTION_CONFIG, REDACTED, createRedactor, loadRedactionConfig, passesLuhn, redactionNote,
+} from '../src/redaction.js';
+
+function writeConfig(body) {
+  const dir = mkdtempSync(join(tmpdir(), 'bf-redaction-'));
+  const file = join(dir, 'redaction.json');
+  writeFileSync(file, typeof body === 'string' ? body : JSON.stringify(body));
+  return file;
+}
+
+test('loadRedactionConfig falls back to the defaults when the file is missing', () => {
+  const config = loadRedactionConfig({ file: join(tmpdir(), 'bf-redaction-does-not-exist.json') });
+  assert.equal(config.enabled, true);
+  assert.deepEqual(config.inputTypes, DEFAULT_REDACTION_CONFIG.inputTypes);
+  assert.deepEqual(config.valuePatterns, DEFAULT_REDACTION_CONFIG.valuePatterns);
+  assert.equal(config.error, null);
+});
+
+test('loadRedactionConfig replaces only the keys present and drops invalid patterns', () => {
+  const config = loadRedactionConfig({ file: writeConfig({ valuePatterns: ['sk-[a-z0-9]{8,}', '(unclosed'] }) });
+  assert.deepEqual(config.valuePatterns, ['sk-[a-z0-9]{8,}']);
+  assert.deepEqual(config.autocomplete, DEFAULT_REDACTION_CONFIG.autocomplete);
+  assert.match(config.error, /invalid pattern "\(unclosed"/);
+});
+
+test('loadRedactionConfig keeps redaction on when the file is malformed', () => {
+  const config = loadRedactionConfig({ file: writeConfig('{ not json') });
+  assert.equal(config.enabled, true);
+  assert.ok(config.error);
+  assert.equal(loadRedactionConfig({ file: writeConfig({ enabled: false }) }).enabled, false);
+});
+
+test('isSensitiveField matches input types, autocomplete hints and field names', () => {
+  const redactor = createRedactor(DEFAULT_REDACTION_CONFIG);
+  assert.equal(redactor.isSensitiveField('INPUT', { type: 'password' }), true);
+  assert.equal(redactor.isSensitiveField('INPUT', new Map([['autocomplete', 'section-pay cc-number']])), true);
+  assert.equal(redactor.isSensitiveField('INPUT', { name: 'otp' }), true);
+  assert.equal(redactor.isSensitiveField('TEXTAREA', { id: 'card-number' }), true);
+  assert.equal(redactor.isSensitiveField('INPUT', { type: 'email', name: 'email' }), false);
+  assert.equal(redactor.isSensitiveField('INPUT', { type: 'submit', name: 'otp' }), false);
+  assert.equal(redactor.isSensitiveField('BUTTON', { name: 'otp' }), false);
+  assert.equal(createRedactor({ ...DEFAULT_REDACTION_CONFIG, enabled: false }).isSensitiveField('INPUT', { type: 'password' }), false);
+});
+
+test('text() replaces value-pattern matches and counts them', () => {
+  const redactor = createRedactor(DEFAULT_REDACTION_CONFIG);
+  assert.equal(redactor.text('Visa 4111-1111-1111-1111 exp 12/29'), `Visa ${REDACTED} exp 12/29`);
+  assert.equal(redactor.text('Order #12345 shipped'), 'Order #12345 shipped');
+  redactor.markField();
+  assert.equal(redactor.count, 2);
+});
+
+test('card-number-like digit runs are only redacted when they pass the Luhn check', () => {
+  assert.equal(passesLuhn('4111 1111 1111 1111'), true);
+  assert.equal(passesLuhn('4111-1111-1111-1112'), false);
+  const redactor = createRedactor(DEFAULT_REDACTION_CONFIG);
+  assert.equal(redactor.text('Tracking 1234567890123456'), 'Tracking 1234567890123456');
+  assert.equal(redactor.text('Card 5500 0000 0000 0004'), `Card ${REDACTED}`);
+  assert.equal(redactor.count, 1);
+  const custom = createRedactor({ ...DEFAULT_REDACTION_CONFIG, valuePatterns: ['\\b\\d{16}\\b'] });
+  assert.equal(custom.text('Tracking 1234567890123456'), `Tracking ${REDACTED}`, 'custom patterns are not Luhn-checked');
+});
+
+test('redactionNote tells the agent the value exists', () => {
+  assert.equal(redactionNote(0), '');
+  assert.match(redactionNote(1), /^1 sensitive value exists on this page but is shown as \[redacted\]/);
+  assert.match(redactionNote(3), /^3 sensitive values exist/);
+});
@@ -0,0 +1,121 @@
+const os = require('node:os');
+const path = require('node:path');
+const {
+  createJsonlFileCache,
+  createRotatingJsonlWriter,
+  resolvePositiveIntOption,
+} = require('./jsonl-file.js');
+const { compileMethodFilter, isWithinTimeRange, parseTimeBound } = require('./log-filters.js');
+
+// Durable audit trail of state-changing browser actions (navigation, input,
+// DOM writes, tab create/close). Unlike the CDP firehose in cdp-log.js this
+// file survives relay restarts and rotates by size instead of being wiped.
+
+const BF_DIR = path.join(os.homedir(), '.browserforce');
+const AUDIT_LOG_FILE_PATH = process.env.BROWSERFORCE_AUDIT_LOG_FILE_PATH || path.join(BF_DIR, 'audit.jsonl');
+const DEFAULT_AUDIT_MAX_BYTES = 5 * 1024 * 1024;
+const DEFAULT_AUDIT_MAX_FILES = 5;
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 1000;
+const MAX_AUDIT_STRING_LENGTH = 500;
+
+// Input params worth keeping. Typed text is never stored — only its length —
+// so the audit trail cannot leak passwords or messages the agent typed.
+const KEPT_PARAM_KEYS = ['url', 'type', 'x', 'y', 'button', 'clickCount', 'targetId', 'nodeId', 'backendNodeId', 'name', 'accept'];
+
+function clipString(value) {
+  return value.length > MAX_AUDIT_STRING_LENGTH ? `${value.slice(0, MAX_AUDIT_STRING_LENGTH)}…` : value;
+}
+
+function summarizeAuditParams(params) {
+  if (!params || typeof params !== 'object') return {};
+  const summary = {};
+  for (const key of KEPT_PARAM_KEYS) {
+    const value = params[key];
+    if (value === undefined) continue;
+    summary[key] = typeof value === 'string' ? clipString(value) : value;
+  }
+  // Named keys (Enter, Tab, ArrowDown) are useful; single characters are typing.
+  if (typeof params.key === 'string' && params.key.length > 1) summary.key = params.key;
+  if (typeof params.text === 'string') summary.textLength = params.text.length;
+  if (Array.isArray(params.files)) summary.fileCount = params.files.length;
+  return summary;
+}
+
+function createAuditLogger({ logFilePath, maxBytes, maxFiles } = {}) {
+  const resolvedLogFilePath = logFilePath || process.env.BROWSERFORCE_AUDIT_LOG_FILE_PATH || AUDIT_LOG_FILE_PATH;
+  const writer = createRotatingJsonlWriter({
+    filePath: resolvedLogFilePath,
+    maxBytes: resolvePositiveIntOption(maxBytes, process.env.BROWSERFORCE_AUDIT_LOG_MAX_BYTES, DEFAULT_AUDIT_MAX_BYTES),
+    maxFiles: resolvePositiveIntOption(maxFiles, process.env.BROWSERFORCE_AUDIT_LOG_MAX_FILES, DEFAULT_AUDIT_MAX_FILES),
+  });
+  // The options page polls query() every second; re-parsing every rotated
+  // generation each time would block the relay for no new information.
+  const fileCache = createJsonlFileCache();
+
+  return {
+    logFilePath: resolvedLogFilePath,
+    record(entry) {
+      const line = {
+        timestamp: entry.timestamp || new Date().toISOString(),
+        clientId: entry.clientId || null,
+        clientLabel: entry.clientLabel || null,
+        method: entry.method,
+        tabId: Number.isInteger(entry.tabId) ? entry.tabId : null,
+        targetId: entry.targetId || null,
+        url: typeof entry.url === 'string' ? clipString(entry.url) : null,
+        params: summarizeAuditParams(entry.params),
+        outcome: entry.outcome,
+        durationMs: entry.durationMs,
+      };
+      if (entry.error) line.error = clipString(String(entry.error));
+      writer.append(JSON.stringify(line));
+    },
+
+    /**
+     * Filter the retained audit trail. Filters: label, tabId, method (exact or
+     * `*` glob), outcome, since/until (epoch ms or ISO). Returns the newest
+     * `limit` matches in chronological order.
+     */
+    async query(filters = {}) {
+      await writer.flush();
+      const label = typeof filters.label === 'string' && filters.label ? filters.label : null;
+      const tabId = filters.tabId === undefined || filters.tabId === null || filters.tabId === ''
+        ? null
+        : Number(filters.tabId);
+      const matchesMethod = compileMethodFilter(filters.method);
+      const outcome = typeof filters.outcome === 'string' && filters.outcome ? filters.outcome : null;
+      const range = { since: parseTimeBound(filters.since), until: parseTimeBound(filters.until) };
+      const requestedLimit = Number(filters.limit);
+      const limit = Number.isFinite(requestedLimit) && requestedLimit > 0
+        ? Math.min(Math.floor(requestedLimit), MAX_QUERY_LIMIT)
+        : DEFAULT_QUERY_LIMIT;
+
+      const matches = [];
+      for (const file of writer.listFiles()) {
+        for (const entry of fileCache.read(file)) {
+          if (label && entry.clientLabel !== label) continue;
+          if (tabId !== null && entry.tabId !== tabId) continue;
+          if (matchesMethod && !matchesMethod(entry.method)) continue;
+          if (outcome && entry.outcome !== outcome) continue;
+          if (!isWithinTimeRange(entry.timestamp, range)) continue;
+          matches.push(entry);
+        }
+      }
+      fileCache.prune();
+
+      const skipped = Math.max(0, matches.length - limit);
+      return {
+        total: matches.length,
+        skipped,
+        entries: skipped > 0 ? matches.slice(skipped) : matches,
+      };
+    },
+  };
+}
+
+module.exports = {
+  AUDIT_LOG_FILE_PATH,
+  createAuditLogger,
+  summarizeAuditParams,
+};
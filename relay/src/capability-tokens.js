@@ -0,0 +1,220 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { chmodBestEffort } = require('./jsonl-file.js');
+
+// Scoped capability tokens minted by the relay (POST /tokens).
+//
+// The master token in ~/.browserforce/auth-token grants everything. A scoped
+// token narrows what a /cdp connection may do:
+//   readOnly        — only the read methods in READ_ONLY_METHODS: no
+//                     evaluation, navigation, input, DOM writes, interception,
+//                     overrides or tab create/close
+//   allowedOrigins  — commands only on tabs whose URL matches one of these
+//                     origins ("https://example.com" or "https://*.example.com")
+//   maxTabs         — at most this many open tabs created through the token
+//   expiresAt       — connections are refused (and dropped) after this time
+//
+// Only a SHA-256 of each secret is persisted; the secret itself is returned
+// once, at mint time.
+
+const BF_DIR = path.join(os.homedir(), '.browserforce');
+const TOKENS_FILE_PATH = process.env.BROWSERFORCE_TOKENS_FILE || path.join(BF_DIR, 'tokens.json');
+const TOKEN_PREFIX = 'bft_';
+const MAX_NAME_LENGTH = 80;
+
+// What a readOnly token may send. An allowlist, because most of CDP can change
+// the page or what it sees: Runtime.evaluate / callFunctionOn run arbitrary
+// script, Fetch.* rewrites requests, and the Network, Storage and Emulation
+// setters override what the page gets. Anything not listed is refused,
+// including methods CDP adds later.
+const READ_ONLY_ENABLE_DOMAINS = new Set([
+  'Accessibility', 'CSS', 'DOM', 'DOMSnapshot', 'Inspector', 'Log', 'Network', 'Page', 'Performance', 'Runtime',
+]);
+const READ_ONLY_METHODS = new Set([
+  // Discovery and attach (answered by the relay)
+  'Browser.getVersion', 'Target.getTargets', 'Target.getTargetInfo', 'Target.getBrowserContexts',
+  'Target.setDiscoverTargets', 'Target.setAutoAttach', 'Target.attachToTarget', 'Target.attachToBrowserTarget',
+  'Target.detachFromTarget', 'Runtime.runIfWaitingForDebugger',
+  // Page
+  'Page.getFrameTree', 'Page.getNavigationHistory', 'Page.getLayoutMetrics', 'Page.getResourceTree',
+  'Page.getResourceContent', 'Page.captureScreenshot', 'Page.setLifecycleEventsEnabled',
+  // DOM, accessibility and styles
+  'DOM.getDocument', 'DOM.getFlattenedDocument', 'DOM.requestChildNodes', 'DOM.querySelector',
+  'DOM.querySelectorAll', 'DOM.describeNode', 'DOM.getOuterHTML', 'DOM.getAttributes', 'DOM.getBoxModel',
+  'DOM.getContentQuads', 'DOM.getNodeForLocation', 'DOM.getFrameOwner', 'DOM.pushNodesByBackendIdsToFrontend',
+  'Accessibility.getFullAXTree', 'Accessibility.getPartialAXTree', 'Accessibility.getRootAXNode',
+  'Accessibility.getChildAXNodes', 'Accessibility.queryAXTree',
+  'DOMSnapshot.captureSnapshot', 'CSS.getComputedStyleForNode', 'CSS.getMatchedStylesForNode',
+  'CSS.getInlineStylesForNode',
+  // Object housekeeping, metrics, response bodies
+  'Runtime.getProperties', 'Runtime.releaseObject', 'Runtime.releaseObjectGroup',
+  'Performance.getMetrics', 'Network.getResponseBody',
+]);
+
+function isReadOnlyMethod(method) {
+  if (typeof method !== 'string') return false;
+  if (READ_ONLY_METHODS.has(method)) return true;
+  const [domain, command] = method.split('.');
+  return (command === 'enable' || command === 'disable') && READ_ONLY_ENABLE_DOMAINS.has(domain);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function normalizeOriginPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw new Error('allowedOrigins entries must be non-empty strings');
+  }
+  const trimmed = pattern.trim().replace(/\/+$/, '');
+  const match = trimmed.match(/^(https?):\/\/(\*\.)?([a-z0-9.-]+)(:\d+)?$/i);
+  if (!match) {
+    throw new Error(`Invalid origin "${pattern}" — use scheme://host[:port], optionally with a leading "*." subdomain wildcard`);
+  }
+  return trimmed.toLowerCase();
+}
+
+/** True when `url` belongs to one of the origin patterns (about:blank is always allowed). */
+function isUrlAllowedByOrigins(url, patterns) {
+  if (!Array.isArray(patterns) || patterns.length === 0) return true;
+  if (!url || url === 'about:blank') return true;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const origin = parsed.origin.toLowerCase();
+  return patterns.some((pattern) => {
+    if (!pattern.includes('://*.')) return origin === pattern;
+    const [scheme, rest] = pattern.split('://*.');
+    const suffix = `.${rest}`;
+    return origin.startsWith(`${scheme}://`) && origin.endsWith(suffix);
+  });
+}
+
+function publicRecord(record) {
+  const { secretHash, ...rest } = record;
+  return { ...rest };
+}
+
+function isExpired(record, now = Date.now()) {
+  return !!record.expiresAt && Date.parse(record.expiresAt) <= now;
+}
+
+function createTokenStore({ filePath = process.env.BROWSERFORCE_TOKENS_FILE || TOKENS_FILE_PATH } = {}) {
+  const records = new Map(); // id -> record
+
+  function load() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      return;
+    }
+    for (const record of Array.isArray(raw?.tokens) ? raw.tokens : []) {
+      if (record?.id && record.secretHash) records.set(record.id, record);
+    }
+  }
+
+  function persist() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ tokens: [...records.values()] }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+    chmodBestEffort(filePath, 0o600);
+  }
+
+  function findByIdOrName(idOrName) {
+    if (records.has(idOrName)) return records.get(idOrName);
+    return [...records.values()].find((record) => record.name === idOrName) || null;
+  }
+
+  load();
+
+  return {
+    filePath,
+
+    list() {
+      return [...records.values()].map((record) => ({ ...publicRecord(record), expired: isExpired(record) }));
+    },
+
+    /** Returns `{ token, record }`; throws on invalid input. */
+    mint({ name, readOnly = false, allowedOrigins = [], maxTabs = null, expiresIn = null, expiresAt = null } = {}) {
+      const cleanName = typeof name === 'string' ? name.trim() : '';
+      if (!cleanName || cleanName.length > MAX_NAME_LENGTH || !/^[\w .:@/-]+$/.test(cleanName)) {
+        throw new Error(`name is required (1-${MAX_NAME_LENGTH} chars of letters, digits, space, _ . : @ / -)`);
+      }
+      if ([...records.values()].some((record) => record.name === cleanName && !isExpired(record))) {
+        const err = new Error(`A token named "${cleanName}" already exists — revoke it first`);
+        err.statusCode = 409;
+        throw err;
+      }
+      if (!Array.isArray(allowedOrigins)) throw new Error('allowedOrigins must be an array');
+      if (maxTabs !== null && maxTabs !== undefined && (!Number.isInteger(maxTabs) || maxTabs < 0)) {
+        throw new Error('maxTabs must be a non-negative integer');
+      }
+      let expiry = null;
+      if (expiresIn !== null && expiresIn !== undefined) {
+        if (!Number.isFinite(expiresIn) || expiresIn <= 0) throw new Error('expiresIn must be a positive number of seconds');
+        expiry = new Date(Date.now() + expiresIn * 1000).toISOString();
+      } else if (expiresAt) {
+        const parsed = Date.parse(expiresAt);
+        if (Number.isNaN(parsed)) throw new Error('expiresAt must be an ISO timestamp');
+        if (parsed <= Date.now()) throw new Error('expiresAt must be in the future');
+        expiry = new Date(parsed).toISOString();
+      }
+
+      const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+      const record = {
+        id: `tok_${crypto.randomBytes(6).toString('hex')}`,
+        name: cleanName,
+        secretHash: hashSecret(secret),
+        capabilities: {
+          readOnly: !!readOnly,
+          allowedOrigins: allowedOrigins.map(normalizeOriginPattern),
+          maxTabs: maxTabs ?? null,
+        },
+        createdAt: new Date().toISOString(),
+        expiresAt: expiry,
+      };
+      records.set(record.id, record);
+      persist();
+      return { token: secret, record: publicRecord(record) };
+    },
+
+    /** Remove a token by id or name. Returns the removed public record, or null. */
+    revoke(idOrName) {
+      const record = findByIdOrName(idOrName);
+      if (!record) return null;
+      records.delete(record.id);
+      persist();
+      return publicRecord(record);
+    },
+
+    /** Resolve a presented secret to its live public record (null if unknown or expired). */
+    resolve(secret) {
+      if (typeof secret !== 'string' || !secret.startsWith(TOKEN_PREFIX)) return null;
+      const hash = hashSecret(secret);
+      for (const record of records.values()) {
+        if (record.secretHash === hash) return isExpired(record) ? null : publicRecord(record);
+      }
+      return null;
+    },
+
+    /** Current public record for a token id (null once revoked or expired). */
+    get(id) {
+      const record = records.get(id);
+      return record && !isExpired(record) ? publicRecord(record) : null;
+    },
+  };
+}
+
+module.exports = {
+  TOKENS_FILE_PATH,
+  createTokenStore,
+  isReadOnlyMethod,
+  isUrlAllowedByOrigins,
+};
@@ -0,0 +1,151 @@
+// Coalesces CDP commands bound for the same tab into one relay->extension
+// message.
+//
+// Playwright fires bursts of commands without waiting for replies (snapshot
+// building, label box fetches, the init storm). Each burst used to cost one
+// WebSocket message, one service-worker dispatch and one reply per command.
+// Commands enqueued for the same profile+tab in one event-loop turn are now
+// sent as a single `cdpBatch`:
+//
+//   { method: 'cdpBatch', params: { tabId, commands: [{ method, params, childSessionId?, passive?, clientLabel? }] } }
+//   -> { results: [{ result } | { error }] }      (same order as `commands`)
+//
+// Only quick, non-blocking commands are coalesced. A batch replies when its
+// slowest command finishes, so anything that can wait on the page (awaitPromise
+// evaluation, navigation, input that may open a dialog) keeps its own
+// round-trip. It still leaves in queue order, so commands reach Chrome in the
+// order the client sent them.
+//
+// Commands that change the page stay out of batches too, DOM writes included:
+// the extension may hold them for the user (pause, approval), which would stall
+// every read batched with them. A batch also travels under one relay message
+// id with one timeout (scaled to its size by the caller), so nothing in it may
+// ask for that timeout to be extended.
+//
+// A lone command still goes out as a plain `cdpCommand`. An extension that
+// predates cdpBatch answers "Unknown command: cdpBatch"; its profile is then
+// marked unsupported and the batch is re-sent command by command.
+
+const MAX_BATCH_SIZE = 50;
+const UNSUPPORTED_BATCH_ERROR = /Unknown command: cdpBatch/;
+const BATCHABLE_DOMAINS = new Set(['Accessibility', 'CSS', 'DOM', 'DOMSnapshot']);
+const BATCHABLE_METHODS = new Set(['Runtime.getProperties', 'Runtime.releaseObject', 'Runtime.releaseObjectGroup']);
+const MUTATING_DOM_METHODS = new Set([
+  'DOM.setAttributeValue', 'DOM.setAttributesAsText', 'DOM.removeAttribute', 'DOM.setNodeValue',
+  'DOM.setNodeName', 'DOM.setOuterHTML', 'DOM.removeNode', 'DOM.moveTo', 'DOM.copyTo',
+  'DOM.setFileInputFiles', 'DOM.undo', 'DOM.redo',
+]);
+
+function isBatchableMethod(method) {
+  if (typeof method !== 'string') return false;
+  if (BATCHABLE_METHODS.has(method) || /\.(enable|disable)$/.test(method)) return true;
+  if (MUTATING_DOM_METHODS.has(method)) return false;
+  return BATCHABLE_DOMAINS.has(method.split('.')[0]);
+}
+
+/**
+ * @param {{
+ *   sendCommand: (payload: object, profileId: string) => Promise<object>,
+ *   sendBatch: (tabId: number, commands: object[], profileId: string) => Promise<{ results: object[] }>,
+ *   onBatch?: (batch: { profileId: string, tabId: number, commands: object[], durationMs: number, error?: string }) => void,
+ * }} options
+ */
+function createCdpBatcher({ sendCommand, sendBatch, onBatch = () => {} }) {
+  const queues = new Map(); // `${profileId}:${tabId}` -> entries
+  const unsupportedProfiles = new Set();
+  const totals = { batches: 0, batchedCommands: 0, singleCommands: 0, messagesSaved: 0 };
+  let flushScheduled = false;
+
+  function sendSingle(entry) {
+    totals.singleCommands += 1;
+    sendCommand(entry.payload, entry.profileId).then(entry.resolve, entry.reject);
+  }
+
+  function sendChunk(profileId, tabId, entries) {
+    if (entries.length === 1 || unsupportedProfiles.has(profileId)) {
+      entries.forEach(sendSingle);
+      return;
+    }
+    const commands = entries.map(({ payload }) => {
+      const { tabId: _tabId, ...command } = payload;
+      return command;
+    });
+    const startedAt = Date.now();
+    sendBatch(tabId, commands, profileId).then((reply) => {
+      const results = Array.isArray(reply?.results) ? reply.results : [];
+      totals.batches += 1;
+      totals.batchedCommands += entries.length;
+      // N commands in one batch: N-1 fewer requests and N-1 fewer replies.
+      totals.messagesSaved += 2 * (entries.length - 1);
+      onBatch({ profileId, tabId, commands, durationMs: Date.now() - startedAt });
+      entries.forEach((entry, i) => {
+        const outcome = results[i];
+        if (!outcome) entry.reject(new Error('Extension batch reply is missing this command\'s result'));
+        else if (outcome.error !== undefined) entry.reject(new Error(outcome.error));
+        else entry.resolve(outcome.result);
+      });
+    }, (err) => {
+      if (UNSUPPORTED_BATCH_ERROR.test(err.message)) {
+        unsupportedProfiles.add(profileId);
+        entries.forEach(sendSingle);
+        return;
+      }
+      onBatch({ profileId, tabId, commands, durationMs: Date.now() - startedAt, error: err.message });
+      entries.forEach((entry) => entry.reject(err));
+    });
+  }
+
+  function flush() {
+    flushScheduled = false;
+    const pending = [...queues.values()];
+    queues.clear();
+    for (const entries of pending) {
+      const { profileId, payload: { tabId } } = entries[0];
+      let run = [];
+      const sendRun = () => {
+        if (run.length > 0) sendChunk(profileId, tabId, run);
+        run = [];
+      };
+      for (const entry of entries) {
+        if (!isBatchableMethod(entry.payload.method)) {
+          sendRun();
+          sendSingle(entry);
+          continue;
+        }
+        run.push(entry);
+        if (run.length === MAX_BATCH_SIZE) sendRun();
+      }
+      sendRun();
+    }
+  }
+
+  return {
+    /** Queue one cdpCommand payload ({ tabId, method, params, ... }); resolves with its result. */
+    enqueue(payload, profileId) {
+      return new Promise((resolve, reject) => {
+        const key = `${profileId}:${payload.tabId}`;
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push({ payload, profileId, resolve, reject });
+        if (!flushScheduled) {
+          flushScheduled = true;
+          setImmediate(flush);
+        }
+      });
+    },
+
+    /** A profile's extension reconnected (possibly upgraded): try batching it again. */
+    resetProfile(profileId) {
+      unsupportedProfiles.delete(profileId);
+    },
+
+    stats() {
+      return { ...totals, unsupportedProfiles: [...unsupportedProfiles] };
+    },
+  };
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  createCdpBatcher,
+  isBatchableMethod,
+};
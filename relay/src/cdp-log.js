@@ -1,18 +1,16 @@
-const fs = require('node:fs');
 const os = require('node:os');
 const path = require('node:path');
+const {
+  createRotatingJsonlWriter,
+  readJsonlFileNewestFirst,
+  resolvePositiveIntOption,
+} = require('./jsonl-file.js');
 
 const BF_DIR = path.join(os.homedir(), '.browserforce');
 const LOG_CDP_FILE_PATH = process.env.BROWSERFORCE_CDP_LOG_FILE_PATH || path.join(BF_DIR, 'cdp.jsonl');
 const DEFAULT_MAX_STRING_LENGTH = 2000;
-
-function chmodBestEffort(filePath, mode) {
-  try {
-    fs.chmodSync(filePath, mode);
-  } catch {
-    // Best effort only: some platforms/filesystems do not support POSIX modes.
-  }
-}
+const DEFAULT_CDP_LOG_MAX_BYTES = 20 * 1024 * 1024;
+const DEFAULT_CDP_LOG_MAX_FILES = 3;
 
 function resolveMaxStringLength(maxStringLength) {
   if (Number.isFinite(maxStringLength) && maxStringLength > 0) {
@@ -49,24 +47,43 @@ function createTruncatingCircularReplacer(maxStringLength) {
   };
 }
 
-function createCdpLogger({ logFilePath, maxStringLength } = {}) {
+// History is kept across relay restarts: the live file rotates by size into
+// `cdp.jsonl.1` … `cdp.jsonl.<maxFiles - 1>` instead of being truncated.
+function createCdpLogger({ logFilePath, maxStringLength, maxBytes, maxFiles } = {}) {
   const resolvedLogFilePath = logFilePath || process.env.BROWSERFORCE_CDP_LOG_FILE_PATH || LOG_CDP_FILE_PATH;
-  const logDir = path.dirname(resolvedLogFilePath);
-  fs.mkdirSync(logDir, { recursive: true });
-  chmodBestEffort(logDir, 0o700);
-  fs.writeFileSync(resolvedLogFilePath, '', { mode: 0o600 });
-  chmodBestEffort(resolvedLogFilePath, 0o600);
+  const writer = createRotatingJsonlWriter({
+    filePath: resolvedLogFilePath,
+    maxBytes: resolvePositiveIntOption(maxBytes, process.env.BROWSERFORCE_CDP_LOG_MAX_BYTES, DEFAULT_CDP_LOG_MAX_BYTES),
+    maxFiles: resolvePositiveIntOption(maxFiles, process.env.BROWSERFORCE_CDP_LOG_MAX_FILES, DEFAULT_CDP_LOG_MAX_FILES),
+  });
 
   const resolvedMaxStringLength = resolveMaxStringLength(maxStringLength);
-  let queue = Promise.resolve();
 
   return {
     logFilePath: resolvedLogFilePath,
     log(entry) {
-      const line = JSON.stringify(entry, createTruncatingCircularReplacer(resolvedMaxStringLength));
-      queue = queue
-        .then(() => fs.promises.appendFile(resolvedLogFilePath, `${line}\n`))
-        .catch(() => {});
+      writer.append(JSON.stringify(entry, createTruncatingCircularReplacer(resolvedMaxStringLength)));
+    },
+    flush() {
+      return writer.flush();
+    },
+    listFiles() {
+      return writer.listFiles();
+    },
+    /** Every retained entry, newest first, from the live file back through the rotated ones. */
+    async *entriesNewestFirst() {
+      await writer.flush();
+      const files = writer.listFiles();
+      for (let index = files.length - 1; index >= 0; index -= 1) {
+        yield* readJsonlFileNewestFirst(files[index]);
+      }
+    },
+    /** The newest logged `seq`, so a restarted relay carries on numbering after it. */
+    async lastSeq() {
+      for await (const entry of this.entriesNewestFirst()) {
+        return Number.isInteger(entry.seq) ? entry.seq : 0;
+      }
+      return 0;
     },
   };
 }
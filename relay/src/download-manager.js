@@ -0,0 +1,218 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Downloads started by attached tabs.
+//
+// The extension ties a chrome.downloads item to an attached tab (the tab
+// reported Page.downloadWillBegin for its URL) and sends downloadStarted,
+// downloadFinished and downloadFailed. Chrome always saves into the user's
+// Downloads folder (an extension cannot pick another directory), so the relay
+// moves each finished file into this relay run's session directory:
+//   ~/.browserforce/downloads/<session>/<filename>
+// where <session> is the time the relay started.
+//
+// The `downloads` section of policy.json (see url-policy.js) is checked when a
+// download starts, if Chrome already knows its size, and again when it
+// finishes. A blocked download is cancelled, or its file deleted.
+//
+// The relay only renames or deletes a file for a download it saw start (same
+// profile, download id and tab), and only once it has checked that the path
+// Chrome reported is that download: a regular file, not a symlink, with the
+// reported name and size, written after the download started.
+
+const BF_DIR = path.join(os.homedir(), '.browserforce');
+const MAX_ENTRIES = 500;
+// Some filesystems keep modification times in 2-second steps.
+const MTIME_SLACK_MS = 2000;
+
+function sessionName(now) {
+  return new Date(now).toISOString().replace(/[:.]/g, '-');
+}
+
+function safeFilename(filename, url) {
+  let name = path.basename(String(filename || '').replace(/\\/g, '/'));
+  if (!name) {
+    try {
+      name = decodeURIComponent(path.posix.basename(new URL(url).pathname));
+    } catch {
+      name = '';
+    }
+  }
+  name = name.replace(/[\u0000-\u001f<>:"/\\|?*]/g, '_').replace(/^\.+/, '');
+  return name || 'download';
+}
+
+/** `dir/name`, or `dir/name (2).ext` and so on when taken. */
+function uniquePath(dir, name) {
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  let candidate = path.join(dir, name);
+  for (let n = 2; fs.existsSync(candidate); n++) {
+    candidate = path.join(dir, `${stem} (${n})${ext}`);
+  }
+  return candidate;
+}
+
+function moveFile(from, to) {
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+}
+
+/** Why `download.path` isn't the file of `entry`, or null when it is. */
+function checkChromePath(entry, download) {
+  const filePath = download.path;
+  if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) return 'the reported path is not absolute';
+  let stat;
+  try {
+    stat = fs.lstatSync(filePath);
+  } catch {
+    return 'the reported file does not exist';
+  }
+  if (!stat.isFile()) return 'the reported path is not a regular file';
+  if (download.filename && path.basename(filePath) !== download.filename) return 'the reported path has another file name';
+  if (download.size >= 0 && stat.size !== download.size) return `the file has ${stat.size} bytes, not the reported ${download.size}`;
+  if (stat.mtimeMs < Date.parse(entry.startedAt) - MTIME_SLACK_MS) return 'the file is older than the download';
+  return null;
+}
+
+function removeFile(filePath) {
+  if (!filePath) return;
+  try {
+    fs.unlinkSync(filePath);
+  } catch {
+    // already gone
+  }
+}
+
+/**
+ * @param {{
+ *   rootDir?: string,
+ *   policy?: { evaluateDownload(download: object): { allowed: boolean, reason?: string } } | null,
+ *   now?: () => number,
+ * }} [options]
+ */
+function createDownloadManager({ rootDir, policy = null, now = Date.now } = {}) {
+  const baseDir = rootDir || process.env.BROWSERFORCE_DOWNLOADS_DIR || path.join(BF_DIR, 'downloads');
+  const sessionDir = path.join(baseDir, sessionName(now()));
+  const entries = new Map();
+  let nextId = 1;
+
+  const keyOf = (profileId, downloadId) => `${profileId}:${downloadId}`;
+
+  function view(entry) {
+    const { key: _key, ...rest } = entry;
+    return rest;
+  }
+
+  function check(entry) {
+    const verdict = policy?.evaluateDownload({ filename: entry.filename, mimeType: entry.mimeType, size: entry.size });
+    if (!verdict || verdict.allowed) return null;
+    return `BLOCKED: download of "${entry.filename}" is not allowed: ${verdict.reason} (download policy in ${policy.filePath || 'policy.json'}).`;
+  }
+
+  function track({ profileId, downloadId, tabId, url, filename, mimeType, totalBytes }) {
+    const key = keyOf(profileId, downloadId);
+    const existing = entries.get(key);
+    if (existing) return existing;
+    const entry = {
+      key,
+      id: nextId++,
+      profileId,
+      tabId: tabId ?? null,
+      url: url || null,
+      filename: safeFilename(filename, url),
+      mimeType: mimeType || null,
+      size: totalBytes > 0 ? totalBytes : null,
+      state: 'in_progress',
+      path: null,
+      error: null,
+      startedAt: new Date(now()).toISOString(),
+      finishedAt: null,
+    };
+    entries.set(key, entry);
+    if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+    return entry;
+  }
+
+  /** The entry `started` created for this download, if it is still waiting for Chrome. */
+  function pending(download) {
+    const entry = entries.get(keyOf(download.profileId, download.downloadId));
+    if (!entry || entry.tabId !== (download.tabId ?? null)) return null;
+    return entry.state === 'in_progress' || entry.state === 'blocked' ? entry : null;
+  }
+
+  function finish(entry, state, { error = null } = {}) {
+    entry.state = state;
+    entry.error = error;
+    entry.finishedAt = new Date(now()).toISOString();
+    return view(entry);
+  }
+
+  return {
+    sessionDir,
+
+    /** A download began. `state: 'blocked'` means the caller should cancel it. */
+    started(download) {
+      const entry = track(download);
+      const blocked = check(entry);
+      return blocked ? finish(entry, 'blocked', { error: blocked }) : view(entry);
+    },
+
+    /**
+     * Chrome finished writing `download.path`: check it, then move it into the
+     * session directory. Null when the download was already blocked, or was
+     * never reported as started.
+     */
+    finished(download) {
+      const entry = pending(download);
+      if (!entry) return null;
+      const wrongPath = checkChromePath(entry, download);
+      if (entry.state === 'blocked') {
+        if (!wrongPath) removeFile(download.path);
+        return null;
+      }
+      if (wrongPath) {
+        return finish(entry, 'failed', { error: `Left ${download.path} alone: ${wrongPath}.` });
+      }
+      if (download.filename) entry.filename = safeFilename(download.filename, entry.url);
+      if (download.mimeType) entry.mimeType = download.mimeType;
+      if (download.size >= 0) entry.size = download.size;
+      const blocked = check(entry);
+      if (blocked) {
+        removeFile(download.path);
+        return finish(entry, 'blocked', { error: blocked });
+      }
+      try {
+        fs.mkdirSync(sessionDir, { recursive: true, mode: 0o700 });
+        const target = uniquePath(sessionDir, entry.filename);
+        moveFile(download.path, target);
+        entry.path = target;
+        entry.filename = path.basename(target);
+        return finish(entry, 'complete');
+      } catch (err) {
+        entry.path = download.path || null;
+        return finish(entry, 'failed', { error: `Could not move the file into ${sessionDir}: ${err.message}` });
+      }
+    },
+
+    /** Chrome interrupted the download (`error` is its interrupt reason). Null when it was blocked or unknown. */
+    failed(download) {
+      const entry = pending(download);
+      if (!entry || entry.state === 'blocked') return null;
+      return finish(entry, download.error === 'USER_CANCELED' ? 'cancelled' : 'failed', { error: download.error || null });
+    },
+
+    /** Downloads of this relay run, oldest first. */
+    list() {
+      return [...entries.values()].map(view);
+    },
+  };
+}
+
+module.exports = { createDownloadManager };
@@ -0,0 +1,130 @@
+// Server-sent event stream of relay lifecycle events (GET /events).
+//
+// Every event is a single `data:` line carrying `{ seq, type, at, ...payload }`,
+// so EventSource `onmessage` handlers and fetch-stream readers see one shape:
+//
+//   snapshot                                   extension status at subscribe time
+//   extension.connected / .disconnected        { profileId }
+//   extension.stopped / .resumed               { profileId }  (kill switch engaged / released)
+//   extension.accessExpired / .accessRestored  { profileId, reason?, resumesAt? }  (access schedule)
+//   tab.attached / tab.detached                { tabId, profileId, sessionId, targetId, url, title, origin, reason? }
+//   target.changed                             { tabId, profileId, sessionId, targetId, url, title }
+//   client.connected / client.disconnected     { clientId, label, profileId, tokenName }
+//   restriction.blocked                        { clientId, label, method, tabId, url, message }
+//   recording.started / recording.stopped      { id, label?, tabIds?, player? }  (screencast recordings)
+//   download.started / .completed / .failed / .blocked
+//                                              { id, tabId, url, filename, mimeType, size, state, path, error }
+//
+// `?types=` narrows a subscription to a comma-separated list of types; an
+// entry ending in ".*" matches a whole family ("tab.*"). The snapshot is sent
+// whatever the filter, since it is the state later events apply to.
+//
+// Subscribers that stop reading are dropped once their socket buffer passes
+// MAX_BUFFERED_BYTES, so one stuck tool cannot grow relay memory unbounded.
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+const MAX_SUBSCRIBERS = 64;
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+/** Parse a `?types=` value into a predicate (null when every type is wanted). */
+function buildTypeFilter(types) {
+  const entries = String(types || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (entries.length === 0) return null;
+  return (type) => entries.some((entry) => (
+    entry.endsWith('.*') ? type.startsWith(entry.slice(0, -1)) : type === entry
+  ));
+}
+
+function createEventStream({ heartbeatMs = HEARTBEAT_INTERVAL_MS } = {}) {
+  const subscribers = new Set();
+  let seq = 0;
+
+  function write(subscriber, event) {
+    if (subscriber.filter && event.type !== 'snapshot' && !subscriber.filter(event.type)) return;
+    if (subscriber.res.writableLength > MAX_BUFFERED_BYTES) {
+      drop(subscriber);
+      return;
+    }
+    try {
+      subscriber.res.write(`data: ${JSON.stringify(event)}\n\n`);
+    } catch {
+      drop(subscriber);
+    }
+  }
+
+  function drop(subscriber) {
+    clearInterval(subscriber.heartbeat);
+    subscribers.delete(subscriber);
+    try {
+      subscriber.res.end();
+    } catch {
+      // socket already gone
+    }
+  }
+
+  function build(type, payload) {
+    return { seq: ++seq, type, at: new Date().toISOString(), ...payload };
+  }
+
+  return {
+    get size() {
+      return subscribers.size;
+    },
+
+    /**
+     * Turn an HTTP response into a subscription. `snapshot` (optional) is sent
+     * first so a subscriber never needs an initial poll. Returns false, having
+     * answered 503, when the subscriber cap is reached.
+     */
+    subscribe(req, res, { types = null, snapshot = null } = {}) {
+      if (subscribers.size >= MAX_SUBSCRIBERS) {
+        res.statusCode = 503;
+        res.end(JSON.stringify({ error: `Too many event subscribers (max ${MAX_SUBSCRIBERS})` }));
+        return false;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+      });
+      res.write('retry: 2000\n: connected\n\n');
+
+      const subscriber = {
+        res,
+        filter: buildTypeFilter(types),
+        heartbeat: setInterval(() => {
+          try {
+            res.write(': ping\n\n');
+          } catch {
+            // closed socket; the 'close' handler cleans up
+          }
+        }, heartbeatMs),
+      };
+      subscribers.add(subscriber);
+      req.on('close', () => {
+        clearInterval(subscriber.heartbeat);
+        subscribers.delete(subscriber);
+      });
+      if (snapshot) write(subscriber, build('snapshot', snapshot));
+      return true;
+    },
+
+    publish(type, payload = {}) {
+      if (subscribers.size === 0) return;
+      const event = build(type, payload);
+      for (const subscriber of [...subscribers]) write(subscriber, event);
+    },
+
+    close() {
+      for (const subscriber of [...subscribers]) drop(subscriber);
+    },
+  };
+}
+
+module.exports = {
+  buildTypeFilter,
+  createEventStream,
+};
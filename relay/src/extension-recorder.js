@@ -0,0 +1,37 @@
+const { createRotatingJsonlWriter } = require('./jsonl-file.js');
+
+// Raw extension<->relay message capture for offline replay tests.
+//
+// Every frame crossing the /extension WebSocket is written as one JSONL line:
+//   { "t": <ms since recording started>, "direction": "to-extension" | "from-extension", "message": {...} }
+// Keepalive ping/pong frames are skipped — they carry no session state and
+// would only make fixtures timing-dependent. Load the file back with
+// relay/test/replay-extension.js to answer a relay without Chrome.
+
+const KEEPALIVE_METHODS = new Set(['ping', 'pong']);
+
+function createExtensionRecorder({ filePath }) {
+  const writer = createRotatingJsonlWriter({
+    filePath,
+    // A fixture is one session; never rotate it away mid-recording.
+    maxBytes: Number.MAX_SAFE_INTEGER,
+    maxFiles: 1,
+    truncateOnStart: true,
+  });
+  const startedAt = Date.now();
+
+  return {
+    filePath,
+    record(direction, message) {
+      if (!message || KEEPALIVE_METHODS.has(message.method)) return;
+      writer.append(JSON.stringify({ t: Date.now() - startedAt, direction, message }));
+    },
+    flush() {
+      return writer.flush();
+    },
+  };
+}
+
+module.exports = {
+  createExtensionRecorder,
+};
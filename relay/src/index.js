@@ -5,15 +5,32 @@ const path = require('node:path');
 const os = require('node:os');
 const { WebSocketServer, WebSocket } = require('ws');
 const { createCdpLogger } = require('./cdp-log.js');
+const { createAuditLogger } = require('./audit-log.js');
+const { buildCdpLogEntryFilter } = require('./log-filters.js');
+const { createExtensionRecorder } = require('./extension-recorder.js');
+const { createRelayMetrics } = require('./metrics.js');
+const { createTokenStore, isReadOnlyMethod, isUrlAllowedByOrigins } = require('./capability-tokens.js');
+const { createUrlPolicy } = require('./url-policy.js');
+const { createEventStream } = require('./event-stream.js');
+const { createCdpBatcher } = require('./cdp-batch.js');
+const { createScreencastRecorder } = require('./screencast-recorder.js');
+const { createDownloadManager } = require('./download-manager.js');
+const { createUploadSandbox } = require('./upload-sandbox.js');
 
 // ─── Constants ───────────────────────────────────────────────────────────────
 
 const DEFAULT_PORT = 19222;
 const COMMAND_TIMEOUT_MS = 30000;
+// Longest a command may stay open once the extension reports it pending (approval prompts).
+const MAX_PENDING_COMMAND_MS = 10 * 60 * 1000;
 const PING_INTERVAL_MS = 5000;
 const DEFAULT_CDP_LOG_BUFFER_LIMIT = 10000;
 const RESTRICTIONS_FETCH_TIMEOUT_MS = 2000;
+const CHATD_ABORT_TIMEOUT_MS = 2000;
 const RESTRICTIONS_FAIL_CLOSED = Object.freeze({ mode: 'manual', noNewTabs: true });
+const ACCESS_EXPIRED_CODE = 'ACCESS_EXPIRED';
+// Extension commands that still answer once agent access has expired (settings reads).
+const ACCESS_EXPIRED_ALLOWED_COMMANDS = new Set(['getRestrictions', 'getAgentPreferences']);
 // Leak guard for label-keyed window affinity entries (which outlive their
 // connection by design). FIFO-evict the oldest pin beyond this size.
 const MAX_AFFINITY_ENTRIES = 50;
@@ -80,7 +97,7 @@ function parseHttpHostHeader(hostHeader) {
 // Introspection endpoints carry local browsing metadata (tab URLs/titles) and
 // must not be readable cross-origin by arbitrary websites. Wildcard CORS stays
 // the default for CDP-discovery/health routes only.
-const NO_WILDCARD_CORS_PATHS = new Set(['/extension/status', '/attached-tabs']);
+const NO_WILDCARD_CORS_PATHS = new Set(['/extension/status', '/attached-tabs', '/metrics', '/tokens', '/events']);
 
 function shouldAllowWildcardCors(pathname) {
   return !NO_WILDCARD_CORS_PATHS.has(pathname);
@@ -120,6 +137,12 @@ function getClientMode() {
 // ─── RelayServer ─────────────────────────────────────────────────────────────
 
 const DEFAULT_BROWSER_CONTEXT_ID = 'bf-default-context';
+// Chrome profiles: each extension connection names its profile with
+// /extension?profile=<id> (default 'default'). Tabs of every other profile are
+// exposed to unpinned CDP clients as browser context 'bf-profile-<id>'.
+const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9][\w-]{0,31}$/;
+const PROFILE_CONTEXT_PREFIX = 'bf-profile-';
 // Synthetic browser-level session a CDP client opens via Target.attachToBrowserTarget
 // (Playwright's newCDPSession() routes its Target.attachToTarget through this
 // "client root session"). Real Chrome returns a real sessionId here; returning a
@@ -181,6 +204,58 @@ const INIT_ONLY_METHODS = new Set([
   'Emulation.setUserAgentOverride', 'Emulation.setGeolocationOverride',
 ]);
 
+// State-changing CDP methods. In multi-client mode the first client label that
+// issues one of these against a tab takes a lease on it; other labels get a
+// BLOCKED error for mutating methods but can keep issuing read-only ones
+// (snapshots, evaluate, screenshots) against the same tab.
+//
+// Runtime.evaluate and Runtime.callFunctionOn are deliberately left out even
+// though a script can change the page: Playwright runs every locator read,
+// page.title() and snapshot helper through them, so leasing on them would
+// lock other labels out of reading a tab at all. Leases keep cooperating
+// agents from driving the same tab; they are not an isolation boundary. A
+// client that must not touch a tab through script gets a readOnly capability
+// token, which refuses both methods.
+const MUTATING_METHODS = new Set([
+  'Page.navigate', 'Page.reload', 'Page.navigateToHistoryEntry',
+  'Page.resetNavigationHistory', 'Page.stopLoading', 'Page.close',
+  'Page.handleJavaScriptDialog',
+  'DOM.setAttributeValue', 'DOM.setAttributesAsText', 'DOM.removeAttribute',
+  'DOM.setNodeValue', 'DOM.setOuterHTML', 'DOM.setNodeName', 'DOM.removeNode',
+  'DOM.moveTo', 'DOM.copyTo', 'DOM.setFileInputFiles', 'DOM.undo', 'DOM.redo',
+  'Target.closeTarget',
+]);
+
+/**
+ * The structured error for commands sent after the extension reported that
+ * agent access expired. `data` reaches CDP clients as the error's `data`.
+ */
+function accessExpiredError(access) {
+  const err = new Error(access.message || `BLOCKED: ${ACCESS_EXPIRED_CODE} — agent access has expired. Stop the task and tell the user.`);
+  err.code = ACCESS_EXPIRED_CODE;
+  err.data = {
+    code: ACCESS_EXPIRED_CODE,
+    reason: access.reason || null,
+    expiredAt: access.expiredAt || null,
+    resumesAt: access.resumesAt || null,
+  };
+  return err;
+}
+
+/**
+ * 'ok', 'blocked' (teaching-style BLOCKED: rejection, or an error flagged
+ * `blocked` whose message predates that prefix) or 'error'.
+ */
+function commandOutcome(error) {
+  if (!error) return 'ok';
+  return error.blocked || String(error.message || '').startsWith('BLOCKED') ? 'blocked' : 'error';
+}
+
+function isMutatingMethod(method) {
+  if (typeof method !== 'string') return false;
+  return method.startsWith('Input.') || MUTATING_METHODS.has(method);
+}
+
 // Return a well-shaped synthetic response for init commands that need more than {}.
 function syntheticInitResponse(method, target) {
   switch (method) {
@@ -218,6 +293,16 @@ function integerWindowId(value) {
   return Number.isInteger(value) ? value : undefined;
 }
 
+function targetProfileId(target) {
+  return target?.profileId || DEFAULT_PROFILE_ID;
+}
+
+function profileContextId(profileId) {
+  return !profileId || profileId === DEFAULT_PROFILE_ID
+    ? DEFAULT_BROWSER_CONTEXT_ID
+    : `${PROFILE_CONTEXT_PREFIX}${profileId}`;
+}
+
 // Single shaper for OUTBOUND CDP targetInfo payloads so optional `windowId` is
 // injected consistently and no shaper can silently drop it. Stored relay target
 // metadata stays source-shaped; this only shapes what we send to Playwright.
@@ -228,7 +313,7 @@ function buildTargetInfo(target) {
     title: target.targetInfo?.title || '',
     url: target.targetInfo?.url || '',
     attached: true,
-    browserContextId: DEFAULT_BROWSER_CONTEXT_ID,
+    browserContextId: target.browserContextId || profileContextId(target.profileId),
   };
   const windowId = integerWindowId(target.windowId ?? target.targetInfo?.windowId);
   if (windowId !== undefined) info.windowId = windowId;
@@ -251,6 +336,28 @@ function buildOopifTargetInfo(rawTargetInfo) {
   };
 }
 
+// Worker targets Chrome auto-attaches under a tab. Dedicated workers stay on
+// the page session, where Playwright's FrameSession turns them into
+// page.workers(). Service and shared workers are browser-level targets in real
+// Chrome, so the relay re-announces them on the root session, where CRBrowser
+// turns service workers into context.serviceWorkers().
+const WORKER_TARGET_TYPES = new Set(['worker', 'shared_worker', 'service_worker']);
+const BROWSER_LEVEL_WORKER_TYPES = new Set(['shared_worker', 'service_worker']);
+
+// Like buildOopifTargetInfo, but workers inherit the parent tab's context id
+// (default, a Chrome profile's, or a synthetic one) so Playwright files a
+// service worker under the same BrowserContext as the page that registered it.
+function buildWorkerTargetInfo(rawTargetInfo, parentTarget) {
+  return {
+    targetId: rawTargetInfo.targetId,
+    type: rawTargetInfo.type,
+    title: rawTargetInfo.title || '',
+    url: rawTargetInfo.url || '',
+    attached: true,
+    browserContextId: parentTarget ? buildTargetInfo(parentTarget).browserContextId : DEFAULT_BROWSER_CONTEXT_ID,
+  };
+}
+
 class RelayServer {
   constructor(port = DEFAULT_PORT, pluginsDir = BF_PLUGINS_DIR) {
     this.port = port;
@@ -260,11 +367,11 @@ class RelayServer {
     this.activeClient = null; // { id, ws, connectedAt, lastSeenAt }
     this.clientSeq = 0;
 
-    // Extension connection (single slot)
-    this.ext = null;
+    // Extension connections, one slot per Chrome profile: profileId ->
+    // { profileId, ws, connectedAt, origin, userAgent, remoteAddress, pingTimer }
+    this.extensions = new Map();
     this.extMsgId = 0;
-    this.extPending = new Map(); // id -> { resolve, reject, timer }
-    this.pingTimer = null;
+    this.extPending = new Map(); // id -> { resolve, reject, timer, profileId }
 
     // CDP clients
     this.clients = new Set();
@@ -276,6 +383,7 @@ class RelayServer {
     this.tabToSession = new Map(); // tabId -> sessionId
     this.childSessions = new Map(); // childSessionId -> { tabId, parentSessionId }
     this.oopifTargets = new Map();  // iframe targetId -> { childSessionId, tabId, targetInfo }
+    this.workerTargets = new Map(); // worker targetId -> { childSessionId, tabId, targetInfo }
     this.aliasSessions = new Map(); // aliasSessionId -> { primarySessionId, clientId } (explicit newCDPSession re-attach to an already-attached page)
     // Agent window affinity: affinityKey -> windowId. Key is 'label:<explicit
     // label>' when the client passed ?label= (e.g. MCP's browserforce-mcp),
@@ -283,6 +391,29 @@ class RelayServer {
     // the 15s MCP idle-disconnect/reset cycle reuses the same agent window
     // instead of spawning a new dedicated window per reconnect.
     this.agentWindowByAffinityKey = new Map();
+    // Tab leases: tabId -> { key, label, clientId, acquiredAt }. `key` uses the
+    // same scheme as window affinity ('label:<label>' or the connection id) so
+    // a labeled agent keeps its lease across reconnects of the same label.
+    this.tabLeases = new Map();
+    // Synthetic browser contexts (Target.createBrowserContext): contextId ->
+    // { id, clientId, windowId, disposeOnDetach, createdAt }. Each maps to its
+    // own agent window; its tabs carry `browserContextId` and are only visible
+    // to the owning client.
+    this.browserContexts = new Map();
+    this.browserContextSeq = 0;
+    this.metrics = createRelayMetrics();
+    // Lifecycle events pushed to GET /events subscribers.
+    this.events = createEventStream();
+    // Same-tick commands for one tab travel to the extension as one cdpBatch.
+    this.cdpBatcher = createCdpBatcher({
+      sendCommand: (payload, profileId) => this._sendToExt('cdpCommand', payload, { profileId }),
+      // One reply covers every member, so each gets the time it would have had alone.
+      sendBatch: (tabId, commands, profileId) => this._sendToExt('cdpBatch', { tabId, commands }, {
+        profileId,
+        timeoutMs: Math.min(COMMAND_TIMEOUT_MS * commands.length, MAX_PENDING_COMMAND_MS),
+      }),
+      onBatch: (batch) => this._logCdpBatch(batch),
+    });
     this.sessionCounter = 0;
 
     // State
@@ -294,6 +425,21 @@ class RelayServer {
 
     // CDP traffic logger, initialized on start.
     this.cdpLogger = null;
+    // Durable audit trail of mutating actions, initialized on start.
+    this.auditLogger = null;
+    // Scoped capability tokens (POST /tokens), loaded on start.
+    this.tokenStore = null;
+    // Target.createTarget calls in flight per token id, counted against maxTabs.
+    this.pendingTokenTabs = new Map();
+    // URL allow/deny policy (~/.browserforce/policy.json), loaded on start.
+    this.urlPolicy = null;
+    // Screencast recordings of attached tabs (POST /recordings/start), created on start.
+    this.screencastRecorder = null;
+    // tabId -> clientId running its own Page.startScreencast on that tab.
+    this.clientScreencasts = new Map();
+    this.downloads = null;
+    // Directory agents may upload files from (BROWSERFORCE_UPLOADS_DIR), set on start.
+    this.uploadSandbox = null;
 
     // In-memory log buffer for options UI polling.
     this.cdpLogEntries = [];
@@ -306,7 +452,10 @@ class RelayServer {
     this.startedAt = Date.now();
   }
 
-  start({ writeCdpUrl = true } = {}) {
+  start({
+    writeCdpUrl = true,
+    recordExtensionTo = process.env.BROWSERFORCE_RECORD_EXTENSION_FILE,
+  } = {}) {
     this.startedAt = Date.now();
     this.cdpLogEntries = [];
     this.cdpLogSeq = 0;
@@ -318,6 +467,44 @@ class RelayServer {
       log('[relay] Warning: CDP logger disabled:', message);
       this.cdpLogger = null;
     }
+    try {
+      this.auditLogger = createAuditLogger();
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      log('[relay] Warning: audit logger disabled:', message);
+      this.auditLogger = null;
+    }
+    try {
+      this.tokenStore = createTokenStore();
+    } catch (err) {
+      const message = err && err.message ? err.message : String(err);
+      log('[relay] Warning: capability tokens disabled:', message);
+      this.tokenStore = null;
+    }
+    this.urlPolicy = createUrlPolicy();
+    this.downloads = createDownloadManager({ policy: this.urlPolicy });
+    this.uploadSandbox = createUploadSandbox();
+    this.screencastRecorder = createScreencastRecorder({
+      // Passive: recording a tab (a frame ack every 200 ms) is not agent
+      // activity and must not keep the tab from idling out.
+      sendCommand: (target, method, params) => this._sendToExt(
+        'cdpCommand',
+        { tabId: target.tabId, method, params, passive: true },
+        { profileId: targetProfileId(target) },
+      ),
+      isClientScreencast: (tabId) => this.clientScreencasts.has(tabId),
+      log,
+    });
+    this.extensionRecorder = null;
+    if (recordExtensionTo) {
+      try {
+        this.extensionRecorder = createExtensionRecorder({ filePath: recordExtensionTo });
+        log(`[relay] Recording extension traffic to ${recordExtensionTo}`);
+      } catch (err) {
+        const message = err && err.message ? err.message : String(err);
+        log('[relay] Warning: extension recorder disabled:', message);
+      }
+    }
     const server = http.createServer((req, res) => this._handleHttp(req, res));
 
     this.extWss = new WebSocketServer({ noServer: true });
@@ -329,22 +516,28 @@ class RelayServer {
 
     this.server = server;
 
-    return new Promise((resolve) => {
-      server.listen(this.port, '127.0.0.1', () => {
-        this.port = server.address().port;
-        const cdpUrl = `ws://127.0.0.1:${this.port}/cdp?token=${this.authToken}`;
-        if (writeCdpUrl) writeCdpUrlFile(cdpUrl);
-        console.log('');
-        console.log('  BrowserForce');
-        console.log('  ────────────────────────────────────────');
-        console.log(`  Status:   http://127.0.0.1:${this.port}/`);
-        console.log(`  CDP:      ${cdpUrl}`);
-        console.log(`  Config:   ${BF_DIR}/`);
-        console.log('  ────────────────────────────────────────');
-        console.log('');
-        console.log('  Waiting for extension to connect...');
-        console.log('');
-        resolve({ port: this.port, authToken: this.authToken });
+    // Carry on the seq numbering of the on-disk CDP log, so /logs/cdp cursors
+    // stay unique across restarts.
+    const lastLoggedSeq = this.cdpLogger ? this.cdpLogger.lastSeq().catch(() => 0) : Promise.resolve(0);
+    return lastLoggedSeq.then((seq) => {
+      this.cdpLogSeq = seq;
+      return new Promise((resolve) => {
+        server.listen(this.port, '127.0.0.1', () => {
+          this.port = server.address().port;
+          const cdpUrl = `ws://127.0.0.1:${this.port}/cdp?token=${this.authToken}`;
+          if (writeCdpUrl) writeCdpUrlFile(cdpUrl);
+          console.log('');
+          console.log('  BrowserForce');
+          console.log('  ────────────────────────────────────────');
+          console.log(`  Status:   http://127.0.0.1:${this.port}/`);
+          console.log(`  CDP:      ${cdpUrl}`);
+          console.log(`  Config:   ${BF_DIR}/`);
+          console.log('  ────────────────────────────────────────');
+          console.log('');
+          console.log('  Waiting for extension to connect...');
+          console.log('');
+          resolve({ port: this.port, authToken: this.authToken });
+        });
       });
     });
   }
@@ -357,6 +550,15 @@ class RelayServer {
         withClientLabel.clientLabel = meta.label;
       }
     }
+    // Resolve the tab once at log time so /logs/cdp?tabId= also matches
+    // client-side messages, which only carry a relay sessionId.
+    const message = withClientLabel.message;
+    if (Number.isInteger(message?.tabId)) {
+      withClientLabel.tabId = message.tabId;
+    } else if (message?.sessionId) {
+      const target = this._targetForSession(message.sessionId);
+      if (target) withClientLabel.tabId = target.tabId;
+    }
 
     const withTimestamp = {
       timestamp: new Date().toISOString(),
@@ -372,7 +574,106 @@ class RelayServer {
     if (!this.cdpLogger || typeof this.cdpLogger.log !== 'function') {
       return;
     }
-    this.cdpLogger.log(withTimestamp);
+    this.cdpLogger.log(bufferedEntry);
+  }
+
+  // One summary row per flushed cdpBatch; the member commands keep their own
+  // to-extension rows. The totals are running counts since relay start.
+  _logCdpBatch({ profileId, tabId, commands, durationMs, error }) {
+    const stats = this.cdpBatcher.stats();
+    this._logCdp({
+      direction: 'from-extension',
+      message: {
+        method: 'BrowserForce.cdpBatch',
+        tabId,
+        profileId,
+        batch: {
+          size: commands.length,
+          methods: commands.map((command) => command.method),
+          durationMs,
+          ...(error ? { error } : {}),
+          totalBatches: stats.batches,
+          totalBatchedCommands: stats.batchedCommands,
+          messagesSaved: stats.messagesSaved,
+        },
+      },
+    });
+  }
+
+  // Page target a command acts on: its tab session, or the `targetId` param of
+  // browser-level Target.* commands (closeTarget, attachToTarget, ...).
+  _commandTarget(params, sessionId) {
+    const bySession = this._targetForSession(sessionId);
+    if (bySession || !params?.targetId) return bySession;
+    for (const target of this.targets.values()) {
+      if (target.targetId === params.targetId) return target;
+    }
+    return null;
+  }
+
+  // Primary page target behind a relay sessionId (main, alias or OOPIF child).
+  _targetForSession(sessionId) {
+    if (!sessionId || sessionId === BF_BROWSER_SESSION_ID) return null;
+    const primary = this.targets.get(sessionId);
+    if (primary) return primary;
+    const alias = this.aliasSessions.get(sessionId);
+    if (alias) return this.targets.get(alias.primarySessionId) || null;
+    const child = this.childSessions.get(sessionId);
+    if (child) return this.targets.get(this.tabToSession.get(child.tabId)) || null;
+    return null;
+  }
+
+  _recordCommandMetrics(clientId, method, startedAt, error) {
+    this.metrics.recordCommand({
+      method,
+      label: this.clientById.get(clientId)?.label,
+      outcome: commandOutcome(error),
+      durationMs: Date.now() - startedAt,
+    });
+  }
+
+  _publishTabEvent(type, sessionId, target, extra = {}) {
+    if (!target) return;
+    // Every tab lifecycle change passes through here, so a running recording follows it too.
+    if (type === 'tab.attached') this.screencastRecorder?.addTab(target);
+    if (type === 'tab.detached') this.screencastRecorder?.removeTab(target.tabId, extra.reason || null);
+    this.events.publish(type, {
+      tabId: target.tabId,
+      profileId: targetProfileId(target),
+      sessionId,
+      targetId: target.targetId,
+      url: target.targetInfo?.url || '',
+      title: target.targetInfo?.title || '',
+      origin: target.origin || 'unknown',
+      ...extra,
+    });
+  }
+
+  _publishBlocked({ clientId, method, target, url, error }) {
+    this.events.publish('restriction.blocked', {
+      clientId: clientId || null,
+      label: this.clientById.get(clientId)?.label || null,
+      method,
+      tabId: target?.tabId ?? null,
+      url: url || target?.targetInfo?.url || null,
+      message: error.message,
+    });
+  }
+
+  _recordAudit({ clientId, method, params, target, startedAt, error }) {
+    if (!this.auditLogger) return;
+    this.auditLogger.record({
+      clientId,
+      clientLabel: this.clientById.get(clientId)?.label || null,
+      method,
+      tabId: target?.tabId,
+      targetId: target?.targetId,
+      url: target?.targetInfo?.url || (method === 'Target.createTarget' ? params?.url : null),
+      params,
+      outcome: commandOutcome(error),
+      durationMs: Date.now() - startedAt,
+      error: error?.message,
+    });
   }
 
   // ─── HTTP ────────────────────────────────────────────────────────────────
@@ -398,7 +699,7 @@ class RelayServer {
     if (url.pathname === '/') {
       res.end(JSON.stringify({
         status: 'ok',
-        extension: !!this.ext,
+        extension: this.extensions.size > 0,
         targets: this.targets.size,
         clients: this.clients.size,
       }));
@@ -419,7 +720,16 @@ class RelayServer {
     }
 
     if (url.pathname === '/extension/status') {
-      res.end(JSON.stringify(this._getExtensionStatusBody()));
+      res.end(JSON.stringify(this._getExtensionStatusBody(url.searchParams.get('profile'))));
+      return;
+    }
+
+    if (url.pathname === '/events' && req.method === 'GET') {
+      if (!this._requireLogReader(req, res)) return;
+      this.events.subscribe(req, res, {
+        types: url.searchParams.get('types'),
+        snapshot: this._getExtensionStatusBody(),
+      });
       return;
     }
 
@@ -428,35 +738,74 @@ class RelayServer {
       return;
     }
 
+    if (url.pathname === '/metrics') {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.end(this.metrics.render({
+        attachedTabs: [...this.targets.values()].filter((t) => t.debuggerAttached).length,
+        targets: this.targets.size,
+        clients: this.clients.size,
+        extensionProfiles: this.extensions.size,
+      }));
+      return;
+    }
+
     if (url.pathname === '/json/version') {
       res.end(JSON.stringify({
         Browser: 'BrowserForce/1.0',
         'Protocol-Version': '1.3',
-        webSocketDebuggerUrl: `ws://127.0.0.1:${this.port}/cdp?token=${this.authToken}`,
+        webSocketDebuggerUrl: this._cdpDiscoveryUrl(req, url),
       }));
       return;
     }
 
     if (url.pathname === '/json/list' || url.pathname === '/json') {
-      const list = [...this.targets.values()].map((t) => ({
-        id: t.targetId,
-        title: t.targetInfo?.title || '',
-        url: t.targetInfo?.url || '',
-        type: 'page',
-        webSocketDebuggerUrl: `ws://127.0.0.1:${this.port}/cdp?token=${this.authToken}`,
-      }));
+      const webSocketDebuggerUrl = this._cdpDiscoveryUrl(req, url);
+      const list = [...this.targets.values()].map((t) => {
+        const entry = {
+          id: t.targetId,
+          title: t.targetInfo?.title || '',
+          url: t.targetInfo?.url || '',
+          type: 'page',
+          webSocketDebuggerUrl,
+        };
+        const lease = this._describeTabLease(t.tabId);
+        if (lease) entry.lease = lease;
+        return entry;
+      });
       res.end(JSON.stringify(list));
       return;
     }
 
     if (url.pathname === '/restrictions') {
-      if (!this.ext) {
-        res.end(JSON.stringify({ mode: 'auto', lockUrl: false, noNewTabs: false, readOnly: false, instructions: '' }));
+      const urlPolicy = this.urlPolicy?.describe() || null;
+      const uploadsDir = this.uploadSandbox?.dir || null;
+      const ext = this._extensionFor(url.searchParams.get('profile'));
+      if (url.searchParams.get('profile') && !ext) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: `No extension connected for profile "${url.searchParams.get('profile')}"` }));
+        return;
+      }
+      if (!ext) {
+        res.end(JSON.stringify({
+          mode: 'auto',
+          lockUrl: false,
+          noNewTabs: false,
+          readOnly: false,
+          originRules: [],
+          approvalClasses: [],
+          credentialGuard: true,
+          credentialAllowlist: [],
+          dialogPolicy: 'agent',
+          browserData: { history: false, bookmarks: false, tabGroups: false },
+          instructions: '',
+          urlPolicy,
+          uploadsDir,
+        }));
         return;
       }
       try {
-        const restrictions = await this._sendToExt('getRestrictions');
-        res.end(JSON.stringify(restrictions));
+        const restrictions = await this._sendToExt('getRestrictions', {}, { profileId: ext.profileId });
+        res.end(JSON.stringify({ ...restrictions, profileId: ext.profileId, urlPolicy, uploadsDir }));
       } catch (err) {
         res.statusCode = 502;
         res.end(JSON.stringify({ error: 'Extension not responding' }));
@@ -465,12 +814,13 @@ class RelayServer {
     }
 
     if (url.pathname === '/agent-preferences') {
-      if (!this.ext) {
+      const ext = this._extensionFor(url.searchParams.get('profile'));
+      if (!ext) {
         res.end(JSON.stringify(DEFAULT_AGENT_PREFERENCES));
         return;
       }
       try {
-        const preferences = await this._sendToExt('getAgentPreferences');
+        const preferences = await this._sendToExt('getAgentPreferences', {}, { profileId: ext.profileId });
         res.end(JSON.stringify(normalizeAgentPreferences(preferences)));
       } catch {
         res.end(JSON.stringify(DEFAULT_AGENT_PREFERENCES));
@@ -520,11 +870,34 @@ class RelayServer {
       return;
     }
 
+    if (url.pathname === '/logs/audit' && req.method === 'GET') {
+      if (!this._requireLogReader(req, res)) return;
+      if (!this.auditLogger) {
+        res.statusCode = 503;
+        res.end(JSON.stringify({ error: 'Audit log disabled' }));
+        return;
+      }
+      const query = Object.fromEntries(url.searchParams);
+      const result = await this.auditLogger.query(query);
+      res.end(JSON.stringify({ filters: query, ...result }));
+      return;
+    }
+
     if (url.pathname === '/logs/cdp' && req.method === 'GET') {
       if (!this._requireExtensionOrigin(req, res)) return;
       const after = resolvePositiveInt(url.searchParams.get('after'), 0);
+      const before = resolvePositiveInt(url.searchParams.get('before'), 0) || null;
       const limit = Math.min(resolvePositiveInt(url.searchParams.get('limit'), 300), 1000);
-      res.end(JSON.stringify(this._logsSlice({ after, limit })));
+      const filter = buildCdpLogEntryFilter({
+        method: url.searchParams.get('method'),
+        direction: url.searchParams.get('direction'),
+        sessionId: url.searchParams.get('sessionId'),
+        tabId: url.searchParams.get('tabId'),
+        label: url.searchParams.get('label'),
+        since: url.searchParams.get('since'),
+        until: url.searchParams.get('until'),
+      });
+      res.end(JSON.stringify(await this._logsSlice({ after, before, limit, filter })));
       return;
     }
 
@@ -590,9 +963,149 @@ class RelayServer {
       return;
     }
 
+    if (url.pathname === '/downloads' && req.method === 'GET') {
+      if (!this._requireAuth(req, res)) return;
+      res.end(JSON.stringify({
+        sessionDir: this.downloads?.sessionDir || null,
+        policy: this.urlPolicy?.describe().downloads || null,
+        downloads: this.downloads?.list() || [],
+      }));
+      return;
+    }
+
+    // History, bookmarks and tab groups are answered by the extension, and only
+    // when the user has turned that capability on (extension/browser-data.js).
+    if (url.pathname === '/history' && req.method === 'GET') {
+      if (!this._requireAuth(req, res)) return;
+      await this._forwardBrowserData(res, 'searchHistory', {
+        text: url.searchParams.get('text') || '',
+        since: url.searchParams.get('since') || undefined,
+        until: url.searchParams.get('until') || undefined,
+        maxResults: url.searchParams.get('maxResults') || undefined,
+      }, url.searchParams.get('profile'));
+      return;
+    }
+
+    if (url.pathname === '/bookmarks' && req.method === 'GET') {
+      if (!this._requireAuth(req, res)) return;
+      await this._forwardBrowserData(res, 'listBookmarks', {
+        query: url.searchParams.get('query') || undefined,
+      }, url.searchParams.get('profile'));
+      return;
+    }
+
+    if (url.pathname === '/tab-groups' && req.method === 'GET') {
+      if (!this._requireAuth(req, res)) return;
+      await this._forwardBrowserData(res, 'listTabGroups', {}, url.searchParams.get('profile'));
+      return;
+    }
+
+    if (url.pathname === '/tab-groups' && req.method === 'POST') {
+      if (!this._requireAuth(req, res)) return;
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        let change;
+        try {
+          change = JSON.parse(body || '{}');
+        } catch {
+          res.statusCode = 400;
+          res.end(JSON.stringify({ error: 'Invalid JSON body' }));
+          return;
+        }
+        await this._forwardBrowserData(res, 'changeTabGroups', change, url.searchParams.get('profile'));
+      });
+      return;
+    }
+
+    if (url.pathname === '/recordings' && req.method === 'GET') {
+      if (!this._requireLogReader(req, res)) return;
+      res.end(JSON.stringify({
+        status: this.screencastRecorder?.status() || { recording: false },
+        recordings: this.screencastRecorder?.list() || [],
+      }));
+      return;
+    }
+
+    if (url.pathname === '/recordings/start' && req.method === 'POST') {
+      if (!this._requireRecordingControl(req, res)) return;
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const { label } = JSON.parse(body || '{}');
+          const targets = [...this.targets.values()].filter((target) => target.debuggerAttached);
+          const started = this.screencastRecorder.start({ label, targets });
+          this.events.publish('recording.started', { id: started.id, label: started.label, tabIds: started.tabIds });
+          res.statusCode = 201;
+          res.end(JSON.stringify(started));
+        } catch (err) {
+          res.statusCode = err.statusCode || 400;
+          res.end(JSON.stringify({ error: err.message }));
+        }
+      });
+      return;
+    }
+
+    if (url.pathname === '/recordings/stop' && req.method === 'POST') {
+      if (!this._requireRecordingControl(req, res)) return;
+      try {
+        const stopped = await this.screencastRecorder.stop();
+        this.events.publish('recording.stopped', { id: stopped.id, player: stopped.player });
+        res.end(JSON.stringify(stopped));
+      } catch (err) {
+        res.statusCode = err.statusCode || 500;
+        res.end(JSON.stringify({ error: err.message }));
+      }
+      return;
+    }
+
+    if (url.pathname === '/tokens' && req.method === 'GET') {
+      if (!this._requireAuth(req, res)) return;
+      if (!this._requireTokenStore(res)) return;
+      res.end(JSON.stringify({ tokens: this.tokenStore.list() }));
+      return;
+    }
+
+    if (url.pathname === '/tokens' && req.method === 'POST') {
+      if (!this._requireAuth(req, res)) return;
+      if (!this._requireTokenStore(res)) return;
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const minted = this.tokenStore.mint(JSON.parse(body || '{}'));
+          log(`[relay] Minted capability token "${minted.record.name}" (${minted.record.id})`);
+          res.statusCode = 201;
+          res.end(JSON.stringify({ token: minted.token, ...minted.record }));
+        } catch (err) {
+          res.statusCode = err.statusCode || 400;
+          res.end(JSON.stringify({ error: err.message }));
+        }
+      });
+      return;
+    }
+
+    const tokenMatch = url.pathname.match(/^\/tokens\/([^/]+)$/);
+    if (tokenMatch && req.method === 'DELETE') {
+      if (!this._requireAuth(req, res)) return;
+      if (!this._requireTokenStore(res)) return;
+      const revoked = this.tokenStore.revoke(decodeURIComponent(tokenMatch[1]));
+      if (!revoked) {
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: `No token with id or name "${decodeURIComponent(tokenMatch[1])}"` }));
+        return;
+      }
+      const closed = this._disconnectTokenClients(revoked.id);
+      log(`[relay] Revoked capability token "${revoked.name}" (${revoked.id}), closed ${closed} connection(s)`);
+      res.end(JSON.stringify({ revoked, closedConnections: closed }));
+      return;
+    }
+
     if (url.pathname === '/extension/reload' && req.method === 'POST') {
       if (!this._requireAuth(req, res)) return;
-      if (!this.ext || this.ext.ws.readyState !== WebSocket.OPEN) {
+      const ext = this._extensionFor(url.searchParams.get('profile'));
+      if (!ext || ext.ws.readyState !== WebSocket.OPEN) {
         res.end(JSON.stringify({ reloaded: false, reason: 'not connected' }));
         return;
       }
@@ -608,7 +1121,8 @@ class RelayServer {
           resolve(true);
         };
         try {
-          this.ext.ws.send(JSON.stringify({ method: 'reload' }));
+          this.extensionRecorder?.record('to-extension', { method: 'reload' });
+          ext.ws.send(JSON.stringify({ method: 'reload' }));
         } catch {
           clearTimeout(timer);
           this._extReloadResolve = null;
@@ -623,14 +1137,30 @@ class RelayServer {
     res.end(JSON.stringify({ error: 'Not found' }));
   }
 
+  /** Answers with the extension's result; its BLOCKED refusals are 403s, its validation errors 400s. */
+  async _forwardBrowserData(res, method, params, profileId) {
+    if (!this._extensionFor(profileId)) {
+      res.statusCode = 502;
+      res.end(JSON.stringify({ error: 'Extension not connected' }));
+      return;
+    }
+    try {
+      res.end(JSON.stringify(await this._sendToExt(method, params, { profileId })));
+    } catch (err) {
+      // Anything but a refusal is the extension or Chrome failing (a timeout,
+      // a closed tab, an API error), not the caller's fault.
+      res.statusCode = err.message.startsWith('BLOCKED') ? 403 : 502;
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  }
+
   // ─── Auth Helper ─────────────────────────────────────────────────────────
 
   _requireAuth(req, res) {
     // Double gate: Bearer token + Origin restriction.
-    // The relay's /json/version exposes the auth token unauthenticated (required
-    // by Playwright for CDP discovery), so Bearer alone isn't sufficient —
-    // any local browser tab could read the token and call write endpoints.
-    // Restricting Origin to chrome-extension:// closes that vector.
+    // The token sits in ~/.browserforce files that other local software can
+    // read, so Bearer alone isn't sufficient against a page that got hold of
+    // it. Restricting Origin to chrome-extension:// keeps browser tabs out.
     const origin = req.headers['origin'] || '';
     if (origin && !origin.startsWith('chrome-extension://')) {
       // Origin present but not the extension — reject (CSRF / browser tab attack)
@@ -648,6 +1178,223 @@ class RelayServer {
     return true;
   }
 
+  // Log routes are read by the extension's options page; the audit trail can
+  // additionally be read by local tooling holding the master token.
+  _requireLogReader(req, res) {
+    const authHeader = req.headers['authorization'] || '';
+    if (authHeader.startsWith('Bearer ') && authHeader.slice(7) === this.authToken) return true;
+    return this._requireExtensionOrigin(req, res);
+  }
+
+  // Starting or stopping a recording changes what is captured, so unlike the
+  // log routes it needs the master token or the extension's own Origin; the
+  // x-browserforce-extension-id header alone is not enough (/extension/status
+  // hands out the id).
+  _requireRecordingControl(req, res) {
+    const authHeader = req.headers['authorization'] || '';
+    if (authHeader.startsWith('Bearer ') && authHeader.slice(7) === this.authToken) return true;
+    return this._requireExtensionOrigin(req, res, { allowIdHeader: false });
+  }
+
+  _requireTokenStore(res) {
+    if (this.tokenStore) return true;
+    res.statusCode = 503;
+    res.end(JSON.stringify({ error: 'Capability tokens are disabled (token store failed to load)' }));
+    return false;
+  }
+
+  // ─── Capability Tokens ────────────────────────────────────────────────────
+
+  // webSocketDebuggerUrl for /json/version and /json/list. CDP discovery is
+  // unauthenticated, so the URL carries only the token the caller presented
+  // (`?token=` or `Authorization: Bearer`, as Playwright's connectOverCDP
+  // sends them) — a scoped token gets itself back, never the master token.
+  _cdpDiscoveryUrl(req, url) {
+    const authHeader = req.headers['authorization'] || '';
+    const presented = url.searchParams.get('token') || (authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null);
+    const base = `ws://127.0.0.1:${this.port}/cdp`;
+    return presented && this._resolveCdpToken(presented) ? `${base}?token=${encodeURIComponent(presented)}` : base;
+  }
+
+  // /cdp?token= accepts the master token (capabilityToken: null, full access)
+  // or a live scoped token minted via POST /tokens. Returns null to reject.
+  _resolveCdpToken(token) {
+    if (token && token === this.authToken) return { capabilityToken: null };
+    const record = this.tokenStore?.resolve(token);
+    return record ? { capabilityToken: record } : null;
+  }
+
+  // Returns a release callback when the command holds one of the token's
+  // maxTabs slots until Target.createTarget settles, otherwise null.
+  _enforceTokenCapabilities(clientId, method, params, sessionId) {
+    const meta = this.clientById.get(clientId);
+    if (!meta?.tokenId) return null;
+    const token = this.tokenStore?.get(meta.tokenId);
+    if (!token) {
+      throw new Error(
+        `BLOCKED: capability token "${meta.tokenName}" was revoked or has expired. `
+        + 'Ask the user to mint a new token with `browserforce token create`.',
+      );
+    }
+    const { readOnly, allowedOrigins, maxTabs } = token.capabilities;
+    const createsTab = method === 'Target.createTarget';
+
+    if (readOnly && !isReadOnlyMethod(method)) {
+      throw new Error(
+        `BLOCKED: ${method} rejected — capability token "${token.name}" is read-only. `
+        + 'DOM and accessibility snapshots, screenshots and other read methods are still allowed; '
+        + 'script evaluation is not.',
+      );
+    }
+
+    if (allowedOrigins.length > 0) {
+      const scope = allowedOrigins.join(', ');
+      const requestedUrl = createsTab || method === 'Page.navigate' ? params?.url : null;
+      if (requestedUrl && !isUrlAllowedByOrigins(requestedUrl, allowedOrigins)) {
+        throw new Error(`BLOCKED: ${method} to "${requestedUrl}" rejected — capability token "${token.name}" is limited to ${scope}.`);
+      }
+      const target = this._commandTarget(params, sessionId);
+      if (target && !isUrlAllowedByOrigins(target.targetInfo?.url, allowedOrigins)) {
+        throw new Error(
+          `BLOCKED: ${method} on tab ${target.tabId} (${target.targetInfo?.url}) rejected — `
+          + `capability token "${token.name}" is limited to ${scope}.`,
+        );
+      }
+    }
+
+    if (createsTab && Number.isInteger(maxTabs)) {
+      // Creations still in flight count too: the tab is only tagged with the
+      // token once Target.createTarget resolves.
+      const pending = this.pendingTokenTabs.get(token.id) || 0;
+      const open = [...this.targets.values()].filter((t) => t.capabilityTokenId === token.id).length + pending;
+      if (open >= maxTabs) {
+        throw new Error(
+          `BLOCKED: Target.createTarget rejected — capability token "${token.name}" already has ${open} of ${maxTabs} tab(s) open. `
+          + 'Close one of them first.',
+        );
+      }
+      this.pendingTokenTabs.set(token.id, pending + 1);
+      return () => {
+        const left = (this.pendingTokenTabs.get(token.id) || 1) - 1;
+        if (left > 0) this.pendingTokenTabs.set(token.id, left);
+        else this.pendingTokenTabs.delete(token.id);
+      };
+    }
+    return null;
+  }
+
+  // allowedOrigins is checked against the tab's current URL, so a tab that
+  // navigated (or was redirected) off the token's origins stops reaching it.
+  _tokenAllowsTarget(clientId, target) {
+    const tokenId = this.clientById.get(clientId)?.tokenId;
+    if (!tokenId || !target) return true;
+    const token = this.tokenStore?.get(tokenId);
+    if (!token) return false;
+    return isUrlAllowedByOrigins(target.targetInfo?.url, token.capabilities.allowedOrigins);
+  }
+
+  // Expiry is checked per command, but an idle connection must not outlive its
+  // token either.
+  _scheduleTokenExpiry(ws, meta, token) {
+    const expiresAt = Date.parse(token?.expiresAt || '');
+    if (!Number.isFinite(expiresAt)) return;
+    const arm = () => {
+      const remaining = expiresAt - Date.now();
+      if (remaining <= 0) {
+        ws.close(4001, 'Capability token expired');
+        return;
+      }
+      // setTimeout caps delays at 2^31-1 ms (~24.8 days); re-arm past that.
+      meta.tokenExpiryTimer = setTimeout(arm, Math.min(remaining, 2 ** 31 - 1));
+    };
+    arm();
+  }
+
+  // Count tabs against the creating token's maxTabs until they close.
+  _tagTokenCreatedTarget(clientId, result) {
+    const tokenId = this.clientById.get(clientId)?.tokenId;
+    if (!tokenId || !result?.targetId) return;
+    for (const target of this.targets.values()) {
+      if (target.targetId === result.targetId) target.capabilityTokenId = tokenId;
+    }
+  }
+
+  _disconnectTokenClients(tokenId) {
+    let closed = 0;
+    for (const client of this.clients) {
+      if (this.clientMeta.get(client)?.tokenId !== tokenId) continue;
+      client.close(4001, 'Capability token revoked');
+      closed += 1;
+    }
+    return closed;
+  }
+
+  // ─── URL Policy ───────────────────────────────────────────────────────────
+
+  _enforceUrlPolicy(clientId, method, params) {
+    if (!this.urlPolicy) return;
+    let action;
+    if (method === 'Page.navigate') action = 'Navigation to';
+    else if (method === 'Target.createTarget') action = 'Opening a new tab at';
+    else return;
+    const url = params?.url;
+    const verdict = this.urlPolicy.evaluate(url);
+    if (verdict.allowed) return;
+    const meta = this.clientById.get(clientId);
+    const explained = !!meta?.urlPolicyExplained;
+    if (meta) meta.urlPolicyExplained = true;
+    throw new Error(this._urlPolicyBlockedMessage(`${action} "${url}" is not allowed`, verdict, { explained }));
+  }
+
+  // Same teaching shape as the extension's restriction errors: the first
+  // violation per client spells out the policy, later ones stay one line.
+  _urlPolicyBlockedMessage(action, verdict, { explained = false } = {}) {
+    if (explained) return `BLOCKED: ${action} (${verdict.reason}).`;
+    const { file, allow, deny, error } = this.urlPolicy.describe();
+    const lines = [`BLOCKED: ${action} (${verdict.reason}).`, ''];
+    lines.push(`The user's URL policy (${file}) limits where this browser session may go:`);
+    if (error) {
+      lines.push('- The policy file could not be parsed, so all navigation is blocked until the user fixes it.');
+    } else {
+      lines.push(allow.length > 0 ? `- Allowed: ${allow.join(', ')}` : '- Allowed: any URL not denied');
+      if (deny.length > 0) lines.push(`- Denied: ${deny.join(', ')}`);
+    }
+    lines.push('');
+    lines.push('Do not retry this URL or reach it another way (links, window.open). Ask the user to update the policy if the task needs it.');
+    return lines.join('\n');
+  }
+
+  // Tabs spawned by a controlled page (window.open, target=_blank) never pass
+  // through Page.navigate or Target.createTarget, so the extension reports
+  // their first URL and the relay closes the ones the policy rejects.
+  _handleTabOpened({ tabId, openerTabId, url } = {}, profileId = DEFAULT_PROFILE_ID) {
+    if (!this.urlPolicy || !Number.isInteger(tabId)) return;
+    const verdict = this.urlPolicy.evaluate(url);
+    if (verdict.allowed) return;
+    const message = this._urlPolicyBlockedMessage(
+      `Tab ${tabId} opened by tab ${openerTabId} at "${url}" was closed`,
+      verdict,
+      { explained: true },
+    );
+    log(`[relay] ${message}`);
+    const lease = this.tabLeases.get(openerTabId);
+    this.auditLogger?.record({
+      clientId: lease?.clientId,
+      clientLabel: lease?.label,
+      method: 'window.open',
+      tabId,
+      url,
+      params: { url },
+      outcome: 'blocked',
+      error: message,
+    });
+    this._publishBlocked({ clientId: lease?.clientId, method: 'window.open', target: { tabId }, url, error: { message } });
+    if (this.tabToSession.has(tabId)) this._handleTabDetached({ tabId, reason: 'url_policy' });
+    this._sendToExt('closeTab', { tabId, reason: 'url_policy' }, { profileId }).catch((err) => {
+      log(`[relay] Failed to close policy-blocked tab ${tabId}: ${err.message}`);
+    });
+  }
+
   _extensionOriginFromReq(req) {
     const parseExtensionOrigin = (value) => {
       if (!value || !value.startsWith('chrome-extension://')) return null;
@@ -706,9 +1453,9 @@ class RelayServer {
     return 'cdp-client';
   }
 
-  _requireExtensionOrigin(req, res) {
+  _requireExtensionOrigin(req, res, { allowIdHeader = true } = {}) {
     const origin = this._extensionOriginFromReq(req);
-    const requestedExtensionId = String(req?.headers?.['x-browserforce-extension-id'] || '').trim();
+    const requestedExtensionId = allowIdHeader ? String(req?.headers?.['x-browserforce-extension-id'] || '').trim() : '';
     const extensionIdPattern = /^[a-p]{32}$/;
 
     if (!origin && !extensionIdPattern.test(requestedExtensionId)) {
@@ -717,15 +1464,17 @@ class RelayServer {
       return false;
     }
 
-    const trustedOrigin = this.ext?.origin;
-    if (!trustedOrigin) {
+    // Any connected profile's extension may read; profiles normally share
+    // one extension id.
+    const trustedOrigins = [...this.extensions.values()].map((ext) => ext.origin).filter(Boolean);
+    if (trustedOrigins.length === 0) {
       res.statusCode = 503;
       res.end(JSON.stringify({ error: 'Extension not connected' }));
       return false;
     }
 
     if (origin) {
-      if (origin !== trustedOrigin) {
+      if (!trustedOrigins.includes(origin)) {
         res.statusCode = 403;
         res.end(JSON.stringify({ error: 'Forbidden — extension origin mismatch' }));
         return false;
@@ -733,8 +1482,8 @@ class RelayServer {
       return true;
     }
 
-    const trustedExtensionId = String(trustedOrigin).replace('chrome-extension://', '');
-    if (requestedExtensionId !== trustedExtensionId) {
+    const trustedExtensionIds = trustedOrigins.map((trusted) => String(trusted).replace('chrome-extension://', ''));
+    if (!trustedExtensionIds.includes(requestedExtensionId)) {
       res.statusCode = 403;
       res.end(JSON.stringify({ error: 'Forbidden — extension origin mismatch' }));
       return false;
@@ -749,6 +1498,7 @@ class RelayServer {
     return [...this.targets.values()].map((target) => {
       const info = {
         tabId: target.tabId,
+        profileId: targetProfileId(target),
         sessionId: this.tabToSession.get(target.tabId) || null,
         targetId: target.targetId,
         title: target.targetInfo?.title || '',
@@ -765,15 +1515,43 @@ class RelayServer {
         info.lastCommandAt = target.lastCommandAt;
         info.idleMs = Date.now() - target.lastCommandAt;
       }
+      const lease = this._describeTabLease(target.tabId);
+      if (lease) info.lease = lease;
       return info;
     });
   }
 
-  _getExtensionStatusBody() {
-    const attachedTabs = this._getAttachedTabInfos();
+  _describeExtension(ext) {
+    return {
+      profileId: ext.profileId,
+      browserContextId: profileContextId(ext.profileId),
+      connectedAt: ext.connectedAt,
+      origin: ext.origin,
+      userAgent: ext.userAgent,
+      remoteAddress: ext.remoteAddress,
+      paused: !!ext.killSwitch,
+      pausedAt: ext.killSwitch?.engagedAt || null,
+      access: ext.access || { allowed: true },
+    };
+  }
+
+  // `profile` narrows `connected` and the tab lists to one profile; the
+  // extension polls with its own profile before reclaiming its slot.
+  _getExtensionStatusBody(profile = null) {
+    const allTabs = this._getAttachedTabInfos();
+    const attachedTabs = allTabs.filter((tab) => !profile || tab.profileId === profile);
     const manualAttachedTabs = attachedTabs.filter((tab) => tab.origin === 'manual');
+    const pausedExtensions = [...this.extensions.values()].filter((ext) => ext.killSwitch && (!profile || ext.profileId === profile));
+    const expiredExtensions = [...this.extensions.values()].filter((ext) => ext.access?.allowed === false && (!profile || ext.profileId === profile));
     return {
-      connected: !!this.ext,
+      connected: profile ? this.extensions.has(profile) : this.extensions.size > 0,
+      paused: pausedExtensions.length > 0,
+      accessExpired: expiredExtensions.length > 0,
+      access: expiredExtensions[0]?.access || this._extensionFor(profile)?.access || { allowed: true },
+      profiles: [...this.extensions.values()].map((ext) => ({
+        ...this._describeExtension(ext),
+        activeTargets: allTabs.filter((tab) => tab.profileId === ext.profileId).length,
+      })),
       activeTargets: attachedTabs.length,
       activeManualTargets: manualAttachedTabs.length,
       attachedTabs,
@@ -816,15 +1594,10 @@ class RelayServer {
         connectedSince: new Date(this.startedAt).toISOString(),
         uptimeMs: Date.now() - this.startedAt,
       },
-      extension: this.ext
-        ? {
-            connected: true,
-            connectedAt: this.ext.connectedAt,
-            origin: this.ext.origin,
-            userAgent: this.ext.userAgent,
-            remoteAddress: this.ext.remoteAddress,
-          }
+      extension: this._extensionFor(null)
+        ? { connected: true, ...this._describeExtension(this._extensionFor(null)) }
         : { connected: false },
+      extensions: [...this.extensions.values()].map((ext) => this._describeExtension(ext)),
       clients: {
         count: this.clients.size,
         items: clients,
@@ -835,25 +1608,72 @@ class RelayServer {
         latestSeq: this.cdpLogSeq,
         directionCounts: counts,
       },
+      cdpBatching: this.cdpBatcher.stats(),
     };
   }
 
-  _logsSlice({ after = 0, limit = 300 } = {}) {
+  /**
+   * Page through the CDP log. `after` is the forward polling cursor (newest
+   * `limit` matches with seq > after), served from the in-memory buffer;
+   * `before` pages backwards through older history (newest `limit` matches
+   * with seq < before). Both cursors are plain seq numbers: pass `cursor.next`
+   * as the next `after` and `cursor.prev` as the next `before`. `filter` comes
+   * from buildCdpLogEntryFilter() and is applied before the limit.
+   *
+   * A backward page the buffer can't fill continues into cdp.jsonl and its
+   * rotated generations, which reach back past the buffer and across relay
+   * restarts (seq keeps counting from the last logged entry). The files are
+   * read newest first and only until the page is full, so `skipped` is exact
+   * within the buffer but only 1 ("more remain") once a page reaches the files.
+   */
+  async _logsSlice({ after = 0, before = null, limit = 300, filter = null } = {}) {
     const oldestSeq = this.cdpLogEntries.length > 0
       ? this.cdpLogEntries[0].seq
       : this.cdpLogSeq + 1;
     const tooOld = after > 0 && after < oldestSeq - 1;
 
-    const newer = this.cdpLogEntries.filter((entry) => entry.seq > after);
-    const skipped = Math.max(0, newer.length - limit);
-    const entries = skipped > 0 ? newer.slice(skipped) : newer;
+    const matching = this.cdpLogEntries.filter((entry) => (
+      entry.seq > after
+      && (before === null || entry.seq < before)
+      && (!filter || filter(entry))
+    ));
+    let skipped = Math.max(0, matching.length - limit);
+    let entries = skipped > 0 ? matching.slice(skipped) : matching;
+
+    if (after === 0 && skipped === 0 && this.cdpLogger?.entriesNewestFirst) {
+      let boundary = Math.min(before ?? Infinity, oldestSeq);
+      const older = [];
+      for await (const entry of this.cdpLogger.entriesNewestFirst()) {
+        // Lines written before entries carried a seq can't be paged to.
+        if (!Number.isInteger(entry.seq)) break;
+        // The buffer already covers seq >= boundary; a rotation mid-read can
+        // also hand back lines already seen.
+        if (entry.seq >= boundary) continue;
+        boundary = entry.seq;
+        if (filter && !filter(entry)) continue;
+        if (entries.length + older.length >= limit) {
+          skipped = 1;
+          break;
+        }
+        older.push(entry);
+      }
+      entries = older.reverse().concat(entries);
+    }
 
     return {
       after,
+      before,
       latestSeq: this.cdpLogSeq,
       oldestSeq,
       resetRequired: tooOld,
       skipped,
+      cursor: {
+        // Forward polling always resumes from the newest seq the relay has
+        // seen, even when the filter excluded it, so rejected entries are
+        // never rescanned.
+        next: before === null ? this.cdpLogSeq : (entries.length ? entries[entries.length - 1].seq : after),
+        prev: skipped > 0 && entries.length ? entries[0].seq : null,
+      },
       entries,
     };
   }
@@ -871,12 +1691,19 @@ class RelayServer {
         socket.destroy();
         return;
       }
-      // Single slot
-      if (this.ext) {
+      const profileId = url.searchParams.get('profile') || DEFAULT_PROFILE_ID;
+      if (!PROFILE_ID_PATTERN.test(profileId)) {
+        socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      // One slot per profile
+      if (this.extensions.has(profileId)) {
         socket.write('HTTP/1.1 409 Conflict\r\n\r\n');
         socket.destroy();
         return;
       }
+      req.bfProfileId = profileId;
       this.extWss.handleUpgrade(req, socket, head, (ws) => {
         this.extWss.emit('connection', ws, req);
       });
@@ -884,12 +1711,20 @@ class RelayServer {
     }
 
     if (url.pathname === '/cdp') {
-      const token = url.searchParams.get('token');
-      if (token !== this.authToken) {
+      const grant = this._resolveCdpToken(url.searchParams.get('token'));
+      if (!grant) {
         socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
         socket.destroy();
         return;
       }
+      req.bfCapabilityToken = grant.capabilityToken;
+      const pinnedProfile = url.searchParams.get('profile');
+      if (pinnedProfile && !PROFILE_ID_PATTERN.test(pinnedProfile)) {
+        socket.write('HTTP/1.1 400 Bad Request\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+      req.bfProfileId = pinnedProfile || null;
       if (this.clientMode === CLIENT_MODE_SINGLE) {
         if (this.activeClient && this.activeClient.ws.readyState === WebSocket.OPEN) {
           const body = JSON.stringify({ error: 'Another CDP client is already connected' });
@@ -913,27 +1748,38 @@ class RelayServer {
   // ─── Extension Connection ────────────────────────────────────────────────
 
   _onExtConnect(ws, req) {
-    log('[relay] Extension connected');
+    const profileId = req?.bfProfileId || DEFAULT_PROFILE_ID;
+    log(`[relay] Extension connected (profile "${profileId}")`);
+    this.metrics.recordExtensionConnect(profileId);
     const origin = this._extensionOriginFromReq(req);
-    this.ext = {
+    const ext = {
+      profileId,
       ws,
       connectedAt: new Date().toISOString(),
       origin: origin || null,
       userAgent: req?.headers?.['user-agent'] || null,
       remoteAddress: req?.socket?.remoteAddress || null,
+      pingTimer: null,
     };
+    this.extensions.set(profileId, ext);
+    this.cdpBatcher.resetProfile(profileId);
+    this.events.publish('extension.connected', { profileId });
 
     ws.on('message', (data) => {
       try {
-        this._handleExtMessage(JSON.parse(data.toString()));
+        const msg = JSON.parse(data.toString());
+        this.extensionRecorder?.record('from-extension', msg);
+        this._handleExtMessage(msg, profileId);
       } catch (e) {
         logErr('[relay] Extension message parse error:', e.message);
       }
     });
 
     ws.on('close', () => {
-      log('[relay] Extension disconnected');
-      this._cleanupExtension();
+      log(`[relay] Extension disconnected (profile "${profileId}")`);
+      if (this.extensions.get(profileId) !== ext) return;
+      this._cleanupExtension(profileId);
+      this.events.publish('extension.disconnected', { profileId });
     });
 
     ws.on('error', (err) => {
@@ -941,43 +1787,187 @@ class RelayServer {
     });
 
     // Ping keepalive
-    this.pingTimer = setInterval(() => {
+    ext.pingTimer = setInterval(() => {
       if (ws.readyState === WebSocket.OPEN) {
         ws.send(JSON.stringify({ method: 'ping' }));
       }
     }, PING_INTERVAL_MS);
   }
 
-  _cleanupExtension() {
-    this.ext = null;
-    clearInterval(this.pingTimer);
-    this.pingTimer = null;
+  /** Drop one profile's connection and every tab it owned; other profiles are untouched. */
+  _cleanupExtension(profileId = DEFAULT_PROFILE_ID) {
+    clearInterval(this.extensions.get(profileId)?.pingTimer);
+    this.extensions.delete(profileId);
 
-    // Reject all pending extension commands
+    // Reject the profile's pending extension commands
     for (const [id, pending] of this.extPending) {
+      if (pending.profileId !== profileId) continue;
       clearTimeout(pending.timer);
       pending.reject(new Error('Extension disconnected'));
+      this.extPending.delete(id);
     }
-    this.extPending.clear();
 
-    // Notify CDP clients: all targets gone
-    for (const [sessionId, target] of this.targets) {
+    // Notify CDP clients: the profile's targets are gone
+    const goneTargets = new Map();
+    for (const [sessionId, target] of [...this.targets]) {
+      if (targetProfileId(target) !== profileId) continue;
       this._broadcastCdp({
         method: 'Target.detachedFromTarget',
         params: { sessionId, targetId: target.targetId },
       });
+      this._publishTabEvent('tab.detached', sessionId, target, { reason: 'extension_disconnected' });
+      this.targets.delete(sessionId);
+      this.tabToSession.delete(target.tabId);
+      this.tabLeases.delete(target.tabId);
+      goneTargets.set(target.tabId, target);
+    }
+    for (const [tabId, target] of goneTargets) this._forgetTabChildTargets(tabId, target);
+    this._dropAliasSessions((_id, entry) => !this.targets.has(entry.primarySessionId));
+  }
+
+  /**
+   * The user engaged (or released) the extension's kill switch. The extension
+   * has already detached its tabs and refuses further commands; the relay
+   * records the state for /extension/status and stops the side-panel agent's
+   * in-flight runs.
+   */
+  _handleKillSwitch(params, profileId) {
+    const ext = this.extensions.get(profileId);
+    if (!ext) return;
+    const engaged = !!params?.engaged;
+    const wasEngaged = !!ext.killSwitch;
+    ext.killSwitch = engaged
+      ? { engagedAt: new Date(Number(params.engagedAt) || Date.now()).toISOString() }
+      : null;
+    if (engaged === wasEngaged) return; // reconnect replay of a state we already know
+    log(`[relay] Kill switch ${engaged ? 'engaged' : 'released'} (profile "${profileId}")`);
+    this.events.publish(engaged ? 'extension.stopped' : 'extension.resumed', { profileId });
+    if (engaged) this._abortChatdRuns();
+  }
+
+  /**
+   * The extension's access schedule allowed or ended agent access. Once it
+   * ends, the extension has detached its tabs; the relay answers every further
+   * command for that profile with ACCESS_EXPIRED without a round trip.
+   */
+  _handleAccessState(params, profileId) {
+    const ext = this.extensions.get(profileId);
+    if (!ext) return;
+    const wasAllowed = ext.access?.allowed !== false;
+    const toIso = (ms) => (Number(ms) ? new Date(Number(ms)).toISOString() : null);
+    ext.access = params?.allowed === false
+      ? {
+        allowed: false,
+        reason: params.reason || null,
+        message: params.message || null,
+        expiredAt: toIso(params.expiredAt),
+        resumesAt: toIso(params.resumesAt),
+      }
+      : { allowed: true, endsAt: toIso(params?.endsAt) };
+    const allowed = ext.access.allowed;
+    if (allowed === wasAllowed) return;
+    log(`[relay] Agent access ${allowed ? 'restored' : `expired (${ext.access.reason})`} (profile "${profileId}")`);
+    this.events.publish(allowed ? 'extension.accessRestored' : 'extension.accessExpired', {
+      profileId,
+      ...(allowed ? {} : { reason: ext.access.reason, resumesAt: ext.access.resumesAt }),
+    });
+    if (!allowed) this._abortChatdRuns();
+  }
+
+  /** Best effort: chatd may not be running, and stopping the agent must not wait on it. */
+  async _abortChatdRuns() {
+    try {
+      const { port, token } = JSON.parse(fs.readFileSync(CHATD_URL_FILE, 'utf8'));
+      if (!Number.isInteger(port) || typeof token !== 'string') return;
+      const res = await fetch(`http://127.0.0.1:${port}/v1/runs/abort`, {
+        method: 'POST',
+        headers: { authorization: `Bearer ${token}` },
+        signal: AbortSignal.timeout(CHATD_ABORT_TIMEOUT_MS),
+      });
+      const body = await res.json().catch(() => ({}));
+      if (body.aborted?.length) log(`[relay] Aborted ${body.aborted.length} agent run(s)`);
+    } catch (err) {
+      if (err?.code !== 'ENOENT') logErr('[relay] Could not reach chatd to abort agent runs:', err.message);
+    }
+  }
+
+  /** Connected extension for a profile id, or the primary one when no id is given. */
+  _extensionFor(profileId) {
+    if (profileId) return this.extensions.get(profileId) || null;
+    return this.extensions.get(DEFAULT_PROFILE_ID) || this.extensions.values().next().value || null;
+  }
+
+  /** The profile a client's browser-level commands go to: its pinned profile, else the primary one. */
+  _clientProfileId(clientId) {
+    return this.clientById.get(clientId)?.profileId
+      || this._extensionFor(null)?.profileId
+      || DEFAULT_PROFILE_ID;
+  }
+
+  // Chrome tab ids are unique across the profiles of one browser, so an id
+  // already owned by another profile means two separate Chrome instances are
+  // connected; their tabs cannot share the relay's tabId-keyed maps.
+  _tabOwnedByOtherProfile(tabId, profileId) {
+    const target = this.targets.get(this.tabToSession.get(tabId));
+    return !!target && targetProfileId(target) !== profileId;
+  }
+
+  /** Track an agent-tab download reported by the extension (see download-manager.js). */
+  _handleDownload(method, download) {
+    if (!this.downloads) return;
+    let entry;
+    if (method === 'downloadStarted') {
+      entry = this.downloads.started(download);
+      if (entry.state === 'blocked') {
+        this._sendToExt('cancelDownload', { downloadId: download.downloadId }, { profileId: download.profileId }).catch((err) => {
+          logErr(`[relay] Could not cancel blocked download ${download.downloadId}:`, err.message);
+        });
+      }
+    } else if (method === 'downloadFinished') {
+      entry = this.downloads.finished(download);
+    } else {
+      entry = this.downloads.failed(download);
+    }
+    // The end of a download blocked at the start (download.blocked already went
+    // out), or of one this relay never saw start.
+    if (!entry) return;
+    const type = {
+      in_progress: 'download.started',
+      complete: 'download.completed',
+      blocked: 'download.blocked',
+    }[entry.state] || 'download.failed';
+    log(`[relay] Download ${entry.id} (${entry.filename}) on tab ${entry.tabId}: ${entry.state}`);
+    this.events.publish(type, entry);
+  }
+
+  /**
+   * What the extension did with a page dialog (see extension/dialog-policy.js).
+   * Clients get it as BrowserForce.dialogHandled on the CDP sessions they
+   * opened for that page (newCDPSession); a page can't forge it the way it
+   * could a console message.
+   */
+  _handleDialogHandled({ tabId, note, url } = {}) {
+    const primarySessionId = this.tabToSession.get(tabId);
+    if (!primarySessionId || typeof note !== 'string') return;
+    for (const [aliasSessionId, alias] of this.aliasSessions) {
+      if (alias.primarySessionId !== primarySessionId) continue;
+      this._broadcastCdp(
+        { method: 'BrowserForce.dialogHandled', params: { note, url: url || null }, sessionId: aliasSessionId },
+        (client) => this.clientMeta.get(client)?.id === alias.clientId,
+      );
     }
-    this.targets.clear();
-    this.tabToSession.clear();
-    this.childSessions.clear();
-    this.oopifTargets.clear();
-    this.aliasSessions.clear();
   }
 
-  _handleExtMessage(msg) {
-    // Response to a command we sent
+  _handleExtMessage(msg, profileId = DEFAULT_PROFILE_ID) {
+    // Response to a command we sent. Only the profile that was asked may answer
+    // it: ids are per relay, so another profile's extension could otherwise
+    // settle (or forge the result of) a command it never received.
     if (msg.id !== undefined && this.extPending.has(msg.id)) {
       const pending = this.extPending.get(msg.id);
+      if (pending.profileId !== profileId) {
+        log(`[relay] Ignoring reply to command ${msg.id} from profile "${profileId}"; it was sent to "${pending.profileId}"`);
+        return;
+      }
       this.extPending.delete(msg.id);
       clearTimeout(pending.timer);
 
@@ -992,16 +1982,51 @@ class RelayServer {
     // Events from extension
     if (msg.method === 'pong') return;
 
+    if (msg.method === 'commandPending') {
+      this._extendExtCommandTimeout(msg.params, profileId);
+      return;
+    }
+
     if (msg.method === 'reload-ack') {
       if (this._extReloadResolve) this._extReloadResolve();
       return;
     }
 
+    if (msg.method === 'killSwitch') {
+      this._handleKillSwitch(msg.params, profileId);
+      return;
+    }
+
+    if (msg.method === 'accessState') {
+      this._handleAccessState(msg.params, profileId);
+      return;
+    }
+
+    if (msg.params?.tabId !== undefined && this._tabOwnedByOtherProfile(msg.params.tabId, profileId)) {
+      logErr(`[relay] Ignoring ${msg.method} for tab ${msg.params.tabId} from profile "${profileId}": the tab id belongs to another profile`);
+      return;
+    }
+
     if (msg.method === 'cdpEvent') {
       this._handleCdpEventFromExt(msg.params);
       return;
     }
 
+    if (msg.method === 'inputAction') {
+      this.screencastRecorder?.recordAction(msg.params);
+      return;
+    }
+
+    if (msg.method === 'downloadStarted' || msg.method === 'downloadFinished' || msg.method === 'downloadFailed') {
+      this._handleDownload(msg.method, { ...msg.params, profileId });
+      return;
+    }
+
+    if (msg.method === 'dialogHandled') {
+      this._handleDialogHandled(msg.params);
+      return;
+    }
+
     if (msg.method === 'tabDetached') {
       this._handleTabDetached(msg.params);
       return;
@@ -1012,6 +2037,11 @@ class RelayServer {
       return;
     }
 
+    if (msg.method === 'tabOpened') {
+      this._handleTabOpened(msg.params, profileId);
+      return;
+    }
+
     if (msg.method === 'manualTabAttached') {
       const { tabId, sessionId, targetId, targetInfo, origin, windowId } = msg.params;
       const allowedOrigins = new Set(['manual', 'agent-created', 'relay-attached']);
@@ -1032,14 +2062,18 @@ class RelayServer {
         // is "manualTabAttached" but the payload may carry agent-created or
         // relay-attached provenance during reconnect replay.
         origin: existing?.origin && !allowedOrigins.has(origin) ? existing.origin : storedOrigin,
+        browserContextId: existing?.browserContextId,
+        capabilityTokenId: existing?.capabilityTokenId,
+        profileId,
       });
       this.tabToSession.set(tabId, relaySessionId);
 
       // Notify connected CDP clients
       if (!existingSessionId) {
+        this._publishTabEvent('tab.attached', relaySessionId, this.targets.get(relaySessionId));
         for (const client of this.clients) {
-          if (client.readyState === 1) { // WebSocket.OPEN
-            const target = this.targets.get(relaySessionId);
+          const target = this.targets.get(relaySessionId);
+          if (client.readyState === 1 && this._isTargetVisibleTo(this.clientMeta.get(client)?.id, target)) { // WebSocket.OPEN
             this._sendTargetCreatedEvent(client, target);
             this._sendAttachedEvent(client, relaySessionId, target);
           }
@@ -1049,11 +2083,18 @@ class RelayServer {
     }
   }
 
-  /** Send command to extension, returns promise */
-  _sendToExt(method, params = {}, { timeoutMs = COMMAND_TIMEOUT_MS } = {}) {
+  /** Send command to a profile's extension (the primary one when `profileId` is omitted), returns promise */
+  _sendToExt(method, params = {}, { timeoutMs = COMMAND_TIMEOUT_MS, profileId = null } = {}) {
     return new Promise((resolve, reject) => {
-      if (!this.ext || this.ext.ws.readyState !== WebSocket.OPEN) {
-        reject(new Error('Extension not connected'));
+      const ext = this._extensionFor(profileId);
+      if (!ext || ext.ws.readyState !== WebSocket.OPEN) {
+        reject(new Error(profileId && profileId !== DEFAULT_PROFILE_ID
+          ? `Extension not connected (profile "${profileId}")`
+          : 'Extension not connected'));
+        return;
+      }
+      if (ext.access?.allowed === false && !ACCESS_EXPIRED_ALLOWED_COMMANDS.has(method)) {
+        reject(accessExpiredError(ext.access));
         return;
       }
 
@@ -1063,11 +2104,28 @@ class RelayServer {
         reject(new Error(`Extension command '${method}' timed out after ${timeoutMs}ms`));
       }, timeoutMs);
 
-      this.extPending.set(id, { resolve, reject, timer });
-      this.ext.ws.send(JSON.stringify({ id, method, params }));
+      this.extPending.set(id, { method, resolve, reject, timer, profileId: ext.profileId });
+      this.extensionRecorder?.record('to-extension', { id, method, params });
+      ext.ws.send(JSON.stringify({ id, method, params }));
     });
   }
 
+  /**
+   * The extension is holding a command open on purpose (the user is being
+   * asked to approve it): restart that command's timeout so the relay does not
+   * give up first. Capped so a misbehaving extension cannot park it forever.
+   */
+  _extendExtCommandTimeout({ id, timeoutMs } = {}, profileId = DEFAULT_PROFILE_ID) {
+    const pending = this.extPending.get(id);
+    if (!pending || pending.profileId !== profileId) return;
+    const extendMs = Math.min(Math.max(Number(timeoutMs) || COMMAND_TIMEOUT_MS, COMMAND_TIMEOUT_MS), MAX_PENDING_COMMAND_MS);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this.extPending.delete(id);
+      pending.reject(new Error(`Extension command '${pending.method}' timed out after ${extendMs}ms`));
+    }, extendMs);
+  }
+
   // ─── Restrictions Guard (fail-closed) ──────────────────────────────────────
 
   /**
@@ -1075,11 +2133,12 @@ class RelayServer {
    * inability-to-read path (extension missing, timeout, malformed response,
    * extension error, transport failure) returns manual+noNewTabs so tab
    * creation is blocked deterministically. Do not cache — settings can change
-   * from the popup between requests.
+   * from the popup between requests. Restrictions are per profile: each
+   * profile's extension answers for its own tabs.
    */
-  async _getRestrictionsSafe() {
+  async _getRestrictionsSafe(profileId = null) {
     try {
-      const raw = await this._sendToExt('getRestrictions', {}, { timeoutMs: RESTRICTIONS_FETCH_TIMEOUT_MS });
+      const raw = await this._sendToExt('getRestrictions', {}, { timeoutMs: RESTRICTIONS_FETCH_TIMEOUT_MS, profileId });
       if (!raw || typeof raw !== 'object') {
         return RESTRICTIONS_FAIL_CLOSED;
       }
@@ -1095,6 +2154,13 @@ class RelayServer {
   // ─── CDP Events from Extension ──────────────────────────────────────────
 
   _handleCdpEventFromExt({ tabId, method, params, childSessionId }) {
+    // Frames of a running recording go to disk, not to clients or the CDP log,
+    // unless a client runs its own screencast on the tab: it gets them too and acks them.
+    if (method === 'Page.screencastFrame' && !childSessionId && this.screencastRecorder) {
+      const clientWatching = this.clientScreencasts.has(tabId);
+      if (this.screencastRecorder.handleFrame(tabId, params, { ack: !clientWatching }) && !clientWatching) return;
+    }
+
     const sessionId = this.tabToSession.get(tabId);
     if (!sessionId) {
       this._logCdp({
@@ -1134,7 +2200,132 @@ class RelayServer {
       message: { method, params, tabId, sessionId: outerSessionId, childSessionId },
     });
 
-    this._broadcastCdp({ method, params, sessionId: outerSessionId });
+    if (method === 'Target.attachedToTarget' && WORKER_TARGET_TYPES.has(params?.targetInfo?.type)) {
+      this._handleWorkerAttached(tabId, sessionId, outerSessionId, params);
+      return;
+    }
+    if (method === 'Target.detachedFromTarget' && params?.sessionId && this._workerByChildSession(params.sessionId)) {
+      this._handleWorkerDetached(outerSessionId, params);
+      return;
+    }
+
+    this._broadcastCdp({ method, params, sessionId: outerSessionId }, this._targetEventFilter(this.targets.get(sessionId)));
+  }
+
+  // ─── Worker Targets ─────────────────────────────────────────────────────
+
+  _workerByChildSession(childSessionId) {
+    for (const worker of this.workerTargets.values()) {
+      if (worker.childSessionId === childSessionId) return worker;
+    }
+    return null;
+  }
+
+  _targetVisibilityFilter(target) {
+    return (client) => this._isTargetVisibleTo(this.clientMeta.get(client)?.id, target);
+  }
+
+  // Events from a tab and its frames and workers: a page of a client's browser
+  // context is only that client's to watch, and a scoped token only sees tabs
+  // on its allowed origins.
+  _targetEventFilter(target) {
+    return (client) => {
+      const clientId = this.clientMeta.get(client)?.id;
+      return this._isTargetVisibleTo(clientId, target) && this._tokenAllowsTarget(clientId, target);
+    };
+  }
+
+  _workerAttachedEvent(worker, waitingForDebugger = false) {
+    return {
+      method: 'Target.attachedToTarget',
+      params: { sessionId: worker.childSessionId, targetInfo: worker.targetInfo, waitingForDebugger },
+    };
+  }
+
+  /**
+   * Index a worker child session and announce it: dedicated workers on the
+   * session Chrome reported them on, service/shared workers on the root session.
+   */
+  _handleWorkerAttached(tabId, pageSessionId, outerSessionId, params) {
+    if (!params.targetInfo.targetId) return;
+    const worker = {
+      childSessionId: params.sessionId,
+      tabId,
+      targetInfo: buildWorkerTargetInfo(params.targetInfo, this.targets.get(pageSessionId)),
+    };
+    this.workerTargets.set(worker.targetInfo.targetId, worker);
+    const event = this._workerAttachedEvent(worker, !!params.waitingForDebugger);
+    if (!BROWSER_LEVEL_WORKER_TYPES.has(worker.targetInfo.type)) event.sessionId = outerSessionId;
+    this._broadcastCdp(event, this._targetEventFilter(this.targets.get(pageSessionId)));
+    // A client's forwarded setAutoAttach (waitForDebuggerOnStart) outlives the
+    // client on the tab's debugger session; with nobody left to resume it, a
+    // new worker would stay paused forever.
+    if (params.waitingForDebugger && this.clients.size === 0) {
+      this._sendToExt('cdpCommand', {
+        tabId,
+        method: 'Runtime.runIfWaitingForDebugger',
+        params: {},
+        childSessionId: worker.childSessionId,
+        passive: true,
+      }, { profileId: targetProfileId(this.targets.get(pageSessionId)) }).catch(() => {});
+    }
+  }
+
+  _handleWorkerDetached(outerSessionId, params) {
+    const worker = this._workerByChildSession(params.sessionId);
+    this.workerTargets.delete(worker.targetInfo.targetId);
+    const event = {
+      method: 'Target.detachedFromTarget',
+      params: { sessionId: worker.childSessionId, targetId: worker.targetInfo.targetId },
+    };
+    if (!BROWSER_LEVEL_WORKER_TYPES.has(worker.targetInfo.type)) event.sessionId = outerSessionId;
+    this._broadcastCdp(event, this._targetEventFilter(this.targets.get(this.tabToSession.get(worker.tabId))));
+  }
+
+  /**
+   * Drop every child session (OOPIF and worker) of a tab that is going away.
+   * Browser-level workers get an explicit root detach: nothing else tells
+   * CRBrowser to drop its CRServiceWorker when the owning tab disappears.
+   * `target` is the tab's page target, which decides who hears about it.
+   */
+  _forgetTabChildTargets(tabId, target) {
+    for (const [childId, child] of this.childSessions) {
+      if (child.tabId === tabId) this.childSessions.delete(childId);
+    }
+    for (const [targetId, info] of this.oopifTargets) {
+      if (info.tabId === tabId) this.oopifTargets.delete(targetId);
+    }
+    for (const [targetId, worker] of this.workerTargets) {
+      if (worker.tabId !== tabId) continue;
+      this.workerTargets.delete(targetId);
+      if (BROWSER_LEVEL_WORKER_TYPES.has(worker.targetInfo.type)) {
+        this._broadcastCdp({
+          method: 'Target.detachedFromTarget',
+          params: { sessionId: worker.childSessionId, targetId },
+        }, this._targetEventFilter(target));
+      }
+    }
+  }
+
+  /**
+   * Re-announce known workers to one client that (re-)enabled auto-attach:
+   * Chrome reports a child only once per debugger session, so a client that
+   * connects after the worker started would otherwise never see it.
+   * `pageSessionId` selects one tab's dedicated workers; without it, the
+   * browser-level workers of every tab the client can see are sent.
+   */
+  _replayWorkerTargets(ws, clientId, pageSessionId = null) {
+    for (const worker of this.workerTargets.values()) {
+      const browserLevel = BROWSER_LEVEL_WORKER_TYPES.has(worker.targetInfo.type);
+      const parentSessionId = this.tabToSession.get(worker.tabId);
+      if (pageSessionId ? (browserLevel || parentSessionId !== pageSessionId) : !browserLevel) continue;
+      const parent = this.targets.get(parentSessionId);
+      if (!this._isTargetVisibleTo(clientId, parent) || !this._tokenAllowsTarget(clientId, parent)) continue;
+      const event = this._workerAttachedEvent(worker);
+      if (pageSessionId) event.sessionId = pageSessionId;
+      this._logCdp({ direction: 'to-playwright', clientId, message: event });
+      ws.send(JSON.stringify(event));
+    }
   }
 
   // Drop explicit-attach alias sessions matching a predicate. Aliases are created
@@ -1154,22 +2345,19 @@ class RelayServer {
 
     const target = this.targets.get(sessionId);
 
-    // Clean up child sessions for this tab
-    for (const [childId, child] of this.childSessions) {
-      if (child.tabId === tabId) this.childSessions.delete(childId);
-    }
-    for (const [targetId, info] of this.oopifTargets) {
-      if (info.tabId === tabId) this.oopifTargets.delete(targetId);
-    }
+    this._forgetTabChildTargets(tabId, target);
 
     this.targets.delete(sessionId);
     this.tabToSession.delete(tabId);
+    this.tabLeases.delete(tabId);
+    this.clientScreencasts.delete(tabId);
     this._dropAliasSessions((_id, entry) => entry.primarySessionId === sessionId);
 
     this._broadcastCdp({
       method: 'Target.detachedFromTarget',
       params: { sessionId, targetId: target?.targetId },
     });
+    this._publishTabEvent('tab.detached', sessionId, target, { reason: reason || null });
 
     log(`[relay] Tab ${tabId} detached (${reason})`);
   }
@@ -1183,6 +2371,16 @@ class RelayServer {
 
     if (url) target.targetInfo.url = url;
     if (title) target.targetInfo.title = title;
+    if (url || title) {
+      this.events.publish('target.changed', {
+        tabId,
+        profileId: targetProfileId(target),
+        sessionId,
+        targetId: target.targetId,
+        url: target.targetInfo.url || '',
+        title: target.targetInfo.title || '',
+      });
+    }
 
     this._broadcastCdp({
       method: 'Target.targetInfoChanged',
@@ -1193,10 +2391,10 @@ class RelayServer {
           title: target.targetInfo.title || '',
           url: target.targetInfo.url || '',
           attached: true,
-          browserContextId: DEFAULT_BROWSER_CONTEXT_ID,
+          browserContextId: target.browserContextId || profileContextId(target.profileId),
         },
       },
-    });
+    }, this._targetVisibilityFilter(target));
   }
 
   // ─── CDP Client Connection ──────────────────────────────────────────────
@@ -1216,11 +2414,22 @@ class RelayServer {
       origin: req?.headers?.origin || null,
       userAgent: req?.headers?.['user-agent'] || null,
       remoteAddress: req?.socket?.remoteAddress || null,
+      tokenId: req?.bfCapabilityToken?.id || null,
+      tokenName: req?.bfCapabilityToken?.name || null,
+      // Set by /cdp?profile=<id>: the client only sees that profile's tabs.
+      profileId: req?.bfProfileId || null,
     };
     this.clientMeta.set(ws, clientMeta);
     this.clientById.set(clientId, clientMeta);
+    this._scheduleTokenExpiry(ws, clientMeta, req?.bfCapabilityToken);
     log(`[relay] CDP client connected (${clientId})`);
     this.clients.add(ws);
+    this.events.publish('client.connected', {
+      clientId,
+      label: clientMeta.label,
+      profileId: clientMeta.profileId,
+      tokenName: clientMeta.tokenName,
+    });
 
     ws.on('message', (data) => {
       if (this.clientMode === CLIENT_MODE_SINGLE && this.activeClient?.id === clientId) {
@@ -1237,6 +2446,7 @@ class RelayServer {
     ws.on('close', () => {
       const meta = this.clientMeta.get(ws);
       log(`[relay] CDP client disconnected (${meta?.id || 'unknown'})`);
+      clearTimeout(meta?.tokenExpiryTimer);
       if (meta?.id) {
         this.clientById.delete(meta.id);
         // Connection-keyed affinity dies with the connection; explicit-label
@@ -1245,11 +2455,25 @@ class RelayServer {
         if (!meta.affinityLabel) this.agentWindowByAffinityKey.delete(meta.id);
         // Drop any explicit-attach aliases this client never detached.
         this._dropAliasSessions((_id, entry) => entry.clientId === meta.id);
+        // Nobody acks that client's screencast frames any more; the recorder takes over.
+        for (const [tabId, clientId] of this.clientScreencasts) {
+          if (clientId === meta.id) this.clientScreencasts.delete(tabId);
+        }
       }
       this.clients.delete(ws);
+      if (meta?.id) this._releaseLeasesForClient(meta);
+      if (meta?.id) this._releaseBrowserContextsForClient(meta.id);
       if (this.activeClient?.ws === ws) {
         this.activeClient = null;
       }
+      if (meta?.id) {
+        this.events.publish('client.disconnected', {
+          clientId: meta.id,
+          label: meta.label,
+          profileId: meta.profileId,
+          tokenName: meta.tokenName,
+        });
+      }
     });
 
     ws.on('error', (err) => {
@@ -1265,8 +2489,16 @@ class RelayServer {
       clientId,
       message: { id, method, params, sessionId },
     });
+    const audited = isMutatingMethod(method) || method === 'Target.createTarget';
+    const auditTarget = audited ? this._commandTarget(params, sessionId) : null;
+    const startedAt = Date.now();
+    let releaseTabSlot = null;
 
     try {
+      releaseTabSlot = this._enforceTokenCapabilities(clientId, method, params, sessionId);
+      this._enforceUrlPolicy(clientId, method, params);
+      this.uploadSandbox?.check(method, params);
+      this._enforceContextIsolation(clientId, method, params, sessionId);
       let result;
       if (sessionId && sessionId !== BF_BROWSER_SESSION_ID) {
         result = await this._forwardToTab(sessionId, method, params, id, clientId);
@@ -1277,6 +2509,14 @@ class RelayServer {
         // it to the browser session's callback, mirroring real Chrome.
         result = await this._handleBrowserCommand(ws, id, method, params, clientId, sessionId);
       }
+      this._recordCommandMetrics(clientId, method, startedAt);
+      if (method === 'Target.createTarget') this._tagTokenCreatedTarget(clientId, result);
+      if (audited) {
+        const target = method === 'Target.createTarget'
+          ? [...this.targets.values()].find((t) => t.targetId === result?.targetId)
+          : auditTarget;
+        this._recordAudit({ clientId, method, params, target, startedAt });
+      }
       if (result !== undefined) {
         const response = { id, result };
         if (sessionId) response.sessionId = sessionId;
@@ -1287,11 +2527,27 @@ class RelayServer {
         });
         ws.send(JSON.stringify(response));
       }
+      if (method === 'Target.setAutoAttach' && this.targets.has(sessionId)) {
+        this._replayWorkerTargets(ws, clientId, sessionId);
+      }
     } catch (err) {
+      this._recordCommandMetrics(clientId, method, startedAt, err);
+      if (audited) this._recordAudit({ clientId, method, params, target: auditTarget, startedAt, error: err });
+      if (commandOutcome(err) === 'blocked') {
+        this._publishBlocked({
+          clientId,
+          method,
+          target: auditTarget || this._commandTarget(params, sessionId),
+          url: method === 'Target.createTarget' || method === 'Page.navigate' ? params?.url : null,
+          error: err,
+        });
+      }
       const response = {
         id,
         error: { code: -32000, message: err.message },
       };
+      // CDP carries `data` as a string; ACCESS_EXPIRED puts its JSON details there.
+      if (err.data) response.error.data = JSON.stringify(err.data);
       if (sessionId) response.sessionId = sessionId;
       this._logCdp({
         direction: 'to-playwright',
@@ -1299,6 +2555,8 @@ class RelayServer {
         message: response,
       });
       ws.send(JSON.stringify(response));
+    } finally {
+      releaseTabSlot?.();
     }
   }
 
@@ -1315,7 +2573,7 @@ class RelayServer {
       case 'Target.setDiscoverTargets':
         // Emit targetCreated for all known targets
         for (const [, target] of this.targets) {
-          this._sendTargetCreatedEvent(ws, target, clientId);
+          if (this._isTargetVisibleTo(clientId, target)) this._sendTargetCreatedEvent(ws, target, clientId);
         }
         return {};
 
@@ -1337,7 +2595,7 @@ class RelayServer {
           message: autoAttachResponse,
         });
         ws.send(JSON.stringify(autoAttachResponse));
-        this._autoAttachAllTabs(ws).catch((e) => {
+        this._autoAttachAllTabs(ws, clientId).catch((e) => {
           logErr('[relay] Auto-attach error:', e.message);
         });
         return undefined; // Already sent response
@@ -1346,8 +2604,13 @@ class RelayServer {
       case 'Target.getTargets':
         return {
           targetInfos: [
-            ...[...this.targets.values()].map((t) => buildTargetInfo(t)),
+            ...[...this.targets.values()]
+              .filter((t) => this._isTargetVisibleTo(clientId, t))
+              .map((t) => buildTargetInfo(t)),
             ...[...this.oopifTargets.values()].map((o) => o.targetInfo),
+            ...[...this.workerTargets.values()]
+              .filter((w) => this._isTargetVisibleTo(clientId, this.targets.get(this.tabToSession.get(w.tabId))))
+              .map((w) => w.targetInfo),
           ],
         };
 
@@ -1360,6 +2623,8 @@ class RelayServer {
           }
           const oopif = this.oopifTargets.get(params.targetId);
           if (oopif) return { targetInfo: oopif.targetInfo };
+          const worker = this.workerTargets.get(params.targetId);
+          if (worker) return { targetInfo: worker.targetInfo };
         }
         // No targetId or unrecognized targetId → return browser target
         return {
@@ -1401,7 +2666,7 @@ class RelayServer {
         // primary session (an explicit CDP session only needs command/replies —
         // e.g. the aria snapshot engine).
         for (const [primarySessionId, target] of this.targets) {
-          if (target.targetId === params.targetId) {
+          if (target.targetId === params.targetId && this._isTargetVisibleTo(clientId, target)) {
             const aliasSessionId = `bf-alias-${++this.sessionCounter}`;
             // Tag with the owning clientId so the alias is dropped if that client
             // disconnects before it sends Target.detachFromTarget (see ws 'close').
@@ -1412,6 +2677,9 @@ class RelayServer {
         // Cross-origin iframe (OOPIF): resolve to the existing child sessionId.
         const oopif = this.oopifTargets.get(params.targetId);
         if (oopif) return { sessionId: oopif.childSessionId };
+        // Worker: same, its child session already exists under the tab.
+        const worker = this.workerTargets.get(params.targetId);
+        if (worker) return { sessionId: worker.childSessionId };
         throw new Error(`Target ${params.targetId} not found or not attached`);
       }
 
@@ -1428,13 +2696,32 @@ class RelayServer {
         return this._createTarget(ws, params, clientId);
 
       case 'Target.closeTarget':
-        return this._closeTarget(params);
+        return this._closeTarget(params, clientId);
+
+      case 'BrowserForce.releaseTabLease':
+        return this._releaseTabLeaseCommand(params, clientId);
 
       case 'Browser.setDownloadBehavior':
         return {};
 
-      case 'Target.getBrowserContexts':
-        return { browserContextIds: [DEFAULT_BROWSER_CONTEXT_ID] };
+      case 'Target.getBrowserContexts': {
+        const pinnedProfile = this.clientById.get(clientId)?.profileId;
+        const profileContextIds = pinnedProfile
+          ? [profileContextId(pinnedProfile)]
+          : [DEFAULT_PROFILE_ID, ...this.extensions.keys()].map(profileContextId);
+        return {
+          browserContextIds: [
+            ...new Set(profileContextIds),
+            ...[...this.browserContexts.values()].filter((c) => c.clientId === clientId).map((c) => c.id),
+          ],
+        };
+      }
+
+      case 'Target.createBrowserContext':
+        return this._createBrowserContext(params, clientId);
+
+      case 'Target.disposeBrowserContext':
+        return this._disposeBrowserContext(params, clientId);
 
       default:
         // Unknown browser-level commands get a no-op response
@@ -1444,12 +2731,28 @@ class RelayServer {
 
   // ─── Tab Management ─────────────────────────────────────────────────────
 
-  async _autoAttachAllTabs(ws) {
-    if (!this.ext) return;
+  async _autoAttachAllTabs(ws, clientId = ws._bfClientId) {
+    const pinnedProfile = this.clientById.get(clientId)?.profileId;
+    const profileIds = pinnedProfile
+      ? [pinnedProfile].filter((id) => this.extensions.has(id))
+      : [...this.extensions.keys()];
+    if (profileIds.length === 0) return;
+
+    for (const profileId of profileIds) {
+      await this._discoverProfileTabs(ws, profileId);
+    }
+
+    for (const [sessionId, target] of this.targets) {
+      if (this._isTargetVisibleTo(clientId, target)) this._sendAttachedEvent(ws, sessionId, target);
+    }
+    this._replayWorkerTargets(ws, clientId);
+  }
 
-    const { tabs } = await this._sendToExt('listTabs');
+  /** Refresh one profile's lazy targets from its extension's tab list. */
+  async _discoverProfileTabs(ws, profileId) {
+    const { tabs } = await this._sendToExt('listTabs', {}, { profileId });
     const visibleTabs = Array.isArray(tabs) ? tabs : [];
-    log(`[relay] Browser has ${visibleTabs.length} tab(s) — exposing as lazy targets`);
+    log(`[relay] Profile "${profileId}" has ${visibleTabs.length} tab(s) — exposing as lazy targets`);
 
     const currentTabIds = new Set(
       visibleTabs
@@ -1460,22 +2763,25 @@ class RelayServer {
     for (const [sessionId, target] of [...this.targets]) {
       if (
         target.origin === 'relay-discovered'
+        && targetProfileId(target) === profileId
         && !target.debuggerAttached
         && !currentTabIds.has(target.tabId)
       ) {
         this.targets.delete(sessionId);
         this.tabToSession.delete(target.tabId);
+        this.tabLeases.delete(target.tabId);
         this._dropAliasSessions((_id, entry) => entry.primarySessionId === sessionId);
         this._broadcastCdp({
           method: 'Target.detachedFromTarget',
           params: { sessionId, targetId: target.targetId },
         });
+        this._publishTabEvent('tab.detached', sessionId, target, { reason: 'tab_closed' });
       }
     }
 
     for (const tab of visibleTabs) {
       const tabId = Number(tab?.tabId);
-      if (!Number.isInteger(tabId)) continue;
+      if (!Number.isInteger(tabId) || this._tabOwnedByOtherProfile(tabId, profileId)) continue;
       const existingSessionId = this.tabToSession.get(tabId);
       const sessionId = existingSessionId || `bf-session-${++this.sessionCounter}`;
       const targetId = tab.targetId || `bf-target-${tabId}`;
@@ -1487,7 +2793,7 @@ class RelayServer {
         type: 'page',
         title: tab.title || '',
         url: tab.url || '',
-        browserContextId: DEFAULT_BROWSER_CONTEXT_ID,
+        browserContextId: profileContextId(profileId),
       };
 
       // The extension persists agentCreatedTabs across SW restarts and
@@ -1508,16 +2814,16 @@ class RelayServer {
         // Keep the real-activity clock across client-reconnect rediscovery,
         // or every fresh connect would reset /attached-tabs idleMs to blank.
         lastCommandAt: existing?.lastCommandAt,
+        browserContextId: existing?.browserContextId,
+        capabilityTokenId: existing?.capabilityTokenId,
+        profileId,
       });
       this.tabToSession.set(tabId, sessionId);
       if (isNewTarget) {
         this._sendTargetCreatedEvent(ws, this.targets.get(sessionId));
+        this._publishTabEvent('tab.attached', sessionId, this.targets.get(sessionId));
       }
     }
-
-    for (const [sessionId, target] of this.targets) {
-      this._sendAttachedEvent(ws, sessionId, target);
-    }
   }
 
   /** Attach debugger to a tab on demand (lazy). Race-safe via attachPromise. */
@@ -1543,17 +2849,18 @@ class RelayServer {
           tabId: target.tabId,
           sessionId,
           origin: preservedOrigin,
-        });
+        }, { profileId: targetProfileId(target) });
         if (result.targetId) target.chromeTargetId = result.targetId;
         if (result.targetInfo) {
           target.targetInfo = {
             ...result.targetInfo,
             targetId: target.targetId,
-            browserContextId: DEFAULT_BROWSER_CONTEXT_ID,
+            browserContextId: profileContextId(target.profileId),
           };
         }
         target.debuggerAttached = true;
         target.origin = preservedOrigin;
+        this.screencastRecorder?.addTab(target);
       } finally {
         // ALWAYS clear, including on failure: a rejected attachPromise would
         // otherwise stick to the target (rediscovery preserves attachPromise)
@@ -1623,18 +2930,113 @@ class RelayServer {
   _seedAgentWindowAffinity(clientId, target) {
     const key = this._affinityKey(clientId);
     if (!key || this.agentWindowByAffinityKey.has(key)) return;
+    // Another profile's window cannot host the client's new tabs.
+    if (targetProfileId(target) !== this._clientProfileId(clientId)) return;
     const windowId = target?.windowId ?? target?.targetInfo?.windowId;
     if (Number.isInteger(windowId)) {
       this._pinAgentWindow(key, windowId);
     }
   }
 
+  // ─── Tab Leases ─────────────────────────────────────────────────────────
+
+  _describeTabLease(tabId) {
+    const lease = this.tabLeases.get(tabId);
+    if (!lease) return null;
+    return { label: lease.label, clientId: lease.clientId, acquiredAt: lease.acquiredAt };
+  }
+
+  /**
+   * Mutating commands carry the sending client's label so the extension's
+   * in-page banner can show who is driving the tab.
+   */
+  _tagClientLabel(payload, clientId) {
+    const label = clientId && isMutatingMethod(payload.method) && this.clientById.get(clientId)?.label;
+    if (label) payload.clientLabel = label;
+  }
+
+  /**
+   * Enforce (and lazily grant) the per-tab lease for a mutating command.
+   * Read-only methods never take or check a lease. The first client to mutate
+   * a tab owns it; same-key clients (same explicit label, or same connection)
+   * pass through, everyone else gets a BLOCKED error naming the holder.
+   */
+  _claimTabLease(tabId, method, clientId) {
+    if (!clientId || (!isMutatingMethod(method) && method !== 'Target.createTarget')) return;
+    const key = this._affinityKey(clientId);
+    const label = this.clientById.get(clientId)?.label || clientId;
+    const existing = this.tabLeases.get(tabId);
+    if (!existing) {
+      this.tabLeases.set(tabId, {
+        key,
+        label,
+        clientId,
+        acquiredAt: new Date().toISOString(),
+      });
+      log(`[relay] Tab ${tabId} leased to ${label} (${clientId})`);
+      return;
+    }
+    if (existing.key === key) {
+      // Same owner on a fresh connection: keep acquiredAt, track the live id.
+      existing.clientId = clientId;
+      return;
+    }
+    throw new Error(
+      `BLOCKED: ${method} on tab ${tabId} rejected — the tab is leased to client "${existing.label}". `
+      + 'Read-only methods (snapshot, screenshot, evaluate) still work; create your own tab, '
+      + 'or wait until the holder disconnects or sends BrowserForce.releaseTabLease.',
+    );
+  }
+
+  _releaseTabLeaseCommand(params, clientId) {
+    const key = this._affinityKey(clientId);
+    const released = [];
+    if (!key) return { released };
+    for (const target of this.targets.values()) {
+      if (params?.targetId && target.targetId !== params.targetId) continue;
+      const lease = this.tabLeases.get(target.tabId);
+      if (lease?.key !== key) continue;
+      this.tabLeases.delete(target.tabId);
+      released.push(target.targetId);
+    }
+    if (params?.targetId && released.length === 0) {
+      throw new Error(`No lease held on target ${params.targetId}`);
+    }
+    return { released };
+  }
+
+  // Called after the client is removed from this.clients. Labeled leases
+  // survive while another connection with the same label is still open.
+  _releaseLeasesForClient(meta) {
+    const key = meta.affinityLabel ? `label:${meta.affinityLabel}` : meta.id;
+    if (meta.affinityLabel) {
+      for (const client of this.clients) {
+        if (this.clientMeta.get(client)?.affinityLabel === meta.affinityLabel) return;
+      }
+    }
+    for (const [tabId, lease] of this.tabLeases) {
+      if (lease.key === key) {
+        this.tabLeases.delete(tabId);
+        log(`[relay] Tab ${tabId} lease released (${lease.label} disconnected)`);
+      }
+    }
+  }
+
   async _createTarget(ws, params, clientId) {
+    // A profile context routes the tab to that profile's extension; pages of a
+    // synthetic context open in that context's own window. Neither uses nor
+    // moves the client's window affinity.
+    const contextProfileId = this._resolveProfileContext(params.browserContextId, clientId);
+    const context = contextProfileId ? null : this._resolveBrowserContext(params.browserContextId, clientId);
+    const profileId = contextProfileId || context?.profileId || this._clientProfileId(clientId);
+
     // Fail-closed guard: block tab creation in attached-only/no-new-tabs
     // sessions, including when restrictions cannot be read from the extension.
-    const restrictions = await this._getRestrictionsSafe();
+    const restrictions = await this._getRestrictionsSafe(profileId);
     if (restrictions.mode === 'manual' || restrictions.noNewTabs) {
-      throw new Error('New tabs are disabled in BrowserForce attached-tab mode.');
+      const err = new Error('New tabs are disabled in BrowserForce attached-tab mode.');
+      err.blocked = true;
+      throw err;
     }
 
     const sessionId = `s${++this.sessionCounter}`;
@@ -1643,14 +3045,16 @@ class RelayServer {
       sessionId,
     };
     // Pin the new tab to the agent's established window when we have one.
-    const affinityKey = this._affinityKey(clientId);
-    const pinnedWindowId = affinityKey
-      ? this.agentWindowByAffinityKey.get(affinityKey)
-      : undefined;
+    const affinityKey = context || contextProfileId ? null : this._affinityKey(clientId);
+    const pinnedWindowId = context
+      ? context.windowId
+      : (affinityKey ? this.agentWindowByAffinityKey.get(affinityKey) : undefined);
     const sentPinned = Number.isInteger(pinnedWindowId);
     if (sentPinned) createParams.windowId = pinnedWindowId;
+    // First page of a context (or its window was closed): open a new window.
+    if (context) createParams.newWindow = true;
 
-    const result = await this._sendToExt('createTab', createParams);
+    const result = await this._sendToExt('createTab', createParams, { profileId });
 
     // Re-pin affinity from the window the extension actually used:
     // - sentPinned → overwrite. Closed-window refresh: if the pinned window was
@@ -1670,6 +3074,7 @@ class RelayServer {
         this._pinAgentWindow(affinityKey, resultWindowId);
       }
     }
+    if (context && resultWindowId !== undefined) context.windowId = resultWindowId;
 
     const target = {
       tabId: result.tabId,
@@ -1679,19 +3084,28 @@ class RelayServer {
       debuggerAttached: true, // createTab attaches debugger immediately
       attachPromise: null,
       origin: 'agent-created',
+      browserContextId: context?.id,
+      profileId,
     };
     this.targets.set(sessionId, target);
     this.tabToSession.set(result.tabId, sessionId);
-
-    // Broadcast attachedToTarget to ALL clients. Shape the outbound targetInfo
-    // through buildTargetInfo, preserving the url fallback for empty titles/urls.
-    this._broadcastCdp({
+    this._publishTabEvent('tab.attached', sessionId, target);
+    // The creating client owns the new tab from the start.
+    this._claimTabLease(result.tabId, 'Target.createTarget', clientId);
+
+    // Broadcast attachedToTarget to every client that can see the tab (only
+    // the owner for context pages, only unpinned or same-profile clients for
+    // profile tabs). Shape the outbound targetInfo through buildTargetInfo,
+    // preserving the url fallback for empty titles/urls.
+    const attachedEvent = {
       method: 'Target.attachedToTarget',
       params: {
         sessionId,
         targetInfo: buildTargetInfo({
           targetId: result.targetId,
           windowId: resultWindowId,
+          browserContextId: context?.id,
+          profileId,
           targetInfo: {
             ...result.targetInfo,
             url: result.targetInfo?.url || params.url || 'about:blank',
@@ -1699,59 +3113,192 @@ class RelayServer {
         }),
         waitingForDebugger: false,
       },
-    });
+    };
+    this._broadcastCdp(attachedEvent, this._targetVisibilityFilter(target));
 
     return { targetId: result.targetId };
   }
 
-  async _closeTarget(params) {
+  async _closeTarget(params, clientId, { reason } = {}) {
     let tabId;
     let sessionId;
+    let closingTarget;
 
     for (const [sid, target] of this.targets) {
       if (target.targetId === params.targetId) {
         tabId = target.tabId;
         sessionId = sid;
+        closingTarget = target;
         break;
       }
     }
 
     if (!tabId) throw new Error('Target not found');
+    this._claimTabLease(tabId, 'Target.closeTarget', clientId);
 
-    await this._sendToExt('closeTab', { tabId });
+    // Housekeeping closes carry a reason; the extension only asks the user to approve agent closes.
+    await this._sendToExt('closeTab', reason ? { tabId, reason } : { tabId }, { profileId: targetProfileId(closingTarget) });
 
-    // Clean up child sessions
-    for (const [childId, child] of this.childSessions) {
-      if (child.tabId === tabId) this.childSessions.delete(childId);
-    }
-    for (const [targetId, info] of this.oopifTargets) {
-      if (info.tabId === tabId) this.oopifTargets.delete(targetId);
-    }
+    this._forgetTabChildTargets(tabId, closingTarget);
 
     this.targets.delete(sessionId);
     this.tabToSession.delete(tabId);
+    this.tabLeases.delete(tabId);
     this._dropAliasSessions((_id, entry) => entry.primarySessionId === sessionId);
 
     this._broadcastCdp({
       method: 'Target.detachedFromTarget',
       params: { sessionId, targetId: params.targetId },
     });
+    this._publishTabEvent('tab.detached', sessionId, closingTarget, { reason: 'closed' });
 
     return { success: true };
   }
 
+  // ─── Browser Contexts ───────────────────────────────────────────────────
+
+  _createBrowserContext(params, clientId) {
+    if (params?.proxyServer) {
+      throw new Error('BrowserForce browser contexts share the user\'s Chrome profile and cannot use a proxyServer.');
+    }
+    const id = `bf-context-${++this.browserContextSeq}`;
+    this.browserContexts.set(id, {
+      id,
+      clientId,
+      profileId: this._clientProfileId(clientId),
+      windowId: undefined,
+      // Playwright's newContext() always asks for disposeOnDetach.
+      disposeOnDetach: !!params?.disposeOnDetach,
+      createdAt: new Date().toISOString(),
+    });
+    log(`[relay] Browser context ${id} created for ${clientId}`);
+    return { browserContextId: id };
+  }
+
+  // The caller's own context for `browserContextId`, null for the default
+  // context; unknown or foreign ids fail like Chrome's "not found".
+  _resolveBrowserContext(browserContextId, clientId) {
+    if (!browserContextId || browserContextId === DEFAULT_BROWSER_CONTEXT_ID) return null;
+    const context = this.browserContexts.get(browserContextId);
+    if (!context || context.clientId !== clientId) {
+      throw new Error(`Failed to find browser context with id ${browserContextId}`);
+    }
+    return context;
+  }
+
+  // Profile id for a 'bf-profile-<id>' context, null for any other id. Profiles
+  // that are not connected, or that a pinned client may not use, fail like
+  // Chrome's "not found".
+  _resolveProfileContext(browserContextId, clientId) {
+    if (!browserContextId?.startsWith(PROFILE_CONTEXT_PREFIX)) return null;
+    const profileId = browserContextId.slice(PROFILE_CONTEXT_PREFIX.length);
+    const pinnedProfile = this.clientById.get(clientId)?.profileId;
+    if (!this.extensions.has(profileId) || (pinnedProfile && pinnedProfile !== profileId)) {
+      throw new Error(`Failed to find browser context with id ${browserContextId}`);
+    }
+    return profileId;
+  }
+
+  async _disposeBrowserContext(params, clientId) {
+    if (params?.browserContextId?.startsWith(PROFILE_CONTEXT_PREFIX)) {
+      throw new Error('Profile browser contexts belong to a connected Chrome profile and cannot be disposed.');
+    }
+    const context = this._resolveBrowserContext(params?.browserContextId, clientId);
+    if (!context) throw new Error('The default browser context cannot be disposed.');
+    await this._closeContextTargets(context, clientId);
+    this.browserContexts.delete(context.id);
+    log(`[relay] Browser context ${context.id} disposed`);
+    return {};
+  }
+
+  async _closeContextTargets(context, clientId) {
+    const targetIds = [...this.targets.values()]
+      .filter((t) => t.browserContextId === context.id)
+      .map((t) => t.targetId);
+    const results = await Promise.allSettled(
+      targetIds.map((targetId) => this._closeTarget({ targetId }, clientId, { reason: 'context_disposed' })),
+    );
+    for (const result of results) {
+      if (result.status === 'rejected') logErr(`[relay] Failed to close ${context.id} tab:`, result.reason?.message);
+    }
+  }
+
+  // A disconnecting client's contexts die with it when they were created with
+  // disposeOnDetach; otherwise their tabs fall back to the default context.
+  _releaseBrowserContextsForClient(clientId) {
+    for (const context of [...this.browserContexts.values()]) {
+      if (context.clientId !== clientId) continue;
+      this.browserContexts.delete(context.id);
+      if (context.disposeOnDetach) {
+        this._closeContextTargets(context, null).catch(() => {});
+        continue;
+      }
+      for (const target of this.targets.values()) {
+        if (target.browserContextId === context.id) delete target.browserContextId;
+      }
+    }
+  }
+
+  _isTargetVisibleTo(clientId, target) {
+    const pinnedProfile = this.clientById.get(clientId)?.profileId;
+    if (pinnedProfile && targetProfileId(target) !== pinnedProfile) return false;
+    if (!target?.browserContextId) return true;
+    return this.browserContexts.get(target.browserContextId)?.clientId === clientId;
+  }
+
+  _enforceContextIsolation(clientId, method, params, sessionId) {
+    const target = this._commandTarget(params, sessionId);
+    if (!target || this._isTargetVisibleTo(clientId, target)) return;
+    const pinnedProfile = this.clientById.get(clientId)?.profileId;
+    if (pinnedProfile && targetProfileId(target) !== pinnedProfile) {
+      throw new Error(
+        `BLOCKED: ${method} on tab ${target.tabId} rejected — the tab belongs to Chrome profile "${targetProfileId(target)}" `
+        + `and this connection is pinned to profile "${pinnedProfile}". Reconnect with ?profile=${targetProfileId(target)} `
+        + '(or without ?profile=) to use it.',
+      );
+    }
+    throw new Error(
+      `BLOCKED: ${method} on tab ${target.tabId} rejected — the tab belongs to another client's browser context. `
+      + 'Use pages from your own context (or the default context).',
+    );
+  }
+
   // ─── CDP Command Forwarding ─────────────────────────────────────────────
 
+  /**
+   * A client's own screencast shares the tab's one screencast with a running
+   * recording. Track it so its frames reach the client, and restart the
+   * recorder's capture when the client's Page.stopScreencast ends it.
+   */
+  _trackClientScreencast(tabId, method, clientId, reply) {
+    if (method === 'Page.startScreencast') {
+      return reply.then((result) => {
+        this.clientScreencasts.set(tabId, clientId);
+        return result;
+      });
+    }
+    if (method === 'Page.stopScreencast') {
+      return reply.then((result) => {
+        this.clientScreencasts.delete(tabId);
+        this.screencastRecorder?.resumeTab(tabId);
+        return result;
+      });
+    }
+    return reply;
+  }
+
   async _forwardToTab(sessionId, method, params, id, clientId) {
     // Main session
     const target = this.targets.get(sessionId);
     if (target) {
+      this._claimTabLease(target.tabId, method, clientId);
       if (!target.debuggerAttached) {
         // Playwright sends init-only commands to every page it learns about.
         // Return synthetic {} so we never attach the debugger until the AI
         // actually uses the tab — preserves dark mode and avoids the automation
         // info bar on every open tab.
         if (INIT_ONLY_METHODS.has(method)) {
+          this.metrics.recordSyntheticInit(method);
           return syntheticInitResponse(method, target);
         }
         // First real (non-init) command on this tab pins the agent's window
@@ -1786,7 +3333,8 @@ class RelayServer {
       // Init storm (Playwright re-sends ~40 init commands per reconnect) must
       // not reset the extension's per-tab idle clock, or auto-close never fires.
       if (INIT_ONLY_METHODS.has(method)) payload.passive = true;
-      return this._sendToExt('cdpCommand', payload);
+      this._tagClientLabel(payload, clientId);
+      return this._trackClientScreencast(target.tabId, method, clientId, this.cdpBatcher.enqueue(payload, targetProfileId(target)));
     }
 
     // Alias session: an explicit newCDPSession() re-attach to an already-attached
@@ -1802,8 +3350,10 @@ class RelayServer {
         this.aliasSessions.delete(sessionId);
         throw new Error(`Session '${sessionId}' not found`);
       }
+      this._claimTabLease(primaryTarget.tabId, method, clientId);
       if (!primaryTarget.debuggerAttached) {
         if (INIT_ONLY_METHODS.has(method)) {
+          this.metrics.recordSyntheticInit(method);
           return syntheticInitResponse(method, primaryTarget);
         }
         this._seedAgentWindowAffinity(clientId, primaryTarget);
@@ -1835,12 +3385,16 @@ class RelayServer {
         params: params || {},
       };
       if (INIT_ONLY_METHODS.has(method)) aliasPayload.passive = true;
-      return this._sendToExt('cdpCommand', aliasPayload);
+      this._tagClientLabel(aliasPayload, clientId);
+      return this._trackClientScreencast(
+        primaryTarget.tabId, method, clientId, this.cdpBatcher.enqueue(aliasPayload, targetProfileId(primaryTarget)),
+      );
     }
 
     // Child session (iframe / OOPIF)
     const child = this.childSessions.get(sessionId);
     if (child) {
+      this._claimTabLease(child.tabId, method, clientId);
       // Ensure parent tab's debugger is attached
       const parentSessionId = this.tabToSession.get(child.tabId);
       const parentTarget = parentSessionId && this.targets.get(parentSessionId);
@@ -1872,7 +3426,8 @@ class RelayServer {
         childSessionId: sessionId,
       };
       if (INIT_ONLY_METHODS.has(method)) childPayload.passive = true;
-      return this._sendToExt('cdpCommand', childPayload);
+      this._tagClientLabel(childPayload, clientId);
+      return this.cdpBatcher.enqueue(childPayload, targetProfileId(parentTarget));
     }
 
     throw new Error(`Session '${sessionId}' not found`);
@@ -1880,28 +3435,30 @@ class RelayServer {
 
   // ─── Broadcast ──────────────────────────────────────────────────────────
 
-  _broadcastCdp(msg) {
+  _broadcastCdp(msg, filter = null) {
     this._logCdp({
       direction: 'to-playwright',
       message: msg,
     });
     const data = JSON.stringify(msg);
     for (const client of this.clients) {
-      if (client.readyState === WebSocket.OPEN) {
+      if (client.readyState === WebSocket.OPEN && (!filter || filter(client))) {
         client.send(data);
       }
     }
   }
 
   stop() {
-    clearInterval(this.pingTimer);
+    for (const ext of this.extensions.values()) clearInterval(ext.pingTimer);
+    this.screencastRecorder?.close();
+    this.events.close();
     this.server?.close();
   }
 }
 
 // ─── Exports ─────────────────────────────────────────────────────────────────
 
-module.exports = { RelayServer, DEFAULT_PORT, BF_DIR, TOKEN_FILE, CDP_URL_FILE };
+module.exports = { RelayServer, DEFAULT_PORT, BF_DIR, TOKEN_FILE, CDP_URL_FILE, isMutatingMethod };
 
 // ─── CLI Entry ───────────────────────────────────────────────────────────────
 
@@ -0,0 +1,217 @@
+const fs = require('node:fs');
+const path = require('node:path');
+
+// Size-rotated JSONL files shared by the relay's on-disk logs.
+//
+// The live file is `<filePath>`; rotated generations are `<filePath>.1`
+// (newest) through `<filePath>.<maxFiles - 1>` (oldest). `maxFiles` counts the
+// live file, so maxFiles = 1 means "truncate in place when full".
+
+function chmodBestEffort(filePath, mode) {
+  try {
+    fs.chmodSync(filePath, mode);
+  } catch {
+    // Best effort only: some platforms/filesystems do not support POSIX modes.
+  }
+}
+
+function resolvePositiveIntOption(value, envValue, fallback) {
+  for (const candidate of [value, envValue]) {
+    const parsed = Number(candidate);
+    if (candidate !== undefined && candidate !== '' && Number.isFinite(parsed) && parsed > 0) {
+      return Math.floor(parsed);
+    }
+  }
+  return fallback;
+}
+
+function rotatedFilePath(filePath, generation) {
+  return generation === 0 ? filePath : `${filePath}.${generation}`;
+}
+
+/** All existing generations, oldest first (the live file last). */
+function listJsonlGenerations(filePath, maxFiles) {
+  const files = [];
+  for (let generation = maxFiles - 1; generation >= 0; generation -= 1) {
+    const candidate = rotatedFilePath(filePath, generation);
+    if (fs.existsSync(candidate)) files.push(candidate);
+  }
+  return files;
+}
+
+function parseJsonlLines(text, entries) {
+  for (const line of text.split('\n')) {
+    if (!line) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // A torn last line (crash mid-append) must not hide the rest of the file.
+    }
+  }
+  return entries;
+}
+
+function readJsonlFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return [];
+  }
+  return parseJsonlLines(raw, []);
+}
+
+/**
+ * Entries of one file, newest (last line) first, reading backwards in chunks
+ * so a caller that only needs the tail never reads the whole file.
+ */
+async function* readJsonlFileNewestFirst(filePath, chunkSize = 64 * 1024) {
+  let handle;
+  try {
+    handle = await fs.promises.open(filePath, 'r');
+  } catch {
+    return;
+  }
+  try {
+    let position = (await handle.stat()).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(chunkSize, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      while (end > 0) {
+        const newline = buffer.lastIndexOf(0x0a, end - 1);
+        if (newline < 0) break;
+        yield* parseJsonlLines(buffer.toString('utf8', newline + 1, end), []);
+        end = newline;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    yield* parseJsonlLines(rest.toString('utf8'), []);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Parsed entries per file, kept between reads. Rotation renames files, so
+ * entries are keyed by inode rather than path: a rotated generation is parsed
+ * once, and the live file only has its appended lines parsed. A file that
+ * shrank (truncated in place) is parsed again from the start. A trailing
+ * partial line is left for the next read to pick up once it is complete.
+ */
+function createJsonlFileCache() {
+  let cached = new Map();
+  let seen = new Map();
+
+  return {
+    read(filePath) {
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch {
+        return [];
+      }
+      const key = `${stat.dev}:${stat.ino}`;
+      let record = seen.get(key) || cached.get(key);
+      if (!record || stat.size < record.offset) {
+        record = { offset: 0, entries: [] };
+      }
+      if (stat.size > record.offset) {
+        let fd;
+        try {
+          fd = fs.openSync(filePath, 'r');
+          const chunk = Buffer.alloc(stat.size - record.offset);
+          const read = fs.readSync(fd, chunk, 0, chunk.length, record.offset);
+          const end = chunk.lastIndexOf(0x0a, read - 1) + 1;
+          if (end > 0) {
+            parseJsonlLines(chunk.toString('utf8', 0, end), record.entries);
+            record.offset += end;
+          }
+        } catch {
+          // Serve what was parsed before; the next read tries again.
+        } finally {
+          if (fd !== undefined) fs.closeSync(fd);
+        }
+      }
+      seen.set(key, record);
+      return record.entries;
+    },
+    /** Drops files not read since the last prune (rotated out of retention). */
+    prune() {
+      cached = seen;
+      seen = new Map();
+    },
+  };
+}
+
+function createRotatingJsonlWriter({ filePath, maxBytes, maxFiles, truncateOnStart = false }) {
+  const logDir = path.dirname(filePath);
+  fs.mkdirSync(logDir, { recursive: true });
+  chmodBestEffort(logDir, 0o700);
+  if (truncateOnStart || !fs.existsSync(filePath)) {
+    fs.writeFileSync(filePath, '', { mode: 0o600 });
+  }
+  chmodBestEffort(filePath, 0o600);
+
+  let currentBytes = 0;
+  try {
+    currentBytes = fs.statSync(filePath).size;
+  } catch {
+    currentBytes = 0;
+  }
+  let queue = Promise.resolve();
+
+  function rotate() {
+    for (let generation = maxFiles - 1; generation >= 1; generation -= 1) {
+      const from = rotatedFilePath(filePath, generation - 1);
+      const to = rotatedFilePath(filePath, generation);
+      try {
+        if (fs.existsSync(from)) fs.renameSync(from, to);
+      } catch {
+        // Keep writing even if an old generation cannot be moved.
+      }
+    }
+    fs.writeFileSync(filePath, '', { mode: 0o600 });
+    chmodBestEffort(filePath, 0o600);
+    currentBytes = 0;
+  }
+
+  return {
+    filePath,
+    maxBytes,
+    maxFiles,
+    append(line) {
+      const data = `${line}\n`;
+      const size = Buffer.byteLength(data);
+      queue = queue
+        .then(async () => {
+          if (currentBytes > 0 && currentBytes + size > maxBytes) rotate();
+          await fs.promises.appendFile(filePath, data);
+          currentBytes += size;
+        })
+        .catch(() => {});
+    },
+    /** Resolves once every append issued so far has reached disk. */
+    flush() {
+      return queue;
+    },
+    listFiles() {
+      return listJsonlGenerations(filePath, maxFiles);
+    },
+  };
+}
+
+module.exports = {
+  chmodBestEffort,
+  createJsonlFileCache,
+  createRotatingJsonlWriter,
+  listJsonlGenerations,
+  readJsonlFile,
+  readJsonlFileNewestFirst,
+  resolvePositiveIntOption,
+  rotatedFilePath,
+};
@@ -0,0 +1,71 @@
+// Shared query-string filter parsing for the relay's log endpoints.
+
+/**
+ * Compile a CDP method filter. Supports exact names ("Page.navigate") and `*`
+ * globs ("Input.*", "*.enable"). Returns null when no filter was given so
+ * callers can skip matching entirely.
+ */
+function compileMethodFilter(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) return null;
+  const source = pattern
+    .trim()
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`);
+  return (method) => typeof method === 'string' && regex.test(method);
+}
+
+/**
+ * Parse a time bound given as epoch milliseconds or an ISO-8601 string.
+ * Returns a millisecond timestamp, or null when absent/unparseable.
+ */
+function parseTimeBound(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const asNumber = Number(value);
+  if (Number.isFinite(asNumber)) return asNumber;
+  const asDate = Date.parse(value);
+  return Number.isFinite(asDate) ? asDate : null;
+}
+
+function isWithinTimeRange(timestamp, { since, until }) {
+  if (since === null && until === null) return true;
+  const at = Date.parse(timestamp);
+  if (!Number.isFinite(at)) return false;
+  if (since !== null && at < since) return false;
+  if (until !== null && at > until) return false;
+  return true;
+}
+
+/**
+ * Build a predicate for buffered CDP log entries from /logs/cdp query params:
+ * method (exact or glob; responses carry no method and never match), direction,
+ * sessionId, tabId, label (client label), since/until. Returns null when no
+ * filter is active so the unfiltered polling path stays allocation-free.
+ */
+function buildCdpLogEntryFilter({ method, direction, sessionId, tabId, label, since, until } = {}) {
+  const matchesMethod = compileMethodFilter(method);
+  const wantedTabId = tabId === undefined || tabId === null || tabId === '' ? null : Number(tabId);
+  const range = { since: parseTimeBound(since), until: parseTimeBound(until) };
+  const active = matchesMethod || direction || sessionId || wantedTabId !== null || label
+    || range.since !== null || range.until !== null;
+  if (!active) return null;
+
+  return (entry) => {
+    const message = entry.message || {};
+    if (matchesMethod && !matchesMethod(message.method)) return false;
+    if (direction && entry.direction !== direction) return false;
+    if (sessionId && message.sessionId !== sessionId) return false;
+    const entryTabId = Number.isInteger(entry.tabId) ? entry.tabId : message.tabId;
+    if (wantedTabId !== null && entryTabId !== wantedTabId) return false;
+    if (label && entry.clientLabel !== label) return false;
+    return isWithinTimeRange(entry.timestamp, range);
+  };
+}
+
+module.exports = {
+  buildCdpLogEntryFilter,
+  compileMethodFilter,
+  isWithinTimeRange,
+  parseTimeBound,
+};
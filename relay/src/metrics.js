@@ -0,0 +1,166 @@
+// In-process Prometheus metrics for the relay (text exposition format 0.0.4).
+//
+// Kept dependency-free and O(1) per observation so /metrics can stay on by
+// default. Label values come from CDP clients (method names, client labels),
+// so each metric caps its distinct series and folds the rest into "__other__"
+// — a misbehaving client must not be able to grow relay memory unbounded.
+
+const MAX_SERIES_PER_METRIC = 500;
+const OVERFLOW_LABEL_VALUE = '__other__';
+const LATENCY_BUCKETS_SECONDS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labelValues, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(labelValues[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  return Number.isInteger(value) ? String(value) : String(Number(value.toFixed(6)));
+}
+
+function createSeriesMap(labelNames) {
+  const series = new Map();
+  return {
+    /** Series for these label values, creating it (or the overflow series) on first use. */
+    get(labelValues, create) {
+      let key = JSON.stringify(labelValues);
+      if (!series.has(key)) {
+        if (series.size >= MAX_SERIES_PER_METRIC) {
+          labelValues = labelNames.map(() => OVERFLOW_LABEL_VALUE);
+          key = JSON.stringify(labelValues);
+        }
+        if (!series.has(key)) series.set(key, { labelValues, value: create() });
+      }
+      return series.get(key).value;
+    },
+    entries() {
+      return [...series.values()];
+    },
+  };
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = createSeriesMap(labelNames);
+  // Unlabeled counters always expose a sample, so scrapers see 0 rather than nothing.
+  if (labelNames.length === 0) series.get([], () => ({ count: 0 }));
+  return {
+    inc(labelValues = [], amount = 1) {
+      const cell = series.get(labelValues, () => ({ count: 0 }));
+      cell.count += amount;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labelValues, value } of series.entries()) {
+        lines.push(`${name}${formatLabels(labelNames, labelValues)} ${formatNumber(value.count)}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function createHistogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS_SECONDS) {
+  const series = createSeriesMap(labelNames);
+  return {
+    observe(labelValues, value) {
+      const cell = series.get(labelValues, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      for (let i = 0; i < buckets.length; i += 1) {
+        if (value <= buckets[i]) cell.counts[i] += 1;
+      }
+      cell.sum += value;
+      cell.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labelValues, value } of series.entries()) {
+        buckets.forEach((bound, i) => {
+          const le = `le="${formatNumber(bound)}"`;
+          lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, le)} ${value.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, 'le="+Inf"')} ${value.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, labelValues)} ${formatNumber(value.sum)}`);
+        lines.push(`${name}_count${formatLabels(labelNames, labelValues)} ${value.count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+function renderGauge(name, help, value) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${formatNumber(value)}`];
+}
+
+function createRelayMetrics() {
+  const commands = createCounter(
+    'browserforce_cdp_commands_total',
+    'CDP commands handled by the relay, by method and outcome (ok, error, blocked).',
+    ['method', 'outcome'],
+  );
+  const commandDuration = createHistogram(
+    'browserforce_cdp_command_duration_seconds',
+    'Time from receiving a CDP command to replying, by method.',
+    ['method'],
+  );
+  const clientCommands = createCounter(
+    'browserforce_client_commands_total',
+    'CDP commands received per client label.',
+    ['label'],
+  );
+  const syntheticInit = createCounter(
+    'browserforce_synthetic_init_responses_total',
+    'Init-only commands answered by the relay without attaching the debugger.',
+    ['method'],
+  );
+  const restrictionBlocks = createCounter(
+    'browserforce_restriction_blocks_total',
+    'Commands rejected with BLOCKED (user restrictions, tab leases, no-new-tabs guard).',
+    ['method'],
+  );
+  const extensionReconnects = createCounter(
+    'browserforce_extension_reconnects_total',
+    'Extension WebSocket connections after the first one per profile since relay start.',
+  );
+  const connectedProfiles = new Set();
+
+  return {
+    recordCommand({ method, label, outcome, durationMs }) {
+      const methodLabel = method || 'unknown';
+      commands.inc([methodLabel, outcome]);
+      commandDuration.observe([methodLabel], durationMs / 1000);
+      clientCommands.inc([label || 'unlabeled']);
+      if (outcome === 'blocked') restrictionBlocks.inc([methodLabel]);
+    },
+    recordSyntheticInit(method) {
+      syntheticInit.inc([method]);
+    },
+    recordExtensionConnect(profileId = 'default') {
+      if (connectedProfiles.has(profileId)) extensionReconnects.inc();
+      connectedProfiles.add(profileId);
+    },
+    /** Render all metrics; `gauges` is a point-in-time snapshot of relay state. */
+    render(gauges) {
+      return [
+        ...renderGauge('browserforce_attached_tabs', 'Tabs with the Chrome debugger attached.', gauges.attachedTabs),
+        ...renderGauge('browserforce_targets', 'Page targets exposed to CDP clients (attached or lazy).', gauges.targets),
+        ...renderGauge('browserforce_cdp_clients', 'Connected CDP clients.', gauges.clients),
+        ...renderGauge('browserforce_extension_connected', '1 when at least one extension WebSocket is connected.', gauges.extensionProfiles > 0 ? 1 : 0),
+        ...renderGauge('browserforce_extension_profiles', 'Chrome profiles with a connected extension.', gauges.extensionProfiles),
+        ...commands.render(),
+        ...commandDuration.render(),
+        ...clientCommands.render(),
+        ...syntheticInit.render(),
+        ...restrictionBlocks.render(),
+        ...extensionReconnects.render(),
+      ].join('\n') + '\n';
+    },
+  };
+}
+
+module.exports = {
+  createRelayMetrics,
+};
@@ -0,0 +1,465 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { createRotatingJsonlWriter, readJsonlFile } = require('./jsonl-file.js');
+
+// Screencast recordings of attached tabs, for reviewing what an agent did.
+//
+// While a recording runs, every debugger-attached tab streams
+// Page.startScreencast frames to the relay. Each recording is one directory
+// under ~/.browserforce/recordings/<id>/:
+//   frames/000001.jpg   one JPEG per stored frame
+//   timeline.jsonl      { t, type: 'frame' | 'action' | 'tab', tabId, ... } in arrival order,
+//                       t = ms since the recording started
+//   meta.json           { id, label, startedAt, stoppedAt, frameCount, actionCount, limitReached, tabs }
+//   player.html         written on stop: a self-contained scrubber over the
+//                       frames with the action timeline beside it (open it
+//                       straight from disk; it fetches nothing)
+//
+// Actions (clicks, scrolls, keys, typed text, navigations) come from the
+// extension's ghost-cursor pipeline as `inputAction` messages; text typed into
+// a password field arrives as a length only. Frames are kept at most every
+// MIN_FRAME_INTERVAL_MS per tab; the rest are acknowledged and dropped. That
+// alone still adds up over a night, so a recording also stops capturing frames
+// once it holds MAX_FRAMES of them or MAX_FRAME_BYTES of JPEG: the screencasts
+// are stopped, the timeline notes a `limit` entry, and actions keep being
+// recorded until the timeline itself reaches MAX_TIMELINE_BYTES.
+
+const BF_DIR = path.join(os.homedir(), '.browserforce');
+const RECORDINGS_DIR = process.env.BROWSERFORCE_RECORDINGS_DIR || path.join(BF_DIR, 'recordings');
+const MIN_FRAME_INTERVAL_MS = 200;
+const MAX_FRAMES = 36_000; // two hours of one busy tab at MIN_FRAME_INTERVAL_MS
+const MAX_FRAME_BYTES = 2 * 1024 * 1024 * 1024;
+const MAX_TIMELINE_BYTES = 64 * 1024 * 1024;
+const SCREENCAST_PARAMS = { format: 'jpeg', quality: 60, maxWidth: 1280, maxHeight: 800 };
+const MAX_LABEL_LENGTH = 80;
+
+function recordingId(now) {
+  return new Date(now).toISOString().replace(/[:.]/g, '-');
+}
+
+function writeJsonFile(filePath, value) {
+  fs.writeFileSync(filePath, `${JSON.stringify(value, null, 2)}\n`, { mode: 0o600 });
+}
+
+function readMeta(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// JSON inside <script> must not be able to close the element.
+function inlineJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/** The self-contained HTML player for a finished recording. */
+function buildPlayerHtml(meta, timeline) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>BrowserForce recording ${meta.id}</title>
+<style>
+  body { margin: 0; font: 13px system-ui, sans-serif; background: #111827; color: #e5e7eb; display: flex; height: 100vh; }
+  main { flex: 1; display: flex; flex-direction: column; min-width: 0; padding: 12px; gap: 8px; }
+  aside { width: 320px; overflow-y: auto; border-left: 1px solid #374151; }
+  .stage { position: relative; flex: 1; display: flex; align-items: center; justify-content: center; min-height: 0; }
+  .frame { position: relative; max-width: 100%; max-height: 100%; }
+  .frame img { display: block; max-width: 100%; max-height: calc(100vh - 110px); }
+  .marker { position: absolute; width: 18px; height: 18px; margin: -9px 0 0 -9px; border-radius: 50%; border: 3px solid #f97316; pointer-events: none; }
+  .controls { display: flex; align-items: center; gap: 8px; }
+  .controls input[type=range] { flex: 1; }
+  .empty { color: #9ca3af; }
+  .action { padding: 6px 10px; border-bottom: 1px solid #1f2937; cursor: pointer; }
+  .action:hover { background: #1f2937; }
+  .action.current { background: #7c2d12; }
+  .action time { color: #9ca3af; margin-right: 6px; font-variant-numeric: tabular-nums; }
+</style>
+</head>
+<body>
+<main>
+  <div class="controls">
+    <strong id="title"></strong>
+    <label>Tab <select id="tab"></select></label>
+  </div>
+  <div class="stage"><div class="frame"><img id="frame" alt=""><div class="marker" id="marker" hidden></div></div><p class="empty" id="empty" hidden>No frame yet for this tab.</p></div>
+  <div class="controls">
+    <button id="play" type="button">Play</button>
+    <input id="scrub" type="range" min="0" step="1" value="0">
+    <span id="clock"></span>
+  </div>
+</main>
+<aside id="actions"></aside>
+<script>
+const META = ${inlineJson(meta)};
+const TIMELINE = ${inlineJson(timeline)};
+const duration = Math.max(0, ...TIMELINE.map((entry) => entry.t), (META.stoppedAt || META.startedAt) - META.startedAt);
+const tabIds = [...new Set(TIMELINE.filter((entry) => entry.type === 'frame').map((entry) => entry.tabId))];
+const $ = (id) => document.getElementById(id);
+let current = 0;
+let timer = null;
+
+function clock(ms) {
+  const s = Math.floor(ms / 1000);
+  return String(Math.floor(s / 3600)).padStart(2, '0') + ':' + String(Math.floor(s / 60) % 60).padStart(2, '0') + ':' + String(s % 60).padStart(2, '0');
+}
+
+function describe(entry) {
+  if (entry.type === 'limit') return 'Recording full: no more frames stored';
+  const a = entry.action || {};
+  switch (a.kind) {
+    case 'click': return (a.clickCount > 1 ? 'Double-click' : 'Click') + ' at (' + Math.round(a.x) + ', ' + Math.round(a.y) + ')';
+    case 'scroll': return 'Scroll by (' + Math.round(a.deltaX) + ', ' + Math.round(a.deltaY) + ')';
+    case 'key': return 'Press ' + a.key;
+    case 'type': return a.masked ? 'Type ' + a.length + ' character(s) into a password field' : 'Type ' + JSON.stringify(a.text);
+    case 'navigate': return 'Navigate to ' + a.url;
+    default: return a.kind || 'Action';
+  }
+}
+
+function tabTitle(tabId) {
+  const tab = META.tabs.find((t) => t.tabId === tabId);
+  return tab ? (tab.title || tab.url || 'Tab ' + tabId) : 'Tab ' + tabId;
+}
+
+function render() {
+  const tabId = Number($('tab').value);
+  let frame = null;
+  for (const entry of TIMELINE) {
+    if (entry.t > current) break;
+    if (entry.type === 'frame' && entry.tabId === tabId) frame = entry;
+  }
+  $('frame').hidden = !frame;
+  $('empty').hidden = !!frame;
+  if (frame) $('frame').src = frame.file;
+  const recent = TIMELINE.filter((entry) => entry.type === 'action' && entry.tabId === tabId && entry.action.kind === 'click' && entry.t <= current && current - entry.t < 1000).pop();
+  $('marker').hidden = !(recent && frame && frame.width);
+  if (recent && frame && frame.width) {
+    $('marker').style.left = (recent.action.x / frame.width * 100) + '%';
+    $('marker').style.top = (recent.action.y / frame.height * 100) + '%';
+  }
+  let last = null;
+  for (const row of document.querySelectorAll('.action')) {
+    row.classList.remove('current');
+    if (Number(row.dataset.t) <= current) last = row;
+  }
+  last?.classList.add('current');
+  $('scrub').value = current;
+  $('clock').textContent = clock(current) + ' / ' + clock(duration);
+}
+
+function seek(ms) {
+  current = Math.min(Math.max(0, ms), duration);
+  render();
+}
+
+function togglePlay() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+    $('play').textContent = 'Play';
+    return;
+  }
+  if (current >= duration) current = 0;
+  $('play').textContent = 'Pause';
+  timer = setInterval(() => {
+    seek(current + 100);
+    if (current >= duration) togglePlay();
+  }, 100);
+}
+
+$('title').textContent = (META.label || META.id) + ' — ' + new Date(META.startedAt).toLocaleString();
+for (const tabId of tabIds) $('tab').add(new Option(tabTitle(tabId), tabId));
+$('scrub').max = duration;
+for (const entry of TIMELINE.filter((e) => e.type === 'action' || e.type === 'limit')) {
+  const row = document.createElement('div');
+  row.className = 'action';
+  row.dataset.t = entry.t;
+  const time = document.createElement('time');
+  time.textContent = clock(entry.t);
+  row.append(time, describe(entry));
+  if (entry.tabId !== undefined) row.title = tabTitle(entry.tabId);
+  row.addEventListener('click', () => {
+    if (entry.tabId !== undefined) $('tab').value = entry.tabId;
+    seek(entry.t);
+  });
+  $('actions').append(row);
+}
+$('tab').addEventListener('change', render);
+$('scrub').addEventListener('input', () => seek(Number($('scrub').value)));
+$('play').addEventListener('click', togglePlay);
+render();
+</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * `sendCommand(target, method, params)` forwards a CDP command to one tab
+ * through the extension and resolves with its result.
+ * `isClientScreencast(tabId)` says whether a CDP client runs its own
+ * screencast on the tab. Chrome has one screencast per tab, so the recorder
+ * then shares it: the client keeps its frames and acks them, and the recorder
+ * never stops it.
+ */
+function createScreencastRecorder({
+  rootDir,
+  sendCommand,
+  isClientScreencast = () => false,
+  maxFrames = MAX_FRAMES,
+  maxFrameBytes = MAX_FRAME_BYTES,
+  log = () => {},
+}) {
+  rootDir = rootDir || process.env.BROWSERFORCE_RECORDINGS_DIR || RECORDINGS_DIR;
+  let active = null;
+  // The recording being stopped: its tabs' last in-flight frames are acked and dropped.
+  let stopping = null;
+
+  function summary(recording) {
+    return {
+      recording: true,
+      id: recording.id,
+      label: recording.label,
+      dir: recording.dir,
+      startedAt: new Date(recording.startedAt).toISOString(),
+      frameCount: recording.frameCount,
+      actionCount: recording.actionCount,
+      limitReached: recording.limitReached,
+      tabIds: [...recording.tabs.keys()],
+    };
+  }
+
+  function append(entry) {
+    const line = JSON.stringify({ t: Date.now() - active.startedAt, ...entry });
+    const size = Buffer.byteLength(line) + 1;
+    if (active.timelineBytes + size > MAX_TIMELINE_BYTES) return;
+    active.timelineBytes += size;
+    active.writer.append(line);
+  }
+
+  /** The recording is full: stop every screencast and keep only actions from here on. */
+  function reachLimit(recording) {
+    if (recording.limitReached) return;
+    recording.limitReached = true;
+    append({ type: 'limit', frameCount: recording.frameCount, frameBytes: recording.frameBytes });
+    log(`[relay] Recording ${recording.id} reached its frame limit (${recording.frameCount} frame(s), ${recording.frameBytes} bytes); frames are no longer stored`);
+    for (const { target } of recording.tabs.values()) {
+      if (!isClientScreencast(target.tabId)) sendCommand(target, 'Page.stopScreencast', {}).catch(() => {});
+    }
+  }
+
+  function meta(recording, stoppedAt = null) {
+    return {
+      id: recording.id,
+      label: recording.label,
+      startedAt: recording.startedAt,
+      stoppedAt,
+      frameCount: recording.frameCount,
+      actionCount: recording.actionCount,
+      limitReached: recording.limitReached,
+      tabs: [...recording.seenTabs.values()],
+    };
+  }
+
+  function addTab(target) {
+    if (!active || !target?.debuggerAttached || active.tabs.has(target.tabId)) return;
+    const recording = active;
+    const tab = { tabId: target.tabId, url: target.targetInfo?.url || '', title: target.targetInfo?.title || '' };
+    recording.tabs.set(target.tabId, { target, lastFrameAt: 0 });
+    recording.seenTabs.set(target.tabId, tab);
+    append({ type: 'tab', event: 'attached', ...tab });
+    if (recording.limitReached) return;
+    sendCommand(target, 'Page.startScreencast', SCREENCAST_PARAMS).catch((err) => {
+      log(`[relay] Could not record tab ${target.tabId}: ${err.message}`);
+      if (active === recording) recording.tabs.delete(target.tabId);
+    });
+  }
+
+  function removeTab(tabId, reason = null) {
+    if (!active?.tabs.has(tabId)) return;
+    active.tabs.delete(tabId);
+    append({ type: 'tab', event: 'detached', tabId, reason });
+  }
+
+  /** A client's Page.stopScreencast ended the tab's shared screencast: start capturing it again. */
+  function resumeTab(tabId) {
+    const tab = active?.tabs.get(tabId);
+    if (!tab || active.limitReached) return;
+    sendCommand(tab.target, 'Page.startScreencast', SCREENCAST_PARAMS).catch((err) => {
+      log(`[relay] Could not resume recording tab ${tabId}: ${err.message}`);
+    });
+  }
+
+  /**
+   * Store a Page.screencastFrame. Returns false when no recording owns the tab.
+   * `ack: false` leaves the ack to a client whose own screencast gets the frame too.
+   */
+  function handleFrame(tabId, params, { ack = true } = {}) {
+    const tab = active?.tabs.get(tabId) || stopping?.tabs.get(tabId);
+    if (!tab) return false;
+    if (ack) sendCommand(tab.target, 'Page.screencastFrameAck', { sessionId: params?.sessionId }).catch(() => {});
+    const now = Date.now();
+    if (!active?.tabs.has(tabId) || !params?.data || now - tab.lastFrameAt < MIN_FRAME_INTERVAL_MS) return true;
+    const recording = active;
+    if (recording.limitReached) return true;
+    const data = Buffer.from(params.data, 'base64');
+    if (recording.frameCount >= maxFrames || recording.frameBytes + data.length > maxFrameBytes) {
+      reachLimit(recording);
+      return true;
+    }
+    tab.lastFrameAt = now;
+    recording.frameCount += 1;
+    recording.frameBytes += data.length;
+    const file = `frames/${String(recording.frameCount).padStart(6, '0')}.jpg`;
+    const write = fs.promises.writeFile(path.join(recording.dir, file), data, { mode: 0o600 })
+      .catch((err) => log(`[relay] Could not write recording frame: ${err.message}`))
+      .finally(() => recording.pendingWrites.delete(write));
+    recording.pendingWrites.add(write);
+    append({
+      type: 'frame',
+      tabId,
+      file,
+      width: params.metadata?.deviceWidth || null,
+      height: params.metadata?.deviceHeight || null,
+    });
+    return true;
+  }
+
+  function recordAction({ tabId, at, action } = {}) {
+    if (!active?.tabs.has(tabId) || !action?.kind) return;
+    active.actionCount += 1;
+    append({ type: 'action', tabId, action, ...(Number(at) ? { t: Number(at) - active.startedAt } : {}) });
+  }
+
+  function start({ label = null, targets = [] } = {}) {
+    if (active) {
+      const err = new Error(`Already recording (${active.id}). Stop it first.`);
+      err.statusCode = 409;
+      throw err;
+    }
+    const startedAt = Date.now();
+    const id = recordingId(startedAt);
+    const dir = path.join(rootDir, id);
+    fs.mkdirSync(path.join(dir, 'frames'), { recursive: true, mode: 0o700 });
+    active = {
+      id,
+      dir,
+      label: label ? String(label).slice(0, MAX_LABEL_LENGTH) : null,
+      startedAt,
+      frameCount: 0,
+      frameBytes: 0,
+      actionCount: 0,
+      limitReached: false,
+      timelineBytes: 0,
+      tabs: new Map(),
+      seenTabs: new Map(),
+      pendingWrites: new Set(),
+      // append() stops short of maxBytes, so this single file never rotates.
+      writer: createRotatingJsonlWriter({
+        filePath: path.join(dir, 'timeline.jsonl'),
+        maxBytes: MAX_TIMELINE_BYTES,
+        maxFiles: 1,
+      }),
+    };
+    writeJsonFile(path.join(dir, 'meta.json'), meta(active));
+    for (const target of targets) addTab(target);
+    log(`[relay] Recording ${id} started (${active.tabs.size} tab(s))`);
+    return summary(active);
+  }
+
+  function finish(recording) {
+    const stoppedAt = Date.now();
+    const finalMeta = meta(recording, stoppedAt);
+    writeJsonFile(path.join(recording.dir, 'meta.json'), finalMeta);
+    const timeline = readJsonlFile(path.join(recording.dir, 'timeline.jsonl'))
+      .sort((a, b) => a.t - b.t);
+    const player = path.join(recording.dir, 'player.html');
+    fs.writeFileSync(player, buildPlayerHtml(finalMeta, timeline), { mode: 0o600 });
+    log(`[relay] Recording ${recording.id} stopped: ${recording.frameCount} frame(s), ${recording.actionCount} action(s)`);
+    return { ...summary(recording), recording: false, stoppedAt: new Date(stoppedAt).toISOString(), player };
+  }
+
+  /** Stop every tab's screencast, wait for frame writes, and write the player. */
+  async function stop() {
+    if (!active) {
+      const err = new Error('Not recording.');
+      err.statusCode = 409;
+      throw err;
+    }
+    const recording = active;
+    active = null;
+    stopping = recording;
+    if (!recording.limitReached) {
+      await Promise.allSettled([...recording.tabs.values()]
+        .filter(({ target }) => !isClientScreencast(target.tabId))
+        .map(({ target }) => sendCommand(target, 'Page.stopScreencast', {})));
+    }
+    stopping = null;
+    await Promise.allSettled([...recording.pendingWrites]);
+    await recording.writer.flush();
+    return finish(recording);
+  }
+
+  /** Relay shutdown: finish synchronously without asking the extension anything. */
+  function close() {
+    if (!active) return;
+    const recording = active;
+    active = null;
+    try {
+      finish(recording);
+    } catch (err) {
+      log(`[relay] Could not finish recording ${recording.id}: ${err.message}`);
+    }
+  }
+
+  /** Finished and running recordings, newest first. */
+  function list() {
+    let names;
+    try {
+      names = fs.readdirSync(rootDir);
+    } catch {
+      return [];
+    }
+    return names
+      .map((name) => {
+        const dir = path.join(rootDir, name);
+        const recorded = readMeta(dir);
+        if (!recorded) return null;
+        const player = path.join(dir, 'player.html');
+        return {
+          ...recorded,
+          startedAt: new Date(recorded.startedAt).toISOString(),
+          stoppedAt: recorded.stoppedAt ? new Date(recorded.stoppedAt).toISOString() : null,
+          dir,
+          player: fs.existsSync(player) ? player : null,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1));
+  }
+
+  return {
+    rootDir,
+    start,
+    stop,
+    close,
+    list,
+    addTab,
+    removeTab,
+    resumeTab,
+    handleFrame,
+    recordAction,
+    status: () => (active ? summary(active) : { recording: false }),
+  };
+}
+
+module.exports = {
+  RECORDINGS_DIR,
+  SCREENCAST_PARAMS,
+  buildPlayerHtml,
+  createScreencastRecorder,
+};
@@ -0,0 +1,77 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// File uploads from agents are limited to one directory.
+//
+// Setting files on an <input type=file> (DOM.setFileInputFiles) or dropping
+// them on a page (Input.dispatchDragEvent with data.files) hands Chrome paths
+// that it reads off this machine's disk, so an unchecked agent could upload
+// anything the user can read. The relay only lets through regular files whose
+// real path (symlinks resolved) is inside the uploads directory:
+//   BROWSERFORCE_UPLOADS_DIR, default ~/.browserforce/agent/sessions/uploads
+// which is where the agent panel saves images the user attaches to a chat.
+
+const DEFAULT_UPLOADS_DIR = path.join(os.homedir(), '.browserforce', 'agent', 'sessions', 'uploads');
+
+/** The file paths a CDP command asks Chrome to read, or null when it reads none. */
+function uploadPathsOf(method, params) {
+  if (method === 'DOM.setFileInputFiles') return Array.isArray(params?.files) ? params.files : [];
+  if (method === 'Input.dispatchDragEvent' && Array.isArray(params?.data?.files)) return params.data.files;
+  return null;
+}
+
+function isInside(dir, filePath) {
+  const relative = path.relative(dir, filePath);
+  // A name like "..notes.png" is inside; only a ".." segment leads out.
+  return relative !== ''
+    && relative !== '..'
+    && !relative.startsWith(`..${path.sep}`)
+    && !path.isAbsolute(relative);
+}
+
+/** @param {{ dir?: string }} [options] */
+function createUploadSandbox({ dir = process.env.BROWSERFORCE_UPLOADS_DIR || DEFAULT_UPLOADS_DIR } = {}) {
+  const uploadsDir = path.resolve(dir);
+
+  /** Why `filePath` may not be uploaded, or null when it may. */
+  function refusal(filePath) {
+    if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) return 'it is not an absolute path';
+    let realDir;
+    try {
+      realDir = fs.realpathSync(uploadsDir);
+    } catch {
+      return 'the uploads directory does not exist';
+    }
+    let realFile;
+    try {
+      realFile = fs.realpathSync(filePath);
+    } catch {
+      return 'the file does not exist';
+    }
+    if (!isInside(realDir, realFile)) return 'it is outside the uploads directory';
+    if (!fs.statSync(realFile).isFile()) return 'it is not a regular file';
+    return null;
+  }
+
+  return {
+    dir: uploadsDir,
+
+    /** Throws a BLOCKED error when `method` would upload a file from outside the directory. */
+    check(method, params) {
+      const files = uploadPathsOf(method, params);
+      if (!files) return;
+      for (const filePath of files) {
+        const reason = refusal(filePath);
+        if (!reason) continue;
+        throw new Error(
+          `BLOCKED: uploading ${JSON.stringify(String(filePath))} is not allowed: ${reason}. `
+          + `Agents may only upload files from ${uploadsDir}. Do not look for another way to attach it; `
+          + 'ask the user to put the file in that folder (or set BROWSERFORCE_UPLOADS_DIR) and retry with its path there.',
+        );
+      }
+    },
+  };
+}
+
+module.exports = { createUploadSandbox, DEFAULT_UPLOADS_DIR };
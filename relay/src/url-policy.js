@@ -0,0 +1,226 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+// Declarative URL allow/deny policy for navigation and tab creation, plus an
+// optional size/type policy for downloads from agent tabs.
+//
+// ~/.browserforce/policy.json (override with BROWSERFORCE_POLICY_FILE):
+//   {
+//     "allow": ["https://*.example.com/*"],
+//     "deny":  ["*.bank.com", "/^https?:\\/\\/localhost(:\\d+)?\\//"],
+//     "downloads": { "maxBytes": 52428800, "allowTypes": ["application/pdf", "text/*", ".csv"], "denyTypes": [".exe"] }
+//   }
+//
+// Patterns are `*` / `?` globs matched against the full URL, bare host globs
+// ("*.bank.com", no scheme or path) matched against the hostname, or regexes
+// written as "/source/flags". A host glob starting with "*." also matches the
+// bare domain, so "*.bank.com" covers bank.com as well as its subdomains. Deny wins over allow; a non-empty allow list
+// blocks everything it does not match. about:blank is always allowed.
+//
+// The file is re-read whenever its mtime or size changes, so edits apply to
+// the next navigation without restarting the relay. A present but invalid
+// file fails closed: every non-blank URL is blocked until it is fixed.
+//
+// Download types are MIME globs ("image/*") or file extensions (".pdf").
+// Deny wins over allow; a non-empty allowTypes blocks every other type.
+
+const BF_DIR = path.join(os.homedir(), '.browserforce');
+const POLICY_FILE_PATH = process.env.BROWSERFORCE_POLICY_FILE || path.join(BF_DIR, 'policy.json');
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((ch) => {
+      if (ch === '*') return '.*';
+      if (ch === '?') return '.';
+      return ch.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/** Compile one policy pattern into `{ pattern, test(url) }`; throws on invalid input. */
+function compilePolicyPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw new Error('patterns must be non-empty strings');
+  }
+  const trimmed = pattern.trim();
+  const regexMatch = trimmed.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    let regex;
+    try {
+      regex = new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (err) {
+      throw new Error(`invalid regex ${trimmed}: ${err.message}`);
+    }
+    return { pattern: trimmed, test: (url) => regex.test(url) };
+  }
+  const regex = globToRegExp(trimmed);
+  const isHostGlob = !trimmed.includes('://') && !trimmed.includes('/');
+  const bareDomain = isHostGlob && trimmed.startsWith('*.') ? globToRegExp(trimmed.slice(2)) : null;
+  return {
+    pattern: trimmed,
+    test: (url) => {
+      if (!isHostGlob) return regex.test(url);
+      let hostname;
+      try {
+        hostname = new URL(url).hostname;
+      } catch {
+        return false;
+      }
+      return regex.test(hostname) || !!bareDomain?.test(hostname);
+    },
+  };
+}
+
+function parsePolicy(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('policy must be a JSON object with "allow" and/or "deny" arrays');
+  }
+  const compileList = (key) => {
+    const list = raw[key] ?? [];
+    if (!Array.isArray(list)) throw new Error(`"${key}" must be an array of patterns`);
+    return list.map((pattern) => {
+      try {
+        return compilePolicyPattern(pattern);
+      } catch (err) {
+        throw new Error(`"${key}": ${err.message}`);
+      }
+    });
+  };
+  return { allow: compileList('allow'), deny: compileList('deny'), downloads: parseDownloadPolicy(raw.downloads) };
+}
+
+function compileTypePattern(pattern) {
+  if (typeof pattern !== 'string' || !/^(?:\.[\w.-]+|[\w.+*-]+\/[\w.+*-]+)$/.test(pattern.trim())) {
+    throw new Error(`invalid type ${JSON.stringify(pattern)} (use a MIME type such as "image/*" or an extension such as ".pdf")`);
+  }
+  const trimmed = pattern.trim().toLowerCase();
+  if (trimmed.startsWith('.')) {
+    return { pattern: trimmed, test: ({ filename }) => String(filename || '').toLowerCase().endsWith(trimmed) };
+  }
+  const regex = globToRegExp(trimmed);
+  return { pattern: trimmed, test: ({ mimeType }) => regex.test(String(mimeType || '').split(';')[0].trim()) };
+}
+
+function parseDownloadPolicy(raw) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw new Error('"downloads" must be an object');
+  if (raw.maxBytes !== undefined && !(Number.isInteger(raw.maxBytes) && raw.maxBytes > 0)) {
+    throw new Error('"downloads.maxBytes" must be a positive integer');
+  }
+  const compileTypes = (key) => {
+    const list = raw[key] ?? [];
+    if (!Array.isArray(list)) throw new Error(`"downloads.${key}" must be an array of types`);
+    return list.map((pattern) => {
+      try {
+        return compileTypePattern(pattern);
+      } catch (err) {
+        throw new Error(`"downloads.${key}": ${err.message}`);
+      }
+    });
+  };
+  return { maxBytes: raw.maxBytes ?? null, allowTypes: compileTypes('allowTypes'), denyTypes: compileTypes('denyTypes') };
+}
+
+const EMPTY_POLICY = { allow: [], deny: [], downloads: null };
+
+function createUrlPolicy({ filePath = process.env.BROWSERFORCE_POLICY_FILE || POLICY_FILE_PATH } = {}) {
+  let fingerprint = null;
+  let policy = EMPTY_POLICY;
+  let error = null;
+  let loadedAt = null;
+
+  function refresh() {
+    let stat = null;
+    try {
+      stat = fs.statSync(filePath);
+    } catch {
+      // No policy file: nothing is restricted.
+    }
+    const next = stat ? `${stat.mtimeMs}:${stat.size}` : 'missing';
+    if (next === fingerprint) return;
+    fingerprint = next;
+    loadedAt = new Date().toISOString();
+    if (!stat) {
+      policy = EMPTY_POLICY;
+      error = null;
+      return;
+    }
+    try {
+      policy = parsePolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      error = null;
+    } catch (err) {
+      policy = EMPTY_POLICY;
+      error = err.message;
+    }
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Check a URL against the current policy. Returns `{ allowed: true }` or
+     * `{ allowed: false, reason, rule? }`.
+     */
+    evaluate(url) {
+      refresh();
+      if (!url || url === 'about:blank') return { allowed: true };
+      if (error) return { allowed: false, reason: `the URL policy file is invalid (${error})` };
+      const denied = policy.deny.find((rule) => rule.test(url));
+      if (denied) return { allowed: false, reason: `matches deny rule "${denied.pattern}"`, rule: denied.pattern };
+      if (policy.allow.length > 0 && !policy.allow.some((rule) => rule.test(url))) {
+        return { allowed: false, reason: 'matches no allow rule' };
+      }
+      return { allowed: true };
+    },
+
+    /**
+     * Check a download (`{ filename, mimeType, size }`; size null while unknown)
+     * against the download policy. Same verdict shape as evaluate().
+     */
+    evaluateDownload(download) {
+      refresh();
+      if (error) return { allowed: false, reason: `the policy file is invalid (${error})` };
+      const downloads = policy.downloads;
+      if (!downloads) return { allowed: true };
+      if (downloads.maxBytes && Number(download.size) > downloads.maxBytes) {
+        return { allowed: false, reason: `it is larger than the ${downloads.maxBytes}-byte limit` };
+      }
+      const denied = downloads.denyTypes.find((rule) => rule.test(download));
+      if (denied) return { allowed: false, reason: `its type matches deny rule "${denied.pattern}"`, rule: denied.pattern };
+      if (downloads.allowTypes.length > 0 && !downloads.allowTypes.some((rule) => rule.test(download))) {
+        return { allowed: false, reason: 'its type matches no allowTypes rule' };
+      }
+      return { allowed: true };
+    },
+
+    /** Public view for /restrictions. */
+    describe() {
+      refresh();
+      const allow = policy.allow.map((rule) => rule.pattern);
+      const deny = policy.deny.map((rule) => rule.pattern);
+      const downloads = policy.downloads && {
+        maxBytes: policy.downloads.maxBytes,
+        allowTypes: policy.downloads.allowTypes.map((rule) => rule.pattern),
+        denyTypes: policy.downloads.denyTypes.map((rule) => rule.pattern),
+      };
+      return {
+        file: filePath,
+        active: !!error || allow.length > 0 || deny.length > 0,
+        allow,
+        deny,
+        downloads,
+        error,
+        loadedAt,
+      };
+    },
+  };
+}
+
+module.exports = {
+  POLICY_FILE_PATH,
+  compilePolicyPattern,
+  createUrlPolicy,
+};
@@ -7,6 +7,22 @@ const path = require('node:path');
 const os = require('node:os');
 const { WebSocket } = require('ws');
 const { RelayServer, DEFAULT_PORT, BF_DIR } = require('../src/index.js');
+const { createJsonlFileCache, createRotatingJsonlWriter } = require('../src/jsonl-file.js');
+const { createRelayMetrics } = require('../src/metrics.js');
+const { createCdpBatcher, isBatchableMethod } = require('../src/cdp-batch.js');
+const { createScreencastRecorder } = require('../src/screencast-recorder.js');
+const { connectReplayExtension, loadExtensionFixture } = require('./replay-extension.js');
+
+// Relays started by these tests must not append to the developer's durable
+// audit trail, CDP log, capability tokens, URL policy or recordings in
+// ~/.browserforce.
+process.env.BROWSERFORCE_CDP_LOG_FILE_PATH = path.join(os.tmpdir(), `bf-test-cdp-${process.pid}.jsonl`);
+process.env.BROWSERFORCE_AUDIT_LOG_FILE_PATH = path.join(os.tmpdir(), `bf-test-audit-${process.pid}.jsonl`);
+process.env.BROWSERFORCE_TOKENS_FILE = path.join(os.tmpdir(), `bf-test-tokens-${process.pid}.json`);
+process.env.BROWSERFORCE_POLICY_FILE = path.join(os.tmpdir(), `bf-test-policy-${process.pid}.json`);
+process.env.BROWSERFORCE_RECORDINGS_DIR = path.join(os.tmpdir(), `bf-test-recordings-${process.pid}`);
+process.env.BROWSERFORCE_DOWNLOADS_DIR = path.join(os.tmpdir(), `bf-test-downloads-${process.pid}`);
+process.env.BROWSERFORCE_UPLOADS_DIR = path.join(os.tmpdir(), `bf-test-uploads-${process.pid}`);
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -166,6 +182,37 @@ async function sendAndReceive(ws, msg, timeoutMs = 3000) {
   return readMessage(ws, timeoutMs);
 }
 
+/** Read the first message that matches `predicate`, skipping any others */
+function waitForMessage(ws, predicate, timeoutMs = 3000) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => reject(new Error('WS read timeout')), timeoutMs);
+    const onMessage = (data) => {
+      const msg = JSON.parse(data.toString());
+      if (!predicate(msg)) return;
+      clearTimeout(timeout);
+      ws.off('message', onMessage);
+      resolve(msg);
+    };
+    ws.on('message', onMessage);
+  });
+}
+
+/** Send a CDP command and read its reply, skipping events that arrive first */
+function sendCommand(ws, msg, timeoutMs = 3000) {
+  const reply = waitForMessage(ws, (m) => m.id === msg.id, timeoutMs);
+  ws.send(JSON.stringify(msg));
+  return reply;
+}
+
+/** Connect a /cdp client with the master token; it records every message in `ws.messages` */
+async function connectCdpClient(relay, params = {}) {
+  const query = new URLSearchParams({ token: relay.authToken, ...params });
+  const ws = await connectWs(`ws://127.0.0.1:${relay.port}/cdp?${query}`);
+  ws.messages = [];
+  ws.on('message', (data) => ws.messages.push(JSON.parse(data.toString())));
+  return ws;
+}
+
 function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
@@ -251,7 +298,19 @@ describe('HTTP Endpoints', () => {
     assert.equal(status, 200);
     assert.ok(body.Browser.includes('BrowserForce'));
     assert.equal(body['Protocol-Version'], '1.3');
-    assert.ok(body.webSocketDebuggerUrl.includes(`token=${relay.authToken}`));
+    assert.equal(body.webSocketDebuggerUrl, `ws://127.0.0.1:${port}/cdp`, 'anonymous callers get no token');
+    assert.ok(!JSON.stringify(body).includes(relay.authToken));
+  });
+
+  it('GET /json/version echoes only a valid token the caller presented', async () => {
+    const byQuery = await httpGet(`http://127.0.0.1:${port}/json/version?token=${relay.authToken}`);
+    assert.equal(byQuery.body.webSocketDebuggerUrl, `ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const byHeader = await httpGetWithHeaders(`http://127.0.0.1:${port}/json/version`, {
+      Authorization: `Bearer ${relay.authToken}`,
+    });
+    assert.equal(byHeader.body.webSocketDebuggerUrl, `ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const bogus = await httpGet(`http://127.0.0.1:${port}/json/version?token=bft_bogus`);
+    assert.equal(bogus.body.webSocketDebuggerUrl, `ws://127.0.0.1:${port}/cdp`);
   });
 
   it('GET /json/list returns empty array when no targets', async () => {
@@ -273,6 +332,121 @@ describe('HTTP Endpoints', () => {
   });
 });
 
+describe('Metrics Endpoint', () => {
+  let relay;
+  let port;
+
+  beforeEach(async () => {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    await relay.start({ writeCdpUrl: false });
+  });
+
+  afterEach(() => {
+    relay.stop();
+  });
+
+  function metricValue(text, series) {
+    const line = text.split('\n').find((l) => l.startsWith(`${series} `));
+    return line === undefined ? undefined : Number(line.slice(series.length + 1));
+  }
+
+  function connectFakeExtension({ restrictions = { mode: 'auto', noNewTabs: false } } = {}) {
+    return connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    }).then((ext) => {
+      ext.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.id && msg.method === 'getRestrictions') ext.send(JSON.stringify({ id: msg.id, result: restrictions }));
+        if (msg.id && msg.method === 'listTabs') {
+          ext.send(JSON.stringify({ id: msg.id, result: { tabs: [{ tabId: 81, url: 'https://m.example', title: 'M' }] } }));
+        }
+        if (msg.id && msg.method === 'attachTab') {
+          ext.send(JSON.stringify({ id: msg.id, result: { targetId: 'chrome-81' } }));
+        }
+        if (msg.id && msg.method === 'cdpCommand') ext.send(JSON.stringify({ id: msg.id, result: {} }));
+      });
+      return ext;
+    });
+  }
+
+  it('GET /metrics exposes command counters, latency histograms and relay gauges', async () => {
+    const ext = await connectFakeExtension();
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=metrics-bot`);
+    const messages = [];
+    cdp.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    cdp.send(JSON.stringify({ id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, flatten: true } }));
+    const sessionId = await waitForCondition(() => relay.tabToSession.get(81), { description: 'tab 81 discovered' });
+
+    cdp.send(JSON.stringify({ id: 2, method: 'Runtime.enable', sessionId }));
+    cdp.send(JSON.stringify({ id: 3, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId }));
+    await waitForCondition(() => messages.find((m) => m.id === 3), { description: 'evaluate reply' });
+
+    const res = await rawHttpGet({ port, path: '/metrics', headers: { Host: `127.0.0.1:${port}` } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+    const text = res.text;
+    assert.equal(metricValue(text, 'browserforce_attached_tabs'), 1);
+    assert.equal(metricValue(text, 'browserforce_targets'), 1);
+    assert.equal(metricValue(text, 'browserforce_cdp_clients'), 1);
+    assert.equal(metricValue(text, 'browserforce_extension_connected'), 1);
+    assert.equal(metricValue(text, 'browserforce_cdp_commands_total{method="Runtime.evaluate",outcome="ok"}'), 1);
+    assert.equal(metricValue(text, 'browserforce_cdp_command_duration_seconds_count{method="Runtime.evaluate"}'), 1);
+    assert.equal(metricValue(text, 'browserforce_cdp_command_duration_seconds_bucket{method="Runtime.evaluate",le="+Inf"}'), 1);
+    assert.equal(metricValue(text, 'browserforce_client_commands_total{label="metrics-bot"}'), 3);
+    assert.equal(metricValue(text, 'browserforce_synthetic_init_responses_total{method="Runtime.enable"}'), 1);
+    assert.equal(metricValue(text, 'browserforce_extension_reconnects_total'), 0);
+
+    cdp.close();
+    ext.close();
+    await waitForCondition(() => relay.extensions.size === 0, { description: 'extension disconnect' });
+    const reconnected = await connectFakeExtension();
+    const after = await rawHttpGet({ port, path: '/metrics' });
+    assert.equal(metricValue(after.text, 'browserforce_extension_reconnects_total'), 1);
+    assert.equal(metricValue(after.text, 'browserforce_attached_tabs'), 0);
+    reconnected.close();
+    await sleep(50);
+  });
+
+  it('GET /metrics counts BLOCKED rejections as restriction blocks', async () => {
+    const ext = await connectFakeExtension({ restrictions: { mode: 'manual', noNewTabs: true } });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=blocked-bot`);
+    try {
+      const response = await sendAndReceive(cdp, { id: 1, method: 'Target.createTarget', params: { url: 'https://x.example' } });
+      assert.match(response.error.message, /^New tabs are disabled/);
+
+      const { text } = await rawHttpGet({ port, path: '/metrics' });
+      assert.equal(metricValue(text, 'browserforce_cdp_commands_total{method="Target.createTarget",outcome="blocked"}'), 1);
+      assert.equal(metricValue(text, 'browserforce_restriction_blocks_total{method="Target.createTarget"}'), 1);
+      assert.equal(metricValue(text, 'browserforce_client_commands_total{label="blocked-bot"}'), 1);
+    } finally {
+      cdp.close();
+      ext.close();
+      await sleep(50);
+    }
+  });
+
+  it('GET /metrics keeps host validation and omits wildcard CORS', async () => {
+    const ok = await rawHttpGet({ port, path: '/metrics', headers: { Host: `localhost:${port}` } });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.headers['access-control-allow-origin'], undefined);
+
+    const rebound = await rawHttpGet({ port, path: '/metrics', headers: { Host: `evil.example:${port}` } });
+    assert.equal(rebound.status, 403);
+  });
+
+  it('folds label values beyond the per-metric series cap into __other__', () => {
+    const metrics = createRelayMetrics();
+    for (let i = 0; i < 600; i += 1) {
+      metrics.recordCommand({ method: `Bogus.method${i}`, label: null, outcome: 'error', durationMs: 1 });
+    }
+    const text = metrics.render({ attachedTabs: 0, targets: 0, clients: 0, extensionProfiles: 0 });
+    const commandSeries = text.split('\n').filter((l) => l.startsWith('browserforce_cdp_commands_total{'));
+    assert.equal(commandSeries.length, 501);
+    assert.equal(metricValue(text, 'browserforce_cdp_commands_total{method="__other__",outcome="__other__"}'), 100);
+  });
+});
+
 describe('Chatd URL Endpoint', () => {
   let relay;
   let port;
@@ -379,8 +553,14 @@ describe('Chatd URL Endpoint', () => {
 describe('Logs Viewer Endpoints', () => {
   let relay;
   let port;
+  let logDir;
+  let originalLogFileEnv;
 
   before(async () => {
+    // /logs/cdp pages back into the CDP log on disk, so start from an empty one.
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bf-logs-viewer-'));
+    originalLogFileEnv = process.env.BROWSERFORCE_CDP_LOG_FILE_PATH;
+    process.env.BROWSERFORCE_CDP_LOG_FILE_PATH = path.join(logDir, 'cdp.jsonl');
     port = getRandomPort();
     relay = new RelayServer(port);
     relay.start({ writeCdpUrl: false });
@@ -389,6 +569,8 @@ describe('Logs Viewer Endpoints', () => {
 
   after(() => {
     relay.stop();
+    process.env.BROWSERFORCE_CDP_LOG_FILE_PATH = originalLogFileEnv;
+    fs.rmSync(logDir, { recursive: true, force: true });
   });
 
   it('GET /logs/status requires chrome-extension origin', async () => {
@@ -491,6 +673,82 @@ describe('Logs Viewer Endpoints', () => {
     await sleep(50);
   });
 
+  it('GET /logs/cdp filters by method glob, direction, label, session, tab and time', async () => {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') ext.send(JSON.stringify({ method: 'pong' }));
+      if (msg.id && msg.method === 'cdpCommand') ext.send(JSON.stringify({ id: msg.id, result: {} }));
+    });
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: { tabId: 61, targetId: 'bf-target-61', origin: 'manual', targetInfo: { url: 'https://f.example', title: 'F' } },
+    }));
+    await waitForCondition(() => relay.tabToSession.get(61), { description: 'tab 61 attached' });
+    const sessionId = relay.tabToSession.get(61);
+
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=filter-bot`);
+    await sendAndReceive(cdp, { id: 1, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId });
+    await sendAndReceive(cdp, { id: 2, method: 'Browser.getVersion' });
+
+    const get = (query) => httpGetWithHeaders(`http://127.0.0.1:${port}/logs/cdp${query}`, {
+      Origin: 'chrome-extension://test',
+    });
+
+    const byMethod = await get('?method=Runtime.*&direction=from-playwright');
+    assert.equal(byMethod.status, 200);
+    assert.deepEqual(byMethod.body.entries.map((e) => e.message.method), ['Runtime.evaluate']);
+
+    const byLabel = await get('?label=filter-bot&direction=from-playwright');
+    assert.deepEqual(byLabel.body.entries.map((e) => e.message.method), ['Runtime.evaluate', 'Browser.getVersion']);
+
+    const byTab = await get('?tabId=61');
+    assert.ok(byTab.body.entries.length >= 3, 'command, forward and response are all tied to the tab');
+    assert.ok(byTab.body.entries.every((e) => e.tabId === 61));
+    assert.ok(byTab.body.entries.some((e) => e.direction === 'from-playwright'), 'client messages resolve their tab');
+
+    const bySession = await get(`?sessionId=${sessionId}&direction=to-extension`);
+    assert.deepEqual(bySession.body.entries.map((e) => e.message.method), ['Runtime.evaluate']);
+
+    const future = Date.now() + 60_000;
+    assert.equal((await get(`?since=${future}`)).body.entries.length, 0);
+
+    cdp.close();
+    ext.close();
+    await sleep(50);
+  });
+
+  it('GET /logs/cdp pages backwards with the before cursor', async () => {
+    for (let i = 0; i < 5; i += 1) {
+      relay._logCdp({ direction: 'from-playwright', message: { id: 900 + i, method: 'Paging.test' } });
+    }
+    const get = (query) => httpGetWithHeaders(`http://127.0.0.1:${port}/logs/cdp${query}`, {
+      Origin: 'chrome-extension://test',
+    });
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    try {
+      const newest = await get('?method=Paging.test&limit=2');
+      assert.deepEqual(newest.body.entries.map((e) => e.message.id), [903, 904]);
+      assert.equal(newest.body.skipped, 3);
+      assert.equal(newest.body.cursor.next, newest.body.latestSeq);
+      assert.equal(newest.body.cursor.prev, newest.body.entries[0].seq);
+
+      const older = await get(`?method=Paging.test&limit=2&before=${newest.body.cursor.prev}`);
+      assert.deepEqual(older.body.entries.map((e) => e.message.id), [901, 902]);
+
+      const oldest = await get(`?method=Paging.test&limit=2&before=${older.body.cursor.prev}`);
+      assert.deepEqual(oldest.body.entries.map((e) => e.message.id), [900]);
+      assert.equal(oldest.body.cursor.prev, null, 'no older matches left');
+    } finally {
+      ext.close();
+      await sleep(50);
+    }
+  });
+
   it('GET /logs/status rejects extension origins that do not match connected extension', async () => {
     const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
       headers: { Origin: 'chrome-extension://test' },
@@ -1092,6 +1350,28 @@ describe('Extension Communication', () => {
     await sleep(100);
   });
 
+  it('commandPending keeps an extension command open past its timeout', async () => {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method !== 'cdpCommand') return;
+      // Waiting on the user: report it, then answer after the original timeout.
+      ext.send(JSON.stringify({ method: 'commandPending', params: { id: msg.id, reason: 'approval', timeoutMs: 60000 } }));
+      setTimeout(() => ext.send(JSON.stringify({ id: msg.id, result: { approved: true } })), 300);
+    });
+    await sleep(50);
+
+    try {
+      const result = await relay._sendToExt('cdpCommand', { tabId: 1, method: 'Input.dispatchMouseEvent', params: {} }, { timeoutMs: 100 });
+      assert.deepEqual(result, { approved: true });
+    } finally {
+      ext.close();
+      await sleep(100);
+    }
+  });
+
   it('health endpoint reflects extension connection', async () => {
     // Before connection
     const before = await httpGet(`http://127.0.0.1:${port}/`);
@@ -1940,6 +2220,66 @@ describe('Auto-attach Flow', () => {
     }
   });
 
+  it('tags mutating cdpCommands with the client label for the in-page banner', async () => {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    const cdpCommands = [];
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id && msg.method === 'getRestrictions') {
+        ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } }));
+        return;
+      }
+      if (msg.id && msg.method === 'listTabs') {
+        ext.send(JSON.stringify({
+          id: msg.id,
+          result: { tabs: [{ tabId: 962, windowId: 11, url: 'https://label.example', title: 'Label', active: false }] },
+        }));
+        return;
+      }
+      if (msg.id && msg.method === 'attachTab') {
+        ext.send(JSON.stringify({
+          id: msg.id,
+          result: {
+            tabId: msg.params.tabId,
+            targetId: `real-target-${msg.params.tabId}`,
+            targetInfo: { targetId: `real-target-${msg.params.tabId}`, type: 'page', title: 'Label', url: 'https://label.example', windowId: 11 },
+            sessionId: msg.params.sessionId,
+          },
+        }));
+        return;
+      }
+      if (msg.id && msg.method === 'cdpCommand') {
+        cdpCommands.push(msg.params);
+        ext.send(JSON.stringify({ id: msg.id, result: {} }));
+      }
+    });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=banner-bot`);
+    try {
+      const events = [];
+      cdp.on('message', (data) => events.push(JSON.parse(data.toString())));
+
+      cdp.send(JSON.stringify({ id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, flatten: true } }));
+      await sleep(300);
+      const sessionId = events.find((m) => m.method === 'Target.attachedToTarget').params.sessionId;
+
+      cdp.send(JSON.stringify({ id: 2, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId }));
+      cdp.send(JSON.stringify({ id: 3, method: 'Input.dispatchMouseEvent', params: { type: 'mousePressed', x: 1, y: 2 }, sessionId }));
+      await sleep(300);
+
+      const evaluate = cdpCommands.find((c) => c.method === 'Runtime.evaluate');
+      assert.equal(evaluate.clientLabel, undefined, 'read-only commands carry no label');
+      const press = cdpCommands.find((c) => c.method === 'Input.dispatchMouseEvent');
+      assert.equal(press.clientLabel, 'banner-bot');
+    } finally {
+      cdp.close();
+      ext.close();
+      await sleep(100);
+    }
+  });
+
   it('exposes lastCommandAt/idleMs for tabs with real activity in /attached-tabs', async () => {
     const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
       headers: { Origin: 'chrome-extension://test' },
@@ -2295,88 +2635,1838 @@ describe('CDP Command Forwarding', () => {
   });
 });
 
-// ─── CDP Event Forwarding ────────────────────────────────────────────────────
+// ─── Tab Leases ──────────────────────────────────────────────────────────────
 
-describe('CDP Event Forwarding', () => {
+describe('Tab Leases', () => {
   let relay;
   let port;
+  let ext;
 
-  before(async () => {
+  beforeEach(async () => {
     port = getRandomPort();
     relay = new RelayServer(port);
     relay.start({ writeCdpUrl: false });
-    await sleep(200);
-  });
-
-  after(() => {
-    relay.stop();
-  });
-
-  it('forwards CDP events from extension to CDP client', async () => {
-    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+    await sleep(150);
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
       headers: { Origin: 'chrome-extension://test' },
     });
-
     ext.on('message', (data) => {
       const msg = JSON.parse(data.toString());
       if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
-      if (msg.id && msg.method === 'getRestrictions') { ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } })); return; }
-      if (msg.id !== undefined) {
-        if (msg.method === 'listTabs') {
-          ext.send(JSON.stringify({ id: msg.id, result: { tabs: [] } }));
-        } else if (msg.method === 'createTab') {
-          ext.send(JSON.stringify({
-            id: msg.id,
-            result: {
-              tabId: 20, targetId: 'real-target-20', sessionId: msg.params.sessionId,
-              targetInfo: { targetId: 'real-target-20', type: 'page', title: 'Test', url: msg.params.url || 'about:blank' },
-            },
-          }));
-        }
+      if (msg.id && msg.method === 'cdpCommand') {
+        ext.send(JSON.stringify({ id: msg.id, result: { ok: msg.params.method } }));
+      }
+      if (msg.id && msg.method === 'closeTab') {
+        ext.send(JSON.stringify({ id: msg.id, result: {} }));
       }
     });
-
-    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
-    const events = [];
-    cdp.on('message', (data) => events.push(JSON.parse(data.toString())));
-
-    // Create tab (instead of auto-attach)
-    cdp.send(JSON.stringify({ id: 1, method: 'Target.createTarget', params: { url: 'https://test.com' } }));
-    await sleep(300);
-
-    const attached = events.find((m) => m.method === 'Target.attachedToTarget');
-    assert.ok(attached, 'Should have attachedToTarget event');
-    const sessionId = attached.params.sessionId;
-
-    // Extension sends a CDP event
     ext.send(JSON.stringify({
-      method: 'cdpEvent',
+      method: 'manualTabAttached',
       params: {
-        tabId: 20,
-        method: 'Page.loadEventFired',
-        params: { timestamp: 12345.678 },
+        tabId: 71,
+        sessionId: 'manual-71',
+        targetId: 'bf-target-71',
+        origin: 'manual',
+        targetInfo: { url: 'https://lease.example', title: 'Lease' },
       },
     }));
+    await waitForCondition(() => relay.tabToSession.get(71), { description: 'tab 71 attached' });
+  });
 
-    await sleep(200);
+  afterEach(async () => {
+    ext.close();
+    await sleep(50);
+    relay.stop();
+  });
 
-    const loadEvent = events.find((m) => m.method === 'Page.loadEventFired');
-    assert.ok(loadEvent, 'CDP client should receive the event');
-    assert.equal(loadEvent.params.timestamp, 12345.678);
-    assert.equal(loadEvent.sessionId, sessionId);
+  it('grants the lease to the first mutating label and blocks other labels', async () => {
+    const sessionId = relay.tabToSession.get(71);
+    const a = await connectCdpClient(relay, { label: 'agent-a' });
+    const b = await connectCdpClient(relay, { label: 'agent-b' });
+    try {
+      const clickA = await sendCommand(a, { id: 1, method: 'Input.dispatchMouseEvent', params: { type: 'mousePressed', x: 1, y: 1 }, sessionId });
+      assert.deepEqual(clickA.result, { ok: 'Input.dispatchMouseEvent' });
 
-    cdp.close();
-    ext.close();
-    await sleep(100);
+      const clickB = await sendCommand(b, { id: 2, method: 'Input.dispatchMouseEvent', params: { type: 'mousePressed', x: 1, y: 1 }, sessionId });
+      assert.ok(clickB.error, 'second label must be rejected');
+      assert.match(clickB.error.message, /^BLOCKED: Input\.dispatchMouseEvent on tab 71/);
+      assert.match(clickB.error.message, /leased to client "agent-a"/);
+
+      const navB = await sendCommand(b, { id: 3, method: 'Page.navigate', params: { url: 'https://evil.example' }, sessionId });
+      assert.ok(navB.error, 'navigation from another label must be rejected');
+
+      const evalB = await sendCommand(b, { id: 4, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId });
+      assert.deepEqual(evalB.result, { ok: 'Runtime.evaluate' }, 'read-only methods stay shareable');
+    } finally {
+      a.close();
+      b.close();
+    }
   });
 
-  it('preserves child session id for child-session CDP events', async () => {
-    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
-      headers: { Origin: 'chrome-extension://test' },
-    });
+  it('leaves script execution outside the lease, in both directions', async () => {
+    const sessionId = relay.tabToSession.get(71);
+    const a = await connectCdpClient(relay, { label: 'agent-a' });
+    const b = await connectCdpClient(relay, { label: 'agent-b' });
+    try {
+      await sendCommand(a, { id: 1, method: 'Runtime.evaluate', params: { expression: 'document.title' }, sessionId });
+      await sendCommand(a, { id: 2, method: 'Runtime.callFunctionOn', params: { functionDeclaration: '() => 1', objectId: 'o1' }, sessionId });
+      assert.ok(!relay.tabLeases.has(71), 'script execution must not take a lease');
+
+      await sendCommand(a, { id: 3, method: 'Input.insertText', params: { text: 'x' }, sessionId });
+      const evalB = await sendCommand(b, { id: 4, method: 'Runtime.evaluate', params: { expression: 'document.body.remove()' }, sessionId });
+      assert.deepEqual(evalB.result, { ok: 'Runtime.evaluate' }, 'a non-holder may still run script; leases are not isolation');
+      const callB = await sendCommand(b, { id: 5, method: 'Runtime.callFunctionOn', params: { functionDeclaration: '() => 1', objectId: 'o1' }, sessionId });
+      assert.deepEqual(callB.result, { ok: 'Runtime.callFunctionOn' });
+      assert.equal(relay.tabLeases.get(71).label, 'agent-a');
+    } finally {
+      a.close();
+      b.close();
+    }
+  });
 
-    ext.on('message', (data) => {
-      const msg = JSON.parse(data.toString());
+  it('exposes lease ownership in /attached-tabs and /json/list', async () => {
+    const sessionId = relay.tabToSession.get(71);
+    const a = await connectCdpClient(relay, { label: 'agent-a' });
+    try {
+      const before = await httpGet(`http://127.0.0.1:${port}/attached-tabs`);
+      assert.equal(before.body.tabs[0].lease, undefined, 'unleased tabs keep the old shape');
+
+      await sendCommand(a, { id: 1, method: 'Input.insertText', params: { text: 'x' }, sessionId });
+
+      const tabs = await httpGet(`http://127.0.0.1:${port}/attached-tabs`);
+      assert.equal(tabs.body.tabs[0].lease.label, 'agent-a');
+      assert.ok(tabs.body.tabs[0].lease.acquiredAt);
+
+      const list = await httpGet(`http://127.0.0.1:${port}/json/list`);
+      assert.equal(list.body[0].lease.label, 'agent-a');
+    } finally {
+      a.close();
+    }
+  });
+
+  it('releases leases when the holder disconnects', async () => {
+    const sessionId = relay.tabToSession.get(71);
+    const a = await connectCdpClient(relay, { label: 'agent-a' });
+    const b = await connectCdpClient(relay, { label: 'agent-b' });
+    try {
+      await sendCommand(a, { id: 1, method: 'Input.insertText', params: { text: 'x' }, sessionId });
+      a.close();
+      await waitForCondition(() => !relay.tabLeases.has(71), { description: 'lease release on disconnect' });
+
+      const clickB = await sendCommand(b, { id: 2, method: 'Input.insertText', params: { text: 'y' }, sessionId });
+      assert.deepEqual(clickB.result, { ok: 'Input.insertText' });
+      assert.equal(relay.tabLeases.get(71).label, 'agent-b');
+    } finally {
+      b.close();
+    }
+  });
+
+  it('keeps a labeled lease while another connection with the same label is open', async () => {
+    const sessionId = relay.tabToSession.get(71);
+    const first = await connectCdpClient(relay, { label: 'agent-a' });
+    const second = await connectCdpClient(relay, { label: 'agent-a' });
+    try {
+      await sendCommand(first, { id: 1, method: 'Input.insertText', params: { text: 'x' }, sessionId });
+      first.close();
+      await sleep(100);
+      assert.equal(relay.tabLeases.get(71)?.label, 'agent-a');
+
+      const again = await sendCommand(second, { id: 2, method: 'Input.insertText', params: { text: 'y' }, sessionId });
+      assert.ok(again.result, 'same label reconnect keeps ownership');
+    } finally {
+      second.close();
+    }
+  });
+
+  it('BrowserForce.releaseTabLease releases only the caller\'s leases', async () => {
+    const sessionId = relay.tabToSession.get(71);
+    const a = await connectCdpClient(relay, { label: 'agent-a' });
+    const b = await connectCdpClient(relay, { label: 'agent-b' });
+    try {
+      await sendCommand(a, { id: 1, method: 'Input.insertText', params: { text: 'x' }, sessionId });
+
+      const foreign = await sendCommand(b, { id: 2, method: 'BrowserForce.releaseTabLease', params: { targetId: 'bf-target-71' } });
+      assert.ok(foreign.error, 'cannot release a lease held by another label');
+      assert.ok(relay.tabLeases.has(71));
+
+      const own = await sendCommand(a, { id: 3, method: 'BrowserForce.releaseTabLease', params: {} });
+      assert.deepEqual(own.result, { released: ['bf-target-71'] });
+      assert.ok(!relay.tabLeases.has(71));
+    } finally {
+      a.close();
+      b.close();
+    }
+  });
+
+  it('blocks Target.closeTarget from a non-holder and drops the lease on detach', async () => {
+    const sessionId = relay.tabToSession.get(71);
+    const a = await connectCdpClient(relay, { label: 'agent-a' });
+    const b = await connectCdpClient(relay, { label: 'agent-b' });
+    try {
+      await sendCommand(a, { id: 1, method: 'Input.insertText', params: { text: 'x' }, sessionId });
+      const closeB = await sendCommand(b, { id: 2, method: 'Target.closeTarget', params: { targetId: 'bf-target-71' } });
+      assert.ok(closeB.error);
+      assert.ok(relay.targets.has(sessionId), 'rejected close must not detach the tab');
+
+      relay._handleTabDetached({ tabId: 71, reason: 'test' });
+      assert.ok(!relay.tabLeases.has(71));
+    } finally {
+      a.close();
+      b.close();
+    }
+  });
+});
+
+// ─── Capability Tokens ───────────────────────────────────────────────────────
+
+describe('Capability Tokens', () => {
+  let tokenDir;
+  let tokensPath;
+  let originalTokensEnv;
+  let relay;
+  let port;
+  let ext;
+  let createdTabs;
+
+  function tokensRequest(method, reqPath, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const payload = body ? JSON.stringify(body) : undefined;
+      const req = http.request({
+        hostname: '127.0.0.1', port, path: reqPath, method,
+        headers: {
+          Authorization: `Bearer ${relay.authToken}`,
+          'Content-Type': 'application/json',
+          ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+          ...headers,
+        },
+      }, (res) => {
+        let data = '';
+        res.on('data', (c) => { data += c; });
+        res.on('end', () => {
+          try { resolve({ status: res.statusCode, body: JSON.parse(data) }); }
+          catch { resolve({ status: res.statusCode, body: data }); }
+        });
+      });
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  async function mint(body) {
+    const res = await tokensRequest('POST', '/tokens', body);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  beforeEach(async () => {
+    tokenDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bf-tokens-'));
+    tokensPath = path.join(tokenDir, 'tokens.json');
+    originalTokensEnv = process.env.BROWSERFORCE_TOKENS_FILE;
+    process.env.BROWSERFORCE_TOKENS_FILE = tokensPath;
+
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    createdTabs = 0;
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      if (msg.method === 'getRestrictions') {
+        ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } }));
+      } else if (msg.method === 'createTab') {
+        createdTabs += 1;
+        const tabId = 200 + createdTabs;
+        ext.send(JSON.stringify({
+          id: msg.id,
+          result: {
+            tabId,
+            targetId: `bf-target-${tabId}`,
+            targetInfo: { targetId: `bf-target-${tabId}`, type: 'page', title: '', url: msg.params.url || 'about:blank' },
+            sessionId: msg.params.sessionId,
+          },
+        }));
+      } else if (msg.method === 'cdpCommand') {
+        ext.send(JSON.stringify({ id: msg.id, result: { ok: msg.params.method } }));
+      } else {
+        ext.send(JSON.stringify({ id: msg.id, result: {} }));
+      }
+    });
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: {
+        tabId: 81,
+        sessionId: 'manual-81',
+        targetId: 'bf-target-81',
+        origin: 'manual',
+        targetInfo: { url: 'https://app.example.com/dashboard', title: 'Dashboard' },
+      },
+    }));
+    await waitForCondition(() => relay.tabToSession.get(81), { description: 'tab 81 attached' });
+  });
+
+  afterEach(async () => {
+    ext?.close();
+    await sleep(50);
+    relay?.stop();
+    relay = null;
+    process.env.BROWSERFORCE_TOKENS_FILE = originalTokensEnv;
+    fs.rmSync(tokenDir, { recursive: true, force: true });
+  });
+
+  it('/tokens requires the master token and rejects web origins', async () => {
+    const noAuth = await tokensRequest('GET', '/tokens', null, { Authorization: '' });
+    assert.equal(noAuth.status, 401);
+    const webOrigin = await tokensRequest('POST', '/tokens', { name: 'x' }, { Origin: 'https://evil.example' });
+    assert.equal(webOrigin.status, 403);
+
+    const minted = await mint({ name: 'monitor', readOnly: true });
+    const scoped = await tokensRequest('GET', '/tokens', null, { Authorization: `Bearer ${minted.token}` });
+    assert.equal(scoped.status, 401, 'scoped tokens cannot mint or list tokens');
+  });
+
+  it('mints, lists and persists tokens without storing the secret', async () => {
+    const minted = await mint({
+      name: 'monitor',
+      readOnly: true,
+      allowedOrigins: ['https://*.Example.com/'],
+      maxTabs: 2,
+      expiresIn: 3600,
+    });
+    assert.match(minted.token, /^bft_/);
+    assert.match(minted.id, /^tok_/);
+    assert.deepEqual(minted.capabilities, { readOnly: true, allowedOrigins: ['https://*.example.com'], maxTabs: 2 });
+    assert.ok(Date.parse(minted.expiresAt) > Date.now());
+
+    const listed = await tokensRequest('GET', '/tokens');
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.tokens.length, 1);
+    assert.equal(listed.body.tokens[0].name, 'monitor');
+    assert.equal(listed.body.tokens[0].expired, false);
+    assert.equal(listed.body.tokens[0].token, undefined);
+    assert.equal(listed.body.tokens[0].secretHash, undefined);
+
+    const stored = fs.readFileSync(tokensPath, 'utf8');
+    assert.ok(!stored.includes(minted.token), 'secret must not be persisted');
+    assert.equal(fs.statSync(tokensPath).mode & 0o777, 0o600);
+
+    const duplicate = await tokensRequest('POST', '/tokens', { name: 'monitor' });
+    assert.equal(duplicate.status, 409);
+    const invalid = await tokensRequest('POST', '/tokens', { name: 'bad', allowedOrigins: ['example.com'] });
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error, /Invalid origin/);
+  });
+
+  it('accepts live scoped tokens on /cdp and rejects unknown or expired ones', async () => {
+    const minted = await mint({ name: 'short-lived', expiresIn: 0.3 });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}&label=monitor`);
+    const closed = new Promise((resolve) => cdp.once('close', resolve));
+    try {
+      const meta = [...relay.clientById.values()].find((m) => m.label === 'monitor');
+      assert.equal(meta.tokenId, minted.id);
+
+      await assert.rejects(connectWs(`ws://127.0.0.1:${port}/cdp?token=bft_unknown`), /401/);
+
+      await sleep(400);
+      await assert.rejects(connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}`), /401/);
+      assert.equal(await closed, 4001, 'live connections are dropped when the token expires');
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('discovery URLs carry the scoped token that asked for them', async () => {
+    const minted = await mint({ name: 'discovery' });
+    const version = await httpGet(`http://127.0.0.1:${port}/json/version?token=${minted.token}`);
+    assert.equal(version.body.webSocketDebuggerUrl, `ws://127.0.0.1:${port}/cdp?token=${minted.token}`);
+    const list = await httpGetWithHeaders(`http://127.0.0.1:${port}/json/list`, { Authorization: `Bearer ${minted.token}` });
+    assert.ok(list.body.length > 0);
+    assert.ok(list.body.every((entry) => entry.webSocketDebuggerUrl === `ws://127.0.0.1:${port}/cdp?token=${minted.token}`));
+    assert.ok(!JSON.stringify(list.body).includes(relay.authToken));
+  });
+
+  it('read-only tokens allow only read methods', async () => {
+    const minted = await mint({ name: 'monitor', readOnly: true });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}&label=monitor`);
+    try {
+      const tree = await sendCommand(cdp, { id: 1, method: 'Accessibility.getFullAXTree', params: {}, sessionId: relay.tabToSession.get(81) });
+      assert.deepEqual(tree.result, { ok: 'Accessibility.getFullAXTree' });
+      const shot = await sendCommand(cdp, { id: 2, method: 'Page.captureScreenshot', params: {}, sessionId: relay.tabToSession.get(81) });
+      assert.deepEqual(shot.result, { ok: 'Page.captureScreenshot' });
+      const enable = await sendCommand(cdp, { id: 6, method: 'Network.enable', params: {}, sessionId: relay.tabToSession.get(81) });
+      assert.ok(!enable.error, JSON.stringify(enable));
+
+      for (const [id, method] of [[7, 'Runtime.evaluate'], [8, 'Runtime.callFunctionOn'], [9, 'Fetch.enable'],
+        [10, 'Network.setExtraHTTPHeaders'], [11, 'Storage.clearDataForOrigin'], [12, 'Emulation.setGeolocationOverride']]) {
+        const refused = await sendCommand(cdp, { id, method, params: {}, sessionId: relay.tabToSession.get(81) });
+        assert.match(refused.error?.message || '', new RegExp(`^BLOCKED: ${method.replace('.', '\\.')} rejected — capability token "monitor" is read-only`));
+      }
+
+      const click = await sendCommand(cdp, { id: 3, method: 'Input.dispatchMouseEvent', params: { type: 'mousePressed', x: 1, y: 1 }, sessionId: relay.tabToSession.get(81) });
+      assert.match(click.error.message, /^BLOCKED: Input\.dispatchMouseEvent rejected — capability token "monitor" is read-only/);
+      const nav = await sendCommand(cdp, { id: 4, method: 'Page.navigate', params: { url: 'https://app.example.com/' }, sessionId: relay.tabToSession.get(81) });
+      assert.match(nav.error.message, /^BLOCKED: Page\.navigate/);
+      const create = await sendCommand(cdp, { id: 5, method: 'Target.createTarget', params: { url: 'about:blank' } });
+      assert.match(create.error.message, /^BLOCKED: Target\.createTarget/);
+      assert.equal(createdTabs, 0);
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('allowedOrigins limits commands to matching tabs and navigation targets', async () => {
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: {
+        tabId: 82,
+        sessionId: 'manual-82',
+        targetId: 'bf-target-82',
+        origin: 'manual',
+        targetInfo: { url: 'https://mail.other.test/inbox', title: 'Mail' },
+      },
+    }));
+    await waitForCondition(() => relay.tabToSession.get(82), { description: 'tab 82 attached' });
+
+    const minted = await mint({ name: 'scoped', allowedOrigins: ['https://*.example.com'] });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}&label=scoped`);
+    try {
+      const allowed = await sendCommand(cdp, { id: 1, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId: relay.tabToSession.get(81) });
+      assert.deepEqual(allowed.result, { ok: 'Runtime.evaluate' });
+
+      const otherTab = await sendCommand(cdp, { id: 2, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId: relay.tabToSession.get(82) });
+      assert.match(otherTab.error.message, /^BLOCKED: Runtime\.evaluate on tab 82 \(https:\/\/mail\.other\.test\/inbox\) rejected/);
+
+      const nav = await sendCommand(cdp, { id: 3, method: 'Page.navigate', params: { url: 'https://evil.test/' }, sessionId: relay.tabToSession.get(81) });
+      assert.match(nav.error.message, /^BLOCKED: Page\.navigate to "https:\/\/evil\.test\/" rejected/);
+      assert.match(nav.error.message, /limited to https:\/\/\*\.example\.com/);
+
+      const navAllowed = await sendCommand(cdp, { id: 4, method: 'Page.navigate', params: { url: 'https://docs.example.com/' }, sessionId: relay.tabToSession.get(81) });
+      assert.deepEqual(navAllowed.result, { ok: 'Page.navigate' });
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('stops forwarding tab events once the tab leaves allowedOrigins', async () => {
+    const minted = await mint({ name: 'scoped-events', allowedOrigins: ['https://app.example.com'] });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}`);
+    const events = [];
+    cdp.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'Runtime.consoleAPICalled') events.push(msg.params.args[0].value);
+    });
+    try {
+      const emit = (value) => ext.send(JSON.stringify({
+        method: 'cdpEvent',
+        params: { tabId: 81, method: 'Runtime.consoleAPICalled', params: { type: 'log', args: [{ type: 'string', value }] } },
+      }));
+      emit('on-origin');
+      await waitForCondition(() => events.includes('on-origin'), { description: 'in-scope event delivered' });
+
+      ext.send(JSON.stringify({ method: 'tabUpdated', params: { tabId: 81, url: 'https://elsewhere.test/' } }));
+      await waitForCondition(() => relay.targets.get(relay.tabToSession.get(81))?.targetInfo.url === 'https://elsewhere.test/', {
+        description: 'tab 81 navigated',
+      });
+      emit('off-origin');
+      await sleep(100);
+      assert.deepEqual(events, ['on-origin']);
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('announces workers only to tokens that may see their tab', async () => {
+    const minted = await mint({ name: 'scoped-workers', allowedOrigins: ['https://app.example.com'] });
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: { tabId: 82, sessionId: 'manual-82', targetId: 'bf-target-82', origin: 'manual', targetInfo: { url: 'https://elsewhere.test/', title: 'Elsewhere' } },
+    }));
+    await waitForCondition(() => relay.tabToSession.get(82), { description: 'tab 82 attached' });
+    const scoped = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}`);
+    const master = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const workerEvents = (ws) => {
+      const seen = [];
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.params?.sessionId?.startsWith('sw-')) seen.push(`${msg.method} ${msg.params.sessionId}`);
+      });
+      return seen;
+    };
+    const scopedSeen = workerEvents(scoped);
+    const masterSeen = workerEvents(master);
+    try {
+      for (const tabId of [81, 82]) {
+        ext.send(JSON.stringify({ method: 'cdpEvent', params: { tabId, method: 'Target.attachedToTarget', params: { sessionId: `sw-${tabId}`, targetInfo: { targetId: `sw-target-${tabId}`, type: 'service_worker', title: '', url: 'https://sw.test/sw.js' }, waitingForDebugger: false } } }));
+      }
+      await waitForCondition(() => masterSeen.length === 2, { description: 'master client sees both workers' });
+
+      const late = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}`);
+      const replayed = workerEvents(late);
+      late.send(JSON.stringify({ id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, waitForDebuggerOnStart: false, flatten: true } }));
+      await waitForCondition(() => replayed.length > 0, { description: 'replayed worker' });
+      late.close();
+
+      ext.send(JSON.stringify({ method: 'cdpEvent', params: { tabId: 81, method: 'Target.detachedFromTarget', params: { sessionId: 'sw-81' } } }));
+      ext.send(JSON.stringify({ method: 'tabDetached', params: { tabId: 82, reason: 'user' } }));
+      await waitForCondition(() => masterSeen.length === 4, { description: 'master client sees every worker event' });
+      await sleep(100);
+      assert.deepEqual(scopedSeen, ['Target.attachedToTarget sw-81', 'Target.detachedFromTarget sw-81']);
+      assert.deepEqual(replayed, ['Target.attachedToTarget sw-81']);
+    } finally {
+      scoped.close();
+      master.close();
+    }
+  });
+
+  it('maxTabs counts tabs still being created', async () => {
+    const minted = await mint({ name: 'racy', maxTabs: 1 });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}&label=racy`);
+    try {
+      const [first, second] = await Promise.all([
+        sendCommand(cdp, { id: 1, method: 'Target.createTarget', params: { url: 'about:blank' } }),
+        sendCommand(cdp, { id: 2, method: 'Target.createTarget', params: { url: 'about:blank' } }),
+      ]);
+      assert.ok(first.result?.targetId, JSON.stringify(first));
+      assert.match(second.error.message, /^BLOCKED: Target\.createTarget rejected — capability token "racy" already has 1 of 1/);
+      assert.equal(createdTabs, 1);
+      assert.equal(relay.pendingTokenTabs.size, 0, 'the slot is released once the creation settles');
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('maxTabs caps tabs created through the token', async () => {
+    const minted = await mint({ name: 'one-tab', maxTabs: 1 });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}&label=one-tab`);
+    try {
+      const first = await sendCommand(cdp, { id: 1, method: 'Target.createTarget', params: { url: 'about:blank' } });
+      assert.ok(first.result?.targetId, JSON.stringify(first));
+      const second = await sendCommand(cdp, { id: 2, method: 'Target.createTarget', params: { url: 'about:blank' } });
+      assert.match(second.error.message, /^BLOCKED: Target\.createTarget rejected — capability token "one-tab" already has 1 of 1 tab\(s\) open/);
+      assert.equal(createdTabs, 1);
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('DELETE /tokens/:name revokes the token and closes its live connections', async () => {
+    const minted = await mint({ name: 'revokable' });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}`);
+    const master = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    try {
+      const closed = new Promise((resolve) => cdp.once('close', (code) => resolve(code)));
+      const res = await tokensRequest('DELETE', '/tokens/revokable');
+      assert.equal(res.status, 200);
+      assert.equal(res.body.revoked.id, minted.id);
+      assert.equal(res.body.closedConnections, 1);
+      assert.equal(await closed, 4001);
+      assert.equal(master.readyState, WebSocket.OPEN, 'master-token clients are unaffected');
+
+      await assert.rejects(connectWs(`ws://127.0.0.1:${port}/cdp?token=${minted.token}`), /401/);
+      const missing = await tokensRequest('DELETE', '/tokens/revokable');
+      assert.equal(missing.status, 404);
+    } finally {
+      cdp.close();
+      master.close();
+    }
+  });
+});
+
+// ─── URL Policy ──────────────────────────────────────────────────────────────
+
+describe('URL Policy', () => {
+  let policyDir;
+  let policyPath;
+  let originalPolicyEnv;
+  let relay;
+  let port;
+  let ext;
+  let extCommands;
+
+  function writePolicy(policy) {
+    fs.writeFileSync(policyPath, typeof policy === 'string' ? policy : JSON.stringify(policy));
+  }
+
+  beforeEach(async () => {
+    policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bf-policy-'));
+    policyPath = path.join(policyDir, 'policy.json');
+    originalPolicyEnv = process.env.BROWSERFORCE_POLICY_FILE;
+    process.env.BROWSERFORCE_POLICY_FILE = policyPath;
+
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    extCommands = [];
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      extCommands.push(msg);
+      if (msg.method === 'getRestrictions') {
+        ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } }));
+      } else if (msg.method === 'createTab') {
+        ext.send(JSON.stringify({
+          id: msg.id,
+          result: {
+            tabId: 301,
+            targetId: 'bf-target-301',
+            targetInfo: { targetId: 'bf-target-301', type: 'page', title: '', url: msg.params.url || 'about:blank' },
+            sessionId: msg.params.sessionId,
+          },
+        }));
+      } else if (msg.method === 'cdpCommand') {
+        ext.send(JSON.stringify({ id: msg.id, result: { ok: msg.params.method } }));
+      } else {
+        ext.send(JSON.stringify({ id: msg.id, result: {} }));
+      }
+    });
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: {
+        tabId: 91,
+        sessionId: 'manual-91',
+        targetId: 'bf-target-91',
+        origin: 'manual',
+        targetInfo: { url: 'https://docs.example.com/', title: 'Docs' },
+      },
+    }));
+    await waitForCondition(() => relay.tabToSession.get(91), { description: 'tab 91 attached' });
+  });
+
+  afterEach(async () => {
+    ext?.close();
+    await sleep(50);
+    relay?.stop();
+    relay = null;
+    process.env.BROWSERFORCE_POLICY_FILE = originalPolicyEnv;
+    fs.rmSync(policyDir, { recursive: true, force: true });
+  });
+
+  it('matches URL globs, bare host globs and /regex/ patterns', () => {
+    const { compilePolicyPattern } = require('../src/url-policy.js');
+    assert.equal(compilePolicyPattern('https://*.example.com/*').test('https://docs.example.com/a'), true);
+    assert.equal(compilePolicyPattern('https://*.example.com/*').test('http://docs.example.com/a'), false);
+    assert.equal(compilePolicyPattern('*.bank.com').test('https://login.bank.com/x?y=1'), true);
+    assert.equal(compilePolicyPattern('*.bank.com').test('https://bank.com/'), true, 'the bare domain is covered too');
+    assert.equal(compilePolicyPattern('*.bank.com').test('https://notbank.com/'), false);
+    assert.equal(compilePolicyPattern('*.bank.com').test('https://bank.com.evil.test/'), false);
+    assert.equal(compilePolicyPattern('/^https?:\\/\\/localhost(:\\d+)?\\//i').test('http://LOCALHOST:3000/'), true);
+    assert.throws(() => compilePolicyPattern('/(/'), /invalid regex/);
+  });
+
+  it('blocks Page.navigate with a teaching message first, then a short one', async () => {
+    writePolicy({ allow: ['https://*.example.com/*'], deny: ['https://*.example.com/admin*'] });
+    const sessionId = relay.tabToSession.get(91);
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=policy-bot`);
+    try {
+      const allowed = await sendCommand(cdp, { id: 1, method: 'Page.navigate', params: { url: 'https://www.example.com/' }, sessionId });
+      assert.deepEqual(allowed.result, { ok: 'Page.navigate' });
+
+      const denied = await sendCommand(cdp, { id: 2, method: 'Page.navigate', params: { url: 'https://www.example.com/admin/users' }, sessionId });
+      const message = denied.error.message;
+      assert.match(message, /^BLOCKED: Navigation to "https:\/\/www\.example\.com\/admin\/users" is not allowed \(matches deny rule "https:\/\/\*\.example\.com\/admin\*"\)\./);
+      assert.ok(message.includes(`The user's URL policy (${policyPath})`));
+      assert.ok(message.includes('- Allowed: https://*.example.com/*'));
+      assert.ok(message.includes('- Denied: https://*.example.com/admin*'));
+
+      const outside = await sendCommand(cdp, { id: 3, method: 'Page.navigate', params: { url: 'https://news.test/' }, sessionId });
+      assert.equal(outside.error.message, 'BLOCKED: Navigation to "https://news.test/" is not allowed (matches no allow rule).');
+      assert.equal(extCommands.filter((c) => c.params?.method === 'Page.navigate').length, 1);
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('limits file uploads to the uploads directory', async () => {
+    const uploadsDir = process.env.BROWSERFORCE_UPLOADS_DIR;
+    fs.mkdirSync(path.join(uploadsDir, 'session-1'), { recursive: true });
+    const inside = path.join(uploadsDir, 'session-1', 'photo.png');
+    fs.writeFileSync(inside, 'png');
+    const dotted = path.join(uploadsDir, '..notes.png');
+    fs.writeFileSync(dotted, 'png');
+    const outside = path.join(policyDir, 'id_rsa');
+    fs.writeFileSync(outside, 'secret');
+    const link = path.join(uploadsDir, 'link.txt');
+    fs.rmSync(link, { force: true });
+    fs.symlinkSync(outside, link);
+
+    const sessionId = relay.tabToSession.get(91);
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    try {
+      const setFiles = (id, files) => sendCommand(cdp, { id, method: 'DOM.setFileInputFiles', params: { files, backendNodeId: 7 }, sessionId });
+
+      const allowed = await setFiles(1, [inside]);
+      assert.deepEqual(allowed.result, { ok: 'DOM.setFileInputFiles' });
+      assert.deepEqual((await setFiles(8, [dotted])).result, { ok: 'DOM.setFileInputFiles' }, 'a name starting with ".." is inside');
+
+      const denied = await setFiles(2, [inside, outside]);
+      assert.match(denied.error.message, /^BLOCKED: uploading ".*id_rsa" is not allowed: it is outside the uploads directory\. Agents may only upload files from /);
+      assert.ok(denied.error.message.includes(uploadsDir));
+      assert.match((await setFiles(3, [link])).error.message, /outside the uploads directory/);
+      assert.match((await setFiles(4, [path.join(uploadsDir, 'session-1', '..', '..', path.basename(policyDir), 'id_rsa')])).error.message, /outside the uploads directory/);
+      assert.match((await setFiles(5, ['photo.png'])).error.message, /it is not an absolute path/);
+      assert.match((await setFiles(6, [path.join(uploadsDir, 'missing.pdf')])).error.message, /the file does not exist/);
+
+      const drop = await sendCommand(cdp, {
+        id: 7,
+        method: 'Input.dispatchDragEvent',
+        params: { type: 'drop', x: 1, y: 1, data: { items: [], files: [outside], dragOperationsMask: 1 } },
+        sessionId,
+      });
+      assert.match(drop.error.message, /^BLOCKED: uploading/);
+      assert.equal(extCommands.filter((c) => c.params?.method === 'DOM.setFileInputFiles').length, 2);
+    } finally {
+      cdp.close();
+      fs.rmSync(uploadsDir, { recursive: true, force: true });
+    }
+  });
+
+  it('blocks Target.createTarget to a denied URL before creating a tab', async () => {
+    writePolicy({ deny: ['*.bank.com'] });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    try {
+      const denied = await sendCommand(cdp, { id: 1, method: 'Target.createTarget', params: { url: 'https://login.bank.com/' } });
+      assert.match(denied.error.message, /^BLOCKED: Opening a new tab at "https:\/\/login\.bank\.com\/" is not allowed \(matches deny rule "\*\.bank\.com"\)/);
+      assert.ok(!extCommands.some((c) => c.method === 'createTab'));
+
+      const blank = await sendCommand(cdp, { id: 2, method: 'Target.createTarget', params: { url: 'about:blank' } });
+      assert.equal(blank.result.targetId, 'bf-target-301');
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('reloads the policy file without a restart and shows it in /restrictions', async () => {
+    const sessionId = relay.tabToSession.get(91);
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    try {
+      const before = await httpGet(`http://127.0.0.1:${port}/restrictions`);
+      assert.equal(before.body.urlPolicy.active, false);
+      const free = await sendCommand(cdp, { id: 1, method: 'Page.navigate', params: { url: 'https://news.test/' }, sessionId });
+      assert.ok(free.result);
+
+      writePolicy({ deny: ['https://news.test/*'] });
+      const after = await httpGet(`http://127.0.0.1:${port}/restrictions`);
+      assert.deepEqual(after.body.urlPolicy.deny, ['https://news.test/*']);
+      assert.equal(after.body.urlPolicy.active, true);
+      const blocked = await sendCommand(cdp, { id: 2, method: 'Page.navigate', params: { url: 'https://news.test/' }, sessionId });
+      assert.match(blocked.error.message, /^BLOCKED: Navigation to "https:\/\/news\.test\/"/);
+
+      writePolicy('{ "deny": [ not json');
+      const broken = await httpGet(`http://127.0.0.1:${port}/restrictions`);
+      assert.ok(broken.body.urlPolicy.error);
+      const failClosed = await sendCommand(cdp, { id: 3, method: 'Page.navigate', params: { url: 'https://www.example.com/' }, sessionId });
+      assert.match(failClosed.error.message, /the URL policy file is invalid/);
+    } finally {
+      cdp.close();
+    }
+  });
+
+  it('closes tabs spawned by a controlled tab when their first URL is denied', async () => {
+    writePolicy({ deny: ['*.tracker.test'] });
+    ext.send(JSON.stringify({ method: 'tabOpened', params: { tabId: 92, openerTabId: 91, url: 'https://docs.example.com/popup' } }));
+    ext.send(JSON.stringify({ method: 'tabOpened', params: { tabId: 93, openerTabId: 91, url: 'https://ads.tracker.test/landing' } }));
+
+    await waitForCondition(() => extCommands.some((c) => c.method === 'closeTab'), { description: 'closeTab sent' });
+    await sleep(50);
+    const closed = extCommands.filter((c) => c.method === 'closeTab').map((c) => c.params.tabId);
+    assert.deepEqual(closed, [93]);
+    assert.equal(extCommands.find((c) => c.method === 'closeTab').params.reason, 'url_policy');
+
+    const { entries } = await relay.auditLogger.query({ method: 'window.open', tabId: 93 });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].outcome, 'blocked');
+    assert.equal(entries[0].tabId, 93);
+  });
+});
+
+// ─── Browser Contexts ────────────────────────────────────────────────────────
+
+describe('Synthetic Browser Contexts', () => {
+  let relay;
+  let port;
+  let ext;
+  let extCommands;
+  let nextTabId;
+
+  beforeEach(async () => {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    extCommands = [];
+    nextTabId = 400;
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      extCommands.push(msg);
+      if (msg.method === 'getRestrictions') {
+        ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } }));
+      } else if (msg.method === 'listTabs') {
+        ext.send(JSON.stringify({ id: msg.id, result: { tabs: [] } }));
+      } else if (msg.method === 'createTab') {
+        const tabId = ++nextTabId;
+        // New windows get id 900+tabId; otherwise the requested window is reused.
+        const windowId = msg.params.windowId ?? 900 + tabId;
+        ext.send(JSON.stringify({
+          id: msg.id,
+          result: {
+            tabId,
+            targetId: `bf-target-${tabId}`,
+            windowId,
+            targetInfo: { targetId: `bf-target-${tabId}`, type: 'page', title: '', url: msg.params.url },
+            sessionId: msg.params.sessionId,
+          },
+        }));
+      } else if (msg.method === 'cdpCommand') {
+        ext.send(JSON.stringify({ id: msg.id, result: { ok: msg.params.method } }));
+      } else {
+        ext.send(JSON.stringify({ id: msg.id, result: {} }));
+      }
+    });
+  });
+
+  afterEach(async () => {
+    ext?.close();
+    await sleep(50);
+    relay?.stop();
+  });
+
+  it('opens context pages in their own window and announces them with the context id', async () => {
+    const agent = await connectCdpClient(relay, { label: 'ctx-agent' });
+    try {
+      const { result: { browserContextId } } = await sendCommand(agent, {
+        id: 1, method: 'Target.createBrowserContext', params: { disposeOnDetach: true },
+      });
+      assert.match(browserContextId, /^bf-context-\d+$/);
+      const contexts = await sendCommand(agent, { id: 2, method: 'Target.getBrowserContexts' });
+      assert.deepEqual(contexts.result.browserContextIds, ['bf-default-context', browserContextId]);
+
+      const first = await sendCommand(agent, { id: 3, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId } });
+      const attached = agent.messages.find((m) => m.method === 'Target.attachedToTarget');
+      assert.ok(agent.messages.indexOf(attached) < agent.messages.findIndex((m) => m.id === 3), 'attachedToTarget precedes the createTarget reply');
+      assert.equal(attached.params.targetInfo.browserContextId, browserContextId);
+      assert.equal(attached.params.targetInfo.targetId, first.result.targetId);
+
+      await sendCommand(agent, { id: 4, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId } });
+      const creates = extCommands.filter((c) => c.method === 'createTab');
+      assert.equal(creates[0].params.newWindow, true);
+      assert.equal(creates[0].params.windowId, undefined);
+      assert.equal(creates[1].params.windowId, 1301, 'later pages reuse the context window');
+
+      await sendCommand(agent, { id: 5, method: 'Target.createTarget', params: { url: 'about:blank' } });
+      const defaultCreate = extCommands.filter((c) => c.method === 'createTab')[2];
+      assert.equal(defaultCreate.params.newWindow, undefined);
+      assert.equal(defaultCreate.params.windowId, undefined, 'context windows do not seed client window affinity');
+    } finally {
+      agent.close();
+    }
+  });
+
+  it('hides context pages from other clients and rejects their commands', async () => {
+    const owner = await connectCdpClient(relay, { label: 'ctx-owner' });
+    const other = await connectCdpClient(relay, { label: 'ctx-other' });
+    try {
+      const { result: { browserContextId } } = await sendCommand(owner, { id: 1, method: 'Target.createBrowserContext', params: {} });
+      const { result: { targetId } } = await sendCommand(owner, { id: 2, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId } });
+      const sessionId = relay.tabToSession.get(401);
+      await sleep(50);
+      assert.ok(!other.messages.some((m) => m.params?.targetInfo?.targetId === targetId), 'no attach event for foreign context');
+
+      const targets = await sendCommand(other, { id: 1, method: 'Target.getTargets' });
+      assert.ok(!targets.result.targetInfos.some((t) => t.targetId === targetId));
+      const contexts = await sendCommand(other, { id: 2, method: 'Target.getBrowserContexts' });
+      assert.deepEqual(contexts.result.browserContextIds, ['bf-default-context']);
+
+      const evaluate = await sendCommand(other, { id: 3, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId });
+      assert.match(evaluate.error.message, /^BLOCKED: Runtime\.evaluate on tab 401 rejected — the tab belongs to another client's browser context/);
+      const create = await sendCommand(other, { id: 4, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId } });
+      assert.equal(create.error.message, `Failed to find browser context with id ${browserContextId}`);
+
+      const own = await sendCommand(owner, { id: 3, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId });
+      assert.deepEqual(own.result, { ok: 'Runtime.evaluate' });
+    } finally {
+      owner.close();
+      other.close();
+    }
+  });
+
+  it('sends context page events and URL changes only to the context owner', async () => {
+    const owner = await connectCdpClient(relay, { label: 'ctx-owner' });
+    const other = await connectCdpClient(relay, { label: 'ctx-other' });
+    try {
+      const { result: { browserContextId } } = await sendCommand(owner, { id: 1, method: 'Target.createBrowserContext', params: {} });
+      await sendCommand(owner, { id: 2, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId } });
+      ext.send(JSON.stringify({
+        method: 'cdpEvent',
+        params: { tabId: 401, method: 'Network.requestWillBeSent', params: { requestId: 'r1', request: { url: 'https://private.test/' } } },
+      }));
+      ext.send(JSON.stringify({ method: 'tabUpdated', params: { tabId: 401, url: 'https://private.test/' } }));
+      await waitForCondition(() => owner.messages.some((m) => m.method === 'Target.targetInfoChanged'), {
+        description: 'owner sees the URL change',
+      });
+      assert.ok(owner.messages.some((m) => m.method === 'Network.requestWillBeSent'));
+      assert.ok(!other.messages.some((m) => m.method === 'Network.requestWillBeSent'), 'page events stay with the owner');
+      assert.ok(!other.messages.some((m) => m.method === 'Target.targetInfoChanged'), 'URL changes stay with the owner');
+    } finally {
+      owner.close();
+      other.close();
+    }
+  });
+
+  it('disposeBrowserContext closes the context tabs', async () => {
+    const agent = await connectCdpClient(relay, { label: 'ctx-dispose' });
+    try {
+      const { result: { browserContextId } } = await sendCommand(agent, { id: 1, method: 'Target.createBrowserContext', params: {} });
+      await sendCommand(agent, { id: 2, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId } });
+      await sendCommand(agent, { id: 3, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId } });
+      await sendCommand(agent, { id: 4, method: 'Target.createTarget', params: { url: 'about:blank' } });
+
+      const disposed = await sendCommand(agent, { id: 5, method: 'Target.disposeBrowserContext', params: { browserContextId } });
+      assert.deepEqual(disposed.result, {});
+      const closed = extCommands.filter((c) => c.method === 'closeTab').map((c) => c.params.tabId).sort();
+      assert.deepEqual(closed, [401, 402]);
+      assert.ok(agent.messages.some((m) => m.method === 'Target.detachedFromTarget' && m.params.targetId === 'bf-target-401'));
+      assert.ok(relay.tabToSession.has(403), 'default-context tab survives');
+
+      const contexts = await sendCommand(agent, { id: 6, method: 'Target.getBrowserContexts' });
+      assert.deepEqual(contexts.result.browserContextIds, ['bf-default-context']);
+      const again = await sendCommand(agent, { id: 7, method: 'Target.disposeBrowserContext', params: { browserContextId } });
+      assert.match(again.error.message, /Failed to find browser context/);
+    } finally {
+      agent.close();
+    }
+  });
+
+  it('disconnect disposes disposeOnDetach contexts and releases the others to the default context', async () => {
+    const agent = await connectCdpClient(relay, { label: 'ctx-detach' });
+    const { result: { browserContextId: disposable } } = await sendCommand(agent, {
+      id: 1, method: 'Target.createBrowserContext', params: { disposeOnDetach: true },
+    });
+    const { result: { browserContextId: kept } } = await sendCommand(agent, { id: 2, method: 'Target.createBrowserContext', params: {} });
+    await sendCommand(agent, { id: 3, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId: disposable } });
+    await sendCommand(agent, { id: 4, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId: kept } });
+    agent.close();
+
+    await waitForCondition(() => extCommands.some((c) => c.method === 'closeTab'), { description: 'disposable tab closed' });
+    assert.deepEqual(extCommands.filter((c) => c.method === 'closeTab').map((c) => c.params.tabId), [401]);
+    assert.equal(relay.browserContexts.size, 0);
+
+    const observer = await connectCdpClient(relay, { label: 'ctx-observer' });
+    try {
+      const targets = await sendCommand(observer, { id: 1, method: 'Target.getTargets' });
+      const keptTab = targets.result.targetInfos.find((t) => t.targetId === 'bf-target-402');
+      assert.equal(keptTab.browserContextId, 'bf-default-context');
+    } finally {
+      observer.close();
+    }
+  });
+});
+
+// ─── Multiple Extension Profiles ──────────────────────────────────────────
+
+describe('Multiple Extension Profiles', () => {
+  let relay;
+  let port;
+  let profiles;
+
+  // Fake extension for one profile; each profile owns its own tab id range so
+  // ids stay unique, as they are across the profiles of one Chrome instance.
+  async function connectProfile(profile, { tabIds = [], noNewTabs = false } = {}) {
+    const query = profile ? `?profile=${profile}` : '';
+    const ws = await connectWs(`ws://127.0.0.1:${port}/extension${query}`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    const state = { ws, commands: [], nextTabId: (tabIds[0] || 0) + 100 };
+    ws.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ws.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      state.commands.push(msg);
+      let result = {};
+      if (msg.method === 'getRestrictions') {
+        result = { mode: 'auto', noNewTabs, lockUrl: false, readOnly: false, instructions: '' };
+      } else if (msg.method === 'listTabs') {
+        result = { tabs: tabIds.map((tabId) => ({ tabId, targetId: `bf-target-${tabId}`, url: `https://${profile || 'default'}.test/${tabId}`, title: '' })) };
+      } else if (msg.method === 'createTab') {
+        const tabId = ++state.nextTabId;
+        result = {
+          tabId,
+          targetId: `bf-target-${tabId}`,
+          windowId: 7,
+          targetInfo: { targetId: `bf-target-${tabId}`, type: 'page', title: '', url: msg.params.url },
+          sessionId: msg.params.sessionId,
+        };
+      } else if (msg.method === 'cdpCommand') {
+        result = { from: profile || 'default' };
+      }
+      ws.send(JSON.stringify({ id: msg.id, result }));
+    });
+    profiles.push(state);
+    return state;
+  }
+
+  beforeEach(async () => {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    profiles = [];
+  });
+
+  afterEach(async () => {
+    for (const profile of profiles) profile.ws.close();
+    await sleep(50);
+    relay?.stop();
+  });
+
+  it('gives each profile its own extension slot and lists them in /extension/status', async () => {
+    await connectProfile(null, { tabIds: [11] });
+    await connectProfile('work', { tabIds: [21] });
+    await waitForCondition(() => relay.extensions.size === 2, { description: 'two profiles connected' });
+
+    await assert.rejects(
+      connectWs(`ws://127.0.0.1:${port}/extension?profile=work`, { headers: { Origin: 'chrome-extension://test' } }),
+      /409/,
+    );
+    await assert.rejects(
+      connectWs(`ws://127.0.0.1:${port}/extension?profile=bad%20id`, { headers: { Origin: 'chrome-extension://test' } }),
+      /400/,
+    );
+
+    const agent = await connectCdpClient(relay);
+    await sendCommand(agent, { id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, waitForDebuggerOnStart: false, flatten: true } });
+    await waitForCondition(() => relay.targets.size === 2, { description: 'both profiles discovered' });
+
+    const status = await httpGet(`http://127.0.0.1:${port}/extension/status`);
+    assert.equal(status.body.connected, true);
+    assert.deepEqual(
+      status.body.profiles.map((p) => [p.profileId, p.browserContextId, p.activeTargets]),
+      [['default', 'bf-default-context', 1], ['work', 'bf-profile-work', 1]],
+    );
+    const workStatus = await httpGet(`http://127.0.0.1:${port}/extension/status?profile=work`);
+    assert.deepEqual(workStatus.body.attachedTabs.map((t) => [t.tabId, t.profileId]), [[21, 'work']]);
+    const missing = await httpGet(`http://127.0.0.1:${port}/extension/status?profile=home`);
+    assert.equal(missing.body.connected, false);
+    agent.close();
+  });
+
+  it('exposes other profiles to unpinned clients as browser contexts and routes commands by tab', async () => {
+    const personal = await connectProfile(null, { tabIds: [11] });
+    const work = await connectProfile('work', { tabIds: [21] });
+    const agent = await connectCdpClient(relay);
+    try {
+      await sendCommand(agent, { id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, waitForDebuggerOnStart: false, flatten: true } });
+      await waitForCondition(
+        () => agent.messages.filter((m) => m.method === 'Target.attachedToTarget').length === 2,
+        { description: 'both profile tabs attached' },
+      );
+      const contextByTarget = Object.fromEntries(agent.messages
+        .filter((m) => m.method === 'Target.attachedToTarget')
+        .map((m) => [m.params.targetInfo.targetId, m.params.targetInfo.browserContextId]));
+      assert.deepEqual(contextByTarget, { 'bf-target-11': 'bf-default-context', 'bf-target-21': 'bf-profile-work' });
+
+      const contexts = await sendCommand(agent, { id: 2, method: 'Target.getBrowserContexts' });
+      assert.deepEqual(contexts.result.browserContextIds, ['bf-default-context', 'bf-profile-work']);
+
+      const reply = await sendCommand(agent, { id: 3, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId: relay.tabToSession.get(21) });
+      assert.deepEqual(reply.result, { from: 'work' });
+
+      await sendCommand(agent, { id: 4, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId: 'bf-profile-work' } });
+      assert.equal(work.commands.filter((c) => c.method === 'createTab').length, 1);
+      assert.equal(personal.commands.filter((c) => c.method === 'createTab').length, 0);
+
+      const unknown = await sendCommand(agent, { id: 5, method: 'Target.createTarget', params: { url: 'about:blank', browserContextId: 'bf-profile-home' } });
+      assert.match(unknown.error.message, /Failed to find browser context with id bf-profile-home/);
+    } finally {
+      agent.close();
+    }
+  });
+
+  it('pins a client to one profile with ?profile= and applies that profile\'s restrictions', async () => {
+    const personal = await connectProfile(null, { tabIds: [11], noNewTabs: true });
+    const work = await connectProfile('work', { tabIds: [21] });
+    const pinned = await connectCdpClient(relay, { profile: 'work' });
+    const unpinned = await connectCdpClient(relay);
+    try {
+      await sendCommand(pinned, { id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, waitForDebuggerOnStart: false, flatten: true } });
+      await waitForCondition(() => relay.targets.size === 1, { description: 'work tab discovered' });
+      await sleep(50);
+      assert.deepEqual(
+        pinned.messages.filter((m) => m.method === 'Target.attachedToTarget').map((m) => m.params.targetInfo.targetId),
+        ['bf-target-21'],
+      );
+      assert.equal(personal.commands.filter((c) => c.method === 'listTabs').length, 0, 'pinned discovery only lists its profile');
+
+      const created = await sendCommand(pinned, { id: 2, method: 'Target.createTarget', params: { url: 'about:blank' } });
+      assert.ok(created.result.targetId, 'work profile allows new tabs');
+      assert.equal(work.commands.filter((c) => c.method === 'createTab').length, 1);
+
+      const blocked = await sendCommand(unpinned, { id: 3, method: 'Target.createTarget', params: { url: 'about:blank' } });
+      assert.match(blocked.error.message, /^New tabs are disabled/, 'the primary (default) profile forbids new tabs');
+
+      relay.targets.set('bf-session-personal', { tabId: 11, targetId: 'bf-target-11', targetInfo: { url: '' }, profileId: 'default' });
+      relay.tabToSession.set(11, 'bf-session-personal');
+      const foreign = await sendCommand(pinned, { id: 4, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId: 'bf-session-personal' });
+      assert.match(foreign.error.message, /^BLOCKED: .*belongs to Chrome profile "default".*pinned to profile "work"/);
+
+      const restrictions = await httpGet(`http://127.0.0.1:${port}/restrictions?profile=work`);
+      assert.equal(restrictions.body.profileId, 'work');
+      assert.equal(restrictions.body.noNewTabs, false);
+      const notConnected = await httpGet(`http://127.0.0.1:${port}/restrictions?profile=home`);
+      assert.equal(notConnected.status, 404);
+    } finally {
+      pinned.close();
+      unpinned.close();
+    }
+  });
+
+  it('only accepts a command reply from the profile that was asked', async () => {
+    const personal = await connectProfile(null, { tabIds: [11] });
+    const work = await connectProfile('work', { tabIds: [21] });
+    await waitForCondition(() => relay.extensions.size === 2, { description: 'two profiles connected' });
+
+    // The work extension answers for the command the relay sent to the default profile.
+    personal.ws.removeAllListeners('message');
+    const asked = new Promise((resolve) => personal.ws.once('message', (data) => resolve(JSON.parse(data.toString()))));
+    const reply = relay._sendToExt('cdpCommand', { tabId: 11, method: 'Runtime.evaluate', params: {} }, { profileId: 'default' });
+    const command = await asked;
+    work.ws.send(JSON.stringify({ method: 'commandPending', params: { id: command.id, timeoutMs: 600_000 } }));
+    work.ws.send(JSON.stringify({ id: command.id, result: { forged: true } }));
+    await sleep(100);
+    assert.ok(relay.extPending.has(command.id), 'the forged reply left the command pending');
+
+    personal.ws.send(JSON.stringify({ id: command.id, result: { from: 'default' } }));
+    assert.deepEqual(await reply, { from: 'default' });
+  });
+
+  it('drops only the disconnected profile\'s targets', async () => {
+    await connectProfile(null, { tabIds: [11] });
+    const work = await connectProfile('work', { tabIds: [21] });
+    const agent = await connectCdpClient(relay);
+    try {
+      await sendCommand(agent, { id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, waitForDebuggerOnStart: false, flatten: true } });
+      await waitForCondition(() => relay.targets.size === 2, { description: 'both profiles discovered' });
+      const workSession = relay.tabToSession.get(21);
+
+      work.ws.close();
+      await waitForCondition(() => !relay.extensions.has('work'), { description: 'work profile disconnect' });
+      assert.deepEqual([...relay.targets.values()].map((t) => t.tabId), [11]);
+      assert.ok(relay.extensions.has('default'));
+      assert.ok(agent.messages.some((m) => m.method === 'Target.detachedFromTarget' && m.params.sessionId === workSession));
+    } finally {
+      agent.close();
+    }
+  });
+});
+
+// ─── Event Stream ────────────────────────────────────────────────────────────
+
+describe('CDP Batch Channel', () => {
+  // Fake transport that records what the batcher sends and answers each call
+  // from `respond` on the next tick.
+  function fakeTransport({ batchError = null } = {}) {
+    const calls = [];
+    const respond = (method, params) => (params.method === 'DOM.fail' ? { error: 'No node' } : { result: { echo: params.method } });
+    return {
+      calls,
+      sendCommand: async (payload) => {
+        calls.push({ type: 'single', method: payload.method });
+        const outcome = respond('cdpCommand', payload);
+        if (outcome.error) throw new Error(outcome.error);
+        return outcome.result;
+      },
+      sendBatch: async (tabId, commands) => {
+        calls.push({ type: 'batch', tabId, methods: commands.map((c) => c.method) });
+        if (batchError) throw new Error(batchError);
+        return { results: commands.map((c) => respond('cdpBatch', c)) };
+      },
+    };
+  }
+
+  it('only coalesces quick methods', () => {
+    assert.equal(isBatchableMethod('DOM.getBoxModel'), true);
+    assert.equal(isBatchableMethod('Accessibility.getFullAXTree'), true);
+    assert.equal(isBatchableMethod('Network.enable'), true);
+    assert.equal(isBatchableMethod('Runtime.evaluate'), false);
+    assert.equal(isBatchableMethod('Page.navigate'), false);
+    assert.equal(isBatchableMethod('Input.dispatchMouseEvent'), false);
+    assert.equal(isBatchableMethod('DOM.setAttributeValue'), false, 'the extension may hold DOM writes');
+    assert.equal(isBatchableMethod('DOM.setFileInputFiles'), false);
+  });
+
+  it('sends same-tick commands for a tab as one batch and keeps non-batchable ones in order', async () => {
+    const transport = fakeTransport();
+    const batches = [];
+    const batcher = createCdpBatcher({ ...transport, onBatch: (batch) => batches.push(batch) });
+
+    const results = await Promise.allSettled([
+      batcher.enqueue({ tabId: 1, method: 'DOM.getDocument', params: {} }, 'default'),
+      batcher.enqueue({ tabId: 1, method: 'DOM.fail', params: {} }, 'default'),
+      batcher.enqueue({ tabId: 1, method: 'DOM.getBoxModel', params: {} }, 'default'),
+      batcher.enqueue({ tabId: 1, method: 'Runtime.evaluate', params: {} }, 'default'),
+      batcher.enqueue({ tabId: 1, method: 'DOM.describeNode', params: {} }, 'default'),
+      batcher.enqueue({ tabId: 2, method: 'DOM.getDocument', params: {} }, 'default'),
+    ]);
+
+    assert.deepEqual(transport.calls, [
+      { type: 'batch', tabId: 1, methods: ['DOM.getDocument', 'DOM.fail', 'DOM.getBoxModel'] },
+      { type: 'single', method: 'Runtime.evaluate' },
+      { type: 'single', method: 'DOM.describeNode' },
+      { type: 'single', method: 'DOM.getDocument' },
+    ]);
+    assert.deepEqual(results[0], { status: 'fulfilled', value: { echo: 'DOM.getDocument' } });
+    assert.equal(results[1].status, 'rejected');
+    assert.equal(results[1].reason.message, 'No node', 'per-command errors reject only that command');
+    assert.deepEqual(results[2], { status: 'fulfilled', value: { echo: 'DOM.getBoxModel' } });
+    assert.deepEqual(results[3], { status: 'fulfilled', value: { echo: 'Runtime.evaluate' } });
+    assert.equal(batches.length, 1);
+    assert.equal(batches[0].commands.length, 3);
+    assert.deepEqual(
+      { batches: batcher.stats().batches, batchedCommands: batcher.stats().batchedCommands, messagesSaved: batcher.stats().messagesSaved },
+      { batches: 1, batchedCommands: 3, messagesSaved: 4 },
+    );
+  });
+
+  it('falls back to single commands for an extension without cdpBatch', async () => {
+    const transport = fakeTransport({ batchError: 'Unknown command: cdpBatch' });
+    const batcher = createCdpBatcher(transport);
+
+    const first = await Promise.all([
+      batcher.enqueue({ tabId: 1, method: 'DOM.getDocument', params: {} }, 'default'),
+      batcher.enqueue({ tabId: 1, method: 'DOM.getBoxModel', params: {} }, 'default'),
+    ]);
+    assert.deepEqual(first, [{ echo: 'DOM.getDocument' }, { echo: 'DOM.getBoxModel' }]);
+    assert.deepEqual(batcher.stats().unsupportedProfiles, ['default']);
+
+    transport.calls.length = 0;
+    await Promise.all([
+      batcher.enqueue({ tabId: 1, method: 'DOM.getDocument', params: {} }, 'default'),
+      batcher.enqueue({ tabId: 1, method: 'DOM.getBoxModel', params: {} }, 'default'),
+    ]);
+    assert.ok(transport.calls.every((call) => call.type === 'single'), 'no further batch attempts for that profile');
+
+    batcher.resetProfile('default');
+    assert.deepEqual(batcher.stats().unsupportedProfiles, []);
+  });
+
+  it('routes a same-tick burst through one cdpBatch message and logs batch stats', async () => {
+    const port = getRandomPort();
+    const relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(200);
+    let ext;
+    let cdp;
+    try {
+      ext = await connectWs(`ws://127.0.0.1:${port}/extension`, { headers: { Origin: 'chrome-extension://test' } });
+      const received = [];
+      ext.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+        if (msg.id === undefined) return;
+        received.push(msg);
+        if (msg.method === 'getRestrictions') { ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto' } })); return; }
+        if (msg.method === 'createTab') {
+          ext.send(JSON.stringify({ id: msg.id, result: { tabId: 51, targetId: 'real-target-51', sessionId: msg.params.sessionId, targetInfo: { targetId: 'real-target-51', type: 'page', title: '', url: 'about:blank' } } }));
+          return;
+        }
+        if (msg.method === 'cdpBatch') {
+          ext.send(JSON.stringify({ id: msg.id, result: { results: msg.params.commands.map((c) => ({ result: { method: c.method } })) } }));
+          return;
+        }
+        ext.send(JSON.stringify({ id: msg.id, result: {} }));
+      });
+      cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+      const replies = [];
+      cdp.on('message', (data) => replies.push(JSON.parse(data.toString())));
+      cdp.send(JSON.stringify({ id: 1, method: 'Target.createTarget', params: { url: 'about:blank' } }));
+      const created = await waitForCondition(() => replies.find((m) => m.id === 1), { description: 'createTarget reply' });
+      const sessionId = relay.tabToSession.get(51);
+      assert.ok(created.result.targetId && sessionId);
+
+      const clientId = [...relay.clientById.keys()][0];
+      const batchOptions = [];
+      const sendToExt = relay._sendToExt.bind(relay);
+      relay._sendToExt = (method, params, options) => {
+        if (method === 'cdpBatch') batchOptions.push(options);
+        return sendToExt(method, params, options);
+      };
+      const results = await Promise.all(['DOM.getDocument', 'DOM.querySelector', 'DOM.getBoxModel']
+        .map((method, i) => relay._forwardToTab(sessionId, method, {}, 100 + i, clientId)));
+      assert.deepEqual(results.map((r) => r.method), ['DOM.getDocument', 'DOM.querySelector', 'DOM.getBoxModel']);
+
+      const batchMessages = received.filter((m) => m.method === 'cdpBatch');
+      assert.equal(batchMessages.length, 1);
+      assert.equal(batchMessages[0].params.tabId, 51);
+      assert.equal(batchOptions[0].timeoutMs, 3 * 30000, 'the batch waits as long as its members would one by one');
+      assert.equal(received.filter((m) => m.method === 'cdpCommand').length, 0);
+
+      const row = relay.cdpLogEntries.find((e) => e.message?.method === 'BrowserForce.cdpBatch');
+      assert.ok(row, 'CDP log has a batch summary row');
+      assert.equal(row.tabId, 51);
+      assert.equal(row.message.batch.size, 3);
+      assert.equal(row.message.batch.messagesSaved, 4);
+      assert.equal(relay._logsStatus().cdpBatching.batches, 1);
+    } finally {
+      cdp?.close();
+      ext?.close();
+      await sleep(100);
+      relay.stop();
+    }
+  });
+});
+
+describe('Event Stream', () => {
+  let relay;
+  let port;
+  let ext;
+  let streams;
+
+  // Subscribe to /events and collect parsed `data:` events.
+  function openEventStream({ query = '', headers } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        hostname: '127.0.0.1',
+        port,
+        path: `/events${query}`,
+        method: 'GET',
+        headers: headers || { Authorization: `Bearer ${relay.authToken}` },
+      }, (res) => {
+        const stream = { res, req, status: res.statusCode, events: [], buffer: '' };
+        streams.push(stream);
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          stream.buffer += chunk;
+          let end;
+          while ((end = stream.buffer.indexOf('\n\n')) !== -1) {
+            const block = stream.buffer.slice(0, end);
+            stream.buffer = stream.buffer.slice(end + 2);
+            for (const line of block.split('\n')) {
+              if (line.startsWith('data: ')) stream.events.push(JSON.parse(line.slice(6)));
+            }
+          }
+        });
+        resolve(stream);
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  function eventOfType(stream, type) {
+    return waitForCondition(() => stream.events.find((e) => e.type === type), { description: `${type} event` });
+  }
+
+  beforeEach(async () => {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    streams = [];
+    ext = null;
+  });
+
+  afterEach(async () => {
+    for (const stream of streams) stream.req.destroy();
+    ext?.close();
+    await sleep(50);
+    relay?.stop();
+  });
+
+  it('requires the master token or the extension origin', async () => {
+    const anonymous = await rawHttpGet({ port, path: '/events' });
+    assert.equal(anonymous.status, 403);
+
+    const stream = await openEventStream();
+    assert.equal(stream.status, 200);
+    assert.match(stream.res.headers['content-type'], /^text\/event-stream/);
+    assert.equal(stream.res.headers['access-control-allow-origin'], undefined);
+    const snapshot = await eventOfType(stream, 'snapshot');
+    assert.equal(snapshot.connected, false);
+    assert.deepEqual(snapshot.attachedTabs, []);
+  });
+
+  it('pushes extension, tab, client and restriction lifecycle events', async () => {
+    const stream = await openEventStream();
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, { headers: { Origin: 'chrome-extension://test' } });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'getRestrictions') {
+        ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: true } }));
+      }
+    });
+    assert.deepEqual((await eventOfType(stream, 'extension.connected')).profileId, 'default');
+
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: { tabId: 31, sessionId: 'manual-31', targetId: 'T31', targetInfo: { url: 'https://a.test/', title: 'A' }, origin: 'manual' },
+    }));
+    const attached = await eventOfType(stream, 'tab.attached');
+    assert.equal(attached.tabId, 31);
+    assert.equal(attached.origin, 'manual');
+    assert.equal(attached.url, 'https://a.test/');
+
+    ext.send(JSON.stringify({ method: 'tabUpdated', params: { tabId: 31, url: 'https://a.test/next', title: 'Next' } }));
+    const changed = await eventOfType(stream, 'target.changed');
+    assert.deepEqual([changed.url, changed.title], ['https://a.test/next', 'Next']);
+
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=events-bot`);
+    const connected = await eventOfType(stream, 'client.connected');
+    assert.equal(connected.label, 'events-bot');
+
+    cdp.send(JSON.stringify({ id: 1, method: 'Target.createTarget', params: { url: 'https://b.test/' } }));
+    const blocked = await eventOfType(stream, 'restriction.blocked');
+    assert.equal(blocked.method, 'Target.createTarget');
+    assert.equal(blocked.label, 'events-bot');
+    assert.equal(blocked.url, 'https://b.test/');
+    assert.match(blocked.message, /^New tabs are disabled/);
+
+    cdp.close();
+    assert.equal((await eventOfType(stream, 'client.disconnected')).clientId, connected.clientId);
+
+    ext.send(JSON.stringify({ method: 'tabDetached', params: { tabId: 31, reason: 'user' } }));
+    const detached = await eventOfType(stream, 'tab.detached');
+    assert.deepEqual([detached.tabId, detached.reason], [31, 'user']);
+
+    ext.close();
+    await eventOfType(stream, 'extension.disconnected');
+    const seqs = stream.events.map((e) => e.seq);
+    assert.deepEqual(seqs, [...seqs].sort((a, b) => a - b), 'events arrive in seq order');
+  });
+
+  it('narrows a subscription with ?types=', async () => {
+    const stream = await openEventStream({ query: '?types=client.*' });
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, { headers: { Origin: 'chrome-extension://test' } });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    await eventOfType(stream, 'client.connected');
+    cdp.close();
+    await eventOfType(stream, 'client.disconnected');
+    assert.deepEqual(stream.events.map((e) => e.type), ['snapshot', 'client.connected', 'client.disconnected']);
+  });
+
+  it('sends the snapshot to filtered subscribers too', async () => {
+    const stream = await openEventStream({ query: '?types=tab.attached' });
+    const snapshot = await eventOfType(stream, 'snapshot');
+    assert.equal(snapshot.connected, false);
+    assert.deepEqual(snapshot.attachedTabs, []);
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, { headers: { Origin: 'chrome-extension://test' } });
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: { tabId: 32, sessionId: 'manual-32', targetId: 'T32', targetInfo: { url: 'https://a.test/', title: 'A' }, origin: 'manual' },
+    }));
+    assert.equal((await eventOfType(stream, 'tab.attached')).tabId, 32);
+    assert.deepEqual(stream.events.map((e) => e.type), ['snapshot', 'tab.attached']);
+  });
+});
+
+// ─── Audit Log ───────────────────────────────────────────────────────────────
+
+describe('Audit Log', () => {
+  let logDir;
+  let auditPath;
+  let originalAuditEnv;
+  let relay;
+  let port;
+
+  beforeEach(() => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bf-audit-log-'));
+    auditPath = path.join(logDir, 'audit.jsonl');
+    originalAuditEnv = process.env.BROWSERFORCE_AUDIT_LOG_FILE_PATH;
+    process.env.BROWSERFORCE_AUDIT_LOG_FILE_PATH = auditPath;
+  });
+
+  afterEach(() => {
+    relay?.stop();
+    relay = null;
+    process.env.BROWSERFORCE_AUDIT_LOG_FILE_PATH = originalAuditEnv;
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  async function startRelayWithTab() {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    await relay.start({ writeCdpUrl: false });
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id && msg.method === 'cdpCommand') {
+        if (msg.params.method === 'Page.navigate') {
+          ext.send(JSON.stringify({ id: msg.id, error: 'net::ERR_NAME_NOT_RESOLVED' }));
+          return;
+        }
+        ext.send(JSON.stringify({ id: msg.id, result: {} }));
+      }
+    });
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: {
+        tabId: 81,
+        sessionId: 'manual-81',
+        targetId: 'bf-target-81',
+        origin: 'manual',
+        targetInfo: { url: 'https://audit.example/form', title: 'Form' },
+      },
+    }));
+    await waitForCondition(() => relay.tabToSession.get(81), { description: 'tab 81 attached' });
+    return ext;
+  }
+
+  function getAudit(query = '') {
+    return httpGetWithHeaders(`http://127.0.0.1:${port}/logs/audit${query}`, {
+      Authorization: `Bearer ${relay.authToken}`,
+    });
+  }
+
+  it('records only mutating commands with label, tab URL and outcome', async () => {
+    const ext = await startRelayWithTab();
+    const sessionId = relay.tabToSession.get(81);
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=auditor`);
+    try {
+      await sendAndReceive(cdp, { id: 1, method: 'Input.insertText', params: { text: 'hunter2' }, sessionId });
+      await sendAndReceive(cdp, { id: 2, method: 'Runtime.evaluate', params: { expression: '1' }, sessionId });
+      await sendAndReceive(cdp, { id: 3, method: 'Page.navigate', params: { url: 'https://nowhere.invalid' }, sessionId });
+
+      const { status, body } = await getAudit();
+      assert.equal(status, 200);
+      assert.deepEqual(body.entries.map((e) => e.method), ['Input.insertText', 'Page.navigate']);
+
+      const [typed, nav] = body.entries;
+      assert.equal(typed.clientLabel, 'auditor');
+      assert.equal(typed.tabId, 81);
+      assert.equal(typed.url, 'https://audit.example/form');
+      assert.equal(typed.outcome, 'ok');
+      assert.deepEqual(typed.params, { textLength: 7 }, 'typed text must never be stored');
+      assert.ok(!JSON.stringify(typed).includes('hunter2'));
+      assert.ok(typed.timestamp);
+
+      assert.equal(nav.outcome, 'error');
+      assert.equal(nav.params.url, 'https://nowhere.invalid');
+      assert.match(nav.error, /ERR_NAME_NOT_RESOLVED/);
+    } finally {
+      cdp.close();
+      ext.close();
+    }
+  });
+
+  it('filters by label, tab, method glob and time range', async () => {
+    const ext = await startRelayWithTab();
+    const sessionId = relay.tabToSession.get(81);
+    const a = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}&label=alpha`);
+    try {
+      await sendAndReceive(a, { id: 1, method: 'Input.dispatchKeyEvent', params: { type: 'keyDown', key: 'Enter' }, sessionId });
+      await sendAndReceive(a, { id: 2, method: 'Page.reload', params: {}, sessionId });
+
+      const byMethod = await getAudit('?method=Input.*');
+      assert.deepEqual(byMethod.body.entries.map((e) => e.method), ['Input.dispatchKeyEvent']);
+      assert.equal(byMethod.body.entries[0].params.key, 'Enter');
+
+      assert.equal((await getAudit('?label=alpha')).body.entries.length, 2);
+      assert.equal((await getAudit('?label=beta')).body.entries.length, 0);
+      assert.equal((await getAudit('?tabId=81')).body.entries.length, 2);
+      assert.equal((await getAudit('?tabId=82')).body.entries.length, 0);
+
+      const future = new Date(Date.now() + 60_000).toISOString();
+      assert.equal((await getAudit(`?since=${encodeURIComponent(future)}`)).body.entries.length, 0);
+      assert.equal((await getAudit(`?until=${encodeURIComponent(future)}`)).body.entries.length, 2);
+
+      const limited = await getAudit('?limit=1');
+      assert.equal(limited.body.entries.length, 1);
+      assert.equal(limited.body.entries[0].method, 'Page.reload', 'limit keeps the newest entries');
+      assert.equal(limited.body.total, 2);
+    } finally {
+      a.close();
+      ext.close();
+    }
+  });
+
+  it('survives relay restarts instead of truncating', async () => {
+    const ext = await startRelayWithTab();
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    await sendAndReceive(cdp, { id: 1, method: 'Input.insertText', params: { text: 'a' }, sessionId: relay.tabToSession.get(81) });
+    await relay.auditLogger.query();
+    cdp.close();
+    ext.close();
+    relay.stop();
+
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    await relay.start({ writeCdpUrl: false });
+    const { body } = await getAudit();
+    assert.equal(body.entries.length, 1);
+    assert.equal(body.entries[0].method, 'Input.insertText');
+  });
+
+  it('requires the master token or the extension origin', async () => {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    await relay.start({ writeCdpUrl: false });
+    const anonymous = await httpGet(`http://127.0.0.1:${port}/logs/audit`);
+    assert.equal(anonymous.status, 403);
+    const wrongToken = await httpGetWithHeaders(`http://127.0.0.1:${port}/logs/audit`, {
+      Authorization: 'Bearer nope',
+    });
+    assert.equal(wrongToken.status, 403);
+  });
+
+  it('rotates by size and keeps at most maxFiles generations', async () => {
+    const writer = createRotatingJsonlWriter({ filePath: auditPath, maxBytes: 64, maxFiles: 3 });
+    for (let i = 0; i < 20; i += 1) writer.append(JSON.stringify({ i, pad: 'x'.repeat(20) }));
+    await writer.flush();
+    assert.deepEqual(writer.listFiles(), [`${auditPath}.2`, `${auditPath}.1`, auditPath]);
+    assert.equal(fs.existsSync(`${auditPath}.3`), false);
+    const newest = readJsonlEntries(auditPath);
+    assert.equal(newest[newest.length - 1].i, 19);
+  });
+
+  it('parses rotated generations once and only the new tail of the live file', async () => {
+    const writer = createRotatingJsonlWriter({ filePath: auditPath, maxBytes: 200, maxFiles: 3 });
+    const cache = createJsonlFileCache();
+    writer.append(JSON.stringify({ i: 0 }));
+    await writer.flush();
+    const live = cache.read(auditPath);
+    assert.deepEqual(live.map((e) => e.i), [0]);
+
+    fs.appendFileSync(auditPath, '{"i":1');
+    assert.deepEqual(cache.read(auditPath).map((e) => e.i), [0], 'a partial line waits for its newline');
+    fs.appendFileSync(auditPath, '}\n');
+    assert.deepEqual(cache.read(auditPath).map((e) => e.i), [0, 1]);
+
+    for (let i = 2; i < 12; i += 1) writer.append(JSON.stringify({ i, pad: 'x'.repeat(20) }));
+    await writer.flush();
+    assert.equal(cache.read(`${auditPath}.1`), live, 'the rotated file is the same inode, so its entries are reused');
+    const all = writer.listFiles().flatMap((file) => cache.read(file).map((e) => e.i));
+    assert.deepEqual(all, readJsonlEntries(`${auditPath}.1`).concat(readJsonlEntries(auditPath)).map((e) => e.i));
+    assert.equal(all[all.length - 1], 11);
+  });
+});
+
+// ─── Extension Record/Replay ─────────────────────────────────────────────────
+
+describe('Extension Record/Replay', () => {
+  const OOPIF_FIXTURE = path.join(__dirname, 'fixtures', 'extension-oopif-session.jsonl');
+  let relay;
+  let port;
+  let recordPath;
+
+  beforeEach(async () => {
+    port = getRandomPort();
+    recordPath = path.join(os.tmpdir(), `bf-ext-record-${process.pid}-${Date.now()}.jsonl`);
+    relay = new RelayServer(port);
+    await relay.start({ writeCdpUrl: false, recordExtensionTo: recordPath });
+  });
+
+  afterEach(() => {
+    relay.stop();
+    fs.rmSync(recordPath, { force: true });
+  });
+
+  it('records both directions of the extension stream, minus keepalives', async () => {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.id && msg.method === 'cdpCommand') {
+        ext.send(JSON.stringify({ id: msg.id, result: { result: { type: 'number', value: 2 } } }));
+      }
+    });
+    ext.send(JSON.stringify({ method: 'pong' }));
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: { tabId: 71, targetId: 'bf-target-71', origin: 'manual', targetInfo: { url: 'https://r.example', title: 'R' } },
+    }));
+    await waitForCondition(() => relay.tabToSession.get(71), { description: 'tab 71 attached' });
+
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    await sendAndReceive(cdp, {
+      id: 1,
+      method: 'Runtime.evaluate',
+      params: { expression: '1 + 1' },
+      sessionId: relay.tabToSession.get(71),
+    });
+    await relay.extensionRecorder.flush();
+
+    const recorded = readJsonlEntries(recordPath);
+    assert.deepEqual(
+      recorded.map((entry) => [entry.direction, entry.message.method || 'reply']),
+      [
+        ['from-extension', 'manualTabAttached'],
+        ['to-extension', 'cdpCommand'],
+        ['from-extension', 'reply'],
+      ],
+    );
+    assert.equal(recorded[1].message.params.method, 'Runtime.evaluate');
+    assert.equal(recorded[2].message.id, recorded[1].message.id);
+    assert.ok(recorded.every((entry) => Number.isInteger(entry.t)));
+
+    cdp.close();
+    ext.close();
+    await sleep(50);
+  });
+
+  it('replays a recorded connectOverCDP session with lazy attach and an OOPIF', async () => {
+    const { chromium } = require('playwright-core');
+    const replay = await connectReplayExtension({
+      url: `ws://127.0.0.1:${port}/extension`,
+      fixture: OOPIF_FIXTURE,
+    });
+    const browser = await chromium.connectOverCDP(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    try {
+      const context = browser.contexts()[0];
+      assert.deepEqual(context.pages().map((p) => p.url()), ['https://example.com/', 'https://example.org/']);
+      assert.equal(replay.answered.some((m) => m.method === 'attachTab'), false, 'connecting must not attach any tab');
+
+      const page = context.pages()[0];
+      const session = await context.newCDPSession(page);
+      const evaluated = await session.send('Runtime.evaluate', { expression: 'document.title', returnByValue: true });
+      assert.equal(evaluated.result.value, 'Example Domain');
+
+      const oopif = await waitForCondition(
+        () => page.frames().find((frame) => frame.url() === 'https://widgets.example.net/embed'),
+        { description: 'OOPIF frame' },
+      );
+      assert.equal(await oopif.evaluate(() => document.title), 'Widget');
+
+      const attaches = replay.answered.filter((m) => m.method === 'attachTab');
+      assert.deepEqual(attaches.map((m) => m.params.tabId), [101], 'only the used tab is lazily attached');
+      assert.deepEqual(replay.unmatched, []);
+      assert.deepEqual(replay.remaining(), []);
+    } finally {
+      await browser.close().catch(() => {});
+      replay.close();
+      await sleep(50);
+    }
+  });
+
+  it('reports relay commands missing from the fixture as errors', async () => {
+    const fixture = loadExtensionFixture(OOPIF_FIXTURE).filter((entry) => entry.message.method !== 'attachTab'
+      && entry.message.id !== 2);
+    const replay = await connectReplayExtension({ url: `ws://127.0.0.1:${port}/extension`, fixture });
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const messages = [];
+    cdp.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    try {
+      cdp.send(JSON.stringify({
+        id: 1,
+        method: 'Target.setAutoAttach',
+        params: { autoAttach: true, waitForDebuggerOnStart: false, flatten: true },
+      }));
+      const sessionId = await waitForCondition(() => relay.tabToSession.get(101), { description: 'tab 101 discovered' });
+      cdp.send(JSON.stringify({
+        id: 2,
+        method: 'Runtime.evaluate',
+        params: { expression: 'document.title', returnByValue: true },
+        sessionId,
+      }));
+      const response = await waitForCondition(() => messages.find((m) => m.id === 2), { description: 'evaluate reply' });
+      assert.match(response.error.message, /no recorded response for attachTab/);
+      assert.deepEqual(replay.unmatched.map((m) => m.method), ['attachTab']);
+    } finally {
+      cdp.close();
+      replay.close();
+      await sleep(50);
+    }
+  });
+});
+
+// ─── CDP Event Forwarding ────────────────────────────────────────────────────
+
+describe('CDP Event Forwarding', () => {
+  let relay;
+  let port;
+
+  before(async () => {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(200);
+  });
+
+  after(() => {
+    relay.stop();
+  });
+
+  it('forwards CDP events from extension to CDP client', async () => {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id && msg.method === 'getRestrictions') { ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } })); return; }
+      if (msg.id !== undefined) {
+        if (msg.method === 'listTabs') {
+          ext.send(JSON.stringify({ id: msg.id, result: { tabs: [] } }));
+        } else if (msg.method === 'createTab') {
+          ext.send(JSON.stringify({
+            id: msg.id,
+            result: {
+              tabId: 20, targetId: 'real-target-20', sessionId: msg.params.sessionId,
+              targetInfo: { targetId: 'real-target-20', type: 'page', title: 'Test', url: msg.params.url || 'about:blank' },
+            },
+          }));
+        }
+      }
+    });
+
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const events = [];
+    cdp.on('message', (data) => events.push(JSON.parse(data.toString())));
+
+    // Create tab (instead of auto-attach)
+    cdp.send(JSON.stringify({ id: 1, method: 'Target.createTarget', params: { url: 'https://test.com' } }));
+    await sleep(300);
+
+    const attached = events.find((m) => m.method === 'Target.attachedToTarget');
+    assert.ok(attached, 'Should have attachedToTarget event');
+    const sessionId = attached.params.sessionId;
+
+    // Extension sends a CDP event
+    ext.send(JSON.stringify({
+      method: 'cdpEvent',
+      params: {
+        tabId: 20,
+        method: 'Page.loadEventFired',
+        params: { timestamp: 12345.678 },
+      },
+    }));
+
+    await sleep(200);
+
+    const loadEvent = events.find((m) => m.method === 'Page.loadEventFired');
+    assert.ok(loadEvent, 'CDP client should receive the event');
+    assert.equal(loadEvent.params.timestamp, 12345.678);
+    assert.equal(loadEvent.sessionId, sessionId);
+
+    cdp.close();
+    ext.close();
+    await sleep(100);
+  });
+
+  it('preserves child session id for child-session CDP events', async () => {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
       if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
       if (msg.id && msg.method === 'getRestrictions') { ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } })); return; }
       if (msg.id !== undefined) {
@@ -2512,6 +4602,116 @@ describe('CDP Event Forwarding', () => {
     assert.ok(resp.error, 'unknown target rejected');
     cdp.close(); ext.close(); await sleep(100);
   });
+
+  // Mock extension for the worker tests: one agent-created tab, every
+  // cdpCommand answered with {} and recorded.
+  async function connectWorkerExtension(tabId) {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, { headers: { Origin: 'chrome-extension://test' } });
+    const commands = [];
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      if (msg.method === 'getRestrictions') { ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto' } })); return; }
+      if (msg.method === 'createTab') {
+        ext.send(JSON.stringify({ id: msg.id, result: { tabId, targetId: `real-target-${tabId}`, sessionId: msg.params.sessionId, targetInfo: { targetId: `real-target-${tabId}`, type: 'page', title: 'Workers', url: msg.params.url } } }));
+        return;
+      }
+      if (msg.method === 'listTabs') {
+        ext.send(JSON.stringify({ id: msg.id, result: { tabs: [{ tabId, targetId: `real-target-${tabId}`, url: 'https://pwa.test/', title: 'Workers' }] } }));
+        return;
+      }
+      if (msg.method === 'cdpCommand') commands.push(msg.params);
+      ext.send(JSON.stringify({ id: msg.id, result: {} }));
+    });
+    return { ext, commands };
+  }
+
+  function collect(ws) {
+    const messages = [];
+    ws.on('message', (data) => messages.push(JSON.parse(data.toString())));
+    return messages;
+  }
+
+  it('exposes dedicated workers on the page session and routes commands through their child session', async () => {
+    const { ext, commands } = await connectWorkerExtension(41);
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const events = collect(cdp);
+
+    cdp.send(JSON.stringify({ id: 1, method: 'Target.createTarget', params: { url: 'https://pwa.test/' } }));
+    const pageAttach = await waitForCondition(
+      () => events.find((m) => m.method === 'Target.attachedToTarget' && m.params.targetInfo.type === 'page'),
+      { description: 'page attach' },
+    );
+    const pageSessionId = pageAttach.params.sessionId;
+
+    ext.send(JSON.stringify({ method: 'cdpEvent', params: { tabId: 41, method: 'Target.attachedToTarget', params: { sessionId: 'worker-session-1', targetInfo: { targetId: 'worker-target-1', type: 'worker', title: '', url: 'https://pwa.test/worker.js' }, waitingForDebugger: true } } }));
+    const workerAttach = await waitForCondition(
+      () => events.find((m) => m.method === 'Target.attachedToTarget' && m.params.sessionId === 'worker-session-1'),
+      { description: 'worker attach' },
+    );
+    assert.equal(workerAttach.sessionId, pageSessionId, 'dedicated worker is announced on its page session');
+    assert.equal(workerAttach.params.targetInfo.browserContextId, 'bf-default-context');
+    assert.equal(workerAttach.params.waitingForDebugger, true);
+
+    cdp.send(JSON.stringify({ id: 2, method: 'Target.getTargets', params: {} }));
+    cdp.send(JSON.stringify({ id: 3, method: 'Target.attachToTarget', params: { targetId: 'worker-target-1', flatten: true } }));
+    cdp.send(JSON.stringify({ id: 4, sessionId: 'worker-session-1', method: 'Runtime.evaluate', params: { expression: 'self.name' } }));
+    const targets = await waitForCondition(() => events.find((m) => m.id === 2), { description: 'getTargets reply' });
+    assert.ok(targets.result.targetInfos.some((t) => t.targetId === 'worker-target-1' && t.type === 'worker'));
+    const attach = await waitForCondition(() => events.find((m) => m.id === 3), { description: 'attachToTarget reply' });
+    assert.equal(attach.result.sessionId, 'worker-session-1');
+    const evaluate = await waitForCondition(() => events.find((m) => m.id === 4), { description: 'worker command reply' });
+    assert.equal(evaluate.sessionId, 'worker-session-1');
+    assert.ok(
+      commands.some((c) => c.method === 'Runtime.evaluate' && c.childSessionId === 'worker-session-1' && c.tabId === 41),
+      'worker command forwarded through the child session',
+    );
+
+    cdp.close();
+    ext.close();
+    await sleep(100);
+  });
+
+  it('announces service workers on the root session and replays them to late clients', async () => {
+    const { ext } = await connectWorkerExtension(42);
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const events = collect(cdp);
+
+    cdp.send(JSON.stringify({ id: 1, method: 'Target.createTarget', params: { url: 'https://pwa.test/' } }));
+    await waitForCondition(() => events.find((m) => m.id === 1), { description: 'createTarget reply' });
+
+    ext.send(JSON.stringify({ method: 'cdpEvent', params: { tabId: 42, method: 'Target.attachedToTarget', params: { sessionId: 'sw-session-1', targetInfo: { targetId: 'sw-target-1', type: 'service_worker', title: '', url: 'https://pwa.test/sw.js', browserContextId: 'chrome-real-context' }, waitingForDebugger: false } } }));
+    const swAttach = await waitForCondition(
+      () => events.find((m) => m.method === 'Target.attachedToTarget' && m.params.sessionId === 'sw-session-1'),
+      { description: 'service worker attach' },
+    );
+    assert.equal(swAttach.sessionId, undefined, 'service worker is announced on the root session');
+    assert.equal(swAttach.params.targetInfo.browserContextId, 'bf-default-context', 'relay context id replaces Chrome\'s');
+
+    const late = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const lateEvents = collect(late);
+    late.send(JSON.stringify({ id: 1, method: 'Target.setAutoAttach', params: { autoAttach: true, waitForDebuggerOnStart: true, flatten: true } }));
+    const replayed = await waitForCondition(
+      () => lateEvents.find((m) => m.method === 'Target.attachedToTarget' && m.params.sessionId === 'sw-session-1'),
+      { description: 'replayed service worker attach' },
+    );
+    assert.equal(replayed.sessionId, undefined);
+    assert.equal(replayed.params.waitingForDebugger, false);
+
+    ext.send(JSON.stringify({ method: 'cdpEvent', params: { tabId: 42, method: 'Target.detachedFromTarget', params: { sessionId: 'sw-session-1' } } }));
+    const swDetach = await waitForCondition(
+      () => events.find((m) => m.method === 'Target.detachedFromTarget' && m.params.sessionId === 'sw-session-1'),
+      { description: 'service worker detach' },
+    );
+    assert.equal(swDetach.sessionId, undefined);
+    assert.equal(swDetach.params.targetId, 'sw-target-1', 'root detach carries the targetId CRBrowser keys on');
+
+    late.close();
+    cdp.close();
+    ext.close();
+    await sleep(100);
+  });
 });
 
 // ─── CDP JSONL Logging ──────────────────────────────────────────────────────
@@ -2534,7 +4734,7 @@ describe('CDP JSONL Logging', () => {
     fs.rmSync(logDir, { recursive: true, force: true });
   });
 
-  it('creates and truncates the CDP JSONL log file on relay start', async () => {
+  it('keeps CDP JSONL history across relay restarts', async () => {
     let firstRelay;
     let secondRelay;
 
@@ -2546,19 +4746,44 @@ describe('CDP JSONL Logging', () => {
       firstRelay.stop();
       firstRelay = null;
 
-      fs.writeFileSync(logFilePath, '{"stale":true}\n');
-      assert.ok(fs.statSync(logFilePath).size > 0, 'CDP log file should contain stale data before restart');
+      fs.writeFileSync(logFilePath, '{"previous":true}\n');
 
       secondRelay = new RelayServer(getRandomPort());
       await secondRelay.start({ writeCdpUrl: false });
       assert.equal(fs.existsSync(logFilePath), true, 'CDP log file should still exist after restart');
-      assert.equal(fs.readFileSync(logFilePath, 'utf8'), '', 'CDP log file should be truncated on each start');
+      assert.deepEqual(readJsonlEntries(logFilePath), [{ previous: true }], 'restart must not wipe history');
     } finally {
       secondRelay?.stop();
       firstRelay?.stop();
     }
   });
 
+  it('rotates the CDP JSONL log by size into retained generations', async () => {
+    const originalMaxBytes = process.env.BROWSERFORCE_CDP_LOG_MAX_BYTES;
+    const originalMaxFiles = process.env.BROWSERFORCE_CDP_LOG_MAX_FILES;
+    process.env.BROWSERFORCE_CDP_LOG_MAX_BYTES = '200';
+    process.env.BROWSERFORCE_CDP_LOG_MAX_FILES = '2';
+    let relay;
+    try {
+      relay = new RelayServer(getRandomPort());
+      await relay.start({ writeCdpUrl: false });
+      for (let i = 0; i < 10; i += 1) {
+        relay._logCdp({ direction: 'from-playwright', message: { id: i, method: 'Browser.getVersion' } });
+      }
+      await relay.cdpLogger.flush();
+      assert.deepEqual(relay.cdpLogger.listFiles(), [`${logFilePath}.1`, logFilePath]);
+      assert.equal(fs.existsSync(`${logFilePath}.2`), false, 'only maxFiles generations are retained');
+      const live = readJsonlEntries(logFilePath);
+      assert.equal(live[live.length - 1].message.id, 9);
+    } finally {
+      relay?.stop();
+      if (originalMaxBytes === undefined) delete process.env.BROWSERFORCE_CDP_LOG_MAX_BYTES;
+      else process.env.BROWSERFORCE_CDP_LOG_MAX_BYTES = originalMaxBytes;
+      if (originalMaxFiles === undefined) delete process.env.BROWSERFORCE_CDP_LOG_MAX_FILES;
+      else process.env.BROWSERFORCE_CDP_LOG_MAX_FILES = originalMaxFiles;
+    }
+  });
+
   it('logs command/event traffic with direction and method in JSONL entries', async () => {
     let relay;
     let ext;
@@ -2655,6 +4880,62 @@ describe('CDP JSONL Logging', () => {
       relay?.stop();
     }
   });
+
+  it('GET /logs/cdp pages back into rotated files and earlier relay runs', async () => {
+    const originalEnv = {
+      BROWSERFORCE_CDP_LOG_MAX_BYTES: process.env.BROWSERFORCE_CDP_LOG_MAX_BYTES,
+      BROWSERFORCE_CDP_LOG_MAX_FILES: process.env.BROWSERFORCE_CDP_LOG_MAX_FILES,
+      BROWSERFORCE_CDP_LOG_BUFFER_LIMIT: process.env.BROWSERFORCE_CDP_LOG_BUFFER_LIMIT,
+    };
+    process.env.BROWSERFORCE_CDP_LOG_MAX_BYTES = '300';
+    process.env.BROWSERFORCE_CDP_LOG_MAX_FILES = '5';
+    process.env.BROWSERFORCE_CDP_LOG_BUFFER_LIMIT = '2';
+    let relay;
+    let ext;
+    try {
+      relay = new RelayServer(getRandomPort());
+      await relay.start({ writeCdpUrl: false });
+      for (let i = 0; i < 4; i += 1) {
+        relay._logCdp({ direction: 'from-playwright', message: { id: i, method: 'History.test' } });
+      }
+      await relay.cdpLogger.flush();
+      const lastSeq = relay.cdpLogSeq;
+      relay.stop();
+
+      relay = new RelayServer(getRandomPort());
+      await relay.start({ writeCdpUrl: false });
+      assert.equal(relay.cdpLogSeq, lastSeq, 'seq carries on from the log on disk');
+      for (let i = 4; i < 6; i += 1) {
+        relay._logCdp({ direction: 'from-playwright', message: { id: i, method: 'History.test' } });
+      }
+      assert.ok(relay.cdpLogger.listFiles().length > 1, 'history spans rotated generations');
+
+      ext = await connectWs(`ws://127.0.0.1:${relay.port}/extension`, {
+        headers: { Origin: 'chrome-extension://test' },
+      });
+      const get = (query) => httpGetWithHeaders(`http://127.0.0.1:${relay.port}/logs/cdp${query}`, {
+        Origin: 'chrome-extension://test',
+      });
+
+      const newest = await get('?method=History.test&limit=3');
+      assert.deepEqual(newest.body.entries.map((e) => e.message.id), [3, 4, 5]);
+      assert.equal(newest.body.skipped, 1);
+
+      const older = await get(`?method=History.test&limit=3&before=${newest.body.cursor.prev}`);
+      assert.deepEqual(older.body.entries.map((e) => e.message.id), [0, 1, 2]);
+      assert.equal(older.body.cursor.prev, null, 'no older matches left');
+
+      const forward = await get(`?method=History.test&after=${older.body.entries[0].seq}`);
+      assert.equal(forward.body.resetRequired, true, 'forward polling stays on the in-memory buffer');
+    } finally {
+      ext?.close();
+      relay?.stop();
+      for (const [key, value] of Object.entries(originalEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+  });
 });
 
 // ─── Tab Lifecycle ───────────────────────────────────────────────────────────
@@ -2881,7 +5162,23 @@ describe('GET /restrictions endpoint', () => {
       lockUrl: false,
       noNewTabs: false,
       readOnly: false,
+      originRules: [],
+      approvalClasses: [],
+      credentialGuard: true,
+      credentialAllowlist: [],
+      dialogPolicy: 'agent',
+      browserData: { history: false, bookmarks: false, tabGroups: false },
       instructions: '',
+      urlPolicy: {
+        file: process.env.BROWSERFORCE_POLICY_FILE,
+        active: false,
+        allow: [],
+        deny: [],
+        downloads: null,
+        error: null,
+        loadedAt: body.urlPolicy.loadedAt,
+      },
+      uploadsDir: process.env.BROWSERFORCE_UPLOADS_DIR,
     });
   });
 
@@ -2923,7 +5220,11 @@ describe('GET /restrictions endpoint', () => {
 
     const { status, body } = await httpGet(`http://127.0.0.1:${port}/restrictions`);
     assert.equal(status, 200);
-    assert.deepEqual(body, extRestrictions);
+    const { urlPolicy, profileId, uploadsDir, ...fromExtension } = body;
+    assert.deepEqual(fromExtension, extRestrictions);
+    assert.equal(profileId, 'default');
+    assert.equal(urlPolicy.active, false);
+    assert.equal(uploadsDir, process.env.BROWSERFORCE_UPLOADS_DIR);
 
     ext.close();
     await sleep(100);
@@ -3448,6 +5749,103 @@ describe('Extension Status Endpoints', () => {
     await sleep(100);
   });
 
+  it('reports the kill switch as paused and aborts chatd runs when it is engaged', async () => {
+    const chatdUrlPath = path.join(BF_DIR, 'chatd-url.json');
+    const abortCalls = [];
+    const chatd = http.createServer((req, res) => {
+      abortCalls.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ok: true, aborted: ['run-1'] }));
+    });
+    await new Promise((resolve) => chatd.listen(0, '127.0.0.1', resolve));
+    fs.mkdirSync(BF_DIR, { recursive: true });
+    fs.writeFileSync(chatdUrlPath, JSON.stringify({ port: chatd.address().port, token: 'chatd-token' }));
+
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') ext.send(JSON.stringify({ method: 'pong' }));
+    });
+    try {
+      await waitForCondition(() => relay.extensions.size === 1, { description: 'extension connected' });
+      assert.equal((await httpGet(`http://127.0.0.1:${port}/extension/status`)).body.paused, false);
+
+      ext.send(JSON.stringify({ method: 'killSwitch', params: { engaged: true, engagedAt: Date.UTC(2026, 0, 2) } }));
+      await waitForCondition(() => abortCalls.length === 1, { description: 'chatd abort-all call' });
+      assert.deepEqual(abortCalls[0], { method: 'POST', url: '/v1/runs/abort', authorization: 'Bearer chatd-token' });
+
+      const paused = await httpGet(`http://127.0.0.1:${port}/extension/status`);
+      assert.equal(paused.body.paused, true);
+      assert.equal(paused.body.profiles[0].paused, true);
+      assert.equal(paused.body.profiles[0].pausedAt, '2026-01-02T00:00:00.000Z');
+
+      // Reconnect replay of the same state must not abort runs again.
+      ext.send(JSON.stringify({ method: 'killSwitch', params: { engaged: true, engagedAt: Date.UTC(2026, 0, 2) } }));
+      ext.send(JSON.stringify({ method: 'killSwitch', params: { engaged: false } }));
+      await sleep(100);
+      assert.equal(abortCalls.length, 1);
+      const resumed = await httpGet(`http://127.0.0.1:${port}/extension/status`);
+      assert.equal(resumed.body.paused, false);
+      assert.equal(resumed.body.profiles[0].pausedAt, null);
+    } finally {
+      ext.close();
+      fs.rmSync(chatdUrlPath, { force: true });
+      await new Promise((resolve) => chatd.close(resolve));
+      await sleep(100);
+    }
+  });
+
+  it('answers commands with a structured ACCESS_EXPIRED error once the extension reports access expired', async () => {
+    const ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    const extCommands = [];
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') ext.send(JSON.stringify({ method: 'pong' }));
+      if (msg.id) extCommands.push(msg.method);
+      if (msg.id && msg.method === 'getRestrictions') ext.send(JSON.stringify({ id: msg.id, result: { mode: 'auto', noNewTabs: false, lockUrl: false, readOnly: false, instructions: '' } }));
+    });
+    let cdp;
+    try {
+      await waitForCondition(() => relay.extensions.size === 1, { description: 'extension connected' });
+      const message = 'BLOCKED: ACCESS_EXPIRED — agent access has expired: the user only allows agent access during scheduled hours.';
+      ext.send(JSON.stringify({
+        method: 'accessState',
+        params: { allowed: false, reason: 'outside_hours', message, expiredAt: Date.UTC(2026, 0, 2, 18), resumesAt: Date.UTC(2026, 0, 3, 9) },
+      }));
+      await waitForCondition(() => relay.extensions.values().next().value.access?.allowed === false, { description: 'access state recorded' });
+
+      const status = await httpGet(`http://127.0.0.1:${port}/extension/status`);
+      assert.equal(status.body.accessExpired, true);
+      assert.equal(status.body.access.reason, 'outside_hours');
+      assert.equal(status.body.profiles[0].access.resumesAt, '2026-01-03T09:00:00.000Z');
+
+      cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+      const response = await sendAndReceive(cdp, { id: 1, method: 'Target.createTarget', params: { url: 'https://x.example' } });
+      assert.equal(response.error.message, message);
+      assert.deepEqual(JSON.parse(response.error.data), {
+        code: 'ACCESS_EXPIRED',
+        reason: 'outside_hours',
+        expiredAt: '2026-01-02T18:00:00.000Z',
+        resumesAt: '2026-01-03T09:00:00.000Z',
+      });
+      assert.equal(extCommands.includes('createTab'), false);
+
+      ext.send(JSON.stringify({ method: 'accessState', params: { allowed: true, endsAt: Date.UTC(2026, 0, 3, 18) } }));
+      await waitForCondition(() => relay.extensions.values().next().value.access?.allowed === true, { description: 'access restored' });
+      const restored = await httpGet(`http://127.0.0.1:${port}/extension/status`);
+      assert.equal(restored.body.accessExpired, false);
+      assert.equal(restored.body.access.endsAt, '2026-01-03T18:00:00.000Z');
+    } finally {
+      cdp?.close();
+      ext.close();
+      await sleep(100);
+    }
+  });
+
   it('rejects HTTP requests with non-local Host header before URL parsing', async () => {
     const res = await rawHttpGet({
       port,
@@ -3497,6 +5895,471 @@ describe('Extension Status Endpoints', () => {
 
 // ─── Target.createTarget Restrictions Guard ─────────────────────────────────
 
+describe('Screencast Recordings', () => {
+  let relay;
+  let port;
+  let ext;
+  let extCommands;
+
+  function recordingsRequest(method, reqPath, body, headers = { Authorization: `Bearer ${relay.authToken}` }) {
+    return new Promise((resolve, reject) => {
+      const payload = body ? JSON.stringify(body) : undefined;
+      const req = http.request({
+        hostname: '127.0.0.1', port, path: reqPath, method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {}),
+          ...headers,
+        },
+      }, (res) => {
+        let data = '';
+        res.on('data', (c) => { data += c; });
+        res.on('end', () => {
+          try { resolve({ status: res.statusCode, body: JSON.parse(data) }); }
+          catch { resolve({ status: res.statusCode, body: data }); }
+        });
+      });
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+  }
+
+  function attachManualTab(tabId, url) {
+    ext.send(JSON.stringify({
+      method: 'manualTabAttached',
+      params: { tabId, sessionId: `manual-${tabId}`, targetId: `bf-target-${tabId}`, origin: 'manual', targetInfo: { url, title: `Tab ${tabId}` } },
+    }));
+    return waitForCondition(() => relay.tabToSession.get(tabId), { description: `tab ${tabId} attached` });
+  }
+
+  function screencastCommands(method) {
+    return extCommands.filter((cmd) => cmd.params?.method === method);
+  }
+
+  beforeEach(async () => {
+    fs.rmSync(process.env.BROWSERFORCE_RECORDINGS_DIR, { recursive: true, force: true });
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    extCommands = [];
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      extCommands.push(msg);
+      ext.send(JSON.stringify({ id: msg.id, result: {} }));
+    });
+    await attachManualTab(81, 'https://overnight.example');
+  });
+
+  afterEach(async () => {
+    ext.close();
+    relay.stop();
+    await sleep(100);
+  });
+
+  it('stores frames and agent actions of attached tabs and writes a player on stop', async () => {
+    const started = await recordingsRequest('POST', '/recordings/start', { label: 'nightly run' });
+    assert.equal(started.status, 201, JSON.stringify(started.body));
+    assert.deepEqual(started.body.tabIds, [81]);
+    await waitForCondition(() => screencastCommands('Page.startScreencast').length === 1, { description: 'screencast started' });
+    assert.equal(screencastCommands('Page.startScreencast')[0].params.tabId, 81);
+
+    const frame = (sessionId) => JSON.stringify({
+      method: 'cdpEvent',
+      params: { tabId: 81, method: 'Page.screencastFrame', params: { data: Buffer.from('jpeg-bytes').toString('base64'), sessionId, metadata: { deviceWidth: 1280, deviceHeight: 720 } } },
+    });
+    ext.send(frame(1));
+    ext.send(frame(2)); // inside the frame interval: acked, not stored
+    ext.send(JSON.stringify({ method: 'inputAction', params: { tabId: 81, at: Date.now(), action: { kind: 'click', x: 40, y: 60, button: 'left', clickCount: 1 } } }));
+    ext.send(JSON.stringify({ method: 'inputAction', params: { tabId: 81, at: Date.now(), action: { kind: 'type', length: 8, masked: true } } }));
+    await waitForCondition(() => screencastCommands('Page.screencastFrameAck').length === 2, { description: 'frames acked' });
+    assert.ok(screencastCommands('Page.screencastFrameAck').every((cmd) => cmd.params.passive === true), 'acks do not reset the idle clock');
+    await waitForCondition(() => relay.screencastRecorder.status().actionCount === 2, { description: 'actions recorded' });
+
+    const stopped = await recordingsRequest('POST', '/recordings/stop');
+    assert.equal(stopped.status, 200, JSON.stringify(stopped.body));
+    assert.equal(stopped.body.frameCount, 1);
+    assert.equal(stopped.body.actionCount, 2);
+    assert.equal(screencastCommands('Page.stopScreencast').length, 1);
+
+    const dir = stopped.body.dir;
+    assert.equal(fs.readFileSync(path.join(dir, 'frames', '000001.jpg'), 'utf8'), 'jpeg-bytes');
+    const meta = JSON.parse(fs.readFileSync(path.join(dir, 'meta.json'), 'utf8'));
+    assert.equal(meta.label, 'nightly run');
+    assert.deepEqual(meta.tabs, [{ tabId: 81, url: 'https://overnight.example', title: 'Tab 81' }]);
+    const player = fs.readFileSync(stopped.body.player, 'utf8');
+    assert.match(player, /frames\/000001\.jpg/);
+    assert.match(player, /"kind":"click"/);
+    assert.doesNotMatch(player, /"text"/);
+
+    const listed = await recordingsRequest('GET', '/recordings');
+    assert.equal(listed.body.status.recording, false);
+    assert.equal(listed.body.recordings[0].id, stopped.body.id);
+    assert.equal(listed.body.recordings[0].player, stopped.body.player);
+  });
+
+  it('follows tabs attached mid-recording and forwards frames again once stopped', async () => {
+    await recordingsRequest('POST', '/recordings/start', {});
+    const again = await recordingsRequest('POST', '/recordings/start', {});
+    assert.equal(again.status, 409);
+    assert.match(again.body.error, /Already recording/);
+
+    await attachManualTab(82, 'https://later.example');
+    await waitForCondition(() => screencastCommands('Page.startScreencast').some((cmd) => cmd.params.tabId === 82), { description: 'new tab recorded' });
+    assert.deepEqual(relay.screencastRecorder.status().tabIds, [81, 82]);
+
+    ext.send(JSON.stringify({ method: 'tabDetached', params: { tabId: 82, reason: 'user' } }));
+    await waitForCondition(() => relay.screencastRecorder.status().tabIds.length === 1, { description: 'detached tab dropped' });
+
+    await recordingsRequest('POST', '/recordings/stop');
+    assert.equal(relay.screencastRecorder.handleFrame(81, { data: 'eA==', sessionId: 3 }), false);
+    const notRecording = await recordingsRequest('POST', '/recordings/stop');
+    assert.equal(notRecording.status, 409);
+  });
+
+  it('shares the tab with a client\'s own screencast instead of swallowing its frames', async () => {
+    await recordingsRequest('POST', '/recordings/start', {});
+    await waitForCondition(() => screencastCommands('Page.startScreencast').length === 1, { description: 'screencast started' });
+    const client = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const events = [];
+    const replies = new Map();
+    client.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.id !== undefined) replies.set(msg.id, msg);
+      else events.push(msg);
+    });
+    const sessionId = relay.tabToSession.get(81);
+    try {
+      client.send(JSON.stringify({ id: 1, method: 'Page.startScreencast', params: { format: 'png' }, sessionId }));
+      await waitForCondition(() => replies.has(1), { description: 'client screencast started' });
+
+      ext.send(JSON.stringify({
+        method: 'cdpEvent',
+        params: { tabId: 81, method: 'Page.screencastFrame', params: { data: Buffer.from('jpeg-bytes').toString('base64'), sessionId: 7, metadata: {} } },
+      }));
+      await waitForCondition(() => events.some((m) => m.method === 'Page.screencastFrame'), { description: 'client got the frame' });
+      assert.equal(relay.screencastRecorder.status().frameCount, 1, 'the recording keeps it too');
+      assert.equal(screencastCommands('Page.screencastFrameAck').length, 0, 'the client acks its own frames');
+
+      client.send(JSON.stringify({ id: 2, method: 'Page.stopScreencast', params: {}, sessionId }));
+      await waitForCondition(() => screencastCommands('Page.startScreencast').length === 3, { description: 'recorder resumed its capture' });
+      assert.equal(relay.clientScreencasts.has(81), false);
+    } finally {
+      client.close();
+    }
+  });
+
+  it('stops capturing frames once the recording is full and keeps recording actions', async () => {
+    const sent = [];
+    const recorder = createScreencastRecorder({
+      rootDir: fs.mkdtempSync(path.join(os.tmpdir(), 'bf-recording-limit-')),
+      sendCommand: async (target, method) => { sent.push([target.tabId, method]); return {}; },
+      maxFrames: 2,
+    });
+    const target = { tabId: 5, debuggerAttached: true, targetInfo: { url: 'https://busy.example' } };
+    recorder.start({ targets: [target] });
+    const originalNow = Date.now;
+    let now = originalNow();
+    Date.now = () => now;
+    try {
+      for (let i = 1; i <= 4; i += 1) {
+        now += 1000;
+        assert.equal(recorder.handleFrame(5, { data: 'eA==', sessionId: i }), true);
+      }
+    } finally {
+      Date.now = originalNow;
+    }
+    assert.equal(recorder.status().frameCount, 2);
+    assert.equal(recorder.status().limitReached, true);
+    assert.equal(sent.filter(([, method]) => method === 'Page.stopScreencast').length, 1, 'screencast stopped once at the limit');
+    recorder.addTab({ tabId: 6, debuggerAttached: true, targetInfo: {} });
+    assert.equal(sent.filter(([, method]) => method === 'Page.startScreencast').length, 1, 'no new screencasts once full');
+    recorder.recordAction({ tabId: 5, action: { kind: 'scroll', deltaX: 0, deltaY: 100 } });
+
+    const stopped = await recorder.stop();
+    assert.equal(stopped.actionCount, 1);
+    assert.equal(sent.filter(([, method]) => method === 'Page.stopScreencast').length, 1);
+    const timeline = fs.readFileSync(path.join(stopped.dir, 'timeline.jsonl'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(timeline.filter((entry) => entry.type === 'limit').map((entry) => entry.frameCount), [2]);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(stopped.dir, 'meta.json'), 'utf8')).limitReached, true);
+    assert.match(fs.readFileSync(stopped.player, 'utf8'), /"type":"limit"/);
+  });
+
+  it('requires the master token or the extension origin', async () => {
+    const res = await recordingsRequest('POST', '/recordings/start', {}, { Origin: 'https://evil.example' });
+    assert.equal(res.status, 403);
+    assert.equal(relay.screencastRecorder.status().recording, false);
+
+    // /extension/status gives the id away, so the header on its own proves nothing.
+    relay.extensions.get('default').origin = 'chrome-extension://abcdefghijklmnopabcdefghijklmnop';
+    const idOnly = { 'x-browserforce-extension-id': 'abcdefghijklmnopabcdefghijklmnop' };
+    assert.equal((await recordingsRequest('GET', '/recordings', null, idOnly)).status, 200, 'listing stays open to log readers');
+    assert.equal((await recordingsRequest('POST', '/recordings/start', {}, idOnly)).status, 403);
+    assert.equal(relay.screencastRecorder.status().recording, false);
+
+    const fromPopup = { Origin: 'chrome-extension://abcdefghijklmnopabcdefghijklmnop' };
+    assert.equal((await recordingsRequest('POST', '/recordings/start', {}, fromPopup)).status, 201);
+    assert.equal((await recordingsRequest('POST', '/recordings/stop', null, idOnly)).status, 403);
+    assert.equal(relay.screencastRecorder.status().recording, true);
+    assert.equal((await recordingsRequest('POST', '/recordings/stop', null, fromPopup)).status, 200);
+  });
+});
+
+describe('Managed Downloads', () => {
+  let relay;
+  let port;
+  let ext;
+  let extCommands;
+  let workDir;
+  let policyPath;
+  let originalPolicyEnv;
+
+  function downloadsRequest(headers = { Authorization: `Bearer ${relay.authToken}` }) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ hostname: '127.0.0.1', port, path: '/downloads', method: 'GET', headers }, (res) => {
+        let data = '';
+        res.on('data', (c) => { data += c; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end();
+    });
+  }
+
+  // Chrome writes into the user's Downloads folder; the fake one lives in workDir.
+  function chromeFile(name, content) {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  function entryFor(downloadId) {
+    return relay.downloads.list().find((entry) => entry.url === `https://files.example/${downloadId}`);
+  }
+
+  function sendDownload(method, params) {
+    ext.send(JSON.stringify({ method, params: { tabId: 71, url: `https://files.example/${params.downloadId}`, ...params } }));
+  }
+
+  beforeEach(async () => {
+    fs.rmSync(process.env.BROWSERFORCE_DOWNLOADS_DIR, { recursive: true, force: true });
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bf-chrome-downloads-'));
+    policyPath = path.join(workDir, 'policy.json');
+    originalPolicyEnv = process.env.BROWSERFORCE_POLICY_FILE;
+    process.env.BROWSERFORCE_POLICY_FILE = policyPath;
+
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    extCommands = [];
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      extCommands.push(msg);
+      ext.send(JSON.stringify({ id: msg.id, result: {} }));
+    });
+  });
+
+  afterEach(async () => {
+    ext.close();
+    relay.stop();
+    await sleep(100);
+    process.env.BROWSERFORCE_POLICY_FILE = originalPolicyEnv;
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('moves finished downloads into the session directory and lists them', async () => {
+    const sessionDir = relay.downloads.sessionDir;
+    assert.equal(path.dirname(sessionDir), process.env.BROWSERFORCE_DOWNLOADS_DIR);
+
+    sendDownload('downloadStarted', { downloadId: 1, filename: 'report.csv', mimeType: 'text/csv', totalBytes: 0 });
+    await waitForCondition(() => entryFor(1), { description: 'download tracked' });
+    assert.equal(entryFor(1).state, 'in_progress');
+
+    const chromePath = chromeFile('report.csv', 'a,b\n1,2\n');
+    sendDownload('downloadFinished', { downloadId: 1, path: chromePath, filename: 'report.csv', mimeType: 'text/csv', size: 8 });
+    await waitForCondition(() => entryFor(1).state === 'complete', { description: 'download complete' });
+
+    const done = entryFor(1);
+    assert.equal(done.path, path.join(sessionDir, 'report.csv'));
+    assert.equal(done.size, 8);
+    assert.equal(done.tabId, 71);
+    assert.equal(fs.readFileSync(done.path, 'utf8'), 'a,b\n1,2\n');
+    assert.equal(fs.existsSync(chromePath), false);
+
+    // Same name again: kept side by side.
+    sendDownload('downloadStarted', { downloadId: 2, filename: 'report.csv', totalBytes: 1 });
+    sendDownload('downloadFinished', { downloadId: 2, path: chromeFile('report.csv', 'x'), filename: 'report.csv', size: 1 });
+    await waitForCondition(() => entryFor(2)?.state === 'complete', { description: 'second download complete' });
+    assert.equal(entryFor(2).path, path.join(sessionDir, 'report (2).csv'));
+
+    sendDownload('downloadStarted', { downloadId: 3, filename: 'slow.iso', totalBytes: 0 });
+    sendDownload('downloadFailed', { downloadId: 3, error: 'USER_CANCELED' });
+    await waitForCondition(() => entryFor(3)?.state === 'cancelled', { description: 'cancelled download' });
+    assert.equal(entryFor(3).state, 'cancelled');
+
+    const listed = await downloadsRequest();
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.sessionDir, sessionDir);
+    assert.equal(listed.body.policy, null);
+    assert.deepEqual(listed.body.downloads.map((entry) => entry.state), ['complete', 'complete', 'cancelled']);
+  });
+
+  it('enforces the download policy when a download starts and when it finishes', async () => {
+    fs.writeFileSync(policyPath, JSON.stringify({ downloads: { maxBytes: 100, denyTypes: ['.exe', 'application/x-msdownload'] } }));
+
+    sendDownload('downloadStarted', { downloadId: 5, filename: 'setup.exe', mimeType: 'application/octet-stream', totalBytes: 40 });
+    await waitForCondition(() => extCommands.find((cmd) => cmd.method === 'cancelDownload'), { description: 'blocked download cancelled' });
+    assert.deepEqual(extCommands.find((cmd) => cmd.method === 'cancelDownload').params, { downloadId: 5 });
+    assert.equal(entryFor(5).state, 'blocked');
+    assert.match(entryFor(5).error, /^BLOCKED: download of "setup\.exe" is not allowed: its type matches deny rule "\.exe"/);
+
+    // Chrome finished before the cancel landed: the file is deleted, the entry stays blocked.
+    const racedPath = chromeFile('setup.exe', 'MZ');
+    sendDownload('downloadFinished', { downloadId: 5, path: racedPath, filename: 'setup.exe', size: 2 });
+    await waitForCondition(() => !fs.existsSync(racedPath), { description: 'blocked file removed' });
+    assert.equal(entryFor(5).state, 'blocked');
+
+    // Size unknown at the start; over the limit once finished.
+    sendDownload('downloadStarted', { downloadId: 6, filename: 'big.zip', mimeType: 'application/zip', totalBytes: 0 });
+    await waitForCondition(() => entryFor(6), { description: 'unsized download tracked' });
+    const bigPath = chromeFile('big.zip', 'z'.repeat(150));
+    sendDownload('downloadFinished', { downloadId: 6, path: bigPath, filename: 'big.zip', size: 150 });
+    await waitForCondition(() => entryFor(6).state === 'blocked', { description: 'oversized download blocked' });
+    assert.match(entryFor(6).error, /larger than the 100-byte limit/);
+    assert.equal(fs.existsSync(bigPath), false);
+    assert.equal(extCommands.filter((cmd) => cmd.method === 'cancelDownload').length, 1);
+
+    const listed = await downloadsRequest();
+    assert.deepEqual(listed.body.policy, { maxBytes: 100, allowTypes: [], denyTypes: ['.exe', 'application/x-msdownload'] });
+  });
+
+  it('only touches the file Chrome reported for a download it saw start', async () => {
+    // Never reported as started: the file stays where it is.
+    const strayPath = chromeFile('stray.txt', 'mine');
+    sendDownload('downloadFinished', { downloadId: 20, path: strayPath, filename: 'stray.txt', size: 4 });
+
+    // Started on another tab than the one that finished it.
+    sendDownload('downloadStarted', { downloadId: 21, filename: 'notes.txt', totalBytes: 0 });
+    await waitForCondition(() => entryFor(21), { description: 'download tracked' });
+    const notesPath = chromeFile('notes.txt', 'notes');
+    sendDownload('downloadFinished', { downloadId: 21, tabId: 72, path: notesPath, filename: 'notes.txt', size: 5 });
+
+    // The reported path is a symlink, or has the wrong size.
+    sendDownload('downloadStarted', { downloadId: 22, filename: 'link.txt', totalBytes: 0 });
+    sendDownload('downloadStarted', { downloadId: 23, filename: 'short.txt', totalBytes: 0 });
+    await waitForCondition(() => entryFor(23), { description: 'downloads tracked' });
+    const linkPath = path.join(workDir, 'link.txt');
+    fs.symlinkSync(strayPath, linkPath);
+    sendDownload('downloadFinished', { downloadId: 22, path: linkPath, filename: 'link.txt', size: 4 });
+    const shortPath = chromeFile('short.txt', 'abc');
+    sendDownload('downloadFinished', { downloadId: 23, path: shortPath, filename: 'short.txt', size: 99 });
+
+    await waitForCondition(() => entryFor(22).state === 'failed' && entryFor(23).state === 'failed', { description: 'bad paths refused' });
+    assert.match(entryFor(22).error, /not a regular file/);
+    assert.match(entryFor(23).error, /has 3 bytes, not the reported 99/);
+    assert.equal(entryFor(20), undefined);
+    assert.equal(entryFor(21).state, 'in_progress');
+    for (const filePath of [strayPath, notesPath, linkPath, shortPath]) assert.ok(fs.existsSync(filePath), filePath);
+  });
+
+  it('requires the master token', async () => {
+    assert.equal((await downloadsRequest({ Origin: 'chrome-extension://test' })).status, 401);
+    assert.equal((await downloadsRequest({ Origin: 'https://evil.example', Authorization: `Bearer ${relay.authToken}` })).status, 403);
+  });
+});
+
+describe('Browser Data Routes', () => {
+  let relay;
+  let port;
+  let ext;
+  let extCommands;
+
+  function request(method, reqPath, body = null, headers = { Authorization: `Bearer ${relay.authToken}` }) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ hostname: '127.0.0.1', port, path: reqPath, method, headers }, (res) => {
+        let data = '';
+        res.on('data', (c) => { data += c; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+      });
+      req.on('error', reject);
+      req.end(body === null ? undefined : JSON.stringify(body));
+    });
+  }
+
+  beforeEach(async () => {
+    port = getRandomPort();
+    relay = new RelayServer(port);
+    relay.start({ writeCdpUrl: false });
+    await sleep(150);
+    extCommands = [];
+    ext = await connectWs(`ws://127.0.0.1:${port}/extension`, {
+      headers: { Origin: 'chrome-extension://test' },
+    });
+    ext.on('message', (data) => {
+      const msg = JSON.parse(data.toString());
+      if (msg.method === 'ping') { ext.send(JSON.stringify({ method: 'pong' })); return; }
+      if (msg.id === undefined) return;
+      extCommands.push(msg);
+      if (msg.method === 'listBookmarks') {
+        ext.send(JSON.stringify({ id: msg.id, error: 'BLOCKED: reading bookmarks is turned off.' }));
+        return;
+      }
+      if (msg.method === 'listTabGroups') {
+        ext.send(JSON.stringify({ id: msg.id, error: 'No tab with id: 12.' }));
+        return;
+      }
+      ext.send(JSON.stringify({ id: msg.id, result: { method: msg.method } }));
+    });
+    await sleep(50);
+  });
+
+  afterEach(async () => {
+    ext.close();
+    relay.stop();
+    await sleep(100);
+  });
+
+  it('forwards history searches and tab group changes to the extension', async () => {
+    const history = await request('GET', '/history?text=pull%20request&since=2d&maxResults=20');
+    assert.equal(history.status, 200);
+    assert.deepEqual(history.body, { method: 'searchHistory' });
+
+    const changed = await request('POST', '/tab-groups', { action: 'group', tabIds: [4, 5], title: 'Research' });
+    assert.equal(changed.status, 200);
+    assert.deepEqual(extCommands.map((msg) => [msg.method, msg.params]), [
+      ['searchHistory', { text: 'pull request', since: '2d', maxResults: '20' }],
+      ['changeTabGroups', { action: 'group', tabIds: [4, 5], title: 'Research' }],
+    ]);
+  });
+
+  it('turns extension refusals into 403s and extension failures into 502s', async () => {
+    const bookmarks = await request('GET', '/bookmarks');
+    assert.equal(bookmarks.status, 403);
+    assert.match(bookmarks.body.error, /^BLOCKED: reading bookmarks is turned off/);
+    const groups = await request('GET', '/tab-groups');
+    assert.equal(groups.status, 502);
+    assert.equal(groups.body.error, 'No tab with id: 12.');
+  });
+
+  it('requires the master token', async () => {
+    assert.equal((await request('GET', '/history', null, { Origin: 'chrome-extension://test' })).status, 401);
+    assert.equal((await request('GET', '/tab-groups', null, { Origin: 'https://evil.example', Authorization: `Bearer ${relay.authToken}` })).status, 403);
+    assert.equal(extCommands.length, 0);
+  });
+});
+
 describe('Target.createTarget restrictions guard', () => {
   let relay;
   let port;
@@ -3739,6 +6602,38 @@ describe('CDP Explicit Session Handshake (newCDPSession alias)', () => {
     assert.ok(!relay.aliasSessions.has(alias), 'client disconnect must drop its un-detached aliases');
   });
 
+  it('reports dialog outcomes only on the client\'s own sessions for that page', async () => {
+    const cdp = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    const other = await connectWs(`ws://127.0.0.1:${port}/cdp?token=${relay.authToken}`);
+    try {
+      const rb = await sendAndReceive(cdp, { id: 1, method: 'Target.attachToBrowserTarget' });
+      const ra = await sendAndReceive(cdp, {
+        id: 2,
+        method: 'Target.attachToTarget',
+        params: { targetId: 'TARGET-PRIMARY', flatten: true },
+        sessionId: rb.result.sessionId,
+      });
+      const otherMessages = [];
+      other.on('message', (data) => otherMessages.push(JSON.parse(data.toString())));
+
+      const event = readMessage(cdp);
+      relay._handleExtMessage({
+        method: 'dialogHandled',
+        params: { tabId: 4242, outcome: 'dismissed', note: 'dismissed confirm("Delete item?")', url: 'https://app.test/' },
+      });
+      assert.deepEqual(await event, {
+        method: 'BrowserForce.dialogHandled',
+        params: { note: 'dismissed confirm("Delete item?")', url: 'https://app.test/' },
+        sessionId: ra.result.sessionId,
+      });
+      await sleep(50);
+      assert.deepEqual(otherMessages, [], 'clients without a session for the page hear nothing');
+    } finally {
+      cdp.close();
+      other.close();
+    }
+  });
+
   it('drops aliases when their primary target detaches (_handleTabDetached)', () => {
     relay.aliasSessions.set('bf-alias-detach', { primarySessionId: 'bf-session-1', clientId: 'cli-x' });
     relay.aliasSessions.set('bf-alias-other', { primarySessionId: 'bf-session-OTHER', clientId: 'cli-x' });
@@ -0,0 +1,221 @@
+const fs = require('node:fs');
+const { WebSocket } = require('ws');
+
+// Replay "fake extension" for offline relay tests.
+//
+// Loads a fixture written by the relay's extension recorder
+// (BROWSERFORCE_RECORD_EXTENSION_FILE, see relay/src/extension-recorder.js)
+// and answers the relay from it:
+//
+//   - from-extension events recorded before the first relay command are sent
+//     right after connecting (manualTabAttached replays, early cdpEvents);
+//   - each relay command is matched to the first unconsumed recorded command
+//     with the same payload (falling back to the same method / CDP method /
+//     tab), then the recorded reply is sent with the live id, surrounded by
+//     the events that followed the recorded command;
+//   - cdpBatch messages are split into their cdpCommands, both in the fixture
+//     and live, so a recording replays whichever way the relay groups the
+//     same commands (see relay/src/cdp-batch.js);
+//   - keepalive pings are answered with pong, as the real extension does.
+//
+// Commands with no recorded counterpart get an error reply and are collected
+// in `unmatched`, so a test can assert the relay did not drift from the
+// recorded session.
+
+function loadExtensionFixture(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function strictKey(message) {
+  return stableStringify({ method: message.method, params: message.params || {} });
+}
+
+function looseKey(message) {
+  const params = message.params || {};
+  if (message.method === 'cdpCommand') {
+    return stableStringify({
+      method: message.method,
+      cdpMethod: params.method,
+      tabId: params.tabId,
+      childSessionId: params.childSessionId,
+    });
+  }
+  return stableStringify({ method: message.method, tabId: params.tabId });
+}
+
+/**
+ * Split a recording into a prelude (events before the first command) and one
+ * step per recorded command: { request, reply, events }.
+ */
+function buildReplaySteps(entries) {
+  const prelude = [];
+  const steps = [];
+  const stepsByRecordedId = new Map();
+  const batchesByRecordedId = new Map();
+  let current = null;
+
+  for (const { direction, message } of entries) {
+    if (direction === 'to-extension') {
+      if (message.id === undefined) continue;
+      if (message.method === 'cdpBatch') {
+        const { tabId, commands = [] } = message.params || {};
+        const group = commands.map((command) => ({
+          request: { id: message.id, method: 'cdpCommand', params: { tabId, ...command } },
+          reply: null,
+          events: [],
+          replyIndex: -1,
+        }));
+        if (group.length === 0) continue;
+        steps.push(...group);
+        batchesByRecordedId.set(message.id, group);
+        current = group[group.length - 1];
+        continue;
+      }
+      current = { request: message, reply: null, events: [], replyIndex: -1 };
+      steps.push(current);
+      stepsByRecordedId.set(message.id, current);
+      continue;
+    }
+    if (direction !== 'from-extension') continue;
+
+    const batch = message.id !== undefined ? batchesByRecordedId.get(message.id) : null;
+    if (batch) {
+      const results = message.result?.results || [];
+      batch.forEach((step, i) => {
+        const outcome = results[i] || {};
+        step.reply = outcome.error !== undefined
+          ? { id: message.id, error: outcome.error }
+          : { id: message.id, result: outcome.result };
+      });
+      continue;
+    }
+    const owner = message.id !== undefined ? stepsByRecordedId.get(message.id) : null;
+    if (owner) {
+      owner.reply = message;
+      // Keep the reply's position when it arrived inside its own step.
+      if (owner === current) owner.replyIndex = owner.events.length;
+      continue;
+    }
+    if (current) current.events.push(message);
+    else prelude.push(message);
+  }
+
+  return { prelude, steps };
+}
+
+/**
+ * Connect a replaying fake extension to a relay.
+ *
+ * @param {{ url: string, fixture: string | object[], origin?: string }} options
+ */
+function connectReplayExtension({ url, fixture, origin = 'chrome-extension://replay' }) {
+  const entries = typeof fixture === 'string' ? loadExtensionFixture(fixture) : fixture;
+  const { prelude, steps } = buildReplaySteps(entries);
+  const consumed = new Set();
+  const unmatched = [];
+  const answered = [];
+
+  const ws = new WebSocket(url, { headers: { Origin: origin } });
+  const send = (message) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+  };
+
+  function findStep(message) {
+    for (const keyOf of [strictKey, looseKey]) {
+      const key = keyOf(message);
+      const index = steps.findIndex((step, i) => !consumed.has(i) && keyOf(step.request) === key);
+      if (index !== -1) return index;
+    }
+    return -1;
+  }
+
+  function answerBatch(message) {
+    const { tabId, commands = [] } = message.params || {};
+    const results = commands.map((command) => {
+      const single = { id: message.id, method: 'cdpCommand', params: { tabId, ...command } };
+      const index = findStep(single);
+      if (index === -1) {
+        unmatched.push(single);
+        return { error: `Replay fixture has no recorded response for cdpCommand ${command.method}` };
+      }
+      consumed.add(index);
+      answered.push(single);
+      const step = steps[index];
+      step.events.forEach((event) => send(event));
+      return step.reply?.error !== undefined ? { error: step.reply.error } : { result: step.reply?.result };
+    });
+    send({ id: message.id, result: { results } });
+  }
+
+  function answer(message) {
+    if (message.method === 'cdpBatch') {
+      answerBatch(message);
+      return;
+    }
+    const index = findStep(message);
+    if (index === -1) {
+      unmatched.push(message);
+      const what = message.method === 'cdpCommand' ? `cdpCommand ${message.params?.method}` : message.method;
+      send({ id: message.id, error: `Replay fixture has no recorded response for ${what}` });
+      return;
+    }
+    consumed.add(index);
+    answered.push(message);
+    const step = steps[index];
+    const reply = step.reply ? { ...step.reply, id: message.id } : null;
+    step.events.forEach((event, i) => {
+      if (reply && i === step.replyIndex) send(reply);
+      send(event);
+    });
+    // Reply recorded after its trailing events (or after later commands).
+    if (reply && (step.replyIndex === -1 || step.replyIndex >= step.events.length)) send(reply);
+  }
+
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    if (message.method === 'ping') {
+      send({ method: 'pong' });
+      return;
+    }
+    if (message.id !== undefined) answer(message);
+  });
+
+  return new Promise((resolve, reject) => {
+    ws.once('error', reject);
+    ws.once('open', () => {
+      for (const event of prelude) send(event);
+      resolve({
+        ws,
+        unmatched,
+        answered,
+        /** Recorded commands the relay has not (yet) re-issued. */
+        remaining() {
+          return steps.filter((_step, i) => !consumed.has(i)).map((step) => step.request);
+        },
+        close() {
+          ws.close();
+        },
+      });
+    });
+  });
+}
+
+module.exports = {
+  buildReplaySteps,
+  connectReplayExtension,
+  loadExtensionFixture,
+};
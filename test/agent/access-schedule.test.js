@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildAccessExpiredError,
+  evaluateAccess,
+  normalizeAccessSchedule,
+} from '../../extension/access-schedule.js';
+
+// Local-time timestamps: 2026-01-05 is a Monday.
+const at = (day, hour, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+const WEEKDAYS_9_TO_6 = {
+  enabled: true,
+  hours: Object.fromEntries(['mon', 'tue', 'wed', 'thu', 'fri'].map((day) => [day, { start: '09:00', end: '18:00' }])),
+  maxSessionMinutes: 0,
+};
+
+test('normalizeAccessSchedule drops malformed windows and session limits', () => {
+  assert.deepEqual(normalizeAccessSchedule({
+    enabled: true,
+    hours: { mon: { start: '09:00', end: '17:30' }, tue: { start: '18:00', end: '09:00' }, xyz: { start: '09:00', end: '10:00' }, wed: { start: '9am' } },
+    maxSessionMinutes: -5,
+  }), { enabled: true, hours: { mon: { start: '09:00', end: '17:30' } }, maxSessionMinutes: 0 });
+  assert.deepEqual(normalizeAccessSchedule(undefined), { enabled: false, hours: {}, maxSessionMinutes: 0 });
+});
+
+test('without a schedule or grant access is unlimited', () => {
+  assert.deepEqual(evaluateAccess({ schedule: null, now: at(5, 3) }), { allowed: true, endsAt: null, limit: null });
+  assert.equal(evaluateAccess({ schedule: { ...WEEKDAYS_9_TO_6, enabled: false }, now: at(10, 3) }).allowed, true);
+});
+
+test('scheduled hours allow access inside the window and say when it ends', () => {
+  assert.deepEqual(evaluateAccess({ schedule: WEEKDAYS_9_TO_6, now: at(5, 10) }), { allowed: true, endsAt: at(5, 18), limit: 'hours' });
+});
+
+test('outside scheduled hours access is expired until the next window', () => {
+  const evening = evaluateAccess({ schedule: WEEKDAYS_9_TO_6, now: at(5, 18, 30) });
+  assert.equal(evening.allowed, false);
+  assert.equal(evening.reason, 'outside_hours');
+  assert.equal(evening.expiredAt, at(5, 18));
+  assert.equal(evening.resumesAt, at(6, 9));
+  assert.match(evening.message, /^BLOCKED: ACCESS_EXPIRED — /);
+
+  // Friday evening resumes on Monday; a weekend day has no window at all.
+  assert.equal(evaluateAccess({ schedule: WEEKDAYS_9_TO_6, now: at(9, 19) }).resumesAt, at(12, 9));
+  assert.equal(evaluateAccess({ schedule: WEEKDAYS_9_TO_6, now: at(10, 12) }).reason, 'outside_hours');
+});
+
+test('a session past its maximum length is expired until the user renews it', () => {
+  const schedule = { ...WEEKDAYS_9_TO_6, maxSessionMinutes: 60 };
+  assert.deepEqual(
+    evaluateAccess({ schedule, session: { startedAt: at(5, 10) }, now: at(5, 10, 30) }),
+    { allowed: true, endsAt: at(5, 11), limit: 'session' },
+  );
+  const over = evaluateAccess({ schedule, session: { startedAt: at(5, 10) }, now: at(5, 11) });
+  assert.equal(over.reason, 'session_limit');
+  assert.equal(over.resumesAt, null);
+  // Near the end of the day the window closes first.
+  assert.equal(evaluateAccess({ schedule, session: { startedAt: at(5, 17, 30) }, now: at(5, 17, 45) }).limit, 'hours');
+});
+
+test('the session limit applies without scheduled hours', () => {
+  const schedule = { enabled: false, hours: {}, maxSessionMinutes: 1 };
+  assert.deepEqual(evaluateAccess({ schedule, now: at(10, 3) }), { allowed: true, endsAt: null, limit: null }, 'no session yet');
+  assert.deepEqual(
+    evaluateAccess({ schedule, session: { startedAt: at(10, 3) }, now: at(10, 3) + 30_000 }),
+    { allowed: true, endsAt: at(10, 3, 1), limit: 'session' },
+  );
+  const over = evaluateAccess({ schedule, session: { startedAt: at(10, 3) }, now: at(10, 3, 1) });
+  assert.equal(over.allowed, false);
+  assert.equal(over.reason, 'session_limit');
+  assert.equal(over.expiredAt, at(10, 3, 1));
+});
+
+test('a popup grant replaces the schedule and stays expired once it ends', () => {
+  const grant = { grantedAt: at(10, 12), until: at(10, 12, 30) };
+  assert.deepEqual(evaluateAccess({ schedule: WEEKDAYS_9_TO_6, grant, now: at(10, 12, 10) }), { allowed: true, endsAt: grant.until, limit: 'grant' });
+  const ended = evaluateAccess({ schedule: null, grant, now: at(10, 12, 31) });
+  assert.equal(ended.reason, 'grant_ended');
+  assert.equal(ended.expiredAt, grant.until);
+  assert.equal(ended.resumesAt, null);
+});
+
+test('the expired error tells the agent when access resumes or who can restore it', () => {
+  assert.match(buildAccessExpiredError('outside_hours', at(6, 9)), /Access resumes Tue 09:00\./);
+  assert.match(buildAccessExpiredError('grant_ended'), /Only the user can grant more time/);
+});
@@ -0,0 +1,76 @@
+import fs from 'node:fs';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildHoldExpiredError,
+  describeHeldCommand,
+  isMutatingCommand,
+  normalizeControlMode,
+} from '../../extension/agent-control.js';
+
+const background = fs.readFileSync(new URL('../../extension/background.js', import.meta.url), 'utf8');
+
+test('normalizeControlMode falls back to run', () => {
+  assert.equal(normalizeControlMode('step'), 'step');
+  assert.equal(normalizeControlMode('pause'), 'pause');
+  assert.equal(normalizeControlMode('bogus'), 'run');
+  assert.equal(normalizeControlMode(undefined), 'run');
+});
+
+test('commands that start a click, key press, typing or navigation are held', () => {
+  assert.equal(isMutatingCommand('Input.dispatchMouseEvent', { type: 'mousePressed' }), true);
+  assert.equal(isMutatingCommand('Input.dispatchMouseEvent', { type: 'mouseWheel' }), true);
+  assert.equal(isMutatingCommand('Input.dispatchKeyEvent', { type: 'keyDown', key: 'a' }), true);
+  assert.equal(isMutatingCommand('Input.insertText', { text: 'hi' }), true);
+  assert.equal(isMutatingCommand('Page.navigate', { url: 'https://example.com' }), true);
+  assert.equal(isMutatingCommand('DOM.setFileInputFiles', { files: [] }), true);
+  assert.equal(isMutatingCommand('createTab', {}), true);
+  assert.equal(isMutatingCommand('closeTab', {}), true);
+});
+
+test('reads and the tail of an already-released action keep flowing', () => {
+  assert.equal(isMutatingCommand('Input.dispatchMouseEvent', { type: 'mouseMoved' }), false);
+  assert.equal(isMutatingCommand('Input.dispatchMouseEvent', { type: 'mouseReleased' }), false);
+  assert.equal(isMutatingCommand('Input.dispatchKeyEvent', { type: 'keyUp' }), false);
+  assert.equal(isMutatingCommand('Input.dispatchKeyEvent', { type: 'char', text: 'a' }), false);
+  for (const method of ['Accessibility.getFullAXTree', 'DOM.getDocument', 'Runtime.evaluate', 'Page.captureScreenshot']) {
+    assert.equal(isMutatingCommand(method, {}), false, method);
+  }
+});
+
+test('held commands are described with their target', () => {
+  assert.equal(
+    describeHeldCommand('Input.dispatchMouseEvent', { type: 'mousePressed', x: 10.4, y: 20.6 }, { tag: 'BUTTON', text: 'Save changes' }),
+    'Click at (10, 21) on button "Save changes"',
+  );
+  assert.equal(describeHeldCommand('Page.navigate', { url: 'https://example.com/a' }), 'Navigate to https://example.com/a');
+  assert.equal(
+    describeHeldCommand('Input.insertText', { text: 'hello' }, { tag: 'INPUT', type: 'text', label: 'Search' }),
+    'Type "hello" on input "Search"',
+  );
+  assert.equal(describeHeldCommand('createTab', { url: 'about:blank' }), 'Open a new tab');
+  assert.equal(
+    describeHeldCommand('Input.dispatchMouseEvent', { type: 'mousePressed', x: 1, y: 2 }, { tag: 'IFRAME', crossOriginFrame: true }),
+    'Click at (1, 2) in an embedded frame',
+  );
+});
+
+test('typing into a password field is described without the text', () => {
+  const field = { tag: 'INPUT', type: 'password', name: 'pw' };
+  const typed = describeHeldCommand('Input.insertText', { text: 'hunter2' }, field);
+  assert.equal(typed, 'Type 7 characters on input "pw"');
+  const pressed = describeHeldCommand('Input.dispatchKeyEvent', { type: 'keyDown', key: 'h', text: 'h' }, field);
+  assert.doesNotMatch(pressed, /"h"/);
+});
+
+test('an unreleased hold tells the agent to wait rather than retry', () => {
+  const message = buildHoldExpiredError('Navigate to https://example.com', 9);
+  assert.match(message, /^BLOCKED: Navigate to https:\/\/example\.com/);
+  assert.match(message, /within 9 minutes/);
+  assert.match(message, /Do not retry in a loop/);
+});
+
+test('a held command joins the queue before it awaits anything', () => {
+  const body = background.slice(background.indexOf('async function holdIfPaused('));
+  assert.ok(body.indexOf('heldCommands.set(id, held)') < body.indexOf('await '), 'queued in arrival order');
+});
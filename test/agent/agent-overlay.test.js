@@ -0,0 +1,309 @@
+import fs from 'node:fs';
+import vm from 'node:vm';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  AGENT_OVERLAY_SOURCE,
+  OVERLAY_BINDING_NAME,
+  OVERLAY_WORLD_NAME,
+  buildOverlayUpdateExpression,
+  createAgentOverlayController,
+  describeOverlayAction,
+  hidesAgentOverlay,
+  parseOverlayAction,
+} from '../../extension/agent-overlay.js';
+
+const background = fs.readFileSync(new URL('../../extension/background.js', import.meta.url), 'utf8');
+const popupHtml = fs.readFileSync(new URL('../../extension/popup.html', import.meta.url), 'utf8');
+const popupJs = fs.readFileSync(new URL('../../extension/popup.js', import.meta.url), 'utf8');
+const packageJson = JSON.parse(fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8'));
+
+function createCommandRecorder({ onCommand } = {}) {
+  const calls = [];
+  const sendCommand = async (tabId, method, params) => {
+    calls.push({ tabId, method, params });
+    const result = onCommand?.({ tabId, method, params });
+    if (result) return result;
+    if (method === 'Page.addScriptToEvaluateOnNewDocument') return { identifier: `overlay-script-${tabId}` };
+    if (method === 'Page.getFrameTree') return { frameTree: { frame: { id: `frame-${tabId}` } } };
+    if (method === 'Page.createIsolatedWorld') return { executionContextId: 40 + tabId };
+    return {};
+  };
+  return { calls, sendCommand };
+}
+
+function createFakeOverlayRuntime() {
+  function makeElement(tagName) {
+    return {
+      tagName: tagName.toUpperCase(),
+      parentNode: null,
+      style: {},
+      attributes: new Map(),
+      setAttribute(name, value) {
+        this.attributes.set(name, String(value));
+      },
+      remove() {
+        if (this.parentNode) this.parentNode.children = this.parentNode.children.filter((child) => child !== this);
+        this.parentNode = null;
+      },
+      get isConnected() {
+        return this.parentNode !== null;
+      },
+    };
+  }
+
+  function makeButton(action) {
+    return { dataset: { action }, textContent: '', closest: (selector) => (selector.startsWith('button') ? buttons[action] : null) };
+  }
+
+  const buttons = { pause: makeButton('pause'), stop: makeButton('stop'), detach: makeButton('detach') };
+  const parts = {
+    '.bar': { classList: { paused: false, toggle(name, on) { this[name] = on; } } },
+    '.who': { textContent: '' },
+    '.what': { textContent: '' },
+    '[data-action="pause"]': buttons.pause,
+  };
+  const shadow = { mode: null, listeners: {}, innerHTML: '' };
+  shadow.querySelector = (selector) => parts[selector];
+  shadow.addEventListener = (type, listener) => {
+    shadow.listeners[type] = listener;
+  };
+
+  const documentElement = makeElement('html');
+  documentElement.children = [];
+  documentElement.appendChild = (child) => {
+    child.parentNode = documentElement;
+    documentElement.children.push(child);
+    return child;
+  };
+  const document = {
+    documentElement,
+    createElement: (tagName) => {
+      const element = makeElement(tagName);
+      element.attachShadow = ({ mode }) => {
+        shadow.mode = mode;
+        return shadow;
+      };
+      return element;
+    },
+    addEventListener: () => {},
+  };
+
+  const timers = [];
+  const bindingCalls = [];
+  const context = {
+    document,
+    setTimeout: (callback) => {
+      const timer = { callback, cleared: false };
+      timers.push(timer);
+      return timers.length;
+    },
+    clearTimeout: (id) => {
+      if (timers[id - 1]) timers[id - 1].cleared = true;
+    },
+    [OVERLAY_BINDING_NAME]: (payload) => bindingCalls.push(payload),
+  };
+  context.globalThis = context;
+  context.window = context;
+  context.window.top = context;
+
+  vm.runInNewContext(AGENT_OVERLAY_SOURCE, context);
+
+  return {
+    context,
+    document,
+    shadow,
+    parts,
+    buttons,
+    bindingCalls,
+    click(action, { isTrusted = true, detail = 1 } = {}) {
+      shadow.listeners.click({ target: buttons[action], isTrusted, detail });
+    },
+    runTimers() {
+      for (const timer of timers.filter((candidate) => !candidate.cleared)) {
+        timer.cleared = true;
+        timer.callback();
+      }
+    },
+  };
+}
+
+test('describes the current action without ever showing typed text', () => {
+  assert.equal(describeOverlayAction('Input.insertText', { text: 'hunter22' }), 'Typing');
+  assert.equal(describeOverlayAction('Input.dispatchKeyEvent', { type: 'keyDown', key: 'a', text: 'a' }), 'Typing');
+  assert.equal(describeOverlayAction('Input.imeSetComposition', { text: 'secret' }), 'Typing');
+  assert.doesNotMatch(describeOverlayAction('Input.dispatchKeyEvent', { type: 'keyDown', key: 'Enter' }), /Typing/);
+  assert.match(describeOverlayAction('Page.navigate', { url: 'https://example.com/' }), /example\.com/);
+});
+
+test('accepts only known banner actions from binding payloads', () => {
+  assert.equal(parseOverlayAction('{"action":"pause"}'), 'pause');
+  assert.equal(parseOverlayAction('{"action":"detach"}'), 'detach');
+  assert.equal(parseOverlayAction('{"action":"eval"}'), null);
+  assert.equal(parseOverlayAction('not json'), null);
+  assert.equal(parseOverlayAction(undefined), null);
+});
+
+test('banner stays out of the accessibility tree and page scripts', () => {
+  const runtime = createFakeOverlayRuntime();
+  const [host] = runtime.document.documentElement.children;
+
+  assert.equal(host.attributes.get('aria-hidden'), 'true');
+  assert.equal(runtime.shadow.mode, 'closed');
+  assert.match(AGENT_OVERLAY_SOURCE, /window !== window\.top/);
+});
+
+test('banner renders the label, action and pause state', () => {
+  const runtime = createFakeOverlayRuntime();
+  vm.runInNewContext(buildOverlayUpdateExpression({ label: 'research-bot', action: 'Click at (10, 20)' }), runtime.context);
+
+  assert.equal(runtime.parts['.who'].textContent, 'research-bot is controlling this tab');
+  assert.equal(runtime.parts['.what'].textContent, 'Click at (10, 20)');
+  assert.equal(runtime.buttons.pause.textContent, 'Pause');
+
+  vm.runInNewContext(buildOverlayUpdateExpression({ paused: true }), runtime.context);
+  assert.match(runtime.parts['.what'].textContent, /Paused/);
+  assert.equal(runtime.buttons.pause.textContent, 'Resume');
+  assert.equal(runtime.parts['.bar'].classList.paused, true);
+});
+
+test('banner buttons call the binding only for trusted clicks', () => {
+  const runtime = createFakeOverlayRuntime();
+
+  runtime.click('stop', { isTrusted: false });
+  runtime.click('stop', { detail: 0 });
+  assert.deepEqual(runtime.bindingCalls, [], 'synthetic and keyboard-activated clicks are ignored');
+  assert.match(AGENT_OVERLAY_SOURCE, /tabindex="-1" data-action="stop"/);
+
+  runtime.click('pause');
+  vm.runInNewContext(buildOverlayUpdateExpression({ paused: true }), runtime.context);
+  runtime.click('pause');
+  runtime.click('detach');
+  assert.deepEqual(runtime.bindingCalls.map((payload) => JSON.parse(payload).action), ['pause', 'resume', 'detach']);
+});
+
+test('banner removes itself when the extension stops answering', () => {
+  const runtime = createFakeOverlayRuntime();
+  runtime.click('pause');
+  runtime.runTimers();
+  assert.equal(runtime.document.documentElement.children.length, 0);
+
+  const orphaned = createFakeOverlayRuntime();
+  delete orphaned.context[OVERLAY_BINDING_NAME];
+  orphaned.click('stop');
+  assert.equal(orphaned.document.documentElement.children.length, 0);
+});
+
+test('banner hides while the agent clicks or captures the page', async (t) => {
+  assert.equal(hidesAgentOverlay('Input.dispatchMouseEvent'), true);
+  assert.equal(hidesAgentOverlay('Page.captureScreenshot'), true);
+  assert.equal(hidesAgentOverlay('Input.insertText'), false);
+
+  const runtime = createFakeOverlayRuntime();
+  const [host] = runtime.document.documentElement.children;
+  vm.runInNewContext(buildOverlayUpdateExpression({ hidden: true }), runtime.context);
+  assert.equal(host.style.visibility, 'hidden');
+
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const recorder = createCommandRecorder();
+  const controller = createAgentOverlayController({ isEnabled: () => true, sendCommand: recorder.sendCommand });
+  await controller.show(2);
+  recorder.calls.length = 0;
+
+  const order = [];
+  const press = controller.whileHidden(2, async () => order.push(recorder.calls.at(-1)?.params.expression));
+  const release = controller.whileHidden(2, async () => 'released');
+  assert.equal(await release, 'released');
+  await press;
+  assert.match(order[0], /"hidden":true/, 'the banner is hidden before the command runs');
+  assert.equal(recorder.calls.length, 1, 'back-to-back commands share one hide');
+
+  t.mock.timers.tick(400);
+  await controller.update(2, {});
+  assert.match(recorder.calls.at(-1).params.expression, /"hidden":false/);
+  assert.equal(await controller.whileHidden(9, async () => 'untouched'), 'untouched');
+});
+
+test('controller installs the banner in its own world and coalesces updates', async () => {
+  const recorder = createCommandRecorder();
+  const controller = createAgentOverlayController({ isEnabled: () => true, sendCommand: recorder.sendCommand });
+
+  const first = controller.show(3, { paused: false });
+  void controller.update(3, { label: 'bot', action: 'Click at (1, 2)' });
+  void controller.update(3, { action: 'Navigate to https://example.com/' });
+  assert.equal(await first, true);
+
+  const methods = recorder.calls.map((call) => call.method);
+  assert.deepEqual(methods.slice(0, 4), ['Runtime.addBinding', 'Page.addScriptToEvaluateOnNewDocument', 'Page.getFrameTree', 'Page.createIsolatedWorld']);
+  assert.deepEqual(recorder.calls[0].params, { name: OVERLAY_BINDING_NAME, executionContextName: OVERLAY_WORLD_NAME });
+  assert.equal(recorder.calls[1].params.worldName, OVERLAY_WORLD_NAME);
+  const evaluations = recorder.calls.filter((call) => call.method === 'Runtime.evaluate');
+  assert.equal(evaluations.length, 2, 'two queued updates collapse into one render');
+  assert.ok(evaluations.every((call) => call.params.contextId === 43));
+  assert.match(evaluations[1].params.expression, /"label":"bot"/);
+  assert.match(evaluations[1].params.expression, /Navigate to https:\/\/example\.com\//);
+});
+
+test('controller finds the new world after a navigation', async () => {
+  let contextId = 40;
+  let stale = false;
+  const recorder = createCommandRecorder({
+    onCommand: ({ method, params }) => {
+      if (method === 'Page.createIsolatedWorld') return { executionContextId: ++contextId };
+      if (method === 'Runtime.evaluate' && stale && params.contextId === 41) throw new Error('Cannot find context with specified id');
+      return null;
+    },
+  });
+  const controller = createAgentOverlayController({ isEnabled: () => true, sendCommand: recorder.sendCommand });
+  await controller.show(1);
+  stale = true;
+  await controller.update(1, { action: 'Click at (5, 5)' });
+
+  const scripts = recorder.calls.filter((call) => call.method === 'Page.addScriptToEvaluateOnNewDocument');
+  assert.equal(scripts.length, 1, 'the new-document script is registered once');
+  const last = recorder.calls.at(-1);
+  assert.equal(last.method, 'Runtime.evaluate');
+  assert.equal(last.params.contextId, 42);
+  assert.ok(last.params.expression.startsWith(AGENT_OVERLAY_SOURCE));
+});
+
+test('controller respects the setting, restores its binding and cleans up on hide', async () => {
+  let enabled = false;
+  const recorder = createCommandRecorder();
+  const controller = createAgentOverlayController({ isEnabled: () => enabled, sendCommand: recorder.sendCommand });
+
+  assert.equal(await controller.show(5), false);
+  assert.equal(await controller.update(5, { action: 'x' }), false);
+  assert.deepEqual(recorder.calls, []);
+
+  enabled = true;
+  await controller.show(5);
+  await controller.restoreBinding(5);
+  assert.equal(recorder.calls.filter((call) => call.method === 'Runtime.addBinding').length, 2);
+
+  recorder.calls.length = 0;
+  assert.equal(await controller.hide(5), true);
+  assert.deepEqual(recorder.calls.map((call) => call.method).sort(), [
+    'Page.removeScriptToEvaluateOnNewDocument',
+    'Runtime.evaluate',
+    'Runtime.removeBinding',
+  ]);
+  assert.deepEqual(controller.tabIds(), []);
+  assert.equal(await controller.hide(5), false);
+});
+
+test('extension wiring keeps banner clicks local and defaults the setting on', () => {
+  assert.match(background, /method === 'Runtime\.bindingCalled' && params\?\.name === OVERLAY_BINDING_NAME/);
+  assert.ok(
+    background.indexOf("method === 'Runtime.bindingCalled'") < background.indexOf('if (!ws || ws.readyState !== WebSocket.OPEN) return;\n\n  const entry'),
+    'banner clicks are handled before the relay connection check',
+  );
+  assert.match(background, /case 'stop':\s*return engageKillSwitch\(\);/);
+  assert.match(background, /hidesAgentOverlay\(method\) \? await agentOverlayController\.whileHidden\(tabId, send\)/);
+  assert.match(background, /reason: 'detached_by_user'/);
+  assert.match(background, /isAgentOverlayEnabled = stored\.agentOverlayEnabled !== false/);
+  assert.match(popupHtml, /id="bf-agent-overlay"/);
+  assert.match(popupJs, /agentOverlayCb\.checked = s\.agentOverlayEnabled !== false/);
+  assert.match(packageJson.scripts.test, /test\/agent\/agent-overlay\.test\.js/);
+});
@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildApprovalDeniedError,
+  classifyClick,
+  classifyKeyInput,
+  isRelayHousekeepingClose,
+  isSensitiveField,
+  normalizeApprovalClasses,
+} from '../../extension/approval-gate.js';
+
+const ALL = ['form-submit', 'sensitive-click', 'sensitive-typing', 'close-tab'];
+
+test('normalizeApprovalClasses keeps known classes in a stable order', () => {
+  assert.deepEqual(normalizeApprovalClasses(['close-tab', 'bogus', 'form-submit']), ['form-submit', 'close-tab']);
+  assert.deepEqual(normalizeApprovalClasses(undefined), []);
+});
+
+test('clicking a submit control inside a form is a form submission', () => {
+  const target = { tag: 'BUTTON', type: '', text: 'Save changes', inForm: true, isSubmitControl: true };
+  assert.deepEqual(classifyClick(target, ALL), {
+    actionClass: 'form-submit',
+    description: 'Submit a form by clicking "Save changes"',
+  });
+  assert.equal(classifyClick(target, ['sensitive-click']), null);
+});
+
+test('buttons worded like purchase, delete or send are sensitive clicks', () => {
+  for (const text of ['Buy now', 'Place order', 'Delete repository', 'Send', 'Transfer funds']) {
+    const match = classifyClick({ tag: 'A', text, inForm: false, isSubmitControl: false }, ALL);
+    assert.equal(match?.actionClass, 'sensitive-click', text);
+  }
+  assert.equal(classifyClick({ tag: 'A', text: 'Sender details', inForm: false }, ALL), null);
+  assert.equal(classifyClick({ tag: 'BUTTON', text: 'Next page', inForm: false }, ALL), null);
+  assert.equal(classifyClick({ tag: 'IFRAME', crossOriginFrame: true }, ALL), null);
+});
+
+test('password, card and cross-origin frame fields are sensitive', () => {
+  assert.equal(isSensitiveField({ tag: 'INPUT', type: 'password' }), true);
+  assert.equal(isSensitiveField({ tag: 'INPUT', type: 'text', autocomplete: 'cc-number' }), true);
+  assert.equal(isSensitiveField({ tag: 'INPUT', type: 'text', name: 'cvv' }), true);
+  assert.equal(isSensitiveField({ tag: 'INPUT', type: 'text', label: 'Card number' }), true);
+  assert.equal(isSensitiveField({ tag: 'IFRAME', crossOriginFrame: true }), true);
+  assert.equal(isSensitiveField({ tag: 'INPUT', type: 'text', name: 'q', placeholder: 'Search' }), false);
+  assert.equal(isSensitiveField({ tag: 'DIV', name: 'card' }), false);
+});
+
+test('classifyKeyInput gates Enter in a form and typing into sensitive fields', () => {
+  const emailInForm = { tag: 'INPUT', type: 'email', inForm: true };
+  assert.equal(classifyKeyInput({ key: 'Enter', typesText: true }, emailInForm, ALL).actionClass, 'form-submit');
+  assert.equal(classifyKeyInput({ key: 'Enter', typesText: true }, { tag: 'TEXTAREA', inForm: true }, ALL), null);
+  assert.equal(classifyKeyInput({ key: 'a', typesText: true }, emailInForm, ALL), null);
+
+  const password = { tag: 'INPUT', type: 'password', label: 'Password', inForm: false };
+  assert.deepEqual(classifyKeyInput({ key: 'a', typesText: true }, password, ALL), {
+    actionClass: 'sensitive-typing',
+    description: 'Type into a password field ("Password")',
+  });
+  assert.equal(classifyKeyInput({ key: 'Tab', typesText: false }, password, ALL), null);
+  assert.equal(classifyKeyInput({ key: 'a', typesText: true }, password, ['form-submit']), null);
+});
+
+test('buildApprovalDeniedError carries the user reason or the timeout', () => {
+  assert.equal(
+    buildApprovalDeniedError('Click "Delete"', { reason: 'wrong repo' }),
+    'BLOCKED: Click "Delete" — denied by the user. Their reason: "wrong repo". Do not retry this action; ask the user how to proceed.',
+  );
+  assert.match(buildApprovalDeniedError('Close this tab', { timedOut: true }), /^BLOCKED: Close this tab — the user did not answer/);
+});
+
+test('only the relay\'s own close reasons skip the close-tab approval', () => {
+  assert.equal(isRelayHousekeepingClose('url_policy'), true);
+  assert.equal(isRelayHousekeepingClose('context_disposed'), true);
+  assert.equal(isRelayHousekeepingClose(undefined), false);
+  assert.equal(isRelayHousekeepingClose('cleanup'), false);
+});
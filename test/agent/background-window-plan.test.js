@@ -45,3 +45,7 @@ test('listTabs surfaces agent-created provenance for hydrated tabs', () => {
 test('passive cdpCommands do not bump tabLastActivity', () => {
   assert.match(bg, /if \(!msg\.params\.passive\) tabLastActivity\.set\(msg\.params\.tabId, Date\.now\(\)\)/);
 });
+
+test('createTab treats relay browser-context pages (newWindow) like dedicated mode', () => {
+  assert.match(bg, /dedicatedWindowEnabled: dedicatedWindowEnabled \|\| params\?\.newWindow === true/);
+});
@@ -0,0 +1,154 @@
+import fs from 'node:fs';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildBrowserDataDisabledError,
+  buildHistoryQuery,
+  checkTabGroupChange,
+  flattenBookmarks,
+  normalizeTabGroupChange,
+  parseTimeBound,
+  readBrowserDataSettings,
+  shapeHistoryItem,
+  shapeTabGroup,
+} from '../../extension/browser-data.js';
+
+const background = fs.readFileSync(new URL('../../extension/background.js', import.meta.url), 'utf8');
+const manifest = JSON.parse(fs.readFileSync(new URL('../../extension/manifest.json', import.meta.url), 'utf8'));
+const popupHtml = fs.readFileSync(new URL('../../extension/popup.html', import.meta.url), 'utf8');
+const popupJs = fs.readFileSync(new URL('../../extension/popup.js', import.meta.url), 'utf8');
+
+const NOW = Date.parse('2026-10-18T12:00:00.000Z');
+
+test('every capability is off unless its setting is exactly true', () => {
+  assert.deepEqual(readBrowserDataSettings(undefined), { history: false, bookmarks: false, tabGroups: false });
+  assert.deepEqual(
+    readBrowserDataSettings({ historyAccess: true, bookmarksAccess: 'yes', tabGroupsAccess: true }),
+    { history: true, bookmarks: false, tabGroups: true },
+  );
+});
+
+test('the disabled error names the popup setting', () => {
+  const message = buildBrowserDataDisabledError('history');
+  assert.match(message, /^BLOCKED: reading browser history is turned off/);
+  assert.match(message, /"History" under Browser Data/);
+});
+
+test('time bounds accept dates, epoch milliseconds and durations', () => {
+  assert.equal(parseTimeBound(undefined, NOW), null);
+  assert.equal(parseTimeBound(1700000000000, NOW), 1700000000000);
+  assert.equal(parseTimeBound('1700000000000', NOW), 1700000000000);
+  assert.equal(parseTimeBound('2d', NOW), NOW - 2 * 86_400_000);
+  assert.equal(parseTimeBound('90m', NOW), NOW - 90 * 60_000);
+  assert.equal(parseTimeBound('2026-10-17', NOW), Date.parse('2026-10-17'));
+  assert.throws(() => parseTimeBound('yesterday-ish', NOW), /Invalid time "yesterday-ish"/);
+});
+
+test('history queries default to all history and cap the result count', () => {
+  assert.deepEqual(buildHistoryQuery({}, NOW), { text: '', startTime: 0, endTime: NOW, maxResults: 100 });
+  assert.deepEqual(
+    buildHistoryQuery({ text: 'pull request', since: '1d', maxResults: '5000' }, NOW),
+    { text: 'pull request', startTime: NOW - 86_400_000, endTime: NOW, maxResults: 1000 },
+  );
+  assert.deepEqual(
+    shapeHistoryItem({ id: '9', url: 'https://github.com/acme/app/pull/42', title: 'Fix login', lastVisitTime: NOW, visitCount: 3, typedCount: 0 }),
+    { url: 'https://github.com/acme/app/pull/42', title: 'Fix login', lastVisitTime: '2026-10-18T12:00:00.000Z', visitCount: 3 },
+  );
+});
+
+test('bookmarks are flattened with their folder path and filtered by query', () => {
+  const tree = [{
+    id: '0',
+    title: '',
+    children: [
+      {
+        id: '1',
+        title: 'Bookmarks bar',
+        children: [
+          { id: '5', title: 'Work', children: [{ id: '7', title: 'API docs', url: 'https://docs.example/api', dateAdded: NOW }] },
+          { id: '6', title: 'News', url: 'https://news.example/' },
+        ],
+      },
+      { id: '2', title: 'Other bookmarks', children: [] },
+    ],
+  }];
+  assert.deepEqual(flattenBookmarks(tree), [
+    { id: '7', title: 'API docs', url: 'https://docs.example/api', folder: 'Bookmarks bar/Work', dateAdded: '2026-10-18T12:00:00.000Z' },
+    { id: '6', title: 'News', url: 'https://news.example/', folder: 'Bookmarks bar', dateAdded: null },
+  ]);
+  assert.deepEqual(flattenBookmarks(tree, { query: 'WORK' }).map((b) => b.id), ['7']);
+  assert.deepEqual(flattenBookmarks(tree, { limit: 1 }).map((b) => b.id), ['7']);
+});
+
+test('tab groups list their tabs', () => {
+  const group = { id: 3, windowId: 1, title: 'Research', color: 'blue', collapsed: false };
+  const tabs = [
+    { id: 10, groupId: 3, url: 'https://a.example/', title: 'A' },
+    { id: 11, groupId: -1, url: 'https://b.example/', title: 'B' },
+  ];
+  assert.deepEqual(shapeTabGroup(group, tabs), {
+    groupId: 3,
+    windowId: 1,
+    title: 'Research',
+    color: 'blue',
+    collapsed: false,
+    tabs: [{ tabId: 10, url: 'https://a.example/', title: 'A' }],
+  });
+});
+
+test('tab group changes are validated before they reach Chrome', () => {
+  assert.deepEqual(
+    normalizeTabGroupChange({ action: 'group', tabIds: [4, '5'], title: 'Research', color: 'cyan' }),
+    { action: 'group', tabIds: [4, 5], groupId: null, properties: { title: 'Research', color: 'cyan' } },
+  );
+  assert.deepEqual(normalizeTabGroupChange({ action: 'ungroup', tabIds: 4 }), { action: 'ungroup', tabIds: [4] });
+  assert.deepEqual(
+    normalizeTabGroupChange({ action: 'update', groupId: 3, collapsed: 1 }),
+    { action: 'update', groupId: 3, properties: { collapsed: true } },
+  );
+  assert.throws(() => normalizeTabGroupChange({ action: 'group', tabIds: [] }), /non-empty list of tab ids/);
+  assert.throws(() => normalizeTabGroupChange({ action: 'group', tabIds: [4], color: 'teal' }), /Unknown tab group color "teal"/);
+  assert.throws(() => normalizeTabGroupChange({ action: 'update' }), /needs the groupId/);
+  assert.throws(() => normalizeTabGroupChange({ action: 'close' }), /Unknown tab group action "close"/);
+});
+
+test('tab group changes stay within attached tabs and the agent\'s own groups', () => {
+  const scope = {
+    tabs: [
+      { id: 4, groupId: 1 }, // attached, in the browserforce group
+      { id: 5, groupId: 9 }, // attached, moved into the agent's group
+      { id: 6, groupId: 2 }, // the user's tab in the user's group
+      { id: 7, groupId: -1 }, // the user's ungrouped tab
+    ],
+    attachedTabIds: [4, 5],
+    agentGroupIds: [9],
+  };
+  const check = (params) => checkTabGroupChange(normalizeTabGroupChange(params), scope);
+
+  assert.equal(check({ action: 'group', tabIds: [4], title: 'Research' }), null);
+  assert.equal(check({ action: 'group', tabIds: [4], groupId: 9 }), null);
+  assert.equal(check({ action: 'ungroup', tabIds: [5] }), null);
+  assert.equal(check({ action: 'update', groupId: 9, color: 'red' }), null);
+
+  assert.match(check({ action: 'group', tabIds: [4, 7] }), /^BLOCKED: tab 7 is not attached to BrowserForce/);
+  assert.match(check({ action: 'group', tabIds: [4], groupId: 2 }), /^BLOCKED: tab group 2 was not created by the agent/);
+  assert.match(check({ action: 'ungroup', tabIds: [4] }), /^BLOCKED: tab 4 is not in a group the agent created/, 'the browserforce group is left alone');
+  assert.match(check({ action: 'ungroup', tabIds: [6] }), /^BLOCKED: tab 6 is not in a group the agent created/);
+  assert.match(check({ action: 'update', groupId: 1, collapsed: true }), /^BLOCKED: tab group 1 was not created by the agent/);
+  assert.match(check({ action: 'update', groupId: 9, title: ' BrowserForce ' }), /^BLOCKED: "browserforce" is the title of the group/);
+
+  assert.match(background, /const refusal = checkTabGroupChange\(change, \{/);
+  assert.match(background, /attachedTabs\.has\(tab\.id\) && !agentTabGroups\.has\(tab\.groupId\)/);
+});
+
+test('history and bookmarks are optional permissions behind popup toggles', () => {
+  assert.deepEqual(manifest.optional_permissions, ['history', 'bookmarks', 'downloads']);
+  assert.ok(!manifest.permissions.includes('history'));
+  assert.match(background, /await requireBrowserData\('history'\)/);
+  assert.match(background, /await requireBrowserData\('bookmarks'\)/);
+  assert.match(background, /browserData: readBrowserDataSettings\(s\)/);
+  assert.match(popupHtml, /data-capability="history" disabled/, 'boxes wait for browser-data.js to load');
+  assert.match(popupJs, /cb\.disabled = false;/);
+  assert.match(popupHtml, /id="bf-browser-data-notice"[^>]*hidden/);
+  assert.match(popupJs, /chrome\.permissions\.request\(\{ permissions: \[permission\] \}\)/);
+});
@@ -895,6 +895,53 @@ test('POST /v1/runs strips hidden session title prefix from commentary before pe
   }
 });
 
+test('POST /v1/runs/abort aborts every in-flight run', async () => {
+  const abortedByExecutor = [];
+  const daemon = await startChatd({
+    port: 0,
+    writeChatdUrl: false,
+    runExecutor: ({ runId }) => ({ abort() { abortedByExecutor.push(runId); } }),
+  });
+
+  try {
+    const headers = {
+      'content-type': 'application/json',
+      authorization: `Bearer ${daemon.token}`,
+    };
+    const runIds = [];
+    for (const title of ['First', 'Second']) {
+      const created = await fetchWithRetry(`${daemon.baseUrl}/v1/sessions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ title }),
+      }).then((res) => res.json());
+      const runBody = await fetch(`${daemon.baseUrl}/v1/runs`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ sessionId: created.sessionId, message: 'keep going' }),
+      }).then((res) => res.json());
+      runIds.push(runBody.runId);
+    }
+
+    const abortRes = await fetch(`${daemon.baseUrl}/v1/runs/abort`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${daemon.token}` },
+    });
+    assert.equal(abortRes.status, 200);
+    const abortBody = await abortRes.json();
+    assert.deepEqual([...abortBody.aborted].sort(), [...runIds].sort());
+    assert.deepEqual([...abortedByExecutor].sort(), [...runIds].sort());
+
+    const again = await fetch(`${daemon.baseUrl}/v1/runs/abort`, {
+      method: 'POST',
+      headers: { authorization: `Bearer ${daemon.token}` },
+    }).then((res) => res.json());
+    assert.deepEqual(again.aborted, []);
+  } finally {
+    await daemon.stop();
+  }
+});
+
 test('POST /v1/runs persists execute tool details for collapsible timeline rows', async () => {
   const daemon = await startChatd({
     port: 0,
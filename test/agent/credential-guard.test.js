@@ -0,0 +1,121 @@
+import fs from 'node:fs';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCredentialBlockedError,
+  findCredentialRead,
+  isCredentialReadAllowed,
+  normalizeCredentialAllowlist,
+  carriesCredentialHeaders,
+  stripCredentialHeaders,
+} from '../../extension/credential-guard.js';
+
+const background = fs.readFileSync(new URL('../../extension/background.js', import.meta.url), 'utf8');
+const popupHtml = fs.readFileSync(new URL('../../extension/popup.html', import.meta.url), 'utf8');
+const popupJs = fs.readFileSync(new URL('../../extension/popup.js', import.meta.url), 'utf8');
+
+test('cookie and storage reading methods are credential reads', () => {
+  assert.deepEqual(findCredentialRead('Network.getAllCookies', {}), { method: 'Network.getAllCookies', what: 'Network.getAllCookies', allSites: true });
+  assert.equal(findCredentialRead('Storage.getCookies', {}).allSites, true);
+  assert.equal(findCredentialRead('Network.getCookies', {}).allSites, false);
+  assert.ok(findCredentialRead('DOMStorage.getDOMStorageItems', {}));
+  assert.ok(findCredentialRead('IndexedDB.requestData', {}));
+  assert.equal(findCredentialRead('Network.enable', {}), null);
+  assert.equal(findCredentialRead('Page.navigate', { url: 'https://example.com/?localStorage' }), null);
+});
+
+test('evaluated scripts that touch cookies or web storage are flagged', () => {
+  assert.equal(findCredentialRead('Runtime.evaluate', { expression: 'document.cookie' }).what, 'document.cookie');
+  assert.equal(findCredentialRead('Runtime.evaluate', { expression: "document['cookie']" }).what, 'document.cookie');
+  assert.equal(findCredentialRead('Runtime.evaluate', { expression: 'await cookieStore.getAll()' }).what, 'cookieStore');
+  assert.equal(
+    findCredentialRead('Runtime.callFunctionOn', { functionDeclaration: '() => localStorage.getItem("token")' }).what,
+    'localStorage',
+  );
+  assert.equal(findCredentialRead('Runtime.evaluate', { expression: 'window.sessionStorage.length' }).what, 'sessionStorage');
+  assert.equal(findCredentialRead('Debugger.evaluateOnCallFrame', { expression: 'indexedDB.databases()' }).what, 'indexedDB');
+
+  assert.equal(findCredentialRead('Runtime.evaluate', { expression: 'document.title' }), null);
+  assert.equal(findCredentialRead('Runtime.evaluate', { expression: '"youtube-nocookie.com"' }), null);
+  assert.equal(findCredentialRead('Runtime.evaluate', { expression: 'myLocalStorageHelper()' }), null);
+});
+
+test('the allowlist covers the tab page; all-site and frame reads need *', () => {
+  const read = findCredentialRead('Runtime.evaluate', { expression: 'localStorage.token' });
+  assert.equal(isCredentialReadAllowed(read, [], 'https://app.example.com/'), false);
+  assert.equal(isCredentialReadAllowed(read, ['*.example.com'], 'https://app.example.com/'), true);
+  assert.equal(isCredentialReadAllowed(read, ['*.example.com'], 'https://bank.com/'), false);
+  assert.equal(isCredentialReadAllowed(read, ['*.example.com'], null), false);
+  assert.equal(isCredentialReadAllowed(read, ['*'], null), true);
+
+  const all = findCredentialRead('Network.getAllCookies', {});
+  assert.equal(isCredentialReadAllowed(all, ['*.example.com'], 'https://app.example.com/'), false);
+  assert.equal(isCredentialReadAllowed(all, ['*'], 'https://app.example.com/'), true);
+
+  const cookies = findCredentialRead('Network.getCookies', {});
+  const params = { urls: ['https://app.example.com/', 'https://bank.com/'] };
+  assert.equal(isCredentialReadAllowed(cookies, ['*.example.com'], 'https://app.example.com/', params), false);
+  assert.equal(isCredentialReadAllowed(cookies, ['*.example.com', 'bank.com'], 'https://app.example.com/', params), true);
+});
+
+test('stored allowlists are normalized and invalid patterns dropped', () => {
+  assert.deepEqual(normalizeCredentialAllowlist([' Staging.Example.com/ ', 'not a pattern!', 'staging.example.com', '*']), ['staging.example.com', '*']);
+  assert.deepEqual(normalizeCredentialAllowlist(null), []);
+});
+
+test('blocked errors teach the agent and name the setting', () => {
+  const error = buildCredentialBlockedError(findCredentialRead('Runtime.evaluate', { expression: 'document.cookie' }));
+  assert.match(error, /^BLOCKED: this script reads document\.cookie, and credential protection is on\./);
+  assert.match(error, /Settings → Credential Protection/);
+  assert.match(buildCredentialBlockedError(findCredentialRead('Storage.getCookies', {})), /^BLOCKED: Storage\.getCookies reads/);
+});
+
+test('credential headers and cookie lists are removed from Network and Fetch events', () => {
+  const sent = stripCredentialHeaders('Network.requestWillBeSent', {
+    requestId: '1',
+    request: { url: 'https://api.example.com/', headers: { Accept: '*/*', Authorization: 'Bearer abc' } },
+    redirectResponse: { headers: { 'set-cookie': 'sid=1', 'content-type': 'text/html' } },
+  });
+  assert.deepEqual(sent.request.headers, { Accept: '*/*' });
+  assert.deepEqual(sent.redirectResponse.headers, { 'content-type': 'text/html' });
+
+  const extraInfo = stripCredentialHeaders('Network.requestWillBeSentExtraInfo', {
+    requestId: '1',
+    headers: { Cookie: 'sid=1', 'User-Agent': 'x' },
+    associatedCookies: [{ cookie: { name: 'sid', value: '1' } }],
+  });
+  assert.deepEqual(extraInfo.headers, { 'User-Agent': 'x' });
+  assert.deepEqual(extraInfo.associatedCookies, []);
+
+  const response = stripCredentialHeaders('Network.responseReceivedExtraInfo', {
+    headers: { 'Set-Cookie': 'sid=2', Server: 'nginx' },
+    headersText: 'HTTP/1.1 200 OK\r\nSet-Cookie: sid=2\r\nServer: nginx\r\n',
+    blockedCookies: [{ cookieLine: 'sid=2' }],
+  });
+  assert.deepEqual(response.headers, { Server: 'nginx' });
+  assert.equal(response.headersText, 'HTTP/1.1 200 OK\r\nServer: nginx\r\n');
+  assert.deepEqual(response.blockedCookies, []);
+
+  const paused = stripCredentialHeaders('Fetch.requestPaused', {
+    requestId: 'interception-1',
+    request: { url: 'https://api.example.com/', headers: { cookie: 'sid=1', Accept: '*/*' } },
+    responseStatusCode: 200,
+    responseHeaders: [{ name: 'Set-Cookie', value: 'sid=2' }, { name: 'Content-Type', value: 'text/html' }],
+  });
+  assert.deepEqual(paused.request.headers, { Accept: '*/*' });
+  assert.deepEqual(paused.responseHeaders, [{ name: 'Content-Type', value: 'text/html' }]);
+  assert.equal(carriesCredentialHeaders('Fetch.authRequired'), true);
+
+  const console = { args: [{ value: 'Authorization' }] };
+  assert.equal(stripCredentialHeaders('Runtime.consoleAPICalled', console), console);
+});
+
+test('background enforces the guard on commands and events, default on', () => {
+  assert.match(background, /await checkCredentialAccess\(method, params, tabId, childSessionId\)/);
+  assert.match(background, /params: guardEventParams\(source, method, params\)/);
+  assert.match(background, /!credentialGuard\.enabled \|\| !carriesCredentialHeaders\(method\)/);
+  assert.match(background, /credentialGuard\.enabled = stored\.credentialGuard !== false/);
+  assert.match(popupHtml, /id="bf-credential-guard"/);
+  assert.match(popupJs, /credentialGuardCb\.checked = s\.credentialGuard !== false/);
+  assert.match(popupJs, /chrome\.storage\.local\.set\(\{\s*credentialAllowlist\s*\}\)/);
+});
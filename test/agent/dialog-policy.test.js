@@ -0,0 +1,91 @@
+import fs from 'node:fs';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DIALOG_POLICIES,
+  buildDialogOpenError,
+  buildDialogReport,
+  commandWaitsOnDialog,
+  describeDialog,
+  normalizeDialogPolicy,
+  planDialogResponse,
+} from '../../extension/dialog-policy.js';
+
+const background = fs.readFileSync(new URL('../../extension/background.js', import.meta.url), 'utf8');
+const popupHtml = fs.readFileSync(new URL('../../extension/popup.html', import.meta.url), 'utf8');
+const popupJs = fs.readFileSync(new URL('../../extension/popup.js', import.meta.url), 'utf8');
+const runtimeSource = fs.readFileSync(new URL('../../mcp/src/browser-session-runtime.js', import.meta.url), 'utf8');
+const relaySource = fs.readFileSync(new URL('../../relay/src/index.js', import.meta.url), 'utf8');
+const mcpIndexSource = fs.readFileSync(new URL('../../mcp/src/index.js', import.meta.url), 'utf8');
+const sessiondSource = fs.readFileSync(new URL('../../cli/sessiond.js', import.meta.url), 'utf8');
+
+test('dialog policy defaults to agent', () => {
+  assert.equal(normalizeDialogPolicy(undefined), 'agent');
+  assert.equal(normalizeDialogPolicy('bogus'), 'agent');
+  assert.equal(normalizeDialogPolicy('dismiss'), 'dismiss');
+  assert.equal(normalizeDialogPolicy('accept'), 'accept');
+  assert.equal(normalizeDialogPolicy('agent'), 'agent');
+});
+
+test('dialogs are described by type and message', () => {
+  assert.equal(describeDialog({ type: 'confirm', message: 'Delete item?' }), 'confirm("Delete item?")');
+  assert.equal(describeDialog({ type: 'alert', message: 'Say "hi"' }), 'alert("Say \\"hi\\"")');
+  assert.equal(describeDialog({ type: 'beforeunload', message: '' }), 'beforeunload');
+  assert.equal(describeDialog({}), 'dialog("")');
+});
+
+test('accept and dismiss answer the dialog; agent leaves it open', () => {
+  assert.deepEqual(planDialogResponse('dismiss', { type: 'confirm' }), { accept: false });
+  assert.deepEqual(planDialogResponse('accept', { type: 'confirm' }), { accept: true });
+  assert.deepEqual(planDialogResponse('accept', { type: 'prompt', defaultPrompt: 'Ada' }), { accept: true, promptText: 'Ada' });
+  assert.deepEqual(planDialogResponse('dismiss', { type: 'prompt', defaultPrompt: 'Ada' }), { accept: false });
+  assert.equal(planDialogResponse('agent', { type: 'alert' }), null);
+});
+
+test('outcomes go to the relay as their own message, not as page console entries', () => {
+  assert.deepEqual(buildDialogReport(7, 'dismissed', { type: 'confirm', message: 'Delete item?', url: 'https://app.test/' }), {
+    tabId: 7,
+    outcome: 'dismissed',
+    note: 'dismissed confirm("Delete item?")',
+    url: 'https://app.test/',
+  });
+  assert.match(background, /send\(\{ method: 'dialogHandled', params: buildDialogReport\(tabId, outcome, dialog\) \}\)/);
+  assert.doesNotMatch(background, /Log\.entryAdded/);
+  assert.match(relaySource, /msg\.method === 'dialogHandled'/);
+  assert.match(relaySource, /method: 'BrowserForce\.dialogHandled'/);
+  assert.match(runtimeSource, /const DIALOG_HANDLED_EVENT = 'BrowserForce\.dialogHandled';/);
+});
+
+test('the MCP runtime and the popup use the same policy list', () => {
+  assert.doesNotMatch(runtimeSource, /^import /m, 'the runtime stays import-free; callers inject the helper');
+  assert.match(mcpIndexSource, /import \{ normalizeDialogPolicy \} from '\.\.\/\.\.\/extension\/dialog-policy\.js';/);
+  assert.match(sessiondSource, /import \{ normalizeDialogPolicy \} from '\.\.\/extension\/dialog-policy\.js';/);
+  assert.match(mcpIndexSource, /^  normalizeDialogPolicy,$/m);
+  assert.match(sessiondSource, /^    normalizeDialogPolicy,$/m);
+  assert.deepEqual([...popupHtml.matchAll(/<option value="(\w+)">[^<]*<\/option>/g)]
+    .map(([, value]) => value)
+    .filter((value) => DIALOG_POLICIES.includes(value)), DIALOG_POLICIES);
+});
+
+test('commands that would wait on an open dialog fail with directions', () => {
+  assert.equal(commandWaitsOnDialog('Input.dispatchMouseEvent'), false, 'the rest of an action that opened a dialog goes through');
+  assert.equal(commandWaitsOnDialog('Input.dispatchKeyEvent'), false);
+  assert.equal(commandWaitsOnDialog('Runtime.evaluate'), true);
+  assert.equal(commandWaitsOnDialog('Page.handleJavaScriptDialog'), false);
+  assert.equal(commandWaitsOnDialog('Target.setAutoAttach'), false);
+  const message = buildDialogOpenError('Runtime.evaluate', { type: 'confirm', message: 'Delete item?' });
+  assert.match(message, /^confirm\("Delete item\?"\) is open on this tab/);
+  assert.match(message, /Page\.handleJavaScriptDialog/);
+  assert.match(message, /page\.on\('dialog'/);
+});
+
+test('background applies the policy and the popup edits it', () => {
+  assert.match(background, /dialogPolicy = normalizeDialogPolicy\(stored\.dialogPolicy\)/);
+  assert.match(background, /handleDialogEvent\(source, method, params\)/);
+  assert.match(background, /'Page\.handleJavaScriptDialog', response/);
+  assert.match(background, /planDialogResponse\(relayConnected \? dialogPolicy : 'dismiss', params\)/);
+  assert.match(background, /commandWaitsOnDialog\(method\)/);
+  assert.match(background, /dialogPolicy: normalizeDialogPolicy\(s\.dialogPolicy\)/);
+  assert.match(popupHtml, /id="bf-dialog-policy"/);
+  assert.match(popupJs, /chrome\.storage\.local\.set\(\{ dialogPolicy: dialogPolicySelect\.value \}\)/);
+});
@@ -0,0 +1,82 @@
+import fs from 'node:fs';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createDownloadMatcher, downloadFilename } from '../../extension/download-tracker.js';
+
+const background = fs.readFileSync(new URL('../../extension/background.js', import.meta.url), 'utf8');
+const popupHtml = fs.readFileSync(new URL('../../extension/popup.html', import.meta.url), 'utf8');
+const popupJs = fs.readFileSync(new URL('../../extension/popup.js', import.meta.url), 'utf8');
+const manifest = JSON.parse(fs.readFileSync(new URL('../../extension/manifest.json', import.meta.url), 'utf8'));
+
+function createClock(start = 1_000_000) {
+  const clock = { time: start, now: () => clock.time };
+  return clock;
+}
+
+test('a download is claimed by the tab that announced its URL, in either order', () => {
+  const matcher = createDownloadMatcher();
+
+  assert.equal(matcher.tabWillDownload(7, 'https://files.example/report.csv'), null);
+  assert.equal(matcher.downloadCreated({ id: 1, url: 'https://files.example/report.csv' }), 7);
+
+  const item = { id: 2, url: 'https://files.example/a.pdf' };
+  assert.equal(matcher.downloadCreated(item), null);
+  assert.equal(matcher.tabWillDownload(8, 'https://files.example/a.pdf'), item);
+  assert.equal(matcher.tabWillDownload(8, 'https://files.example/a.pdf'), null, 'each item is claimed once');
+});
+
+test('redirected downloads match on their final URL', () => {
+  const matcher = createDownloadMatcher();
+  matcher.tabWillDownload(3, 'https://cdn.example/file.zip');
+  assert.equal(matcher.downloadCreated({ id: 4, url: 'https://app.example/download?id=9', finalUrl: 'https://cdn.example/file.zip' }), 3);
+});
+
+test('the user\'s own downloads and stale announcements are never matched', () => {
+  const clock = createClock();
+  const matcher = createDownloadMatcher({ now: clock.now, windowMs: 10_000 });
+
+  assert.equal(matcher.downloadCreated({ id: 5, url: 'https://mine.example/photo.jpg' }), null);
+  clock.time += 10_001;
+  assert.equal(matcher.tabWillDownload(2, 'https://mine.example/photo.jpg'), null);
+
+  clock.time += 10_001;
+  assert.equal(matcher.downloadCreated({ id: 6, url: 'https://mine.example/photo.jpg' }), null);
+});
+
+test('an item whose referrer is another site is not claimed by URL alone', () => {
+  const matcher = createDownloadMatcher();
+  const url = 'https://files.example/report.csv';
+
+  const mine = { id: 9, url, referrer: 'https://intranet.example/reports' };
+  assert.equal(matcher.downloadCreated(mine), null);
+  assert.equal(matcher.tabWillDownload(4, url, 'https://app.example/export'), null);
+  assert.equal(matcher.downloadCreated({ id: 10, url, referrer: 'https://app.example/export?page=2' }), 4);
+  assert.equal(matcher.tabWillDownload(4, url, 'https://intranet.example/'), mine, 'same-site announcements still match');
+  const unreferred = { id: 11, url: 'https://files.example/x', referrer: '' };
+  assert.equal(matcher.downloadCreated(unreferred), null);
+  assert.equal(matcher.tabWillDownload(5, 'https://files.example/x', 'https://app.example/'), unreferred, 'no referrer: the URL decides');
+});
+
+test('downloadFilename takes the last path segment on any platform', () => {
+  assert.equal(downloadFilename('/home/me/Downloads/report.csv'), 'report.csv');
+  assert.equal(downloadFilename('C:\\Users\\me\\Downloads\\setup.exe'), 'setup.exe');
+  assert.equal(downloadFilename(''), '');
+});
+
+test('background reports agent downloads and cancels only those', () => {
+  assert.match(background, /chrome\.downloads\.onCreated\.addListener\(onDownloadCreated\)/);
+  assert.match(background, /if \(method === 'Page\.downloadWillBegin'\)/);
+  assert.match(background, /downloadMatcher\.tabWillDownload\(source\.tabId, params\?\.url, pageUrl\)/);
+  assert.match(background, /case 'cancelDownload':\s*return cancelDownload\(msg\.params\);/);
+  assert.match(background, /if \(!agentDownloads\.has\(downloadId\) \|\| !chrome\.downloads\) return \{ cancelled: false \};/);
+});
+
+test('downloads is an optional permission the popup requests', () => {
+  assert.ok(!manifest.permissions.includes('downloads'));
+  assert.ok(manifest.optional_permissions.includes('downloads'));
+  assert.match(background, /if \(permissions\?\.includes\('downloads'\)\) startDownloadTracking\(\);/);
+  assert.match(background, /if \(await chrome\.permissions\.contains\(\{ permissions: \['downloads'\] \}\)\) startDownloadTracking\(\);/);
+  assert.match(popupHtml, /id="bf-downloads" disabled/);
+  assert.match(popupJs, /downloadsCb\.checked = await chrome\.permissions\.request\(\{ permissions: \['downloads'\] \}\);/);
+  assert.match(popupJs, /await chrome\.permissions\.remove\(\{ permissions: \['downloads'\] \}\);/);
+});
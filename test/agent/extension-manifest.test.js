@@ -19,3 +19,10 @@ test('manifest declares the background service worker as a module', () => {
   assert.equal(manifest.background.service_worker, 'background.js');
   assert.equal(manifest.background.type, 'module');
 });
+
+test('manifest binds a keyboard shortcut to the kill switch', () => {
+  assert.ok(manifest.commands['kill-switch'].suggested_key.default);
+  const background = fs.readFileSync('extension/background.js', 'utf8');
+  assert.match(background, /const KILL_SWITCH_COMMAND = 'kill-switch';/);
+  assert.match(background, /chrome\.commands\.onCommand\.addListener/);
+});
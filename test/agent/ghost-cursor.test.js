@@ -7,6 +7,7 @@ import {
   GHOST_CURSOR_SOURCE,
   buildGhostCursorAction,
   buildGhostCursorActionExpression,
+  buildTimelineAction,
   createGhostCursorController,
   handleGhostCursorInput,
 } from '../../extension/ghost-cursor.js';
@@ -148,6 +149,29 @@ test('rejects unsupported or malformed cursor events', () => {
   assert.equal(buildGhostCursorAction({ type: 'mouseMoved', params: { x: 40, y: Number.NaN } }), null);
 });
 
+test('maps agent commands into recording timeline actions', () => {
+  assert.deepEqual(
+    buildTimelineAction({ method: 'Input.dispatchMouseEvent', params: { type: 'mousePressed', x: 40, y: 90, button: 'left', clickCount: 2 } }),
+    { kind: 'click', x: 40, y: 90, button: 'left', clickCount: 2 },
+  );
+  assert.deepEqual(
+    buildTimelineAction({ method: 'Input.dispatchMouseEvent', params: { type: 'mouseWheel', x: 1, y: 2, deltaY: 300 } }),
+    { kind: 'scroll', x: 1, y: 2, deltaX: 0, deltaY: 300 },
+  );
+  assert.deepEqual(buildTimelineAction({ method: 'Input.dispatchKeyEvent', params: { type: 'keyDown', key: 'Enter' } }), { kind: 'key', key: 'Enter' });
+  assert.deepEqual(buildTimelineAction({ method: 'Input.insertText', params: { text: 'hello' } }), { kind: 'type', text: 'hello' });
+  assert.deepEqual(
+    buildTimelineAction({ method: 'Input.insertText', params: { text: 'hunter22' }, masked: true }),
+    { kind: 'type', length: 8, masked: true },
+  );
+  assert.deepEqual(buildTimelineAction({ method: 'Page.navigate', params: { url: 'https://example.com' } }), { kind: 'navigate', url: 'https://example.com' });
+
+  // The rest of a gesture is not an action of its own.
+  assert.equal(buildTimelineAction({ method: 'Input.dispatchMouseEvent', params: { type: 'mouseMoved', x: 1, y: 2 } }), null);
+  assert.equal(buildTimelineAction({ method: 'Input.dispatchKeyEvent', params: { type: 'keyUp', key: 'Enter' } }), null);
+  assert.equal(buildTimelineAction({ method: 'Runtime.evaluate', params: { expression: '1' } }), null);
+});
+
 test('builds a serialized expression for a cursor action', () => {
   const expression = buildGhostCursorActionExpression({
     type: 'move',
@@ -335,3 +359,10 @@ test('extension wiring keeps cursor updates cosmetic and settings default-off',
   assert.match(packageJson.scripts.test, /test\/agent\/ghost-cursor\.test\.js/);
   assert.match(packageJson.scripts['test:agent'], /test\/agent\/ghost-cursor\.test\.js/);
 });
+
+test('extension reports timeline actions only for tabs the relay is recording', () => {
+  assert.match(background, /if \(method === 'Page\.startScreencast'\) screencastTabs\.add\(tabId\)/);
+  assert.match(background, /else if \(screencastTabs\.has\(tabId\)\) void reportTimelineAction\(tabId, method, params\)/);
+  assert.match(background, /action\.kind === 'type' && await isPasswordFieldFocused\(tabId, null\)/);
+  assert.match(background, /send\(\{ method: 'inputAction', params: \{ tabId, at, action \} \}\)/);
+});
@@ -0,0 +1,74 @@
+import fs from 'node:fs';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  describeOriginRule,
+  findOriginRule,
+  normalizeOriginRule,
+  normalizeOriginRules,
+  originRuleMatches,
+} from '../../extension/origin-rules.js';
+
+const background = fs.readFileSync(new URL('../../extension/background.js', import.meta.url), 'utf8');
+
+test('host patterns match the host, and *. patterns also match subdomains', () => {
+  assert.equal(originRuleMatches({ pattern: 'bank.com' }, 'https://bank.com/login'), true);
+  assert.equal(originRuleMatches({ pattern: 'bank.com' }, 'https://www.bank.com/'), false);
+  assert.equal(originRuleMatches({ pattern: '*.bank.com' }, 'https://bank.com/'), true);
+  assert.equal(originRuleMatches({ pattern: '*.bank.com' }, 'https://online.eu.bank.com/'), true);
+  assert.equal(originRuleMatches({ pattern: '*.bank.com' }, 'https://notbank.com/'), false);
+});
+
+test('scheme and port in a pattern must match the URL', () => {
+  const rule = { pattern: 'https://hr.example.com' };
+  assert.equal(originRuleMatches(rule, 'https://hr.example.com/payroll'), true);
+  assert.equal(originRuleMatches(rule, 'http://hr.example.com/payroll'), false);
+  assert.equal(originRuleMatches({ pattern: 'https://staging.example.com:8443' }, 'https://staging.example.com:8443/'), true);
+  assert.equal(originRuleMatches({ pattern: 'https://staging.example.com:8443' }, 'https://staging.example.com/'), false);
+  assert.equal(originRuleMatches({ pattern: 'https://example.com:443' }, 'https://example.com/'), true);
+});
+
+test('* matches web pages only', () => {
+  assert.equal(originRuleMatches({ pattern: '*' }, 'http://localhost:3000/'), true);
+  assert.equal(originRuleMatches({ pattern: '*' }, 'chrome://settings/'), false);
+  assert.equal(originRuleMatches({ pattern: '*' }, 'not a url'), false);
+});
+
+test('findOriginRule returns the first matching rule', () => {
+  const rules = [
+    { pattern: 'staging.example.com', access: 'full' },
+    { pattern: '*.example.com', access: 'read-only' },
+    { pattern: '*', access: 'no-password-input' },
+  ];
+  assert.equal(findOriginRule(rules, 'https://staging.example.com/').access, 'full');
+  assert.equal(findOriginRule(rules, 'https://hr.example.com/').access, 'read-only');
+  assert.equal(findOriginRule(rules, 'https://news.site/').access, 'no-password-input');
+  assert.equal(findOriginRule(rules.slice(0, 2), 'https://news.site/'), null);
+});
+
+test('normalizeOriginRule trims and lowercases patterns and rejects bad input', () => {
+  assert.deepEqual(
+    normalizeOriginRule({ pattern: '  HTTPS://HR.Example.com/ ', access: 'lock-url' }),
+    { pattern: 'https://hr.example.com', access: 'lock-url' },
+  );
+  assert.throws(() => normalizeOriginRule({ pattern: 'https://bank.com/login', access: 'full' }), /Invalid site pattern/);
+  assert.throws(() => normalizeOriginRule({ pattern: 'bank.*', access: 'full' }), /Invalid site pattern/);
+  assert.throws(() => normalizeOriginRule({ pattern: 'bank.com', access: 'admin' }), /Unknown access "admin"/);
+});
+
+test('normalizeOriginRules drops invalid stored entries and keeps order', () => {
+  assert.deepEqual(normalizeOriginRules(undefined), []);
+  assert.deepEqual(
+    normalizeOriginRules([{ pattern: 'b.com', access: 'full' }, { pattern: '', access: 'full' }, { pattern: 'a.com', access: 'read-only' }]),
+    [{ pattern: 'b.com', access: 'full' }, { pattern: 'a.com', access: 'read-only' }],
+  );
+});
+
+test('describeOriginRule names the pattern and access level', () => {
+  assert.equal(describeOriginRule({ pattern: '*.bank.com', access: 'read-only' }), '*.bank.com → Read-only');
+});
+
+test('background matches a child session\'s rules against that frame or worker\'s URL', () => {
+  assert.match(background, /findOriginRule\(settings\.originRules, await commandTargetUrl\(tabId, childSessionId\)\)/);
+  assert.match(background, /childSessionTargets\.set\(params\.sessionId, \{ targetId: params\.targetInfo\?\.targetId, url:/);
+});
@@ -58,3 +58,74 @@ test('popup exposes a default-off ghost-cursor toggle wired to storage', () => {
   assert.match(popupJs, /ghostCursorCb\.checked\s*=\s*!!s\.ghostCursorEnabled/);
   assert.match(popupJs, /chrome\.storage\.local\.set\(\{\s*ghostCursorEnabled:/);
 });
+
+test('logs viewer can switch to the relay audit trail', () => {
+  const optionsHtml = fs.readFileSync('extension/options.html', 'utf8');
+  assert.match(optionsHtml, /id="bf-log-view"/);
+  assert.match(optionsHtml, /<option value="audit">Audit trail<\/option>/);
+  assert.match(optionsJs, /fetchJson\('\/logs\/audit\?limit=500'\)/);
+});
+
+test('logs viewer pushes CDP filters to the relay instead of scanning rows', () => {
+  const optionsHtml = fs.readFileSync('extension/options.html', 'utf8');
+  assert.match(optionsHtml, /id="bf-filter-method"/);
+  assert.match(optionsHtml, /id="bf-filter-direction"/);
+  assert.match(optionsJs, /\/logs\/cdp\?after=\$\{state\.lastSeq\}&limit=500\$\{state\.filterQuery\}/);
+});
+
+test('popup and logs viewer subscribe to the relay event stream', () => {
+  const optionsHtml = fs.readFileSync('extension/options.html', 'utf8');
+  assert.match(optionsHtml, /<option value="events">Relay events \(live\)<\/option>/);
+  assert.match(popupJs, /import\('\.\/relay-events\.js'\)/);
+  assert.match(optionsJs, /subscribeRelayEvents\(/);
+});
+
+test('popup edits per-site restriction rules stored as originRules', () => {
+  assert.match(html, /id="bf-origin-rules"/);
+  assert.match(html, /id="bf-origin-rule-pattern"/);
+  assert.match(html, /id="bf-origin-rule-access"/);
+  assert.match(popupJs, /'originRules'/);
+  assert.match(popupJs, /import\('\.\/origin-rules\.js'\)/);
+  assert.match(popupJs, /chrome\.storage\.local\.set\(\{\s*originRules\s*\}\)/);
+});
+
+test('popup shows pending approvals and stores ask-first classes', () => {
+  assert.match(html, /id="bf-approval-list"/);
+  assert.match(html, /data-approval-class="form-submit"/);
+  assert.match(html, /data-approval-class="close-tab"/);
+  assert.match(popupJs, /'approvalClasses'/);
+  assert.match(popupJs, /type: 'resolveApproval'/);
+  assert.match(popupJs, /msg\?\.type === 'approvalsChanged'/);
+});
+
+test('popup kill switch stops and resumes all agent access', () => {
+  assert.match(html, /id="bf-kill-switch"/);
+  assert.match(popupJs, /type: killSwitchEngaged \? 'releaseKillSwitch' : 'engageKillSwitch'/);
+  assert.match(popupJs, /msg\?\.type === 'killSwitchChanged'/);
+  assert.match(popupJs, /response\.killSwitch\?\.engaged/);
+});
+
+test('popup pauses the agent and releases held commands one at a time', () => {
+  assert.match(html, /id="bf-control-mode"/);
+  assert.match(html, /<option value="step">/);
+  assert.match(popupJs, /type: 'setControlMode'/);
+  assert.match(popupJs, /type: 'releaseHeldCommand'/);
+  assert.match(popupJs, /msg\?\.type === 'agentControlChanged'/);
+});
+
+test('popup grants time-boxed access and edits the access schedule', () => {
+  assert.match(html, /id="bf-grant-access"/);
+  assert.match(html, /id="bf-schedule-enabled"/);
+  assert.match(html, /id="bf-max-session"/);
+  assert.match(popupJs, /accessGrant: \{ grantedAt: now, until: /);
+  assert.match(popupJs, /chrome\.storage\.local\.set\(\{ accessSchedule \}\)/);
+  assert.match(popupJs, /setAutoTimer\(response\.nextAutoActionSecs, response\.access\)/);
+});
+
+test('popup starts and stops relay screencast recordings', () => {
+  assert.match(html, /id="bf-record"/);
+  assert.match(popupJs, /relayRequest\('POST', '\/recordings\/start'\)/);
+  assert.match(popupJs, /relayRequest\('POST', '\/recordings\/stop'\)/);
+  assert.match(popupJs, /'x-browserforce-extension-id': extensionId/);
+  assert.match(popupJs, /recording\.\*/);
+});
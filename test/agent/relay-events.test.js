@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseEventStreamChunk, relayHttpBase } from '../../extension/relay-events.js';
+
+test('parseEventStreamChunk returns complete data events and keeps the partial tail', () => {
+  const chunk = 'retry: 2000\n: connected\n\ndata: {"seq":1,"type":"snapshot"}\n\ndata: {"seq":2,"ty';
+  const { events, rest } = parseEventStreamChunk(chunk);
+  assert.deepEqual(events, [{ seq: 1, type: 'snapshot' }]);
+  assert.equal(rest, 'data: {"seq":2,"ty');
+
+  const next = parseEventStreamChunk(`${rest}pe":"tab.attached"}\n\n`);
+  assert.deepEqual(next.events, [{ seq: 2, type: 'tab.attached' }]);
+  assert.equal(next.rest, '');
+});
+
+test('parseEventStreamChunk skips heartbeats and malformed payloads', () => {
+  const { events } = parseEventStreamChunk(': ping\n\ndata: not-json\n\ndata: {"seq":3}\n\n');
+  assert.deepEqual(events, [{ seq: 3 }]);
+});
+
+test('relayHttpBase maps the relay websocket URL to its HTTP origin', () => {
+  assert.equal(relayHttpBase('ws://127.0.0.1:19333/extension?profile=work'), 'http://127.0.0.1:19333');
+  assert.equal(relayHttpBase('wss://relay.local/extension'), 'https://relay.local');
+  assert.equal(relayHttpBase('not a url'), 'http://127.0.0.1:19222');
+});
@@ -263,6 +263,52 @@ describe('CLI plugin commands', () => {
   });
 });
 
+describe('CLI token commands', () => {
+  let relay, port, tokensFile, originalTokensEnv, env;
+
+  before(async () => {
+    port = getRandomPort();
+    tokensFile = join(tmpdir(), `bf-cli-tokens-${Math.random().toString(36).slice(2)}.json`);
+    originalTokensEnv = process.env.BROWSERFORCE_TOKENS_FILE;
+    process.env.BROWSERFORCE_TOKENS_FILE = tokensFile;
+    relay = new RelayServer(port);
+    await relay.start({ writeCdpUrl: false });
+    env = { ...process.env, BF_CDP_URL: `ws://127.0.0.1:${port}/cdp?token=${relay.authToken}` };
+  });
+
+  after(() => {
+    relay?.stop();
+    if (originalTokensEnv === undefined) delete process.env.BROWSERFORCE_TOKENS_FILE;
+    else process.env.BROWSERFORCE_TOKENS_FILE = originalTokensEnv;
+    rmSync(tokensFile, { force: true });
+  });
+
+  it('token create, list and revoke round-trip through the relay', async () => {
+    const created = JSON.parse((await exec('node', [
+      'bin.js', 'token', 'create', 'monitor', '--read-only',
+      '--origin', 'https://example.com', '--max-tabs', '2', '--expires', '2h', '--json',
+    ], { env })).stdout);
+    assert.match(created.token, /^bft_/);
+    assert.equal(created.cdpUrl, `ws://127.0.0.1:${port}/cdp?token=${created.token}`);
+    assert.deepEqual(created.capabilities, { readOnly: true, allowedOrigins: ['https://example.com'], maxTabs: 2 });
+
+    const { stdout: listed } = await exec('node', ['bin.js', 'token', 'list'], { env });
+    assert.match(listed, /monitor \(tok_[0-9a-f]+\) — read-only • origins: https:\/\/example\.com • max tabs: 2 • expires /);
+
+    const { stdout: revoked } = await exec('node', ['bin.js', 'token', 'revoke', 'monitor'], { env });
+    assert.match(revoked, /Revoked "monitor"/);
+    const { stdout: empty } = await exec('node', ['bin.js', 'token', 'list'], { env });
+    assert.ok(empty.includes('No capability tokens'));
+  });
+
+  it('token revoke of an unknown name exits 1 with the relay error', async () => {
+    await assert.rejects(exec('node', ['bin.js', 'token', 'revoke', 'ghost'], { env }), (err) => {
+      assert.match(err.stderr, /No token with id or name "ghost"/);
+      return true;
+    });
+  });
+});
+
 describe('CLI install-extension', () => {
   let tmpExt;
 